@@ -0,0 +1,68 @@
+#!/usr/bin/env node
+// bin/mcp.js - Registry MCP server over stdio
+//
+//   node bin/mcp.js
+//
+// Reads newline-delimited JSON-RPC messages on stdin and writes the responses
+// to stdout. Uses the same STORAGE_BACKEND / DATABASE_URL / SQLITE_FILE
+// settings as the server. Queued emails and webhooks are sent by the server's
+// workers, so point it at the same database as a running server.
+
+// stdout carries the protocol; everything the modules log goes to stderr
+console.log = console.error;
+console.info = console.error;
+
+const readline = require('readline');
+const storage = require('../lib/db');
+const { logger } = require('../lib/logger');
+const { PUBLIC_BASE_URL } = require('../lib/config');
+const { JSONRPC_ERRORS, jsonRpcError, handleMessages } = require('../lib/mcp');
+
+const context = {
+  source: process.env.MCP_SOURCE || 'mcp',
+  ip: null,
+  userAgent: 'astrasync-mcp-stdio',
+  baseUrl: PUBLIC_BASE_URL,
+  apiKey: null
+};
+
+function send(message) {
+  process.stdout.write(`${JSON.stringify(message)}\n`);
+}
+
+async function handleLine(line) {
+  if (!line.trim()) return;
+
+  let payload;
+  try {
+    payload = JSON.parse(line);
+  } catch (error) {
+    return send(jsonRpcError(null, JSONRPC_ERRORS.parseError, 'Parse error'));
+  }
+
+  const response = await handleMessages(payload, context);
+  if (response) send(response);
+}
+
+async function main() {
+  await storage.init();
+  logger.info('MCP server ready on stdio', { storage: storage.name });
+
+  const lines = readline.createInterface({ input: process.stdin, crlfDelay: Infinity });
+
+  // One message at a time, so responses come back in request order
+  let queue = Promise.resolve();
+  lines.on('line', line => {
+    queue = queue.then(() => handleLine(line)).catch(error => logger.error('MCP error', { error }));
+  });
+
+  lines.on('close', () => {
+    queue.then(() => storage.close()).then(() => process.exit(0));
+  });
+}
+
+main().catch(async error => {
+  logger.error('MCP server failed to start', { error: error.message });
+  await storage.close().catch(() => {});
+  process.exit(1);
+});
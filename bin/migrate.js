@@ -0,0 +1,74 @@
+#!/usr/bin/env node
+// bin/migrate.js - Apply or roll back schema migrations
+//
+//   node bin/migrate.js status
+//   node bin/migrate.js up [--to <version>]     apply pending migrations
+//   node bin/migrate.js down [--to <version>]   roll back the newest migration, or all above <version>
+//
+// Uses the same STORAGE_BACKEND / DATABASE_URL / SQLITE_FILE settings as the server.
+const storage = require('../lib/db');
+
+const USAGE = 'Usage: node bin/migrate.js status | up [--to <version>] | down [--to <version>]';
+
+function parseArgs(argv) {
+  const [command = 'status', ...rest] = argv;
+  const options = {};
+
+  for (let i = 0; i < rest.length; i++) {
+    if (rest[i] === '--to' && /^\d+$/.test(rest[i + 1] || '')) {
+      options.to = parseInt(rest[++i]);
+    } else {
+      throw new Error(`Unknown argument: ${rest[i]}\n${USAGE}`);
+    }
+  }
+
+  return { command, options };
+}
+
+async function printStatus() {
+  const { current, latest, applied, pending, unknown } = await storage.migrations.status();
+
+  console.log(`Storage: ${storage.name}${storage.location ? ` (${storage.location})` : ''}`);
+  console.log(`Schema version: ${current} (latest: ${latest})`);
+  applied.forEach(row => {
+    console.log(`  ✅ ${row.version}-${row.name}  applied ${new Date(row.applied_at).toISOString()}`);
+  });
+  pending.forEach(migration => {
+    console.log(`  ⏳ ${migration.version}-${migration.name}  pending`);
+  });
+  if (unknown.length > 0) {
+    console.log(`  ⚠️  Applied by a newer release: ${unknown.join(', ')}`);
+  }
+}
+
+async function main() {
+  const { command, options } = parseArgs(process.argv.slice(2));
+
+  switch (command) {
+    case 'status':
+      await printStatus();
+      break;
+    case 'up': {
+      const applied = await storage.migrations.migrate(options);
+      applied.forEach(m => console.log(`⬆️  Applied ${m.version}-${m.name}`));
+      console.log(applied.length > 0 ? `✅ ${applied.length} migration(s) applied` : '✅ Schema is up to date');
+      break;
+    }
+    case 'down': {
+      const rolledBack = await storage.migrations.rollback(options);
+      rolledBack.forEach(m => console.log(`⬇️  Rolled back ${m.version}-${m.name}`));
+      console.log(rolledBack.length > 0 ? `✅ ${rolledBack.length} migration(s) rolled back` : '✅ Nothing to roll back');
+      break;
+    }
+    default:
+      throw new Error(`Unknown command: ${command}\n${USAGE}`);
+  }
+}
+
+main()
+  .then(() => storage.close())
+  .catch(async error => {
+    console.error('❌ Migration failed:', error.message);
+    await storage.close().catch(() => {});
+    process.exit(1);
+  });
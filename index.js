@@ -2,152 +2,249 @@
 const express = require('express');
 const cors = require('cors');
 const { v4: uuidv4 } = require('uuid');
-const { Pool } = require('pg');
+const storage = require('./lib/db');
+const { logger, requestContext } = require('./lib/logger');
+const { extractApiKey, requireAgentKey, requireAdminKey, requireMetricsToken } = require('./lib/auth');
+const { rateLimit, blockSource, unblockSource, listBlocks } = require('./lib/rateLimit');
+const { diffAgentData, recordRevision, getHistory } = require('./lib/revisions');
+const { startEmailWorker, stopEmailWorker } = require('./lib/email/worker');
+const { queueEmail } = require('./lib/email/queue');
+const { generateSecret, ownerKey, webhookUrlError, emitAgentEvent, replayDelivery } = require('./lib/webhooks');
+const { startWebhookWorker, stopWebhookWorker } = require('./lib/webhooks/worker');
+const { recomputeTrustScore, startTrustScoreRefresher, stopTrustScoreRefresher } = require('./lib/trust');
+const { startAnchoring, stopAnchoring, getAnchoringStatus } = require('./lib/anchoring');
+const { issueCredential } = require('./lib/credentials');
+const { getJwks, rotateSigningKey } = require('./lib/credentials/keys');
+const { searchAgents } = require('./lib/agentSearch');
+const { agentsToCsv } = require('./lib/agentExport');
+const { eventSeries, funnel, failureReasons, ownerCohorts } = require('./lib/analytics');
+const { maskEmail } = require('./lib/privacy');
+const { eraseDataSubject, startRetentionPurge, stopRetentionPurge } = require('./lib/retention');
+const { exportEntries, verifyChain } = require('./lib/audit');
+const { CONTENT_TYPE: METRICS_CONTENT_TYPE, renderMetrics, httpRequestDuration } = require('./lib/metrics');
+const { checkReadiness } = require('./lib/health');
+const { logAttempt, queueEmailVerification, confirmAgentEmail, registerAgent, registerAgents, verifyAgent, formatAgentDetails } = require('./lib/registry');
+const { MCP_PROTOCOL_VERSIONS, JSONRPC_ERRORS, jsonRpcError, handleMessages } = require('./lib/mcp');
+const { buildAgentCard } = require('./lib/agentCard');
+const { contentSecurityPolicy } = require('./lib/views/layout');
+const { profilePage, badgePage, notFoundPage, errorPage } = require('./lib/views/profile');
+const { CHALLENGE_TTL_DAYS, domainFromUrl, generateChallengeToken, challengeInstructions, checkChallenge } = require('./lib/domainVerification');
+const { signToken, verifyToken } = require('./lib/tokens');
+const { ERROR_CODES, ValidationError, validate, validateRequest, validationErrorBody } = require('./lib/validation');
+const schemas = require('./lib/schemas');
+const { describe, describeEndpoint, collectRoutes, buildOpenApiDocument, explorerHtml } = require('./lib/openapi');
+const swaggerUiDist = require('swagger-ui-dist');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-// Middleware
-app.use(cors());
-app.use(express.json());
+// Behind a load balancer set TRUST_PROXY (e.g. 1 for one proxy hop) so req.ip,
+// which rate limits count by, is the client's address and not the proxy's
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set('trust proxy', trustProxy === 'true' ? true : /^\d+$/.test(trustProxy) ? parseInt(trustProxy) : trustProxy);
+}
 
-// Database connection with comprehensive error handling
-const pool = new Pool({
-  connectionString: process.env.DATABASE_URL,
-  ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
-});
+// Request body caps. The public write endpoints get small ones; the first
+// parser to run wins, so specific routes come before the default.
+const BODY_LIMITS = {
+  logAttempt: process.env.BODY_LIMIT_LOG_ATTEMPT || '4kb',
+  register: process.env.BODY_LIMIT_REGISTER || '16kb',
+  mcp: process.env.BODY_LIMIT_MCP || '16kb',
+  bulk: process.env.BODY_LIMIT_BULK || '1mb',
+  default: process.env.BODY_LIMIT || '100kb'
+};
 
-// Test database connection on startup
-pool.connect((err, client, release) => {
-  if (err) {
-    console.error('❌ Error connecting to database:', err.stack);
-  } else {
-    console.log('✅ Successfully connected to PostgreSQL');
-    release();
-  }
-});
+// Incoming X-Request-Id values are kept if they look like an ID
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,100}$/;
 
-// Initialize database tables
-async function initDatabase() {
-  try {
-    // Create agents table
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS agents (
-        id VARCHAR(50) PRIMARY KEY,
-        internal_id UUID NOT NULL,
-        email VARCHAR(255) NOT NULL,
-        status VARCHAR(50) NOT NULL,
-        blockchain_status VARCHAR(50) NOT NULL,
-        trust_score VARCHAR(20) NOT NULL,
-        registered_at TIMESTAMP NOT NULL,
-        agent_data JSONB NOT NULL,
-        metadata JSONB NOT NULL
-      )
-    `);
-    
-    // Create email queue table
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS email_queue (
-        id SERIAL PRIMARY KEY,
-        recipient VARCHAR(255) NOT NULL,
-        subject VARCHAR(255) NOT NULL,
-        template VARCHAR(50) NOT NULL,
-        data JSONB NOT NULL,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
-    
-    // Create registration attempts table for customer intelligence
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS registration_attempts (
-        id SERIAL PRIMARY KEY,
-        event_type VARCHAR(50) NOT NULL,
-        email VARCHAR(255),
-        agent_name VARCHAR(255),
-        source VARCHAR(50),
-        data JSONB NOT NULL,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
-    
-    // Create indexes for better query performance
-    await pool.query(`
-      CREATE INDEX IF NOT EXISTS idx_agents_email ON agents(email);
-      CREATE INDEX IF NOT EXISTS idx_agents_registered_at ON agents(registered_at);
-      CREATE INDEX IF NOT EXISTS idx_attempts_email ON registration_attempts(email);
-      CREATE INDEX IF NOT EXISTS idx_attempts_created ON registration_attempts(created_at);
-      CREATE INDEX IF NOT EXISTS idx_attempts_event_type ON registration_attempts(event_type);
-    `);
-    
-    console.log('✅ Database tables initialized successfully');
-  } catch (error) {
-    console.error('❌ Database initialization error:', error);
-    console.error('The API will continue to run, but some features may not work properly');
-  }
+// Probed every few seconds; their requests are only logged at debug level
+const PROBE_PATHS = ['/healthz', '/readyz', '/metrics'];
+
+// Give every request an ID (the client's X-Request-Id, or a new one), echo it
+// in the response, and log and time the request once it is answered
+function assignRequestId(req, res, next) {
+  const incoming = req.headers['x-request-id'];
+  req.id = typeof incoming === 'string' && REQUEST_ID_PATTERN.test(incoming) ? incoming : uuidv4();
+  res.setHeader('X-Request-Id', req.id);
+
+  const startedAt = process.hrtime.bigint();
+  res.on('finish', () => {
+    const seconds = Number(process.hrtime.bigint() - startedAt) / 1e9;
+    // The route pattern, so /v1/verify/:agentId is one series whatever the ID
+    const route = req.route ? req.baseUrl + req.route.path : null;
+
+    httpRequestDuration.observe({ method: req.method, route: route || 'unmatched', status: res.statusCode }, seconds);
+
+    const log = PROBE_PATHS.includes(req.path) ? logger.debug : logger.info;
+    log('Request completed', {
+      requestId: req.id,
+      method: req.method,
+      route: route || req.path,
+      status: res.statusCode,
+      durationMs: seconds * 1000,
+      ip: req.ip
+    });
+  });
+
+  next();
+}
+
+// Log lines written while handling a request carry its ID (see lib/logger.js).
+// Body parsers continue from stream events, outside the context, so it is
+// entered again after them.
+function enterRequestContext(req, res, next) {
+  requestContext.run({ requestId: req.id }, next);
 }
 
-// Initialize database on startup
-initDatabase();
+// Middleware
+app.use(assignRequestId, enterRequestContext);
+app.use(cors({ exposedHeaders: ['X-Request-Id'] }));
+app.use('/v1', rateLimit('api'));
+app.use('/v1/log-attempt', express.json({ limit: BODY_LIMITS.logAttempt }));
+app.use('/v1/register', express.json({ limit: BODY_LIMITS.register }));
+app.use('/v1/mcp', express.json({ limit: BODY_LIMITS.mcp }));
+app.use('/v1/agents/bulk', express.json({ limit: BODY_LIMITS.bulk }), express.text({ type: 'application/x-ndjson', limit: BODY_LIMITS.bulk }));
+app.use(express.json({ limit: BODY_LIMITS.default }));
+app.use(enterRequestContext);
 
-// Helper function to generate temp ID
-function generateTempId() {
-  const timestamp = Date.now();
-  const random = Math.random().toString(36).substring(2, 8).toUpperCase();
-  return `TEMP-${timestamp}-${random}`;
+// Helper function to derive the permanent ID from an agent's internal UUID
+function generatePermanentId(internalId) {
+  return `ASTRAS-${internalId.replace(/-/g, '').substring(0, 12).toUpperCase()}`;
 }
 
-// Helper function to log attempts (guaranteed completion)
-async function logAttempt(eventType, email, agentName, source, data) {
-  try {
-    await pool.query(
-      `INSERT INTO registration_attempts 
-       (event_type, email, agent_name, source, data, created_at)
-       VALUES ($1, $2, $3, $4, $5, NOW())`,
-      [
-        eventType,
-        email || null,
-        agentName || null,
-        source || 'unknown',
-        JSON.stringify(data || {})
-      ]
-    );
-    console.log(`📊 Logged ${eventType} for ${email || 'anonymous'}`);
-    return true;
-  } catch (error) {
-    console.error(`❌ Failed to log ${eventType}:`, error);
-    return false;
-  }
+// Who makes a change in this request and the request ID, for the audit log
+// (see lib/audit.js). Routes behind requireAgentKey act as the agent's owner;
+// others pass their actor.
+function auditContext(req, actor) {
+  return {
+    actor: actor || (req.apiKey ? { type: 'owner', id: req.apiKey.prefix } : { type: 'public', id: null }),
+    requestId: req.id
+  };
 }
 
-// Health check endpoint
-app.get('/', async (req, res) => {
-  let databaseStatus = 'unknown';
-  let totalAgents = 0;
-  
+// Changes made by opening a link from an email sent to the owner, or with the admin key
+const EMAIL_LINK_ACTOR = { type: 'email_link', id: null };
+const ADMIN_ACTOR = { type: 'admin', id: null };
+
+// How long a conversion confirmation link stays valid
+const CONVERSION_TOKEN_TTL_SECONDS = 24 * 60 * 60;
+
+// Resolve former agent IDs (converted TEMP IDs) to the current ID for every
+// route with an :agentId parameter. The requested ID is kept in req.agentAlias.
+app.param('agentId', async (req, res, next, agentId) => {
   try {
-    const result = await pool.query('SELECT COUNT(*) as count FROM agents');
-    totalAgents = parseInt(result.rows[0].count);
-    databaseStatus = 'connected';
+    const currentId = await storage.aliases.resolve(agentId);
+    
+    if (currentId) {
+      req.agentAlias = agentId;
+      req.params.agentId = currentId;
+    }
+    next();
   } catch (error) {
-    databaseStatus = 'error';
-    console.error('Health check database error:', error);
+    next(error);
   }
-  
+});
+
+// Welcome page. Probes use /healthz and /readyz, which is why this one
+// doesn't touch the database.
+app.get('/', describe({
+  summary: 'Service information',
+  tags: ['Meta'],
+  responses: {
+    200: { description: 'Service information', schema: schemas.responses.welcome }
+  }
+}), (req, res) => {
   res.json({
     service: 'AstraSync API',
     version: '1.0.0',
     status: 'production',
     message: 'Welcome to AstraSync Production API. See /v1/docs for API documentation.',
     stats: {
-      totalAgents: totalAgents,
-      blockchainStatus: 'pending_audit',
-      databaseStatus: databaseStatus
+      blockchainStatus: getAnchoringStatus().running ? 'active' : 'disabled'
+    },
+    links: {
+      docs: '/v1/docs',
+      health: '/healthz',
+      readiness: '/readyz'
     }
   });
 });
 
+// Liveness: the process is up and answering. Nothing else is checked, so a
+// database outage doesn't get the server restarted.
+app.get('/healthz', describe({
+  summary: 'Liveness probe',
+  tags: ['Meta'],
+  responses: {
+    200: { description: 'The process is alive', schema: schemas.responses.liveness }
+  }
+}), (req, res) => {
+  res.json({ status: 'ok', uptime: process.uptime() });
+});
+
+// Readiness: the database answers, migrations are current and the email
+// worker is polling (see lib/health.js)
+app.get('/readyz', describe({
+  summary: 'Readiness probe',
+  description: 'Checks that the database answers, no migrations are pending and the email worker is polling. Answers 503 while any check fails.',
+  tags: ['Meta'],
+  responses: {
+    200: { description: 'Ready to serve traffic', schema: schemas.responses.readiness },
+    503: { description: 'Not ready; see the failing checks', schema: schemas.responses.readiness }
+  }
+}), async (req, res) => {
+  try {
+    const { ready, checks } = await checkReadiness();
+    
+    if (!ready) {
+      logger.warn('Readiness check failing', { checks });
+    }
+    
+    res.status(ready ? 200 : 503).json({
+      status: ready ? 'ready' : 'not_ready',
+      checks: checks
+    });
+  } catch (error) {
+    logger.error('Readiness check error', { error });
+    res.status(503).json({
+      status: 'not_ready',
+      error: 'Readiness check failed',
+      requestId: req.id
+    });
+  }
+});
+
+// Prometheus metrics (see lib/metrics.js)
+app.get('/metrics', describe({
+  summary: 'Prometheus metrics',
+  description: 'Request latency per route, registrations by source and outcome, database pool usage and email and webhook queue depth, in the Prometheus text format.',
+  tags: ['Meta'],
+  responses: {
+    200: { description: 'Metrics in the Prometheus text exposition format', contentType: 'text/plain' }
+  }
+}), requireMetricsToken, async (req, res) => {
+  try {
+    res.type(METRICS_CONTENT_TYPE).send(await renderMetrics());
+  } catch (error) {
+    logger.error('Metrics error', { error });
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to collect metrics',
+      requestId: req.id
+    });
+  }
+});
+
 // Customer Intelligence: Log registration attempts (for external calls like MCP)
-app.post('/v1/log-attempt', async (req, res) => {
+app.post('/v1/log-attempt', describe({
+  summary: 'Log a registration attempt',
+  description: 'Records registration events from external callers such as the MCP bridge for customer intelligence. Never fails the caller\'s flow.',
+  tags: ['Admin'],
+  responses: {
+    200: { description: 'Whether the event was logged', schema: schemas.responses.logged }
+  }
+}), rateLimit('logAttempt'), validateRequest({ body: schemas.logAttempt }), async (req, res) => {
   const { event, data } = req.body;
   
   try {
@@ -156,647 +253,1484 @@ app.post('/v1/log-attempt', async (req, res) => {
       data?.email,
       data?.agentName || data?.name,
       data?.source,
-      data
+      { ...data, requestId: req.id }
     );
     
     res.json({ logged });
   } catch (error) {
-    console.error('Logging endpoint error:', error);
+    logger.error('Logging endpoint error', { error });
     // Still return 200 to not break client flows
     res.status(200).json({ logged: false });
   }
 });
 
 // Main registration endpoint with guaranteed logging
-app.post('/v1/register', async (req, res) => {
-  const client = await pool.connect();
-  
+app.post('/v1/register', describe({
+  summary: 'Register a new agent',
+  description: 'Creates the agent with a TEMP ID in the pending_email_verification status, emails a verification link and returns the owner API key. Send x-source to identify the caller (e.g. mcp, web-ui) and x-session-id to tie the registration to the client\'s other logged events.',
+  tags: ['Registry'],
+  body: schemas.register,
+  responses: {
+    201: { description: 'Agent registered', schema: schemas.responses.register }
+  }
+}), rateLimit('register'), async (req, res) => {
   try {
-    // Extract data for logging
-    const email = req.body.email;
-    const agentName = req.body.agent?.name || req.body.name;
-    const source = req.headers['x-source'] || 'direct-api';
+    const result = await registerAgent(req.body, {
+      source: req.headers['x-source'] || 'direct-api',
+      ip: req.ip || req.connection.remoteAddress,
+      userAgent: req.headers['user-agent'],
+      baseUrl: `${req.protocol}://${req.get('host')}`,
+      sessionId: req.headers['x-session-id'],
+      requestId: req.id
+    });
     
-    // Log the attempt first (guaranteed to complete)
-    await logAttempt(
-      'registration_attempt',
-      email,
-      agentName,
-      source,
-      {
-        body: req.body,
-        headers: {
-          'user-agent': req.headers['user-agent'],
-          'x-source': source
-        },
-        ip: req.ip || req.connection.remoteAddress
+    res.status(201).json(result);
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json(validationErrorBody(error));
+    }
+    
+    logger.error('Registration error', { error });
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to register agent. Please try again.',
+      requestId: req.id
+    });
+  }
+});
+
+// Helper function to split an NDJSON body into items. A line that isn't JSON
+// becomes a ValidationError, so only that item fails.
+function parseNdjson(text) {
+  return text.split(/\r?\n/)
+    .map((line, index) => ({ line, number: index + 1 }))
+    .filter(({ line }) => line.trim())
+    .map(({ line, number }) => {
+      try {
+        return JSON.parse(line);
+      } catch (error) {
+        return new ValidationError([
+          { field: 'body', location: 'body', code: 'invalid_json', message: `line ${number} is not valid JSON` }
+        ]);
       }
-    );
+    });
+}
+
+// Register many agents in one request: one transaction and one summary email per owner
+app.post('/v1/agents/bulk', describe({
+  summary: 'Register agents in bulk',
+  description: `Takes up to ${schemas.MAX_BULK_AGENTS} /v1/register bodies as a JSON array or as NDJSON (Content-Type: application/x-ndjson). Each item is validated on its own: valid ones are registered together, invalid ones are reported in results. Each owner email gets one summary email whose link confirms all of its agents from the batch.`,
+  tags: ['Registry'],
+  body: schemas.bulkRegister,
+  responses: {
+    200: { description: 'One result per item; some may have failed', schema: schemas.responses.bulkRegister }
+  }
+}), rateLimit('bulk'), async (req, res) => {
+  const items = typeof req.body === 'string' ? parseNdjson(req.body) : req.body;
+  
+  try {
+    // Only the array itself; its items are validated one by one
+    validate({ ...schemas.bulkRegister, items: undefined }, items);
     
-    // Validation: Email
-    if (!email || !email.includes('@')) {
-      // Log validation failure (wait for completion)
-      await logAttempt(
-        'registration_failed',
-        email || 'invalid-email',
-        agentName,
-        source,
-        { 
-          error: 'Invalid email address',
-          body: req.body 
-        }
-      );
+    const result = await registerAgents(items, {
+      source: req.headers['x-source'] || 'direct-api',
+      ip: req.ip || req.connection.remoteAddress,
+      userAgent: req.headers['user-agent'],
+      baseUrl: `${req.protocol}://${req.get('host')}`,
+      requestId: req.id
+    });
+    
+    res.json(result);
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json(validationErrorBody(error));
+    }
+    
+    logger.error('Bulk registration error', { error });
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to register agents. None of the valid items were registered; please try again.',
+      requestId: req.id
+    });
+  }
+});
+
+// Helper function to build the path of an agent's profile page or badge
+function profilePath(agentId, page = '', theme = 'auto') {
+  return `/profile/${encodeURIComponent(agentId)}${page}${theme === 'auto' ? '' : `?theme=${theme}`}`;
+}
+
+// Serve one of the public profile pages. They show registrant data, so they are
+// rendered only through lib/views (which escapes it) under a strict CSP.
+function profileRoute(page, render, { embeddable = false } = {}) {
+  return async (req, res) => {
+    const { agentId } = req.params;
+    const { theme } = req.query;
+    
+    res.set('Content-Security-Policy', contentSecurityPolicy({ embeddable }));
+    
+    try {
+      // Old TEMP IDs redirect to the agent's permanent profile
+      if (req.agentAlias) {
+        return res.redirect(301, profilePath(agentId, page, theme));
+      }
       
-      return res.status(400).json({
-        error: 'Valid email address is required',
-        message: 'Please provide a valid email address for agent registration'
+      const agent = await storage.agents.findById(agentId);
+      
+      if (!agent) {
+        return res.status(404).send(String(notFoundPage(agentId, { theme })));
+      }
+      
+      res.send(String(render(agent, req)));
+    } catch (error) {
+      logger.error('Profile error', { error });
+      res.status(500).send(String(errorPage({ theme })));
+    }
+  };
+}
+
+// Agent profile page endpoint
+app.get('/profile/:agentId', describe({
+  summary: 'Agent profile page',
+  description: 'HTML profile page. Former TEMP IDs redirect to the permanent profile.',
+  tags: ['Registry'],
+  responses: {
+    200: { description: 'Profile page', contentType: 'text/html' },
+    301: { description: 'Redirect from a former TEMP ID to the permanent profile' }
+  }
+}), validateRequest({ query: schemas.profileQuery }), profileRoute('', (agent, req) => profilePage(agent, {
+  theme: req.query.theme,
+  badgeUrl: profilePath(agent.id, '/badge', req.query.theme)
+})));
+
+// Compact profile for partner sites to embed
+app.get('/profile/:agentId/badge', describe({
+  summary: 'Embeddable agent badge',
+  description: 'A small HTML badge with the agent\'s name, status and trust score, linking to the full profile. Made to be embedded in an iframe (320x96).',
+  tags: ['Registry'],
+  responses: {
+    200: { description: 'Badge', contentType: 'text/html' },
+    301: { description: 'Redirect from a former TEMP ID to the permanent badge' }
+  }
+}), validateRequest({ query: schemas.profileQuery }), profileRoute('/badge', (agent, req) => badgePage(agent, {
+  theme: req.query.theme,
+  profileUrl: `${req.protocol}://${req.get('host')}${profilePath(agent.id)}`
+}), { embeddable: true }));
+
+// Verify agent endpoint
+app.get('/v1/verify/:agentId', describe({
+  summary: 'Verify an agent',
+  description: 'Public verification record: status, trust score with breakdown, email and domain verification, and the blockchain inclusion proof.',
+  tags: ['Registry'],
+  responses: {
+    200: { description: 'Verification record', schema: schemas.responses.verify }
+  }
+}), async (req, res) => {
+  try {
+    const { agentId } = req.params;
+    
+    const record = await verifyAgent(agentId, {
+      source: req.headers['x-source'] || 'direct-api',
+      requestedId: req.agentAlias,
+      requestId: req.id
+    });
+    
+    if (!record) {
+      return res.status(404).json({
+        error: 'Agent not found',
+        message: `No agent found with ID: ${agentId}`
       });
     }
     
-    // Validation: Agent data
-    const { agent } = req.body;
-    if (!agent || !agent.name || !agent.owner) {
-      // Log validation failure (wait for completion)
-      await logAttempt(
-        'registration_failed',
-        email,
-        agentName || 'missing-name',
-        source,
-        { 
-          error: 'Missing required fields: name and/or owner',
-          body: req.body,
-          missingFields: {
-            hasAgent: !!agent,
-            hasName: !!(agent?.name),
-            hasOwner: !!(agent?.owner)
-          }
-        }
-      );
-      
-      return res.status(400).json({
-        error: 'Incomplete agent data',
-        message: 'Agent must have at least name and owner fields'
+    res.json(record);
+  } catch (error) {
+    logger.error('Verify error', { error });
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to verify agent',
+      requestId: req.id
+    });
+  }
+});
+
+// A2A Agent Card, served under the registry API and at the agent's well-known path
+async function sendAgentCard(req, res) {
+  try {
+    const { agentId } = req.params;
+    
+    const agent = await storage.agents.findById(agentId);
+    
+    // Unconfirmed agents aren't published
+    if (!agent || agent.status === 'pending_email_verification') {
+      return res.status(404).json({
+        error: 'Agent not found',
+        message: `No agent found with ID: ${agentId}`
       });
     }
     
-    // Generate IDs and metadata
-    const tempId = generateTempId();
-    const internalId = uuidv4();
-    const timestamp = new Date();
-    
-    // Prepare agent data
-    const agentData = {
-      name: agent.name,
-      description: agent.description || '',
-      owner: agent.owner,
-      ownerUrl: agent.ownerUrl || '',
-      capabilities: agent.capabilities || [],
-      version: agent.version || '1.0.0'
-    };
-    
-    const metadata = {
-      registrationMethod: 'api',
-      apiVersion: 'v1',
-      ip: req.ip || req.connection.remoteAddress,
-      userAgent: req.headers['user-agent'] || 'unknown',
-      source: source
-    };
-    
-    // Start transaction
-    await client.query('BEGIN');
-    
-    // Insert agent
-    await client.query(
-      `INSERT INTO agents (id, internal_id, email, status, blockchain_status, trust_score, registered_at, agent_data, metadata)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
-      [
-        tempId,
-        internalId,
-        email,
-        'registered',
-        'pending',
-        '95%',
-        timestamp,
-        JSON.stringify(agentData),
-        JSON.stringify(metadata)
-      ]
-    );
+    if (agent.status === 'revoked') {
+      return res.status(410).json({
+        error: 'Agent revoked',
+        message: 'This agent has been revoked by its owner and should no longer be trusted.'
+      });
+    }
     
-    // Queue email notification
-    await client.query(
-      `INSERT INTO email_queue (recipient, subject, template, data)
-       VALUES ($1, $2, $3, $4)`,
-      [
-        email,
-        'AstraSync Agent Registration Confirmed',
-        'registration_confirmed',
-        JSON.stringify({
-          agentId: tempId,
-          agentName: agent.name,
-          timestamp: timestamp.toISOString()
-        })
-      ]
-    );
+    res.set('Cache-Control', 'public, max-age=300');
+    res.json(buildAgentCard(agent));
+  } catch (error) {
+    logger.error('Agent card error', { error });
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to build agent card',
+      requestId: req.id
+    });
+  }
+}
+
+const agentCardDescription = {
+  tags: ['Registry'],
+  responses: {
+    200: { description: 'A2A Agent Card', schema: schemas.responses.agentCard },
+    410: { description: 'The agent has been revoked', error: true }
+  }
+};
+
+app.get('/v1/agent/:agentId/card', describe({
+  summary: 'Get an agent card',
+  description: 'The agent\'s A2A Agent Card, built from the A2A fields registered under agent.a2a. Unconfirmed agents are not published.',
+  ...agentCardDescription
+}), sendAgentCard);
+
+app.get('/agents/:agentId/.well-known/agent.json', describe({
+  summary: 'Get an agent card (well-known path)',
+  description: 'Same card as /v1/agent/{agentId}/card, at the path A2A clients discover cards on.',
+  ...agentCardDescription
+}), sendAgentCard);
+
+// Get agent details (requires the agent's API key)
+app.get('/v1/agent/:agentId', describe({
+  summary: 'Get agent details',
+  tags: ['Agents'],
+  responses: {
+    200: { description: 'Full agent record', schema: schemas.responses.agentDetails }
+  }
+}), requireAgentKey('agent:read'), async (req, res) => {
+  try {
+    const { agentId } = req.params;
     
-    // Commit transaction
-    await client.query('COMMIT');
+    const agent = await storage.agents.findById(agentId);
     
-    // Log successful registration (after commit to ensure it happened)
-    await logAttempt(
-      'registration_success',
-      email,
-      agent.name,
-      source,
-      { 
-        agentId: tempId,
-        agent: agentData 
+    if (!agent) {
+      return res.status(404).json({
+        error: 'Agent not found'
+      });
+    }
+    
+    res.json(formatAgentDetails(agent));
+  } catch (error) {
+    logger.error('Get agent error', { error });
+    res.status(500).json({
+      error: 'Internal server error',
+      requestId: req.id
+    });
+  }
+});
+
+// Update agent data (requires the agent's API key)
+app.patch('/v1/agent/:agentId', describe({
+  summary: 'Update an agent',
+  description: 'Changes agent data and records a revision. Changing ownerUrl to another domain clears domain verification.',
+  tags: ['Agents'],
+  responses: {
+    200: { description: 'Agent updated', schema: schemas.responses.agentUpdated },
+    409: { description: 'The agent is revoked', error: true }
+  }
+}), requireAgentKey('agent:write'), validateRequest({ body: schemas.updateAgent }), async (req, res) => {
+  const { agentId } = req.params;
+  const { agent: updates, reason } = req.body;
+  
+  try {
+    // Returns early (writing nothing) when there is nothing to update
+    const { current, agentData, changes, updated, revision, trust } = await storage.transaction(async tx => {
+      const current = await tx.agents.findById(agentId, { forUpdate: true });
+      
+      if (!current || current.status === 'revoked') {
+        return { current };
       }
-    );
+      
+      const agentData = { ...current.agent_data, ...updates };
+      const changes = diffAgentData(current.agent_data, agentData);
+      
+      if (Object.keys(changes).length === 0) {
+        return { current, changes };
+      }
+      
+      // Domain verification only holds for the domain that was verified
+      const domainChanged = current.verified_domain && domainFromUrl(agentData.ownerUrl) !== current.verified_domain;
+      
+      const updated = await tx.agents.update(agentId, {
+        agent_data: agentData,
+        updated_at: new Date(),
+        blockchain_status: 'pending',
+        ...(domainChanged && { domain_verified_at: null, verified_domain: null })
+      });
+      
+      const revision = await recordRevision(tx, {
+        agentId: agentId,
+        action: 'updated',
+        status: current.status,
+        agentData: agentData,
+        changes: changes,
+        reason: reason,
+        audit: auditContext(req)
+      });
+      
+      const trust = await recomputeTrustScore(tx, agentId);
+      
+      await emitAgentEvent(tx, 'agent.updated', agentId, { changes, reason: reason || null });
+      
+      return { current, agentData, changes, updated, revision, trust };
+    });
+    
+    if (!current) {
+      return res.status(404).json({
+        error: 'Agent not found'
+      });
+    }
     
-    console.log(`✅ New agent registered: ${tempId} - ${agent.name} (${email})`);
+    if (current.status === 'revoked') {
+      return res.status(409).json({
+        error: 'Agent revoked',
+        message: 'Revoked agents cannot be updated'
+      });
+    }
     
-    // Return response with fixed URLs and enhanced messaging
-    res.status(201).json({
-      agentId: tempId,
-      status: 'registered',
-      blockchain: {
-        status: 'pending',
-        message: 'Blockchain registration queued. You will be notified upon completion.'
-      },
-      trustScore: '95%',
-      message: 'Agent registered successfully. Your agent has been assigned a temporary ID and will be queued for blockchain verification. Create an account at https://www.astrasync.ai/alphaSignup to manage your agent credentials.',
-      links: {
-        verify: `${req.protocol}://${req.get('host')}/v1/verify/${tempId}`,
-        dashboard: 'https://astrasync.ai',
-        createAccount: 'https://www.astrasync.ai/alphaSignup',
-        profileUrl: `${req.protocol}://${req.get('host')}/profile/${tempId}`
-      },
-      registeredAt: timestamp.toISOString()
-    });
+    if (!revision) {
+      return res.json({
+        agentId: agentId,
+        status: current.status,
+        agent: current.agent_data,
+        changes: {},
+        message: 'No changes to apply'
+      });
+    }
     
-  } catch (error) {
-    // Rollback transaction on error
-    await client.query('ROLLBACK');
-    console.error('Registration error:', error);
+    logger.info('Agent updated', { agentId, revision: revision.revision });
     
-    // Log the error (guaranteed completion)
-    await logAttempt(
-      'registration_error',
-      req.body.email || 'unknown',
-      req.body.agent?.name || req.body.name || 'unknown',
-      req.headers['x-source'] || 'direct-api',
-      { 
-        error: error.message,
-        stack: error.stack,
-        body: req.body 
+    res.json({
+      agentId: agentId,
+      status: current.status,
+      revision: revision.revision,
+      agent: agentData,
+      changes: changes,
+      trustScore: trust.score,
+      updatedAt: updated.updated_at
+    });
+  } catch (error) {
+    logger.error('Update agent error', { error });
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to update agent',
+      requestId: req.id
+    });
+  }
+});
+
+// Soft-delete an agent by revoking or deprecating it (requires the agent's API key)
+app.delete('/v1/agent/:agentId', describe({
+  summary: 'Revoke or deprecate an agent',
+  description: 'Soft delete: the agent stays registered and /v1/verify reports it as revoked or deprecated. status and reason can also be sent in the query string.',
+  tags: ['Agents'],
+  responses: {
+    200: { description: 'Agent revoked or deprecated', schema: schemas.responses.agentDeleted },
+    409: { description: 'The agent already has this status', error: true }
+  }
+}), requireAgentKey('agent:write'), validateRequest({ body: schemas.deleteAgent, query: schemas.deleteAgent }), async (req, res) => {
+  const { agentId } = req.params;
+  const status = req.body.status || req.query.status || 'revoked';
+  const reason = req.body.reason || req.query.reason;
+  
+  try {
+    const { current, updated, revision, trust } = await storage.transaction(async tx => {
+      const current = await tx.agents.findById(agentId, { forUpdate: true });
+      
+      // Revocation is final; deprecating twice is a no-op we reject explicitly
+      if (!current || current.status === 'revoked' || current.status === status) {
+        return { current };
       }
-    );
+      
+      const updated = await tx.agents.update(agentId, {
+        status: status,
+        updated_at: new Date(),
+        blockchain_status: 'pending'
+      });
+      
+      const changes = { status: { from: current.status, to: status } };
+      
+      const revision = await recordRevision(tx, {
+        agentId: agentId,
+        action: status,
+        status: status,
+        agentData: current.agent_data,
+        changes: changes,
+        reason: reason,
+        audit: auditContext(req)
+      });
+      
+      const trust = await recomputeTrustScore(tx, agentId);
+      
+      await emitAgentEvent(tx, status === 'revoked' ? 'agent.revoked' : 'agent.updated', agentId, { changes, reason: reason || null });
+      
+      return { current, updated, revision, trust };
+    });
+    
+    if (!current) {
+      return res.status(404).json({
+        error: 'Agent not found'
+      });
+    }
+    
+    if (!revision) {
+      return res.status(409).json({
+        error: 'Invalid status transition',
+        message: `Agent is already ${current.status}`
+      });
+    }
     
+    logger.info(`Agent ${status}`, { agentId });
+    
+    res.json({
+      agentId: agentId,
+      status: status,
+      previousStatus: current.status,
+      revision: revision.revision,
+      trustScore: trust.score,
+      updatedAt: updated.updated_at,
+      message: status === 'revoked'
+        ? 'Agent revoked. Verification requests will report this agent as revoked.'
+        : 'Agent deprecated. Verification requests will report this agent as deprecated.'
+    });
+  } catch (error) {
+    logger.error('Delete agent error', { error });
     res.status(500).json({
       error: 'Internal server error',
-      message: 'Failed to register agent. Please try again.',
-      requestId: uuidv4()
+      message: 'Failed to change agent status',
+      requestId: req.id
     });
-  } finally {
-    client.release();
   }
 });
 
-// Agent profile page endpoint
-app.get('/profile/:agentId', async (req, res) => {
+// Activate an agent from the emailed verification link
+app.get('/v1/verify-email/:token', describe({
+  summary: 'Confirm the registration email',
+  description: 'Opened from the emailed link. Activates the agent.',
+  tags: ['Email verification'],
+  responses: {
+    200: { description: 'Email confirmed', schema: schemas.responses.emailVerified }
+  }
+}), async (req, res) => {
+  const payload = verifyToken('verify_email', req.params.token);
+  
+  if (!payload) {
+    return res.status(400).json({
+      error: 'Invalid or expired link',
+      message: 'Request a new verification link with POST /v1/agent/:agentId/verify-email/resend'
+    });
+  }
+  
   try {
-    const { agentId } = req.params;
-    
-    const result = await pool.query(
-      'SELECT * FROM agents WHERE id = $1',
-      [agentId]
-    );
+    // Returns early (writing nothing) when the link no longer applies
+    const { agent, status } = await storage.transaction(async tx => {
+      const agent = await tx.agents.findById(payload.agentId, { forUpdate: true });
+      
+      if (!agent || agent.email.toLowerCase() !== payload.email.toLowerCase() || agent.email_verified_at) {
+        return { agent };
+      }
+      
+      const status = await confirmAgentEmail(tx, agent, auditContext(req, EMAIL_LINK_ACTOR));
+      
+      await queueEmail(tx, {
+        recipient: agent.email,
+        subject: 'AstraSync Agent Registration Confirmed',
+        template: 'registration_confirmed',
+        data: {
+          agentId: agent.id,
+          agentName: agent.agent_data.name,
+          timestamp: agent.registered_at.toISOString()
+        }
+      });
+      
+      return { agent, status };
+    });
+    
+    if (!agent || agent.email.toLowerCase() !== payload.email.toLowerCase()) {
+      return res.status(404).json({
+        error: 'Agent not found',
+        message: 'The agent for this link no longer exists or its email has changed'
+      });
+    }
+    
+    if (!status) {
+      return res.json({
+        agentId: agent.id,
+        status: agent.status,
+        emailVerified: true,
+        message: 'Email address already confirmed'
+      });
+    }
+    
+    await logAttempt(
+      'email_verified',
+      agent.email,
+      agent.agent_data.name,
+      req.headers['x-source'] || 'direct-api',
+      { agentId: agent.id, requestId: req.id }
+    );
+    
+    logger.info('Email verified', { agentId: agent.id });
+    
+    res.json({
+      agentId: agent.id,
+      status: status,
+      emailVerified: true,
+      message: 'Email address confirmed. Your agent is now active.',
+      links: {
+        verify: `${req.protocol}://${req.get('host')}/v1/verify/${agent.id}`,
+        profileUrl: `${req.protocol}://${req.get('host')}/profile/${agent.id}`
+      }
+    });
+  } catch (error) {
+    logger.error('Email verification error', { error });
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to verify email',
+      requestId: req.id
+    });
+  }
+});
+
+// Activate every agent of a bulk registration from the emailed summary link
+app.get('/v1/verify-email/batch/:token', describe({
+  summary: 'Confirm the email of a bulk registration',
+  description: 'Opened from the emailed summary link. Activates all of the owner\'s agents from the batch that are not confirmed yet.',
+  tags: ['Email verification'],
+  responses: {
+    200: { description: 'Email confirmed', schema: schemas.responses.batchEmailVerified }
+  }
+}), async (req, res) => {
+  const payload = verifyToken('verify_email_batch', req.params.token);
+  
+  if (!payload) {
+    return res.status(400).json({
+      error: 'Invalid or expired link',
+      message: 'Request a new verification link for each agent with POST /v1/agent/:agentId/verify-email/resend'
+    });
+  }
+  
+  try {
+    const confirmed = await storage.transaction(async tx => {
+      const candidates = await tx.agents.listByOwnerEmail(ownerKey(payload.email));
+      const confirmed = [];
+      
+      for (const candidate of candidates) {
+        if (!candidate.metadata || candidate.metadata.batchId !== payload.batchId) continue;
+        
+        // Lock and re-read: the agent may have been confirmed in the meantime
+        const agent = await tx.agents.findById(candidate.id, { forUpdate: true });
+        if (!agent || agent.email_verified_at || ownerKey(agent.email) !== ownerKey(payload.email)) continue;
+        
+        const status = await confirmAgentEmail(tx, agent, auditContext(req, EMAIL_LINK_ACTOR));
+        confirmed.push({ agent, status });
+      }
+      
+      return confirmed;
+    });
+    
+    for (const { agent } of confirmed) {
+      await logAttempt(
+        'email_verified',
+        agent.email,
+        agent.agent_data.name,
+        req.headers['x-source'] || 'direct-api',
+        { agentId: agent.id, batchId: payload.batchId, requestId: req.id }
+      );
+    }
+    
+    logger.info('Email verified for batch', { batchId: payload.batchId, agents: confirmed.length });
+    
+    res.json({
+      batchId: payload.batchId,
+      emailVerified: true,
+      agents: confirmed.map(({ agent, status }) => ({
+        agentId: agent.id,
+        status: status,
+        links: {
+          verify: `${req.protocol}://${req.get('host')}/v1/verify/${agent.id}`,
+          profileUrl: `${req.protocol}://${req.get('host')}/profile/${agent.id}`
+        }
+      })),
+      total: confirmed.length,
+      message: confirmed.length > 0
+        ? 'Email address confirmed. Your agents are now active.'
+        : 'Email address already confirmed for every agent of this batch'
+    });
+  } catch (error) {
+    logger.error('Batch email verification error', { error });
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to verify email',
+      requestId: req.id
+    });
+  }
+});
+
+// Send a fresh email verification link (requires the agent's API key)
+app.post('/v1/agent/:agentId/verify-email/resend', describe({
+  summary: 'Resend the email verification link',
+  tags: ['Email verification'],
+  responses: {
+    202: { description: 'A new link was queued', schema: schemas.responses.linkSent },
+    409: { description: 'The email is already verified', error: true }
+  }
+}), requireAgentKey('agent:write'), async (req, res) => {
+  try {
+    const { agentId } = req.params;
+    
+    const agent = await storage.agents.findById(agentId);
+    
+    if (!agent) {
+      return res.status(404).json({
+        error: 'Agent not found'
+      });
+    }
+    
+    if (agent.email_verified_at) {
+      return res.status(409).json({
+        error: 'Already verified',
+        message: 'The registration email address is already confirmed'
+      });
+    }
+    
+    const expiresAt = await queueEmailVerification(storage, agent.id, agent.email, agent.agent_data.name);
+    
+    res.status(202).json({
+      agentId: agent.id,
+      status: agent.status,
+      message: 'A new verification link has been sent to the registration email',
+      expiresAt: expiresAt.toISOString()
+    });
+  } catch (error) {
+    logger.error('Resend verification error', { error });
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to resend verification email',
+      requestId: req.id
+    });
+  }
+});
+
+// Request conversion of a TEMP ID to a permanent ID (requires the agent's API key).
+// The registration email owner must confirm via the emailed link.
+app.post('/v1/agent/:agentId/convert', describe({
+  summary: 'Request a permanent agent ID',
+  description: 'Emails a confirmation link to the registration address. Requires a verified email.',
+  tags: ['Agents'],
+  responses: {
+    202: { description: 'Confirmation link queued', schema: schemas.responses.linkSent },
+    409: { description: 'The agent cannot be converted', error: true }
+  }
+}), requireAgentKey('agent:write'), async (req, res) => {
+  try {
+    const { agentId } = req.params;
+    
+    const agent = await storage.agents.findById(agentId);
+    
+    if (!agent) {
+      return res.status(404).json({
+        error: 'Agent not found'
+      });
+    }
+    
+    if (!agent.id.startsWith('TEMP-')) {
+      return res.status(409).json({
+        error: 'Already permanent',
+        message: 'This agent already has a permanent ID'
+      });
+    }
+    
+    if (agent.status === 'revoked') {
+      return res.status(409).json({
+        error: 'Agent revoked',
+        message: 'Revoked agents cannot be converted'
+      });
+    }
+    
+    if (!agent.email_verified_at) {
+      return res.status(409).json({
+        error: 'Email not verified',
+        message: 'Confirm the registration email address before converting to a permanent ID'
+      });
+    }
+    
+    const expiresAt = new Date(Date.now() + CONVERSION_TOKEN_TTL_SECONDS * 1000);
+    const token = signToken('convert', { agentId: agent.id, email: agent.email }, CONVERSION_TOKEN_TTL_SECONDS);
+    
+    await queueEmail(storage, {
+      recipient: agent.email,
+      subject: 'Confirm your permanent AstraSync agent ID',
+      template: 'conversion_confirmation',
+      data: {
+        agentId: agent.id,
+        agentName: agent.agent_data.name,
+        token: token,
+        expiresAt: expiresAt.toISOString()
+      }
+    });
+    
+    res.status(202).json({
+      agentId: agent.id,
+      status: 'confirmation_sent',
+      message: 'A confirmation link has been sent to the registration email. The agent is converted once the link is opened.',
+      expiresAt: expiresAt.toISOString()
+    });
+  } catch (error) {
+    logger.error('Convert request error', { error });
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to request conversion',
+      requestId: req.id
+    });
+  }
+});
+
+// Confirm a TEMP -> permanent conversion from the emailed link
+app.get('/v1/convert/:token', describe({
+  summary: 'Confirm a permanent ID conversion',
+  description: 'Opened from the emailed link. The old TEMP ID keeps resolving to the agent.',
+  tags: ['Agents'],
+  responses: {
+    200: { description: 'Agent converted', schema: schemas.responses.converted },
+    409: { description: 'The link no longer applies to this agent', error: true }
+  }
+}), async (req, res) => {
+  const payload = verifyToken('convert', req.params.token);
+  
+  if (!payload) {
+    return res.status(400).json({
+      error: 'Invalid or expired link',
+      message: 'Request a new conversion link with POST /v1/agent/:agentId/convert'
+    });
+  }
+  
+  try {
+    // Returns early (writing nothing) when the link no longer applies
+    const { agent, permanentId } = await storage.transaction(async tx => {
+      const agent = await tx.agents.findById(payload.agentId, { forUpdate: true });
+      
+      if (!agent || agent.email.toLowerCase() !== payload.email.toLowerCase() || agent.status === 'revoked') {
+        return { agent };
+      }
+      
+      const permanentId = generatePermanentId(agent.internal_id);
+      
+      // Related rows (API keys, revisions, ...) follow the agent to its new ID
+      await tx.agents.rename(agent.id, permanentId);
+      await tx.agents.update(permanentId, { updated_at: new Date(), blockchain_status: 'pending' });
+      
+      await tx.aliases.create(agent.id, permanentId);
+      
+      await recordRevision(tx, {
+        agentId: permanentId,
+        action: 'converted',
+        status: agent.status,
+        agentData: agent.agent_data,
+        changes: { id: { from: agent.id, to: permanentId } },
+        audit: auditContext(req, EMAIL_LINK_ACTOR)
+      });
+      
+      await emitAgentEvent(tx, 'agent.updated', permanentId, {
+        changes: { id: { from: agent.id, to: permanentId } },
+        previousAgentId: agent.id
+      });
+      
+      return { agent, permanentId };
+    });
+    
+    // A converted agent no longer has its TEMP ID, so the link only works once
+    if (!agent) {
+      return res.status(409).json({
+        error: 'Link already used',
+        message: 'This agent has already been converted or no longer exists'
+      });
+    }
+    
+    if (!permanentId) {
+      return res.status(409).json({
+        error: 'Conversion no longer valid',
+        message: 'The agent has changed since this link was issued'
+      });
+    }
+    
+    await logAttempt(
+      'conversion_success',
+      agent.email,
+      agent.agent_data.name,
+      req.headers['x-source'] || 'direct-api',
+      { agentId: permanentId, previousId: agent.id, requestId: req.id }
+    );
+    
+    logger.info('Agent converted', { agentId: permanentId, temporaryId: agent.id });
+    
+    res.json({
+      agentId: permanentId,
+      previousId: agent.id,
+      status: agent.status,
+      message: 'Agent converted to a permanent ID. The temporary ID continues to resolve to this agent.',
+      links: {
+        verify: `${req.protocol}://${req.get('host')}/v1/verify/${permanentId}`,
+        profileUrl: `${req.protocol}://${req.get('host')}/profile/${permanentId}`
+      }
+    });
+  } catch (error) {
+    logger.error('Convert confirm error', { error });
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to convert agent',
+      requestId: req.id
+    });
+  }
+});
+
+// Helper function to present a domain verification row
+function formatDomainVerification(row) {
+  return {
+    id: row.id,
+    domain: row.domain,
+    status: row.status,
+    method: row.method,
+    createdAt: row.created_at,
+    expiresAt: row.expires_at,
+    lastCheckedAt: row.last_checked_at,
+    verifiedAt: row.verified_at,
+    instructions: row.status === 'pending' ? challengeInstructions(row.domain, row.token) : undefined
+  };
+}
+
+// Start owner domain verification for the agent's ownerUrl (requires the agent's API key)
+app.post('/v1/agent/:agentId/domain-verification', describe({
+  summary: 'Start owner domain verification',
+  description: 'Returns a token to publish as a DNS TXT record or at /.well-known/astrasync-verification on the ownerUrl domain.',
+  tags: ['Domain verification'],
+  responses: {
+    200: { description: 'Open challenge reused', schema: schemas.responses.domainVerification },
+    201: { description: 'Challenge created', schema: schemas.responses.domainVerification },
+    409: { description: 'The domain is already verified', error: true }
+  }
+}), requireAgentKey('agent:write'), async (req, res) => {
+  try {
+    const { agentId } = req.params;
+    
+    const agent = await storage.agents.findById(agentId);
+    
+    if (!agent) {
+      return res.status(404).json({
+        error: 'Agent not found'
+      });
+    }
+    
+    const domain = domainFromUrl(agent.agent_data.ownerUrl);
+    
+    if (!domain) {
+      return res.status(400).json({
+        error: 'No verifiable domain',
+        message: 'Set agent.ownerUrl to a public domain (e.g. https://example.com) before verifying ownership'
+      });
+    }
+    
+    if (agent.verified_domain === domain) {
+      return res.status(409).json({
+        error: 'Already verified',
+        message: `Ownership of ${domain} is already verified`
+      });
+    }
+    
+    // Reuse an open challenge for the same domain so published records stay valid
+    const existing = await storage.domainVerifications.findOpen(agentId, domain);
+    
+    let verification = existing;
+    
+    if (!verification) {
+      verification = await storage.domainVerifications.create({
+        agentId: agentId,
+        domain: domain,
+        token: generateChallengeToken(),
+        ttlDays: CHALLENGE_TTL_DAYS
+      });
+    }
+    
+    res.status(existing ? 200 : 201).json({
+      agentId: agentId,
+      ...formatDomainVerification(verification),
+      message: 'Publish the token using either method, then call POST /v1/agent/:agentId/domain-verification/check'
+    });
+  } catch (error) {
+    logger.error('Domain verification error', { error });
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to start domain verification',
+      requestId: req.id
+    });
+  }
+});
+
+// Current domain verification state (requires the agent's API key)
+app.get('/v1/agent/:agentId/domain-verification', describe({
+  summary: 'Get domain verification status',
+  tags: ['Domain verification'],
+  responses: {
+    200: { description: 'Latest challenge', schema: schemas.responses.domainVerification }
+  }
+}), requireAgentKey('agent:read'), async (req, res) => {
+  try {
+    const { agentId } = req.params;
+    
+    const verification = await storage.domainVerifications.findLatest(agentId);
+    
+    if (!verification) {
+      return res.status(404).json({
+        error: 'No domain verification found',
+        message: 'Start one with POST /v1/agent/:agentId/domain-verification'
+      });
+    }
+    
+    res.json({
+      agentId: agentId,
+      ...formatDomainVerification(verification)
+    });
+  } catch (error) {
+    logger.error('Domain verification status error', { error });
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to fetch domain verification',
+      requestId: req.id
+    });
+  }
+});
+
+// Check the published challenge and mark the agent as domain-verified (requires the agent's API key)
+app.post('/v1/agent/:agentId/domain-verification/check', describe({
+  summary: 'Check domain verification',
+  description: 'Looks up the published token and marks the agent as domain-verified.',
+  tags: ['Domain verification'],
+  responses: {
+    200: { description: 'Domain verified', schema: schemas.responses.domainVerification },
+    409: { description: 'ownerUrl changed since the challenge was issued', error: true },
+    410: { description: 'The challenge expired', error: true },
+    422: { description: 'The token was not found', schema: schemas.responses.domainVerification }
+  }
+}), requireAgentKey('agent:write'), async (req, res) => {
+  const { agentId } = req.params;
+  
+  try {
+    const verification = await storage.domainVerifications.findLatest(agentId, { status: 'pending' });
+    
+    if (!verification) {
+      return res.status(404).json({
+        error: 'No pending domain verification',
+        message: 'Start one with POST /v1/agent/:agentId/domain-verification'
+      });
+    }
+    
+    const agent = await storage.agents.findById(agentId);
+    
+    if (new Date(verification.expires_at) < new Date()) {
+      await storage.domainVerifications.update(verification.id, { status: 'expired' });
+      return res.status(410).json({
+        error: 'Challenge expired',
+        message: 'Start a new domain verification to get a fresh token'
+      });
+    }
+    
+    if (domainFromUrl(agent.agent_data.ownerUrl) !== verification.domain) {
+      await storage.domainVerifications.update(verification.id, { status: 'expired' });
+      return res.status(409).json({
+        error: 'Owner URL changed',
+        message: 'The agent ownerUrl no longer matches this challenge. Start a new domain verification.'
+      });
+    }
+    
+    const method = await checkChallenge(verification.domain, verification.token);
+    
+    if (!method) {
+      await storage.domainVerifications.update(verification.id, { last_checked_at: new Date() });
+      return res.status(422).json({
+        agentId: agentId,
+        ...formatDomainVerification({ ...verification, last_checked_at: new Date() }),
+        error: 'Challenge not found',
+        message: 'The verification token was not found in DNS or at the well-known URL. DNS changes can take a while to propagate.'
+      });
+    }
+    
+    const { verified, trust } = await storage.transaction(async tx => {
+      const now = new Date();
+      
+      const verified = await tx.domainVerifications.update(verification.id, {
+        status: 'verified',
+        method: method,
+        last_checked_at: now,
+        verified_at: now
+      });
+      
+      const updated = await tx.agents.update(agentId, {
+        verified_domain: verification.domain,
+        domain_verified_at: now
+      });
+      
+      await recordRevision(tx, {
+        agentId: agentId,
+        action: 'domain_verified',
+        status: updated.status,
+        agentData: updated.agent_data,
+        changes: { verifiedDomain: { from: null, to: verification.domain } },
+        audit: auditContext(req)
+      });
+      
+      const trust = await recomputeTrustScore(tx, agentId);
+      
+      await emitAgentEvent(tx, 'agent.updated', agentId, { changes: { verifiedDomain: { from: null, to: verification.domain } } });
+      
+      return { verified, trust };
+    });
+    
+    logger.info('Domain verified', { agentId, domain: verification.domain, method });
+    
+    res.json({
+      agentId: agentId,
+      ...formatDomainVerification(verified),
+      trustScore: trust.score,
+      message: `Ownership of ${verification.domain} verified`
+    });
+  } catch (error) {
+    logger.error('Domain verification check error', { error });
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to check domain verification',
+      requestId: req.id
+    });
+  }
+});
+
+// Most webhooks one owner email can have
+const MAX_WEBHOOKS_PER_OWNER = 10;
+
+// Helper function to present a webhook (never includes its secret)
+function formatWebhook(row) {
+  return {
+    id: row.id,
+    url: row.url,
+    events: row.events,
+    description: row.description,
+    createdAt: row.created_at
+  };
+}
+
+// Helper function to present a webhook delivery log entry
+function formatWebhookDelivery(row) {
+  return {
+    id: row.id,
+    eventId: row.event_id,
+    event: row.event_type,
+    agentId: row.agent_id,
+    status: row.status,
+    attempts: row.attempts,
+    responseStatus: row.response_status,
+    lastError: row.last_error,
+    replayOf: row.replay_of,
+    createdAt: row.created_at,
+    nextAttemptAt: row.status === 'pending' ? row.next_attempt_at : null,
+    deliveredAt: row.delivered_at,
+    payload: row.payload
+  };
+}
+
+// Middleware for the webhook routes: webhooks cover every agent with the
+// agent's email, so only a key of an agent whose email is confirmed may see or
+// change them. Anyone can register an unconfirmed agent with someone else's
+// address. Loads the agent into req.agent.
+async function requireVerifiedOwner(req, res, next) {
+  try {
+    const agent = await storage.agents.findById(req.params.agentId);
+    
+    if (!agent) {
+      return res.status(404).json({
+        error: 'Agent not found'
+      });
+    }
+    
+    if (!agent.email_verified_at) {
+      return res.status(403).json({
+        error: 'Email not verified',
+        message: 'Confirm the agent\'s email address before managing webhooks'
+      });
+    }
+    
+    req.agent = agent;
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Helper function to load a webhook of the agent's owner; null when it is missing
+async function findOwnerWebhook(agent, webhookId) {
+  const webhook = await storage.webhooks.findById(parseInt(webhookId) || 0);
+  
+  return webhook && webhook.owner_email === ownerKey(agent.email) ? webhook : null;
+}
+
+// Subscribe an endpoint to the owner's agent events (requires the agent's API key)
+app.post('/v1/agent/:agentId/webhooks', describe({
+  summary: 'Add a webhook',
+  description: 'Sends agent.registered, agent.updated, agent.revoked and agent.anchored events for every agent registered with this agent\'s email address, signed with HMAC-SHA256 in the X-AstraSync-Signature header. The email address must be verified. The signing secret is returned once.',
+  tags: ['Webhooks'],
+  responses: {
+    201: { description: 'Webhook created', schema: schemas.responses.webhookCreated },
+    409: { description: 'The owner already has the maximum number of webhooks', error: true }
+  }
+}), requireAgentKey('agent:write'), validateRequest({ body: schemas.createWebhook }), requireVerifiedOwner, async (req, res) => {
+  try {
+    const { agentId } = req.params;
+    const { url, events, description } = req.body;
+    
+    const urlError = webhookUrlError(url);
+    
+    if (urlError) {
+      return res.status(400).json(validationErrorBody(new ValidationError([
+        { field: 'url', location: 'body', code: 'invalid_format', message: `url ${urlError}` }
+      ])));
+    }
+    
+    const { agent } = req;
+    const existing = await storage.webhooks.listForOwner(ownerKey(agent.email));
+    
+    if (existing.length >= MAX_WEBHOOKS_PER_OWNER) {
+      return res.status(409).json({
+        error: 'Too many webhooks',
+        message: `An owner can have at most ${MAX_WEBHOOKS_PER_OWNER} webhooks. Delete one before adding another.`
+      });
+    }
+    
+    const webhook = await storage.webhooks.create({
+      ownerEmail: ownerKey(agent.email),
+      url: url,
+      events: events,
+      secret: generateSecret(),
+      description: description
+    });
+    
+    logger.info('Webhook added', { webhookId: webhook.id, agentId, owner: agent.email });
+    
+    res.status(201).json({
+      ...formatWebhook(webhook),
+      secret: webhook.secret,
+      secretNotice: 'Store this secret securely. Use it to check the X-AstraSync-Signature header; it will not be shown again.'
+    });
+  } catch (error) {
+    logger.error('Create webhook error', { error });
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to create webhook',
+      requestId: req.id
+    });
+  }
+});
+
+// Webhooks of the agent's owner (requires the agent's API key)
+app.get('/v1/agent/:agentId/webhooks', describe({
+  summary: 'List webhooks',
+  description: 'Every webhook of the owner email, whichever of its agents added it.',
+  tags: ['Webhooks'],
+  responses: {
+    200: { description: 'Webhooks', schema: schemas.responses.webhooks }
+  }
+}), requireAgentKey('agent:read'), requireVerifiedOwner, async (req, res) => {
+  try {
+    const { agent } = req;
+    const webhooks = await storage.webhooks.listForOwner(ownerKey(agent.email));
+    
+    res.json({
+      ownerEmail: agent.email,
+      webhooks: webhooks.map(formatWebhook),
+      total: webhooks.length
+    });
+  } catch (error) {
+    logger.error('List webhooks error', { error });
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to fetch webhooks',
+      requestId: req.id
+    });
+  }
+});
+
+// Remove a webhook and its delivery log (requires the agent's API key)
+app.delete('/v1/agent/:agentId/webhooks/:webhookId', describe({
+  summary: 'Delete a webhook',
+  tags: ['Webhooks'],
+  responses: {
+    204: { description: 'Webhook deleted' }
+  }
+}), requireAgentKey('agent:write'), requireVerifiedOwner, async (req, res) => {
+  try {
+    const webhook = await findOwnerWebhook(req.agent, req.params.webhookId);
+    
+    if (!webhook || !await storage.webhooks.delete(webhook.id)) {
+      return res.status(404).json({
+        error: 'Webhook not found'
+      });
+    }
+    
+    logger.info('Webhook deleted', { webhookId: webhook.id, agentId: req.params.agentId });
+    
+    res.status(204).end();
+  } catch (error) {
+    logger.error('Delete webhook error', { error });
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to delete webhook',
+      requestId: req.id
+    });
+  }
+});
+
+// Delivery log of a webhook, newest first (requires the agent's API key)
+app.get('/v1/agent/:agentId/webhooks/:webhookId/deliveries', describe({
+  summary: 'List webhook deliveries',
+  description: 'Each event sent to the webhook with its status, attempts, last response and payload. Failed deliveries can be replayed.',
+  tags: ['Webhooks'],
+  responses: {
+    200: { description: 'Deliveries', schema: schemas.responses.webhookDeliveries }
+  }
+}), requireAgentKey('agent:read'), validateRequest({ query: schemas.webhookDeliveriesQuery }), requireVerifiedOwner, async (req, res) => {
+  try {
+    const { status, limit } = req.query;
+    
+    const webhook = await findOwnerWebhook(req.agent, req.params.webhookId);
+    
+    if (!webhook) {
+      return res.status(404).json({
+        error: 'Webhook not found'
+      });
+    }
+    
+    const deliveries = await storage.webhookDeliveries.listForWebhook(webhook.id, { status, limit });
+    
+    res.json({
+      webhookId: webhook.id,
+      deliveries: deliveries.map(formatWebhookDelivery),
+      returned: deliveries.length
+    });
+  } catch (error) {
+    logger.error('List webhook deliveries error', { error });
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to fetch webhook deliveries',
+      requestId: req.id
+    });
+  }
+});
+
+// Send a logged event again (requires the agent's API key)
+app.post('/v1/agent/:agentId/webhooks/:webhookId/deliveries/:deliveryId/replay', describe({
+  summary: 'Replay a webhook delivery',
+  description: 'Queues the same event payload (and event ID) as a new delivery, e.g. after fixing the endpoint.',
+  tags: ['Webhooks'],
+  responses: {
+    202: { description: 'Replay queued', schema: schemas.responses.webhookReplayed },
+    409: { description: 'The delivery is still pending', error: true }
+  }
+}), requireAgentKey('agent:write'), requireVerifiedOwner, async (req, res) => {
+  try {
+    const webhook = await findOwnerWebhook(req.agent, req.params.webhookId);
+    const delivery = webhook && await storage.webhookDeliveries.findById(parseInt(req.params.deliveryId) || 0);
+    
+    if (!delivery || delivery.webhook_id !== webhook.id) {
+      return res.status(404).json({
+        error: 'Delivery not found'
+      });
+    }
+    
+    if (delivery.status === 'pending' || delivery.status === 'delivering') {
+      return res.status(409).json({
+        error: 'Delivery pending',
+        message: 'This delivery has not finished yet; it is retried automatically'
+      });
+    }
+    
+    const replay = await replayDelivery(storage, delivery);
+    
+    res.status(202).json(formatWebhookDelivery(replay));
+  } catch (error) {
+    logger.error('Replay webhook delivery error', { error });
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to replay webhook delivery',
+      requestId: req.id
+    });
+  }
+});
+
+// Issue a signed identity credential for the agent (requires the agent's API key)
+app.get('/v1/agent/:agentId/credential', describe({
+  summary: 'Issue a signed agent credential',
+  description: 'A compact JWS (format=jwt) or a W3C Verifiable Credential secured as vc+jwt (format=vc), signed with a key from /.well-known/jwks.json.',
+  tags: ['Credentials'],
+  responses: {
+    200: { description: 'Signed credential', schema: schemas.responses.credential },
+    409: { description: 'The agent is unconfirmed or revoked', error: true }
+  }
+}), requireAgentKey('agent:read'), validateRequest({ query: schemas.credentialQuery }), async (req, res) => {
+  try {
+    const { agentId } = req.params;
+    const { format } = req.query;
+    
+    const agent = await storage.agents.findById(agentId);
+    
+    if (!agent) {
+      return res.status(404).json({
+        error: 'Agent not found'
+      });
+    }
     
-    if (result.rows.length === 0) {
-      return res.status(404).send(`
-        <!DOCTYPE html>
-        <html lang="en">
-          <head>
-            <meta charset="UTF-8">
-            <meta name="viewport" content="width=device-width, initial-scale=1.0">
-            <title>Agent Not Found - AstraSync</title>
-            <style>
-              * { margin: 0; padding: 0; box-sizing: border-box; }
-              body { 
-                font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
-                background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
-                min-height: 100vh;
-                display: flex;
-                align-items: center;
-                justify-content: center;
-              }
-              .error-container {
-                background: white;
-                padding: 40px;
-                border-radius: 16px;
-                text-align: center;
-                box-shadow: 0 20px 40px rgba(0,0,0,0.1);
-              }
-              h1 { color: #e53e3e; margin-bottom: 20px; }
-              .agent-id { 
-                font-family: monospace;
-                background: #fee;
-                padding: 8px 16px;
-                border-radius: 8px;
-                display: inline-block;
-                margin: 20px 0;
-              }
-              a { color: #667eea; text-decoration: none; font-weight: 600; }
-              a:hover { text-decoration: underline; }
-            </style>
-          </head>
-          <body>
-            <div class="error-container">
-              <h1>Agent Not Found</h1>
-              <p>No agent found with ID:</p>
-              <div class="agent-id">${agentId}</div>
-              <p><a href="https://astrasync.ai">Learn more about AstraSync</a></p>
-            </div>
-          </body>
-        </html>
-      `);
+    if (agent.status === 'revoked' || agent.status === 'pending_email_verification') {
+      return res.status(409).json({
+        error: 'Credential unavailable',
+        message: agent.status === 'revoked'
+          ? 'Revoked agents cannot receive credentials'
+          : 'Confirm the registration email address before requesting a credential'
+      });
     }
     
-    const agent = result.rows[0];
-    const agentData = agent.agent_data;
-    
-    // Mock data for the agent card to match the design
-    const trustScore = '92';
-    const capabilities = {
-      streaming: true,
-      pushNotifications: true,
-      stateTransitionNotifications: true
-    };
-    const skills = ['Transaction monitoring', 'Auditing', 'Fraud detection', 'Policy Enforcement'];
-    
-    res.send(`
-      <!DOCTYPE html>
-      <html lang="en">
-        <head>
-          <meta charset="UTF-8">
-          <meta name="viewport" content="width=device-width, initial-scale=1.0">
-          <title>${agentData.name} - AstraSync Agent</title>
-          <meta property="og:title" content="${agentData.name} - AstraSync Agent">
-          <meta property="og:description" content="${agentData.description || 'Verified AI Agent on AstraSync'}">
-          <style>
-            * { margin: 0; padding: 0; box-sizing: border-box; }
-            body { 
-              font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
-              background: #f5f5f5;
-              min-height: 100vh;
-              display: flex;
-              align-items: center;
-              justify-content: center;
-              padding: 20px;
-            }
-            .card {
-              width: 600px;
-              background: linear-gradient(135deg, #4A3FC4 0%, #7B4FE6 100%);
-              border-radius: 20px;
-              padding: 35px;
-              color: white;
-              position: relative;
-              overflow: hidden;
-              box-shadow: 0 20px 40px rgba(0,0,0,0.3);
-            }
-            .logo-container {
-              text-align: center;
-              margin-bottom: 20px;
-            }
-            .logo {
-              width: 100px;
-              height: 100px;
-              filter: brightness(0) invert(1);
-            }
-            .title {
-              font-size: 54px;
-              font-weight: 700;
-              text-align: center;
-              margin-bottom: 20px;
-              letter-spacing: 2px;
-            }
-            .agent-info {
-              margin-bottom: 20px;
-              font-size: 24px;
-              line-height: 1.6;
-            }
-            .agent-id {
-              font-size: 26px;
-              margin-bottom: 8px;
-            }
-            .trust-section {
-              display: flex;
-              align-items: center;
-              margin: 20px 0;
-              gap: 30px;
-            }
-            .trust-items {
-              font-size: 26px;
-              line-height: 1.6;
-            }
-            .trust-item {
-              display: flex;
-              align-items: center;
-              gap: 10px;
-              font-size: 24px;
-            }
-            .green-dot {
-              width: 12px;
-              height: 12px;
-              background: #48BB78;
-              border-radius: 50%;
-              display: inline-block;
-            }
-            .trust-score-circle {
-              width: 120px;
-              height: 120px;
-              border: 8px solid rgba(255, 255, 255, 0.3);
-              border-radius: 50%;
-              display: flex;
-              align-items: center;
-              justify-content: center;
-              font-size: 52px;
-              font-weight: 700;
-              position: relative;
-            }
-            .trust-score-circle::after {
-              content: '';
-              position: absolute;
-              top: -8px;
-              left: -8px;
-              right: -8px;
-              bottom: -8px;
-              border-radius: 50%;
-              border: 8px solid transparent;
-              border-top-color: #E53E3E;
-              border-right-color: #E53E3E;
-              transform: rotate(45deg);
-            }
-            .agent-details {
-              margin: 20px 0;
-              font-size: 24px;
-              line-height: 1.5;
-            }
-            .capabilities-section {
-              margin: 20px 0;
-            }
-            .capability-item {
-              display: flex;
-              align-items: center;
-              justify-content: space-between;
-              font-size: 26px;
-              margin: 8px 0;
-            }
-            .skills-section {
-              margin-top: 25px;
-            }
-            .skills-title {
-              font-size: 30px;
-              font-weight: 700;
-              margin-bottom: 15px;
-            }
-            .skills-grid {
-              display: grid;
-              grid-template-columns: 1fr 1fr;
-              gap: 15px;
-              font-size: 24px;
-            }
-          </style>
-        </head>
-        <body>
-          <div class="card">
-            <div class="logo-container">
-              <img src="https://www.astrasync.ai/assets/AS_black_IconFCN.png" alt="AstraSync" class="logo">
-            </div>
-            
-            <h1 class="title">KNOW YOUR AGENT</h1>
-            
-            <div class="agent-info">
-              <div class="agent-id">AGENT ID ${agent.id}</div>
-              <div>Owner - ${agentData.owner}</div>
-              <div>URL - ${agentData.ownerUrl || 'Not specified'}</div>
-            </div>
-            
-            <div class="trust-section">
-              <div class="trust-items">
-                <div style="font-size: 30px; margin-bottom: 10px;">TRUST SCORE</div>
-                <div class="trust-item">
-                  <span class="green-dot"></span>
-                  <span>Developer</span>
-                </div>
-                <div class="trust-item">
-                  <span class="green-dot"></span>
-                  <span>KYA/KYB</span>
-                </div>
-                <div class="trust-item">
-                  <span class="green-dot"></span>
-                  <span>AML</span>
-                </div>
-              </div>
-              <div class="trust-score-circle">
-                ${trustScore}%
-              </div>
-              <div style="margin-left: 20px;">
-                <div style="font-size: 26px;">Powered by</div>
-              </div>
-            </div>
-            
-            <div class="agent-details">
-              <div>Name - ${agentData.name}</div>
-              <div>URL - ${agentData.ownerUrl ? `api.${agentData.ownerUrl.replace('https://', '').replace('http://', '')}` : 'Not specified'}</div>
-              <div style="margin-top: 20px;">
-                Description - ${agentData.description || 'No description provided'}
-              </div>
-            </div>
-            
-            <div class="capabilities-section">
-              <div class="capability-item">
-                <span>Streaming</span>
-                <span class="green-dot"></span>
-              </div>
-              <div class="capability-item">
-                <span>Push Notifications</span>
-                <span class="green-dot"></span>
-              </div>
-              <div class="capability-item">
-                <span>State Transition Notifications</span>
-                <span class="green-dot"></span>
-              </div>
-            </div>
-            
-            <div class="skills-section">
-              <div class="skills-title">SKILLS</div>
-              <div class="skills-grid">
-                ${skills.map(skill => `<div>${skill}</div>`).join('')}
-              </div>
-            </div>
-          </div>
-        </body>
-      </html>
-    `);
+    const credential = await issueCredential(agent, format);
     
+    res.json({
+      agentId: agent.id,
+      ...credential,
+      jwksUrl: `${req.protocol}://${req.get('host')}/.well-known/jwks.json`
+    });
   } catch (error) {
-    console.error('Profile error:', error);
-    res.status(500).send(`
-      <!DOCTYPE html>
-      <html lang="en">
-        <head>
-          <title>Error - AstraSync</title>
-          <style>
-            body { 
-              font-family: sans-serif; 
-              text-align: center; 
-              padding: 40px;
-              background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
-              min-height: 100vh;
-              color: white;
-            }
-            .error { font-size: 24px; margin-bottom: 20px; }
-            a { color: white; }
-          </style>
-        </head>
-        <body>
-          <h1 class="error">Error Loading Profile</h1>
-          <p>An error occurred while loading the agent profile.</p>
-          <p><a href="https://astrasync.ai">Return to AstraSync</a></p>
-        </body>
-      </html>
-    `);
+    logger.error('Credential error', { error });
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to issue credential',
+      requestId: req.id
+    });
   }
 });
 
-// Verify agent endpoint
-app.get('/v1/verify/:agentId', async (req, res) => {
+// Agent revision history (requires the agent's API key)
+app.get('/v1/agent/:agentId/history', describe({
+  summary: 'Get agent revision history',
+  tags: ['Agents'],
+  responses: {
+    200: { description: 'All revisions, oldest first', schema: schemas.responses.history }
+  }
+}), requireAgentKey('agent:read'), async (req, res) => {
   try {
     const { agentId } = req.params;
+    const history = await getHistory(agentId);
     
-    // Log verification attempt
-    await logAttempt(
-      'verification_attempt',
-      null,
-      null,
-      req.headers['x-source'] || 'direct-api',
-      { agentId }
-    );
-    
-    const result = await pool.query(
-      'SELECT * FROM agents WHERE id = $1',
-      [agentId]
-    );
-    
-    if (result.rows.length === 0) {
+    if (history.length === 0) {
       return res.status(404).json({
-        error: 'Agent not found',
-        message: `No agent found with ID: ${agentId}`
+        error: 'Agent not found'
       });
     }
     
-    const agent = result.rows[0];
-    
-    // Return public information only with enhanced messaging
     res.json({
-      agentId: agent.id,
-      status: agent.status,
-      blockchain: {
-        status: agent.blockchain_status,
-        message: agent.blockchain_status === 'pending' 
-          ? 'Blockchain registration pending security audit completion'
-          : 'Registered on blockchain'
-      },
-      trustScore: agent.trust_score,
-      agent: {
-        name: agent.agent_data.name,
-        owner: agent.agent_data.owner,
-        version: agent.agent_data.version
-      },
-      registeredAt: agent.registered_at,
-      verified: true,
-      message: agent.id.startsWith('TEMP')
-        ? 'This agent is registered with a temporary ID. Create an account at https://www.astrasync.ai/alphaSignup to manage your agent credentials.'
-        : 'Agent verified successfully'
+      agentId: agentId,
+      revisions: history,
+      total: history.length
     });
   } catch (error) {
-    console.error('Verify error:', error);
+    logger.error('Agent history error', { error });
     res.status(500).json({
       error: 'Internal server error',
-      message: 'Failed to verify agent'
+      message: 'Failed to fetch agent history',
+      requestId: req.id
     });
   }
 });
 
-// Get agent details (requires email for now, will require auth later)
-app.get('/v1/agent/:agentId', async (req, res) => {
+// Export every agent of the owner email as JSON or CSV (requires the agent's API key)
+app.get('/v1/agent/:agentId/export', describe({
+  summary: 'Export the owner\'s agents',
+  description: 'Every agent registered with this agent\'s email address, oldest first, as JSON (full records) or CSV (one row per agent). The email address must be verified.',
+  tags: ['Agents'],
+  responses: {
+    200: { description: 'The owner\'s agents; text/csv for format=csv', schema: schemas.responses.agentExport },
+    409: { description: 'The email address is not verified', error: true }
+  }
+}), requireAgentKey('agent:read'), validateRequest({ query: schemas.exportQuery }), async (req, res) => {
   try {
     const { agentId } = req.params;
-    const { email } = req.query;
-    
-    if (!email) {
-      return res.status(400).json({
-        error: 'Email required',
-        message: 'Please provide email parameter for verification'
-      });
-    }
+    const { format } = req.query;
     
-    const result = await pool.query(
-      'SELECT * FROM agents WHERE id = $1',
-      [agentId]
-    );
+    const agent = await storage.agents.findById(agentId);
     
-    if (result.rows.length === 0) {
+    if (!agent) {
       return res.status(404).json({
         error: 'Agent not found'
       });
     }
     
-    const agent = result.rows[0];
-    
-    // Basic ownership check
-    if (email.toLowerCase() !== agent.email.toLowerCase()) {
-      return res.status(403).json({
-        error: 'Unauthorized',
-        message: 'Email does not match agent registration'
+    // The export covers every agent with this email, so only its confirmed owner may pull it
+    if (!agent.email_verified_at) {
+      return res.status(409).json({
+        error: 'Email not verified',
+        message: 'Confirm the agent\'s email address before exporting its owner\'s agents'
       });
     }
     
-    // Return full agent details
+    const agents = await storage.agents.listByOwnerEmail(ownerKey(agent.email));
+    const filename = `astrasync-agents-${new Date().toISOString().slice(0, 10)}.${format}`;
+    
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    res.set('Cache-Control', 'no-store');
+    
+    if (format === 'csv') {
+      return res.type('text/csv; charset=utf-8').send(agentsToCsv(agents));
+    }
+    
     res.json({
-      id: agent.id,
-      internalId: agent.internal_id,
-      email: agent.email,
-      status: agent.status,
-      blockchainStatus: agent.blockchain_status,
-      trustScore: agent.trust_score,
-      registeredAt: agent.registered_at,
-      agent: agent.agent_data,
-      metadata: agent.metadata
+      ownerEmail: agent.email,
+      agents: agents.map(formatAgentDetails),
+      total: agents.length,
+      exportedAt: new Date().toISOString()
     });
   } catch (error) {
-    console.error('Get agent error:', error);
+    logger.error('Agent export error', { error });
     res.status(500).json({
-      error: 'Internal server error'
+      error: 'Internal server error',
+      message: 'Failed to export agents',
+      requestId: req.id
     });
   }
 });
 
 // List recent agents (public endpoint for dashboard)
-app.get('/v1/agents/recent', async (req, res) => {
+app.get('/v1/agents/recent', describe({
+  summary: 'List recently registered agents',
+  tags: ['Search'],
+  responses: {
+    200: { description: 'Newest agents', schema: schemas.responses.recentAgents }
+  }
+}), validateRequest({ query: schemas.recentAgentsQuery }), async (req, res) => {
   try {
-    const limit = Math.min(parseInt(req.query.limit) || 10, 100);
-    
-    const result = await pool.query(
-      `SELECT id, agent_data, registered_at, trust_score 
-       FROM agents 
-       ORDER BY registered_at DESC 
-       LIMIT $1`,
-      [limit]
-    );
+    const { limit } = req.query;
+    
+    const rows = await storage.agents.listRecent(limit);
     
-    const recentAgents = result.rows.map(row => ({
+    const recentAgents = rows.map(row => ({
       agentId: row.id,
       name: row.agent_data.name,
       owner: row.agent_data.owner,
@@ -805,8 +1739,7 @@ app.get('/v1/agents/recent', async (req, res) => {
     }));
     
     // Get total count
-    const countResult = await pool.query('SELECT COUNT(*) as count FROM agents');
-    const totalCount = parseInt(countResult.rows[0].count);
+    const totalCount = await storage.agents.count({ excludeUnconfirmed: true });
     
     res.json({
       agents: recentAgents,
@@ -814,7 +1747,7 @@ app.get('/v1/agents/recent', async (req, res) => {
       returned: recentAgents.length
     });
   } catch (error) {
-    console.error('Recent agents error:', error);
+    logger.error('Recent agents error', { error });
     res.json({
       agents: [],
       total: 0,
@@ -824,59 +1757,239 @@ app.get('/v1/agents/recent', async (req, res) => {
   }
 });
 
-// Enhanced stats endpoint with customer intelligence
-app.get('/v1/stats', async (req, res) => {
+// Search the registry with filters and cursor pagination
+app.get('/v1/agents', describe({
+  summary: 'Search agents',
+  description: 'Filter by owner, capability, status, trust score and registration date, or search name and description. Results are newest first; pass nextCursor back as cursor for the next page.',
+  tags: ['Search'],
+  responses: {
+    200: { description: 'One page of agents', schema: schemas.responses.searchAgents }
+  }
+}), validateRequest({ query: schemas.searchAgents }), async (req, res) => {
+  try {
+    res.json(await searchAgents(storage, req.query));
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json(validationErrorBody(error));
+    }
+    
+    logger.error('Agent search error', { error });
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to search agents',
+      requestId: req.id
+    });
+  }
+});
+
+// Model Context Protocol over streamable HTTP. Stateless: each POST carries
+// complete JSON-RPC messages and is answered with JSON, never an event stream.
+app.post('/v1/mcp', describe({
+  summary: 'MCP server',
+  description: 'Model Context Protocol endpoint with the register_agent, verify_agent, get_agent and search_agents tools. They run the same validation, logging and rate limits as the REST routes. get_agent takes the agent\'s API key as an argument or in the Authorization header.',
+  tags: ['MCP'],
+  body: schemas.mcpMessage,
+  responses: {
+    200: { description: 'JSON-RPC response', schema: schemas.responses.mcp },
+    202: { description: 'Only notifications or responses were sent' }
+  }
+}), async (req, res) => {
+  const protocolVersion = req.headers['mcp-protocol-version'];
+  if (protocolVersion && !MCP_PROTOCOL_VERSIONS.includes(protocolVersion)) {
+    return res.status(400).json(jsonRpcError(null, JSONRPC_ERRORS.invalidRequest, `Unsupported MCP-Protocol-Version: ${protocolVersion}`));
+  }
+  
+  try {
+    const response = await handleMessages(req.body, {
+      source: req.headers['x-source'] || 'mcp',
+      ip: req.ip || req.connection.remoteAddress,
+      userAgent: req.headers['user-agent'],
+      baseUrl: `${req.protocol}://${req.get('host')}`,
+      apiKey: extractApiKey(req),
+      requestId: req.id
+    });
+    
+    if (!response) {
+      return res.status(202).end();
+    }
+    res.json(response);
+  } catch (error) {
+    logger.error('MCP error', { error });
+    res.status(500).json(jsonRpcError(null, JSONRPC_ERRORS.internalError, 'Internal error'));
+  }
+});
+
+app.get('/v1/mcp', describe({
+  summary: 'MCP event stream (not offered)',
+  description: 'The server never sends requests or notifications of its own, so there is no stream to open.',
+  tags: ['MCP'],
+  responses: {
+    405: { description: 'Use POST', error: true }
+  }
+}), (req, res) => {
+  res.set('Allow', 'POST').status(405).json({
+    error: 'Method not allowed',
+    message: 'This MCP endpoint answers each POST with JSON and has no event stream'
+  });
+});
+
+// Public keys for verifying agent credentials
+app.get('/.well-known/jwks.json', describe({
+  summary: 'Credential signing keys',
+  description: 'Public keys for verifying agent credentials offline.',
+  tags: ['Credentials'],
+  responses: {
+    200: { description: 'JSON Web Key Set', schema: schemas.responses.jwks }
+  }
+}), async (req, res) => {
+  try {
+    const jwks = await getJwks();
+    res.set('Cache-Control', 'public, max-age=300');
+    res.json(jwks);
+  } catch (error) {
+    logger.error('JWKS error', { error });
+    res.status(500).json({
+      error: 'Failed to fetch signing keys',
+      requestId: req.id
+    });
+  }
+});
+
+// Rotate the credential signing key (admin only)
+app.post('/v1/admin/keys/rotate', describe({
+  summary: 'Rotate the credential signing key',
+  tags: ['Admin'],
+  responses: {
+    201: { description: 'New signing key', schema: schemas.responses.keyRotated }
+  }
+}), requireAdminKey, async (req, res) => {
+  try {
+    const key = await rotateSigningKey();
+    res.status(201).json({
+      kid: key.kid,
+      createdAt: key.createdAt,
+      message: 'Signing key rotated. The previous key stays in the JWKS so existing credentials remain verifiable.'
+    });
+  } catch (error) {
+    logger.error('Key rotation error', { error });
+    res.status(500).json({
+      error: 'Failed to rotate signing key',
+      requestId: req.id
+    });
+  }
+});
+
+// Anchor batch details, for checking a proof's root against the ledger
+app.get('/v1/anchors/:batchId', describe({
+  summary: 'Get an anchor batch',
+  description: 'Merkle root, ledger and transaction of a batch, to check a proof from /v1/verify against.',
+  tags: ['Registry'],
+  responses: {
+    200: { description: 'Anchor batch', schema: schemas.responses.anchorBatch }
+  }
+}), async (req, res) => {
+  try {
+    const batch = await storage.anchorBatches.findById(parseInt(req.params.batchId) || 0);
+    
+    if (!batch) {
+      return res.status(404).json({
+        error: 'Anchor batch not found'
+      });
+    }
+    
+    res.json({
+      batchId: batch.id,
+      merkleRoot: batch.merkle_root,
+      leafCount: batch.leaf_count,
+      ledger: batch.ledger,
+      status: batch.status,
+      txId: batch.tx_id,
+      blockNumber: batch.block_number,
+      createdAt: batch.created_at,
+      anchoredAt: batch.anchored_at
+    });
+  } catch (error) {
+    logger.error('Anchor batch error', { error });
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to fetch anchor batch',
+      requestId: req.id
+    });
+  }
+});
+
+// Enhanced stats endpoint with customer intelligence (admin only)
+app.get('/v1/stats', describe({
+  summary: 'Registry statistics',
+  description: 'Registration, email and webhook delivery, anchoring and customer intelligence statistics.',
+  tags: ['Admin'],
+  responses: {
+    200: { description: 'Statistics', schema: schemas.responses.stats }
+  }
+}), requireAdminKey, async (req, res) => {
   try {
     const now = new Date();
     const last24h = new Date(now - 24 * 60 * 60 * 1000);
     
     // Run queries in parallel for better performance
     const [
-      totalResult,
-      recentResult,
-      emailResult,
-      attemptsResult,
-      failedResult,
-      errorResult,
-      attemptBreakdown
+      totalAgents,
+      recentCount,
+      emailCounts,
+      totalAttempts,
+      failedAttempts,
+      errorCount,
+      eventBreakdown,
+      blockchainCounts,
+      lastBatch,
+      webhookCounts
     ] = await Promise.all([
-      pool.query('SELECT COUNT(*) as count FROM agents'),
-      pool.query('SELECT COUNT(*) as count FROM agents WHERE registered_at > $1', [last24h]),
-      pool.query('SELECT COUNT(*) as count FROM email_queue'),
-      pool.query('SELECT COUNT(*) as count FROM registration_attempts'),
-      pool.query(`SELECT COUNT(*) as count FROM registration_attempts WHERE event_type = 'registration_failed'`),
-      pool.query(`SELECT COUNT(*) as count FROM registration_attempts WHERE event_type = 'registration_error'`),
-      pool.query(`
-        SELECT event_type, COUNT(*) as count 
-        FROM registration_attempts 
-        GROUP BY event_type 
-        ORDER BY count DESC
-      `)
+      storage.agents.count(),
+      storage.agents.count({ registeredSince: last24h }),
+      storage.emailQueue.countByStatus(),
+      storage.attempts.count(),
+      storage.attempts.count({ eventType: 'registration_failed' }),
+      storage.attempts.count({ eventType: 'registration_error' }),
+      storage.attempts.countByEventType(),
+      storage.agents.countByBlockchainStatus(),
+      storage.anchorBatches.findLatestAnchored(),
+      storage.webhookDeliveries.countByStatus()
     ]);
     
-    const totalAgents = parseInt(totalResult.rows[0].count);
-    const recentCount = parseInt(recentResult.rows[0].count);
-    const emailQueueSize = parseInt(emailResult.rows[0].count);
-    const totalAttempts = parseInt(attemptsResult.rows[0].count);
-    const failedAttempts = parseInt(failedResult.rows[0].count);
-    const errorCount = parseInt(errorResult.rows[0].count);
+    const emailDelivery = { pending: 0, sending: 0, sent: 0, dead: 0, ...emailCounts };
+    const emailQueueSize = emailDelivery.pending + emailDelivery.sending;
     
-    // Build event breakdown
-    const eventBreakdown = {};
-    attemptBreakdown.rows.forEach(row => {
-      eventBreakdown[row.event_type] = parseInt(row.count);
-    });
+    const anchoredAgents = { pending: 0, anchoring: 0, anchored: 0, ...blockchainCounts };
+    const anchoring = getAnchoringStatus();
+    
+    // Successful registrations per registration attempt; see /v1/admin/analytics/funnel for owners
+    const registrationAttempts = eventBreakdown.registration_attempt || 0;
+    const registrationSuccesses = eventBreakdown.registration_success || 0;
     
     res.json({
       totalAgents: totalAgents,
       last24Hours: recentCount,
-      blockchainStatus: 'pending_audit',
+      blockchainStatus: anchoring.running ? 'active' : 'disabled',
+      blockchain: {
+        ledger: anchoring.ledger,
+        agents: anchoredAgents,
+        lastBatch: lastBatch ? {
+          batchId: lastBatch.id,
+          merkleRoot: lastBatch.merkle_root,
+          leafCount: lastBatch.leaf_count,
+          ledger: lastBatch.ledger,
+          txId: lastBatch.tx_id,
+          anchoredAt: lastBatch.anchored_at
+        } : null
+      },
       emailQueueSize: emailQueueSize,
+      emailDelivery: emailDelivery,
+      webhookDelivery: { pending: 0, delivering: 0, delivered: 0, failed: 0, ...webhookCounts },
       customerIntelligence: {
         totalAttempts: totalAttempts,
         failedAttempts: failedAttempts,
         errorCount: errorCount,
-        conversionRate: totalAttempts > 0 ? ((totalAgents / totalAttempts) * 100).toFixed(2) + '%' : 'N/A',
+        conversionRate: registrationAttempts > 0 ? ((registrationSuccesses / registrationAttempts) * 100).toFixed(2) + '%' : 'N/A',
         eventBreakdown: eventBreakdown
       },
       serverTime: now.toISOString(),
@@ -885,12 +1998,13 @@ app.get('/v1/stats', async (req, res) => {
       apiVersion: '1.0.0'
     });
   } catch (error) {
-    console.error('Stats error:', error);
+    logger.error('Stats error', { error });
     res.status(500).json({
       totalAgents: 0,
       last24Hours: 0,
-      blockchainStatus: 'pending_audit',
+      blockchainStatus: 'unknown',
       emailQueueSize: 0,
+      emailDelivery: { pending: 0, sending: 0, sent: 0, dead: 0 },
       customerIntelligence: {
         totalAttempts: 0,
         failedAttempts: 0,
@@ -900,108 +2014,402 @@ app.get('/v1/stats', async (req, res) => {
       },
       serverTime: new Date().toISOString(),
       databaseStatus: 'error',
-      error: 'Failed to fetch statistics'
+      error: 'Failed to fetch statistics',
+      requestId: req.id
     });
   }
 });
 
-// Customer intelligence: Recent attempts
-app.get('/v1/attempts/recent', async (req, res) => {
+// Customer intelligence: Recent attempts (admin only)
+app.get('/v1/attempts/recent', describe({
+  summary: 'List recent registration attempts',
+  description: 'Email addresses are masked (a***@example.com).',
+  tags: ['Admin'],
+  responses: {
+    200: { description: 'Newest attempts', schema: schemas.responses.attempts }
+  }
+}), requireAdminKey, validateRequest({ query: schemas.recentAttemptsQuery }), async (req, res) => {
   try {
-    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
-    
-    const result = await pool.query(
-      `SELECT event_type, email, agent_name, source, created_at, 
-              data->>'error' as error_message
-       FROM registration_attempts 
-       ORDER BY created_at DESC 
-       LIMIT $1`,
-      [limit]
-    );
+    const { limit } = req.query;
+    
+    const rows = await storage.attempts.listRecent(limit);
+    
+    const attempts = rows.map(row => ({
+      event_type: row.event_type,
+      email: maskEmail(row.email),
+      agent_name: row.agent_name,
+      source: row.source,
+      created_at: row.created_at,
+      error_message: row.data && row.data.error !== undefined ? String(row.data.error) : null
+    }));
+    
+    res.json({
+      attempts: attempts,
+      total: attempts.length
+    });
+  } catch (error) {
+    logger.error('Recent attempts error', { error });
+    res.status(500).json({
+      error: 'Failed to fetch recent attempts',
+      requestId: req.id
+    });
+  }
+});
+
+// Customer intelligence: analytics over registration attempts (admin only).
+// Every report takes the validated query; a range that is too long is a 400.
+function analyticsHandler(report, name) {
+  return async (req, res) => {
+    try {
+      res.json(await report(storage, req.query));
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        return res.status(400).json(validationErrorBody(error));
+      }
+      
+      logger.error(`Analytics ${name} error`, { error });
+      res.status(500).json({
+        error: `Failed to compute ${name}`,
+        requestId: req.id
+      });
+    }
+  };
+}
+
+app.get('/v1/admin/analytics/series', describe({
+  summary: 'Registration events over time',
+  description: 'Counts of each event type per hour, day or week, with empty buckets included.',
+  tags: ['Admin'],
+  responses: {
+    200: { description: 'Event counts per bucket', schema: schemas.responses.analyticsSeries }
+  }
+}), requireAdminKey, validateRequest({ query: schemas.analyticsSeriesQuery }), analyticsHandler(eventSeries, 'event series'));
+
+app.get('/v1/admin/analytics/funnel', describe({
+  summary: 'Registration funnel',
+  description: 'How many owners got from one stage to the next, by default attempt, success and email confirmation. Owners are counted by email address; events logged with only a sessionId are matched to the email address used in the same session.',
+  tags: ['Admin'],
+  responses: {
+    200: { description: 'Owners per stage', schema: schemas.responses.analyticsFunnel }
+  }
+}), requireAdminKey, validateRequest({ query: schemas.analyticsFunnelQuery }), analyticsHandler(funnel, 'funnel'));
+
+app.get('/v1/admin/analytics/failures', describe({
+  summary: 'Top registration failure reasons',
+  description: 'Validation errors of failed registrations, grouped by error code and field.',
+  tags: ['Admin'],
+  responses: {
+    200: { description: 'Most common failure reasons', schema: schemas.responses.analyticsFailures }
+  }
+}), requireAdminKey, validateRequest({ query: schemas.analyticsFailuresQuery }), analyticsHandler(failureReasons, 'failure reasons'));
+
+app.get('/v1/admin/analytics/cohorts', describe({
+  summary: 'Owner retention cohorts',
+  description: 'Owners grouped by the day, week or month of their first registration, and how many of them registered a second agent.',
+  tags: ['Admin'],
+  responses: {
+    200: { description: 'Cohorts, oldest first', schema: schemas.responses.analyticsCohorts }
+  }
+}), requireAdminKey, validateRequest({ query: schemas.analyticsCohortsQuery }), analyticsHandler(ownerCohorts, 'cohorts'));
+
+// Email dead letters: emails that failed permanently or ran out of retries (admin only)
+app.get('/v1/admin/email/dead-letter', describe({
+  summary: 'List dead-letter emails',
+  description: 'Emails that failed permanently or ran out of retries.',
+  tags: ['Admin'],
+  responses: {
+    200: { description: 'Dead-letter emails', schema: schemas.responses.deadLetters }
+  }
+}), requireAdminKey, validateRequest({ query: schemas.deadLetterQuery }), async (req, res) => {
+  try {
+    const { limit } = req.query;
+    
+    const rows = await storage.emailQueue.listDead(limit);
+    
+    res.json({
+      emails: rows.map(row => ({
+        id: row.id,
+        recipient: row.recipient,
+        subject: row.subject,
+        template: row.template,
+        attempts: row.attempts,
+        lastError: row.last_error,
+        transport: row.transport,
+        createdAt: row.created_at,
+        failedAt: row.next_attempt_at
+      })),
+      total: rows.length
+    });
+  } catch (error) {
+    logger.error('Dead letter error', { error });
+    res.status(500).json({
+      error: 'Failed to fetch dead-letter emails',
+      requestId: req.id
+    });
+  }
+});
+
+// Requeue a dead-letter email for delivery (admin only)
+app.post('/v1/admin/email/:emailId/retry', describe({
+  summary: 'Requeue a dead-letter email',
+  tags: ['Admin'],
+  responses: {
+    200: { description: 'Email requeued', schema: schemas.responses.emailRequeued }
+  }
+}), requireAdminKey, async (req, res) => {
+  try {
+    const emailId = parseInt(req.params.emailId) || 0;
+    
+    if (!await storage.emailQueue.requeue(emailId)) {
+      return res.status(404).json({
+        error: 'Dead-letter email not found'
+      });
+    }
+    
+    res.json({
+      id: emailId,
+      status: 'pending',
+      message: 'Email requeued for delivery'
+    });
+  } catch (error) {
+    logger.error('Email retry error', { error });
+    res.status(500).json({
+      error: 'Failed to requeue email',
+      requestId: req.id
+    });
+  }
+});
+
+// Sources currently blocked from the rate-limited routes (admin only)
+app.get('/v1/admin/blocks', describe({
+  summary: 'List blocked sources',
+  description: 'IP addresses, email addresses and API keys blocked by an admin or for exceeding rate limits.',
+  tags: ['Admin'],
+  responses: {
+    200: { description: 'Active blocks', schema: schemas.responses.blocks }
+  }
+}), requireAdminKey, async (req, res) => {
+  try {
+    const blocks = await listBlocks();
     
     res.json({
-      attempts: result.rows,
-      total: result.rows.length
+      blocks: blocks,
+      total: blocks.length
+    });
+  } catch (error) {
+    logger.error('List blocks error', { error });
+    res.status(500).json({
+      error: 'Failed to fetch blocked sources',
+      requestId: req.id
+    });
+  }
+});
+
+// Temporarily block a source (admin only)
+app.post('/v1/admin/blocks', describe({
+  summary: 'Block a source',
+  description: 'Rejects requests from an IP address, email address or API key with 429 until the block expires.',
+  tags: ['Admin'],
+  responses: {
+    201: { description: 'Source blocked', schema: schemas.responses.block }
+  }
+}), requireAdminKey, validateRequest({ body: schemas.blockSource }), async (req, res) => {
+  try {
+    const block = await blockSource(req.body);
+    
+    logger.warn('Source blocked by admin', { source: block.source, value: block.value, blockedUntil: block.blockedUntil });
+    
+    res.status(201).json(block);
+  } catch (error) {
+    logger.error('Block source error', { error });
+    res.status(500).json({
+      error: 'Failed to block source',
+      requestId: req.id
+    });
+  }
+});
+
+// Lift a block early (admin only)
+app.delete('/v1/admin/blocks/:source/:value', describe({
+  summary: 'Unblock a source',
+  tags: ['Admin'],
+  responses: {
+    204: { description: 'Block removed' }
+  }
+}), requireAdminKey, async (req, res) => {
+  try {
+    if (!await unblockSource(req.params.source, req.params.value)) {
+      return res.status(404).json({
+        error: 'Block not found'
+      });
+    }
+    
+    res.status(204).end();
+  } catch (error) {
+    logger.error('Unblock source error', { error });
+    res.status(500).json({
+      error: 'Failed to unblock source',
+      requestId: req.id
+    });
+  }
+});
+
+// Data-subject erasure: remove or anonymise everything tied to an email address (admin only)
+app.delete('/v1/admin/data-subjects', describe({
+  summary: 'Erase a data subject',
+  description: 'Revokes and anonymises the agents registered with the email address, revokes their API keys, deletes its webhooks, queued emails and blocks, and anonymises its registration attempts. The agents stay in the registry as revoked. Returns an audit record naming the address only by its hash.',
+  tags: ['Admin'],
+  body: schemas.eraseDataSubject,
+  responses: {
+    200: { description: 'Audit record of the erasure', schema: schemas.responses.erasure }
+  }
+}), requireAdminKey, validateRequest({ body: schemas.eraseDataSubject }), async (req, res) => {
+  try {
+    const record = await eraseDataSubject(req.body.email, {
+      reason: req.body.reason,
+      audit: auditContext(req, ADMIN_ACTOR)
+    });
+    
+    res.json(record);
+  } catch (error) {
+    logger.error('Data subject erasure error', { error });
+    res.status(500).json({
+      error: 'Failed to erase data subject',
+      requestId: req.id
+    });
+  }
+});
+
+// Audit log export (admin only)
+app.get('/v1/admin/audit', describe({
+  summary: 'Export the audit log',
+  description: 'Audit log entries in a time range, oldest first: who changed which agent, how and in which request. Each entry carries its hash and the previous entry\'s, so an export can be checked offline (see lib/audit.js). Page through long ranges with afterSeq.',
+  tags: ['Admin'],
+  responses: {
+    200: { description: 'Audit log entries', schema: schemas.responses.auditLog }
+  }
+}), requireAdminKey, validateRequest({ query: schemas.auditLogQuery }), async (req, res) => {
+  try {
+    res.json(await exportEntries(req.query));
+  } catch (error) {
+    logger.error('Audit log export error', { error });
+    res.status(500).json({
+      error: 'Failed to export audit log',
+      requestId: req.id
     });
+  }
+});
+
+// Check that the audit log hash chain is unbroken (admin only)
+app.get('/v1/admin/audit/verify', describe({
+  summary: 'Verify the audit log',
+  description: 'Recomputes the hash chain over a time range (the whole log by default) and reports the first entry that was changed, removed or reordered. Removing the newest entries can\'t be detected from the chain alone: keep latestHash to compare later.',
+  tags: ['Admin'],
+  responses: {
+    200: { description: 'Verification result', schema: schemas.responses.auditVerification }
+  }
+}), requireAdminKey, validateRequest({ query: schemas.auditVerifyQuery }), async (req, res) => {
+  try {
+    const result = await verifyChain(req.query);
+    
+    if (!result.intact) {
+      logger.error('Audit log chain broken', { seq: result.brokenAt.seq, reason: result.brokenAt.reason });
+    }
+    
+    res.json(result);
   } catch (error) {
-    console.error('Recent attempts error:', error);
+    logger.error('Audit log verification error', { error });
     res.status(500).json({
-      error: 'Failed to fetch recent attempts'
+      error: 'Failed to verify audit log',
+      requestId: req.id
     });
   }
 });
 
 // Basic docs endpoint
-app.get('/v1/docs', (req, res) => {
+app.get('/v1/docs', describe({
+  summary: 'API documentation',
+  description: 'Endpoint summary generated from the same route table as /v1/openapi.json',
+  tags: ['Meta'],
+  responses: {
+    200: { description: 'Endpoint list' }
+  }
+}), (req, res) => {
+  const baseUrl = req.protocol + '://' + req.get('host');
+  
   res.json({
     version: 'v1',
-    baseUrl: req.protocol + '://' + req.get('host'),
-    endpoints: [
-      {
-        method: 'POST',
-        path: '/v1/register',
-        description: 'Register a new AI agent',
-        required: ['email', 'agent.name', 'agent.owner'],
-        optional: ['agent.description', 'agent.capabilities', 'agent.version', 'agent.ownerUrl'],
-        headers: ['x-source (optional) - Identifies the source of the request (e.g., "mcp", "web-ui")']
-      },
-      {
-        method: 'GET',
-        path: '/v1/verify/:agentId',
-        description: 'Verify an agent exists and get basic info',
-        parameters: ['agentId - The temporary agent ID']
-      },
-      {
-        method: 'GET',
-        path: '/v1/agent/:agentId?email=xxx',
-        description: 'Get full agent details (requires matching email)',
-        parameters: ['agentId - The temporary agent ID', 'email - Registration email (query param)']
-      },
-      {
-        method: 'GET',
-        path: '/v1/agents/recent?limit=10',
-        description: 'Get recently registered agents',
-        parameters: ['limit - Number of agents to return (max 100)']
-      },
-      {
-        method: 'GET',
-        path: '/v1/stats',
-        description: 'Get registration statistics and system status (includes customer intelligence)'
-      },
-      {
-        method: 'POST',
-        path: '/v1/log-attempt',
-        description: 'Log registration attempts for customer intelligence',
-        body: {
-          event: 'Event type (e.g., registration_attempt, registration_failed)',
-          data: 'Event data object containing email, agentName, source, etc.'
-        }
+    baseUrl: baseUrl,
+    openapi: `${baseUrl}/v1/openapi.json`,
+    explorer: `${baseUrl}/v1/explorer`,
+    endpoints: collectRoutes(app).map(describeEndpoint),
+    validationErrors: {
+      status: 400,
+      example: {
+        error: 'Validation failed',
+        code: 'validation_failed',
+        message: '1 invalid field',
+        errors: [{ field: 'agent.name', location: 'body', code: 'required', message: 'agent.name is required' }]
       },
-      {
-        method: 'GET',
-        path: '/v1/attempts/recent?limit=20',
-        description: 'Get recent registration attempts',
-        parameters: ['limit - Number of attempts to return (max 100)']
-      },
-      {
-        method: 'GET',
-        path: '/profile/:agentId',
-        description: 'View agent profile page (HTML)',
-        parameters: ['agentId - The agent ID to view']
-      }
-    ],
+      codes: ERROR_CODES
+    },
     documentation: 'https://github.com/astrasyncai/astrasync-api',
     support: 'developers@astrasync.ai'
   });
 });
 
+// OpenAPI 3.1 document generated from the route table
+app.get('/v1/openapi.json', describe({
+  summary: 'OpenAPI specification',
+  description: 'OpenAPI 3.1 document for this API, generated from the live route table',
+  tags: ['Meta'],
+  responses: {
+    200: { description: 'OpenAPI document' }
+  }
+}), (req, res) => {
+  res.json(buildOpenApiDocument(app, { serverUrl: `${req.protocol}://${req.get('host')}` }));
+});
+
+// Interactive API explorer (Swagger UI)
+app.use('/v1/explorer/assets', express.static(swaggerUiDist.getAbsoluteFSPath(), { index: false, maxAge: '1d' }));
+
+app.get('/v1/explorer', describe({
+  summary: 'API explorer',
+  description: 'Interactive explorer for /v1/openapi.json',
+  tags: ['Meta'],
+  responses: {
+    200: { description: 'Explorer page', contentType: 'text/html' }
+  }
+}), (req, res) => {
+  res.type('html').send(explorerHtml('openapi.json', 'explorer/assets'));
+});
+
 // Error handling middleware
 app.use((err, req, res, next) => {
-  console.error('Unhandled error:', err);
+  // Malformed JSON from express.json()
+  if (err.type === 'entity.parse.failed') {
+    if (req.path === '/v1/mcp') {
+      return res.status(400).json(jsonRpcError(null, JSONRPC_ERRORS.parseError, 'Parse error'));
+    }
+    
+    return res.status(400).json(validationErrorBody(new ValidationError([
+      { field: 'body', location: 'body', code: 'invalid_json', message: 'body is not valid JSON' }
+    ])));
+  }
+  
+  // Body over the route's cap (see BODY_LIMITS)
+  if (err.type === 'entity.too.large') {
+    return res.status(413).json({
+      error: 'Payload too large',
+      message: `Request body exceeds the ${err.limit} byte limit for this endpoint`
+    });
+  }
+  
+  logger.error('Unhandled error', { error: err });
   res.status(500).json({
     error: 'Internal server error',
     message: process.env.NODE_ENV === 'development' ? err.message : 'An unexpected error occurred',
-    requestId: uuidv4()
+    requestId: req.id
   });
 });
 
@@ -1014,46 +2422,66 @@ app.use((req, res) => {
   });
 });
 
-// Start server
-app.listen(PORT, () => {
-  console.log(`
-🚀 AstraSync API Server Started
-================================
-Port: ${PORT}
-Environment: ${process.env.NODE_ENV || 'development'}
-Database: ${process.env.DATABASE_URL ? 'PostgreSQL Connected' : 'No Database Configured'}
-Time: ${new Date().toISOString()}
-
-Endpoints:
-- GET    /                     - Health check
-- POST   /v1/register          - Register new agent
-- GET    /v1/verify/:id        - Verify agent
-- GET    /v1/agent/:id         - Get agent details
-- GET    /v1/agents/recent     - List recent agents
-- GET    /v1/stats             - Get statistics
-- POST   /v1/log-attempt       - Log registration attempts
-- GET    /v1/attempts/recent   - View recent attempts
-- GET    /profile/:id          - View agent profile page
-- GET    /v1/docs              - API documentation
-
-Customer Intelligence: ENABLED ✓
-Ready for connections!
-  `);
-});
+// Start server once storage is ready; a server without its store can't serve anything.
+// Only when run directly: the tests require the app and start it themselves.
+if (require.main === module) {
+  storage.init().then(() => {
+    logger.info('Storage initialized', { backend: storage.name });
+    
+    if (process.env.EMAIL_WORKER_ENABLED !== 'false') {
+      startEmailWorker();
+    }
+    if (process.env.WEBHOOK_WORKER_ENABLED !== 'false') {
+      startWebhookWorker();
+    }
+    startTrustScoreRefresher();
+    if (process.env.RETENTION_PURGE_ENABLED !== 'false') {
+      startRetentionPurge();
+    }
+    if (process.env.ANCHORING_ENABLED !== 'false') {
+      startAnchoring();
+    }
+    
+    app.listen(PORT, () => {
+      logger.info('Server started', {
+        port: PORT,
+        environment: process.env.NODE_ENV || 'development',
+        storage: storage.name,
+        routes: collectRoutes(app).length,
+        openapi: '/v1/openapi.json'
+      });
+    });
+  }).catch(error => {
+    logger.error('Storage initialization failed', { error });
+    process.exit(1);
+  });
 
-// Graceful shutdown
-process.on('SIGTERM', () => {
-  console.log('SIGTERM received, shutting down gracefully...');
-  pool.end(() => {
-    console.log('Database pool closed');
-    process.exit(0);
+  // Graceful shutdown
+  process.on('SIGTERM', () => {
+    logger.info('SIGTERM received, shutting down gracefully');
+    stopEmailWorker();
+    stopWebhookWorker();
+    stopTrustScoreRefresher();
+    stopRetentionPurge();
+    stopAnchoring();
+    storage.close().then(() => {
+      logger.info('Storage closed');
+      process.exit(0);
+    });
   });
-});
 
-process.on('SIGINT', () => {
-  console.log('SIGINT received, shutting down gracefully...');
-  pool.end(() => {
-    console.log('Database pool closed');
-    process.exit(0);
+  process.on('SIGINT', () => {
+    logger.info('SIGINT received, shutting down gracefully');
+    stopEmailWorker();
+    stopWebhookWorker();
+    stopTrustScoreRefresher();
+    stopRetentionPurge();
+    stopAnchoring();
+    storage.close().then(() => {
+      logger.info('Storage closed');
+      process.exit(0);
+    });
   });
-});
+}
+
+module.exports = app;
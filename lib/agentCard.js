@@ -0,0 +1,74 @@
+// lib/agentCard.js - A2A Agent Cards built from registry data
+//
+// Owners register the A2A fields under agent.a2a (endpoint, transport,
+// capabilities, skills, security schemes, input/output modes). Name,
+// description, version and provider come from the agent itself, so the card
+// always matches the registry record.
+const { PUBLIC_BASE_URL } = require('./config');
+
+const A2A_PROTOCOL_VERSION = '0.3.0';
+
+const A2A_TRANSPORTS = ['JSONRPC', 'GRPC', 'HTTP+JSON'];
+const A2A_CAPABILITIES = ['streaming', 'pushNotifications', 'stateTransitionHistory'];
+const A2A_SECURITY_SCHEME_TYPES = ['apiKey', 'http', 'oauth2', 'openIdConnect', 'mutualTLS'];
+
+// What A2A assumes when an agent doesn't say
+const DEFAULT_MODES = ['text/plain'];
+
+// Lets A2A clients find the registry record behind a card
+const REGISTRY_EXTENSION_URI = 'https://astrasync.ai/extensions/registry/v1';
+
+function buildAgentCard(agent) {
+  const data = agent.agent_data;
+  const a2a = data.a2a || {};
+
+  return {
+    protocolVersion: A2A_PROTOCOL_VERSION,
+    name: data.name,
+    description: data.description || '',
+    ...(a2a.url && { url: a2a.url, preferredTransport: a2a.preferredTransport || 'JSONRPC' }),
+    ...(a2a.iconUrl && { iconUrl: a2a.iconUrl }),
+    provider: {
+      organization: data.owner,
+      url: data.ownerUrl || ''
+    },
+    version: data.version,
+    ...(a2a.documentationUrl && { documentationUrl: a2a.documentationUrl }),
+    capabilities: {
+      ...Object.fromEntries(A2A_CAPABILITIES.map(name => [name, Boolean(a2a.capabilities && a2a.capabilities[name])])),
+      extensions: [{
+        uri: REGISTRY_EXTENSION_URI,
+        description: 'Registered with the AstraSync Know Your Agent registry',
+        required: false,
+        params: {
+          agentId: agent.id,
+          status: agent.status,
+          trustScore: agent.trust_score,
+          verifyUrl: `${PUBLIC_BASE_URL}/v1/verify/${encodeURIComponent(agent.id)}`
+        }
+      }]
+    },
+    ...(a2a.securitySchemes && { securitySchemes: a2a.securitySchemes }),
+    ...(a2a.security && { security: a2a.security }),
+    defaultInputModes: a2a.defaultInputModes || DEFAULT_MODES,
+    defaultOutputModes: a2a.defaultOutputModes || DEFAULT_MODES,
+    skills: (a2a.skills || []).map(skill => ({
+      id: skill.id,
+      name: skill.name,
+      description: skill.description || '',
+      tags: skill.tags || [],
+      ...(skill.examples && { examples: skill.examples }),
+      ...(skill.inputModes && { inputModes: skill.inputModes }),
+      ...(skill.outputModes && { outputModes: skill.outputModes })
+    })),
+    supportsAuthenticatedExtendedCard: false
+  };
+}
+
+module.exports = {
+  A2A_PROTOCOL_VERSION,
+  A2A_TRANSPORTS,
+  A2A_CAPABILITIES,
+  A2A_SECURITY_SCHEME_TYPES,
+  buildAgentCard
+};
@@ -0,0 +1,48 @@
+// lib/agentExport.js - CSV export of an owner's agents
+//
+// One row per agent with the fields owners filter and sort on in a
+// spreadsheet. The JSON export carries the full records instead.
+
+// [header, value of the agent row]
+const CSV_COLUMNS = [
+  ['id', agent => agent.id],
+  ['name', agent => agent.agent_data.name],
+  ['description', agent => agent.agent_data.description],
+  ['owner', agent => agent.agent_data.owner],
+  ['ownerUrl', agent => agent.agent_data.ownerUrl],
+  ['version', agent => agent.agent_data.version],
+  ['capabilities', agent => (agent.agent_data.capabilities || []).join(';')],
+  ['status', agent => agent.status],
+  ['blockchainStatus', agent => agent.blockchain_status],
+  ['trustScore', agent => agent.trust_score],
+  ['emailVerified', agent => Boolean(agent.email_verified_at)],
+  ['verifiedDomain', agent => agent.verified_domain],
+  ['registeredAt', agent => agent.registered_at],
+  ['updatedAt', agent => agent.updated_at]
+];
+
+// Spreadsheets run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (FORMULA_PREFIX.test(text)) text = `'${text}`;
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function agentsToCsv(agents) {
+  const lines = [CSV_COLUMNS.map(([header]) => header).join(',')];
+
+  for (const agent of agents) {
+    lines.push(CSV_COLUMNS.map(([, value]) => csvCell(value(agent))).join(','));
+  }
+
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+module.exports = {
+  agentsToCsv
+};
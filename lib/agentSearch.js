@@ -0,0 +1,77 @@
+// lib/agentSearch.js - Filtered, cursor-paginated search over the agent registry
+//
+// Results are ordered newest first by (registered_at, id). The cursor encodes
+// the last row returned, so pages stay stable while new agents register. The
+// filtering itself is done by the storage backend (agents.search).
+const { ValidationError } = require('./validation');
+
+function encodeCursor(row) {
+  return Buffer.from(JSON.stringify([row.cursor_registered_at, row.id])).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const [registeredAt, id] = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (typeof id !== 'string' || typeof registeredAt !== 'string') throw new Error();
+    return { registeredAt, id };
+  } catch (error) {
+    throw new ValidationError([{ field: 'cursor', location: 'query', code: 'invalid_format', message: 'cursor is not a valid nextCursor value' }]);
+  }
+}
+
+// Split a q value into lower-case words for backends without full-text
+// search. Quotes are dropped and -word excludes a word, as in websearch syntax.
+function searchTerms(q) {
+  const include = [];
+  const exclude = [];
+
+  for (const word of q.toLowerCase().replace(/"/g, ' ').split(/\s+/).filter(Boolean)) {
+    if (word === 'or') continue;
+    if (word.startsWith('-') && word.length > 1) {
+      exclude.push(word.slice(1));
+    } else {
+      include.push(word);
+    }
+  }
+
+  return { include, exclude };
+}
+
+// Run a search and shape one page of results. Expects a query already
+// validated against schemas.searchAgents; only the cursor is checked here.
+async function searchAgents(db, query) {
+  const { cursor, limit, ...filters } = query;
+
+  // Fetch one extra row to know whether there is a next page
+  const found = await db.agents.search({
+    ...filters,
+    after: cursor ? decodeCursor(cursor) : undefined,
+    limit: limit + 1
+  });
+
+  const rows = found.slice(0, limit);
+  const hasMore = found.length > limit;
+
+  return {
+    agents: rows.map(row => ({
+      agentId: row.id,
+      name: row.agent_data.name,
+      description: row.agent_data.description,
+      owner: row.agent_data.owner,
+      ownerUrl: row.agent_data.ownerUrl,
+      capabilities: row.agent_data.capabilities || [],
+      status: row.status,
+      trustScore: row.trust_score,
+      emailVerified: !!row.email_verified_at,
+      verifiedDomain: row.verified_domain,
+      registeredAt: row.registered_at
+    })),
+    returned: rows.length,
+    nextCursor: hasMore ? encodeCursor(rows[rows.length - 1]) : null
+  };
+}
+
+module.exports = {
+  searchTerms,
+  searchAgents
+};
@@ -0,0 +1,299 @@
+// lib/analytics.js - Customer-intelligence analytics over registration_attempts
+//
+// Time series are counted by the storage backend (attempts.countByInterval),
+// and cohorts start from its per-owner first and second registrations
+// (attempts.listOwnerRegistrations). The funnel and failure reasons need more
+// per-owner logic, so the backend only lists the few fields they use
+// (attempts.listEvents) and the grouping is done here. Buckets are UTC; weeks
+// start on Monday.
+const { ValidationError } = require('./validation');
+const { hashEmail } = require('./privacy');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const INTERVALS = ['hour', 'day', 'week'];
+const COHORT_INTERVALS = ['day', 'week', 'month'];
+
+const INTERVAL_MS = { hour: 60 * 60 * 1000, day: DAY_MS, week: 7 * DAY_MS };
+
+// Default window when from is not given, and the longest one allowed
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_RANGE_DAYS = 366;
+
+// Keeps series responses (and the queries behind them) bounded
+const MAX_BUCKETS = 1000;
+
+const DEFAULT_FUNNEL_STAGES = ['registration_attempt', 'registration_success', 'email_verified'];
+
+// Windows for "registered a second agent within N days"
+const RETURN_WINDOWS_DAYS = [7, 30];
+
+// Start of the UTC hour, day, week (Monday) or month containing date
+function bucketStart(date, interval) {
+  const start = new Date(date);
+
+  if (interval === 'hour') {
+    start.setUTCMinutes(0, 0, 0);
+    return start;
+  }
+
+  start.setUTCHours(0, 0, 0, 0);
+  if (interval === 'week') {
+    start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+  } else if (interval === 'month') {
+    start.setUTCDate(1);
+  }
+  return start;
+}
+
+function nextBucket(start, interval) {
+  const next = new Date(start);
+  if (interval === 'month') {
+    next.setUTCMonth(next.getUTCMonth() + 1);
+  } else {
+    next.setTime(next.getTime() + INTERVAL_MS[interval]);
+  }
+  return next;
+}
+
+// Turn the validated from/to query values into Dates: to defaults to now and
+// from to DEFAULT_RANGE_DAYS before it
+function resolveRange({ from, to }) {
+  const end = to ? new Date(to) : new Date();
+  const start = from ? new Date(from) : new Date(end.getTime() - DEFAULT_RANGE_DAYS * DAY_MS);
+
+  if (start >= end) {
+    throw new ValidationError([{ field: 'from', location: 'query', code: 'too_large', message: 'from must be before to' }]);
+  }
+  if (end - start > MAX_RANGE_DAYS * DAY_MS) {
+    throw new ValidationError([{ field: 'from', location: 'query', code: 'too_small', message: `from must be at most ${MAX_RANGE_DAYS} days before to` }]);
+  }
+
+  return { from: start, to: end };
+}
+
+function ratio(part, whole) {
+  return whole > 0 ? Math.round((part / whole) * 10000) / 10000 : null;
+}
+
+// Event counts per bucket and event type, with empty buckets included
+async function eventSeries(db, { interval, source, eventType, ...range }) {
+  const { from, to } = resolveRange(range);
+
+  const buckets = Math.ceil((to - bucketStart(from, interval)) / INTERVAL_MS[interval]);
+  if (buckets > MAX_BUCKETS) {
+    throw new ValidationError([{
+      field: 'interval',
+      location: 'query',
+      code: 'too_small',
+      message: `interval ${interval} gives ${buckets} buckets for this range; use a longer interval or a shorter range (at most ${MAX_BUCKETS} buckets)`
+    }]);
+  }
+
+  const rows = await db.attempts.countByInterval({ interval, from, to, source, eventTypes: eventType });
+
+  const counts = new Map();
+  for (const row of rows) {
+    const key = new Date(row.bucket).toISOString();
+    if (!counts.has(key)) counts.set(key, {});
+    counts.get(key)[row.event_type] = row.count;
+  }
+
+  const series = [];
+  for (let start = bucketStart(from, interval); start < to; start = nextBucket(start, interval)) {
+    const bucketCounts = counts.get(start.toISOString()) || {};
+    series.push({
+      start: start.toISOString(),
+      counts: bucketCounts,
+      total: Object.values(bucketCounts).reduce((sum, count) => sum + count, 0)
+    });
+  }
+
+  return {
+    interval,
+    from: from.toISOString(),
+    to: to.toISOString(),
+    source: source || null,
+    buckets: series
+  };
+}
+
+// Owners are told apart by the hash of their email address, which outlives
+// the address (see retention.js). Rows logged before hashes were stored are
+// hashed here; placeholders such as 'invalid-email' are not owners.
+function ownerOf(event) {
+  return event.email_hash || hashEmail(event.email);
+}
+
+// Funnel over an ordered list of event types. Each owner or session counts
+// once per stage, and only if it reached every earlier stage. Events that only
+// carry a sessionId (e.g. from /v1/log-attempt) are attributed to the owner
+// whose email address was used in the same session, if any. source picks who
+// enters the funnel: later events such as email_verified come from the link
+// in the email, not from the client that registered.
+async function funnel(db, { stages = DEFAULT_FUNNEL_STAGES, source, ...range }) {
+  const { from, to } = resolveRange(range);
+  const events = await db.attempts.listEvents({ from, to, eventTypes: stages });
+
+  const sessionOwners = new Map();
+  for (const event of events) {
+    if (event.session_id && ownerOf(event)) {
+      sessionOwners.set(String(event.session_id), ownerOf(event));
+    }
+  }
+
+  const reached = stages.map(() => new Set());
+  for (const event of events) {
+    const session = event.session_id ? String(event.session_id) : null;
+    const key = ownerOf(event) || (session && (sessionOwners.get(session) || `session:${session}`));
+    const stage = stages.indexOf(event.event_type);
+    if (key && (stage > 0 || !source || event.source === source)) reached[stage].add(key);
+  }
+
+  // Only keys that made it through the previous stage count
+  const results = [];
+  let previous = null;
+  for (const [index, stage] of stages.entries()) {
+    const keys = previous ? new Set([...reached[index]].filter(key => previous.has(key))) : reached[index];
+    results.push({
+      stage,
+      count: keys.size,
+      conversionFromPrevious: previous ? ratio(keys.size, previous.size) : null,
+      conversionFromStart: ratio(keys.size, results.length > 0 ? results[0].count : keys.size)
+    });
+    previous = keys;
+  }
+
+  return {
+    from: from.toISOString(),
+    to: to.toISOString(),
+    source: source || null,
+    stages: results,
+    conversionRate: ratio(results[results.length - 1].count, results[0].count)
+  };
+}
+
+// Most common validation failures of registration_failed events, by error code
+// and field. Events logged before errors were recorded field by field are
+// grouped by their message.
+async function failureReasons(db, { limit, source, ...range }) {
+  const { from, to } = resolveRange(range);
+  const events = await db.attempts.listEvents({ from, to, source, eventTypes: ['registration_failed'] });
+
+  const reasons = new Map();
+  const count = (key, reason) => {
+    if (!reasons.has(key)) reasons.set(key, { ...reason, count: 0 });
+    reasons.get(key).count++;
+  };
+
+  for (const event of events) {
+    const errors = Array.isArray(event.errors) ? event.errors : [];
+
+    if (errors.length === 0) {
+      count(`message:${event.error}`, { code: null, field: null, message: event.error || 'Unknown error' });
+      continue;
+    }
+
+    // One failed attempt can have several problems with the same field and code
+    const seen = new Set();
+    for (const error of errors) {
+      const key = `${error.code}:${error.field}`;
+      if (seen.has(key)) continue;
+      seen.add(key);
+      count(key, { code: error.code || null, field: error.field || null, message: error.message || null });
+    }
+  }
+
+  const sorted = [...reasons.values()].sort((a, b) => b.count - a.count || String(a.field).localeCompare(String(b.field)));
+
+  return {
+    from: from.toISOString(),
+    to: to.toISOString(),
+    source: source || null,
+    failedAttempts: events.length,
+    reasons: sorted.slice(0, limit).map(reason => ({ ...reason, share: ratio(reason.count, events.length) }))
+  };
+}
+
+// Owners grouped by when they registered their first agent, and how many of
+// each cohort came back to register a second one
+async function ownerCohorts(db, { interval, source, ...range }) {
+  const { from, to } = resolveRange(range);
+
+  // Grouped by the backend: owners whose first agent is in the range, with
+  // their second registration up to now (it may come after `to`)
+  const rows = await db.attempts.listOwnerRegistrations({ source, from, to });
+
+  const owners = new Map();
+  for (const row of rows) {
+    const key = ownerOf(row);
+    if (!key) continue;
+
+    const owner = owners.get(key);
+    if (!owner) {
+      owners.set(key, { first: row.first_at, second: row.second_at });
+      continue;
+    }
+
+    // An owner with rows from before email hashes were stored comes back
+    // twice; keep their two earliest registrations
+    const [first, second = null] = [owner.first, owner.second, row.first_at, row.second_at]
+      .filter(Boolean)
+      .sort((a, b) => a - b);
+    owners.set(key, { first, second });
+  }
+
+  const cohorts = new Map();
+  for (const owner of owners.values()) {
+    if (owner.first < from || owner.first >= to) continue;
+
+    const key = bucketStart(owner.first, interval).toISOString();
+    if (!cohorts.has(key)) {
+      cohorts.set(key, {
+        cohort: key,
+        owners: 0,
+        returned: 0,
+        ...Object.fromEntries(RETURN_WINDOWS_DAYS.map(days => [`returnedWithin${days}Days`, 0]))
+      });
+    }
+
+    const cohort = cohorts.get(key);
+    cohort.owners++;
+    if (owner.second) {
+      cohort.returned++;
+      for (const days of RETURN_WINDOWS_DAYS) {
+        if (owner.second - owner.first <= days * DAY_MS) cohort[`returnedWithin${days}Days`]++;
+      }
+    }
+  }
+
+  const results = [...cohorts.values()]
+    .sort((a, b) => a.cohort.localeCompare(b.cohort))
+    .map(cohort => ({ ...cohort, returnRate: ratio(cohort.returned, cohort.owners) }));
+
+  const totalOwners = results.reduce((sum, cohort) => sum + cohort.owners, 0);
+  const totalReturned = results.reduce((sum, cohort) => sum + cohort.returned, 0);
+
+  return {
+    interval,
+    from: from.toISOString(),
+    to: to.toISOString(),
+    source: source || null,
+    cohorts: results,
+    owners: totalOwners,
+    returned: totalReturned,
+    returnRate: ratio(totalReturned, totalOwners)
+  };
+}
+
+module.exports = {
+  MAX_RANGE_DAYS,
+  INTERVALS,
+  COHORT_INTERVALS,
+  DEFAULT_FUNNEL_STAGES,
+  bucketStart,
+  eventSeries,
+  funnel,
+  failureReasons,
+  ownerCohorts
+};
@@ -0,0 +1,159 @@
+// lib/anchoring/index.js - Batch agent records into Merkle trees and anchor the roots
+//
+// Agents move pending -> anchoring -> anchored. Any change to an agent puts it
+// back to pending, and it is anchored again in a later batch.
+const storage = require('../db');
+const { logger } = require('../logger');
+const { hashLeaf, buildTree } = require('./merkle');
+const { createLedger } = require('./ledgers');
+const { emitAgentEvent } = require('../webhooks');
+
+const ANCHOR_INTERVAL_MS = parseInt(process.env.ANCHOR_INTERVAL_MS) || 60 * 1000;
+const ANCHOR_BATCH_SIZE = parseInt(process.env.ANCHOR_BATCH_SIZE) || 256;
+
+let timer = null;
+let running = false;
+let ledger = null;
+
+function toIso(value) {
+  return value ? new Date(value).toISOString() : null;
+}
+
+// The public record that gets hashed into a leaf. Returned with the proof so
+// a third party can recompute the leaf hash themselves.
+function agentRecord(agent) {
+  return {
+    agentId: agent.id,
+    internalId: agent.internal_id,
+    status: agent.status,
+    agent: agent.agent_data,
+    registeredAt: toIso(agent.registered_at),
+    updatedAt: toIso(agent.updated_at)
+  };
+}
+
+// Claim pending agents so a concurrent run can't anchor them twice.
+// Unconfirmed agents are anchored once their email is verified.
+function claimPendingAgents() {
+  return storage.agents.claimForAnchoring(ANCHOR_BATCH_SIZE);
+}
+
+async function anchorBatch(agents) {
+  const records = agents.map(agentRecord);
+  const leaves = records.map(hashLeaf);
+  const { root, proofs } = buildTree(leaves);
+
+  const batchId = await storage.anchorBatches.create({
+    merkleRoot: root,
+    leafCount: leaves.length,
+    ledger: ledger.name
+  });
+
+  let receipt;
+  try {
+    receipt = await ledger.submit(root, { batchId, leafCount: leaves.length });
+  } catch (error) {
+    await storage.anchorBatches.update(batchId, { status: 'failed', error: error.message });
+    // Put the agents back in the queue for the next run
+    await storage.agents.releaseAnchoring(agents.map(agent => agent.id));
+    throw error;
+  }
+
+  await storage.anchorBatches.update(batchId, {
+    status: 'anchored',
+    tx_id: receipt.txId,
+    block_number: receipt.blockNumber || null,
+    anchored_at: receipt.timestamp
+  });
+
+  for (let i = 0; i < agents.length; i++) {
+    const proof = {
+      batchId,
+      ledger: ledger.name,
+      txId: receipt.txId,
+      blockNumber: receipt.blockNumber || null,
+      merkleRoot: root,
+      leafHash: leaves[i],
+      proof: proofs[i],
+      record: records[i],
+      anchoredAt: receipt.timestamp
+    };
+
+    // Skip agents that changed while the batch was being anchored: they are
+    // back to 'pending' and will be anchored again with their new record
+    const marked = await storage.agents.markAnchored(agents[i].id, { batchId, proof, anchoredAt: receipt.timestamp });
+
+    if (marked) {
+      // The record is anchored either way; a failed notification must not undo that
+      await emitAgentEvent(storage, 'agent.anchored', agents[i].id, {
+        blockchain: { batchId, ledger: ledger.name, txId: receipt.txId, merkleRoot: root, anchoredAt: receipt.timestamp }
+      }).catch(error => logger.error(`Failed to queue agent.anchored for ${agents[i].id}`, { error }));
+    }
+  }
+
+  logger.info('Agent records anchored', { batchId, agents: agents.length, root: root.substring(0, 12) });
+  return batchId;
+}
+
+// Anchor everything currently pending. Exported so it can be triggered manually.
+async function runOnce() {
+  if (running) return;
+  running = true;
+
+  try {
+    let agents;
+    do {
+      agents = await claimPendingAgents();
+      if (agents.length > 0) {
+        await anchorBatch(agents);
+      }
+    } while (agents.length === ANCHOR_BATCH_SIZE);
+  } catch (error) {
+    logger.error('Anchoring error', { error });
+  } finally {
+    running = false;
+  }
+}
+
+// Agents left in 'anchoring' by a crash go back to the queue on startup
+function releaseStaleClaims() {
+  return storage.agents.releaseAnchoring();
+}
+
+async function startAnchoring() {
+  if (timer) return;
+
+  try {
+    ledger = createLedger();
+    await releaseStaleClaims();
+  } catch (error) {
+    logger.error('Anchoring not started', { error: error.message });
+    return;
+  }
+
+  timer = setInterval(runOnce, ANCHOR_INTERVAL_MS);
+  logger.info('Anchoring started', { ledger: ledger.name, intervalMs: ANCHOR_INTERVAL_MS });
+  runOnce();
+}
+
+function stopAnchoring() {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+}
+
+function getAnchoringStatus() {
+  return {
+    running: timer !== null,
+    ledger: ledger ? ledger.name : null
+  };
+}
+
+module.exports = {
+  agentRecord,
+  startAnchoring,
+  stopAnchoring,
+  getAnchoringStatus,
+  runOnce
+};
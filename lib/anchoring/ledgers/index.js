@@ -0,0 +1,24 @@
+// lib/anchoring/ledgers/index.js - Select the ledger adapter from configuration
+//
+// An adapter is an object with:
+//   name                          - stored with each batch
+//   submit(merkleRoot, meta)      - anchor a root, resolves to { txId, blockNumber, timestamp }
+//   getTransaction(txId)          - look up an anchored root (optional)
+const os = require('os');
+const path = require('path');
+const createLocalLedger = require('./local');
+
+function createLedger(env = process.env) {
+  const name = env.LEDGER_ADAPTER || 'local';
+
+  switch (name) {
+    case 'local':
+      return createLocalLedger({
+        file: env.LEDGER_FILE || path.join(os.tmpdir(), 'astrasync-ledger.jsonl')
+      });
+    default:
+      throw new Error(`Unknown LEDGER_ADAPTER: ${name}`);
+  }
+}
+
+module.exports = { createLedger };
@@ -0,0 +1,58 @@
+// lib/anchoring/ledgers/local.js - File-backed ledger for development
+//
+// Appends one JSON line per anchored root. Entries are hash-chained like
+// blocks, so editing an earlier line breaks every later one.
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+
+function createLocalLedger({ file }) {
+  let lastEntry;
+
+  async function readEntries() {
+    try {
+      const content = await fs.readFile(file, 'utf8');
+      return content.split('\n').filter(Boolean).map(line => JSON.parse(line));
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  }
+
+  return {
+    name: 'local',
+
+    async submit(merkleRoot, meta = {}) {
+      if (lastEntry === undefined) {
+        const entries = await readEntries();
+        lastEntry = entries[entries.length - 1] || null;
+      }
+
+      const entry = {
+        blockNumber: lastEntry ? lastEntry.blockNumber + 1 : 1,
+        previousHash: lastEntry ? lastEntry.hash : null,
+        merkleRoot,
+        meta,
+        timestamp: new Date().toISOString()
+      };
+      entry.hash = crypto.createHash('sha256').update(JSON.stringify(entry)).digest('hex');
+
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.appendFile(file, JSON.stringify(entry) + '\n');
+      lastEntry = entry;
+
+      return {
+        txId: entry.hash,
+        blockNumber: entry.blockNumber,
+        timestamp: entry.timestamp
+      };
+    },
+
+    async getTransaction(txId) {
+      const entries = await readEntries();
+      return entries.find(entry => entry.hash === txId) || null;
+    }
+  };
+}
+
+module.exports = createLocalLedger;
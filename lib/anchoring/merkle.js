@@ -0,0 +1,84 @@
+// lib/anchoring/merkle.js - Merkle trees and inclusion proofs for anchored agent records
+//
+// Dependency-free on purpose: relying parties can copy this file to check a
+// proof returned by /v1/verify without calling the API.
+const crypto = require('crypto');
+
+function sha256(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+// JSON with object keys sorted at every level, so the same record always hashes the same
+function canonicalize(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalize).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+// Leaves and inner nodes use different prefixes so one can't be passed off as the other
+function hashLeaf(record) {
+  return sha256('\x00' + canonicalize(record));
+}
+
+function hashNode(left, right) {
+  return sha256('\x01' + left + right);
+}
+
+// Build a tree over leaf hashes. An odd node at the end of a level is carried
+// up unchanged rather than duplicated. Returns the root and one proof per leaf;
+// each proof step says on which side the sibling sits.
+function buildTree(leaves) {
+  if (leaves.length === 0) {
+    throw new Error('Cannot build a Merkle tree without leaves');
+  }
+
+  const proofs = leaves.map(() => []);
+  // Which leaves sit under each node of the current level
+  let groups = leaves.map((leaf, index) => [index]);
+  let level = leaves.slice();
+
+  while (level.length > 1) {
+    const nextLevel = [];
+    const nextGroups = [];
+
+    for (let i = 0; i < level.length; i += 2) {
+      if (i + 1 === level.length) {
+        nextLevel.push(level[i]);
+        nextGroups.push(groups[i]);
+        continue;
+      }
+
+      groups[i].forEach(leaf => proofs[leaf].push({ position: 'right', hash: level[i + 1] }));
+      groups[i + 1].forEach(leaf => proofs[leaf].push({ position: 'left', hash: level[i] }));
+
+      nextLevel.push(hashNode(level[i], level[i + 1]));
+      nextGroups.push(groups[i].concat(groups[i + 1]));
+    }
+
+    level = nextLevel;
+    groups = nextGroups;
+  }
+
+  return { root: level[0], proofs };
+}
+
+// Check that leafHash is included under root
+function verifyProof(leafHash, proof, root) {
+  const computed = proof.reduce(
+    (hash, step) => (step.position === 'left' ? hashNode(step.hash, hash) : hashNode(hash, step.hash)),
+    leafHash
+  );
+  return computed === root;
+}
+
+module.exports = {
+  canonicalize,
+  hashLeaf,
+  hashNode,
+  buildTree,
+  verifyProof
+};
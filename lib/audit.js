@@ -0,0 +1,191 @@
+// lib/audit.js - Tamper-evident audit log of registry changes
+//
+// Every change to an agent identity appends an entry recording who made it,
+// what it was (the action and a { field: { from, to } } diff), the request
+// that made it and when. Entries are written by recordRevision, inside the
+// transaction of the change itself. Each entry's hash covers its content and
+// the previous entry's hash, so editing, removing or reordering an entry
+// breaks the chain from that entry on (see verifyChain).
+//
+// Entries can't be erased without breaking the chain, so they never contain
+// email or IP addresses (see retention.js).
+const crypto = require('crypto');
+const storage = require('./db');
+
+// Who made a change:
+//   public      - an unauthenticated registration; id is the client's X-Source
+//   owner       - the agent's API key; id is the key prefix
+//   email_link  - a link emailed to the owner
+//   admin       - the admin key
+//   system      - the API itself
+const ACTOR_TYPES = ['public', 'owner', 'email_link', 'admin', 'system'];
+
+const SYSTEM_ACTOR = { type: 'system', id: null };
+
+// Entries read per query when verifying
+const VERIFY_PAGE_SIZE = 1000;
+
+// JSON with object keys sorted, so the same entry always hashes the same
+// however a backend stored it
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(item => canonicalJson(item === undefined ? null : item)).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value).filter(key => value[key] !== undefined).sort();
+    return `{${keys.map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+// SHA-256 over every field of an exported entry but its own hash. Anyone
+// holding an export can recompute it.
+function computeEntryHash(entry) {
+  const { hash, ...content } = entry;
+  return crypto.createHash('sha256').update(canonicalJson(content)).digest('hex');
+}
+
+function formatEntry(row) {
+  return {
+    seq: row.seq,
+    createdAt: new Date(row.created_at).toISOString(),
+    actor: { type: row.actor_type, id: row.actor_id },
+    action: row.action,
+    agentId: row.agent_id,
+    changes: row.changes,
+    reason: row.reason,
+    requestId: row.request_id,
+    prevHash: row.prev_hash,
+    hash: row.hash
+  };
+}
+
+// Append an entry. Pass the transaction of the change it describes: the
+// chain stays locked until that transaction ends.
+async function recordAudit(db, { actor = SYSTEM_ACTOR, action, agentId, changes, reason, requestId }) {
+  const latest = await db.auditLog.lockLatest();
+
+  const entry = {
+    seq: latest ? latest.seq + 1 : 1,
+    createdAt: new Date().toISOString(),
+    actor: { type: actor.type, id: actor.id || null },
+    action: action,
+    agentId: agentId || null,
+    // As stored: JSON drops undefined values
+    changes: JSON.parse(JSON.stringify(changes || {})),
+    reason: reason || null,
+    requestId: requestId || null,
+    prevHash: latest ? latest.hash : null
+  };
+  entry.hash = computeEntryHash(entry);
+
+  await db.auditLog.append({
+    seq: entry.seq,
+    created_at: new Date(entry.createdAt),
+    actor_type: entry.actor.type,
+    actor_id: entry.actor.id,
+    action: entry.action,
+    agent_id: entry.agentId,
+    changes: entry.changes,
+    reason: entry.reason,
+    request_id: entry.requestId,
+    prev_hash: entry.prevHash,
+    hash: entry.hash
+  });
+
+  return entry;
+}
+
+// Entries in a time range, oldest first, optionally for one agent under any
+// of its IDs (a converted agent's entries before conversion have its TEMP ID).
+// Pages with afterSeq: nextAfterSeq is set while there are more entries.
+async function exportEntries({ from, to, agentId, afterSeq, limit }) {
+  let agentIds;
+  if (agentId) {
+    const currentId = await storage.aliases.resolve(agentId) || agentId;
+    agentIds = [currentId, ...await storage.aliases.listForAgent(currentId)];
+  }
+
+  const rows = await storage.auditLog.list({ from, to, agentIds, afterSeq, limit: limit + 1 });
+  const entries = rows.slice(0, limit).map(formatEntry);
+
+  return {
+    from: from || null,
+    to: to || null,
+    agentId: agentId || null,
+    entries: entries,
+    nextAfterSeq: rows.length > limit ? entries[entries.length - 1].seq : null
+  };
+}
+
+// Check the chain from the first entry at or after `from` up to `to` (the
+// whole log by default): every entry must follow the previous one without a
+// gap in seq, point at its hash and match its own. Stops at the first broken
+// entry. Entries removed from the end leave the chain intact, so keep
+// latestHash somewhere else to detect that.
+async function verifyChain({ from, to } = {}) {
+  const [first] = await storage.auditLog.list({ from, limit: 1 });
+  const result = {
+    intact: true,
+    from: from || null,
+    to: to || null,
+    entriesChecked: 0,
+    firstSeq: null,
+    lastSeq: null,
+    latestHash: null,
+    brokenAt: null
+  };
+
+  if (!first) return result;
+
+  // The chain is checked from the entry before the range, if there is one
+  let previous = first.seq > 1 ? await storage.auditLog.findBySeq(first.seq - 1) : null;
+  if (first.seq > 1 && !previous) {
+    return { ...result, intact: false, brokenAt: { seq: first.seq - 1, reason: `Entry ${first.seq - 1} is missing` } };
+  }
+
+  let afterSeq = first.seq - 1;
+  for (;;) {
+    const rows = await storage.auditLog.list({ afterSeq, limit: VERIFY_PAGE_SIZE });
+
+    for (const row of rows) {
+      if (to && row.created_at >= new Date(to)) return result;
+
+      const entry = formatEntry(row);
+      const expectedSeq = previous ? previous.seq + 1 : 1;
+      let brokenAt = null;
+
+      if (entry.seq !== expectedSeq) {
+        const missing = entry.seq - 1 === expectedSeq ? `Entry ${expectedSeq} is` : `Entries ${expectedSeq} to ${entry.seq - 1} are`;
+        brokenAt = { seq: expectedSeq, reason: `${missing} missing` };
+      } else if (entry.prevHash !== (previous ? previous.hash : null)) {
+        brokenAt = { seq: entry.seq, reason: 'prevHash does not match the previous entry' };
+      } else if (computeEntryHash(entry) !== entry.hash) {
+        brokenAt = { seq: entry.seq, reason: 'Entry does not match its hash' };
+      }
+
+      if (brokenAt) {
+        return { ...result, intact: false, brokenAt };
+      }
+
+      result.entriesChecked++;
+      result.firstSeq = result.firstSeq || entry.seq;
+      result.lastSeq = entry.seq;
+      result.latestHash = entry.hash;
+      previous = row;
+    }
+
+    if (rows.length < VERIFY_PAGE_SIZE) return result;
+    afterSeq = rows[rows.length - 1].seq;
+  }
+}
+
+module.exports = {
+  ACTOR_TYPES,
+  SYSTEM_ACTOR,
+  canonicalJson,
+  computeEntryHash,
+  recordAudit,
+  exportEntries,
+  verifyChain
+};
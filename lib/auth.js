@@ -0,0 +1,192 @@
+// lib/auth.js - API key issuance and authentication middleware
+const crypto = require('crypto');
+const storage = require('./db');
+const { logger } = require('./logger');
+
+const API_KEY_PREFIX = 'as_live_';
+
+// Scopes granted to the key returned by /v1/register
+const OWNER_SCOPES = ['agent:read', 'agent:write'];
+
+// Generate a new plaintext API key. Only its hash is ever stored.
+function generateApiKey() {
+  return API_KEY_PREFIX + crypto.randomBytes(32).toString('base64url');
+}
+
+function hashApiKey(apiKey) {
+  return crypto.createHash('sha256').update(apiKey).digest('hex');
+}
+
+// Constant-time string comparison (hashing first makes lengths equal)
+function safeEqual(a, b) {
+  return crypto.timingSafeEqual(
+    crypto.createHash('sha256').update(String(a)).digest(),
+    crypto.createHash('sha256').update(String(b)).digest()
+  );
+}
+
+// Accept either "Authorization: Bearer <key>" or "X-API-Key: <key>"
+function extractApiKey(req) {
+  const header = req.headers.authorization || '';
+  if (header.toLowerCase().startsWith('bearer ')) {
+    return header.slice(7).trim();
+  }
+  return req.headers['x-api-key'] || null;
+}
+
+// Create and store a key for an agent. Pass the transaction when issuing
+// inside one. Returns the plaintext key (shown once).
+async function issueApiKey(db, agentId, scopes = OWNER_SCOPES) {
+  const apiKey = generateApiKey();
+
+  await db.apiKeys.create({
+    agentId,
+    keyHash: hashApiKey(apiKey),
+    keyPrefix: apiKey.slice(0, API_KEY_PREFIX.length + 6),
+    scopes
+  });
+
+  return apiKey;
+}
+
+// Look up an active key by its plaintext value
+function findApiKey(apiKey) {
+  return storage.apiKeys.findActiveByHash(hashApiKey(apiKey));
+}
+
+class AuthenticationError extends Error {
+  constructor(status, error, message) {
+    super(message);
+    this.name = 'AuthenticationError';
+    this.status = status;
+    this.error = error;
+  }
+}
+
+// Check a plaintext key for an agent and scope. Resolves to the key row, or
+// throws an AuthenticationError with the status to answer with.
+async function authenticateAgentKey(apiKey, agentId, scope) {
+  if (!apiKey) {
+    throw new AuthenticationError(401, 'Authentication required', 'Provide the API key issued at registration in the Authorization header (Bearer <key>) or X-API-Key header');
+  }
+
+  const key = await findApiKey(apiKey);
+
+  if (!key) {
+    throw new AuthenticationError(401, 'Invalid API key', 'The API key is not recognised or has been revoked');
+  }
+
+  if (key.agent_id !== agentId) {
+    throw new AuthenticationError(403, 'Forbidden', 'This API key is not authorised for this agent');
+  }
+
+  if (scope && !key.scopes.includes(scope)) {
+    throw new AuthenticationError(403, 'Forbidden', `This API key is missing the required scope: ${scope}`);
+  }
+
+  // Usage tracking should never block the request
+  storage.apiKeys.touch(key.id)
+    .catch(error => logger.error('Failed to update API key usage', { error }));
+
+  return key;
+}
+
+// Middleware: require an API key scoped to req.params.agentId
+function requireAgentKey(scope) {
+  const middleware = async (req, res, next) => {
+    try {
+      const key = await authenticateAgentKey(extractApiKey(req), req.params.agentId, scope);
+
+      req.apiKey = {
+        id: key.id,
+        agentId: key.agent_id,
+        prefix: key.key_prefix,
+        scopes: key.scopes
+      };
+      next();
+    } catch (error) {
+      if (error instanceof AuthenticationError) {
+        return res.status(error.status).json({
+          error: error.error,
+          message: error.message
+        });
+      }
+
+      logger.error('API key authentication error', { error });
+      res.status(500).json({
+        error: 'Internal server error',
+        message: 'Failed to authenticate request',
+        requestId: req.id
+      });
+    }
+  };
+
+  // Read by the OpenAPI generator
+  middleware.auth = { scheme: 'agentKey', scope };
+  return middleware;
+}
+
+// Whether the request carries the admin key configured in ADMIN_API_KEY
+function hasAdminKey(req) {
+  const adminKey = process.env.ADMIN_API_KEY;
+  const provided = req.headers['x-admin-key'] || extractApiKey(req);
+  return Boolean(adminKey && provided && safeEqual(provided, adminKey));
+}
+
+// Middleware: require the admin key configured in ADMIN_API_KEY
+function requireAdminKey(req, res, next) {
+  if (!process.env.ADMIN_API_KEY) {
+    return res.status(503).json({
+      error: 'Admin access not configured',
+      message: 'Set ADMIN_API_KEY to enable admin endpoints'
+    });
+  }
+
+  if (!hasAdminKey(req)) {
+    return res.status(401).json({
+      error: 'Admin authentication required',
+      message: 'Provide the admin key in the X-Admin-Key header'
+    });
+  }
+
+  next();
+}
+requireAdminKey.auth = { scheme: 'adminKey' };
+
+// Middleware: require the read-only token configured in METRICS_TOKEN, sent
+// as a bearer token. Prometheus scrapes with it instead of the admin key,
+// which can also erase data subjects and rotate signing keys.
+function requireMetricsToken(req, res, next) {
+  const token = process.env.METRICS_TOKEN;
+  if (!token) {
+    return res.status(503).json({
+      error: 'Metrics not configured',
+      message: 'Set METRICS_TOKEN to enable /metrics'
+    });
+  }
+
+  const provided = extractApiKey(req);
+  if (!provided || !safeEqual(provided, token)) {
+    return res.status(401).json({
+      error: 'Metrics authentication required',
+      message: 'Provide the metrics token in the Authorization header'
+    });
+  }
+
+  next();
+}
+requireMetricsToken.auth = { scheme: 'metricsToken' };
+
+module.exports = {
+  API_KEY_PREFIX,
+  OWNER_SCOPES,
+  AuthenticationError,
+  authenticateAgentKey,
+  extractApiKey,
+  hasAdminKey,
+  hashApiKey,
+  issueApiKey,
+  requireAgentKey,
+  requireAdminKey,
+  requireMetricsToken
+};
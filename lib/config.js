@@ -0,0 +1,9 @@
+// lib/config.js - Settings shared across modules
+
+// Public URL of the API, used wherever we build absolute links outside a request
+// (emails, credential issuer). Inside a request handler use req.protocol/req.get('host').
+const PUBLIC_BASE_URL = (process.env.PUBLIC_BASE_URL || `http://localhost:${process.env.PORT || 3000}`).replace(/\/$/, '');
+
+module.exports = {
+  PUBLIC_BASE_URL
+};
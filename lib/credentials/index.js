@@ -0,0 +1,92 @@
+// lib/credentials/index.js - Signed agent identity credentials
+//
+// Two encodings of the same claims:
+//   jwt - a compact JWS (typ JWT) with the agent claims at the top level
+//   vc  - a W3C Verifiable Credential 2.0, secured as a compact JWS (typ vc+jwt)
+const crypto = require('crypto');
+const { PUBLIC_BASE_URL } = require('../config');
+const { getActiveKey } = require('./keys');
+
+const CREDENTIAL_ISSUER = process.env.CREDENTIAL_ISSUER || PUBLIC_BASE_URL;
+
+// Short-lived so revocations reach verifiers that only check offline
+const CREDENTIAL_TTL_SECONDS = parseInt(process.env.CREDENTIAL_TTL_SECONDS) || 24 * 60 * 60;
+
+function encodeSegment(value) {
+  return Buffer.from(JSON.stringify(value)).toString('base64url');
+}
+
+async function signJws(payload, typ) {
+  const key = await getActiveKey();
+  const signingInput = `${encodeSegment({ alg: 'EdDSA', kid: key.kid, typ })}.${encodeSegment(payload)}`;
+  const signature = crypto.sign(null, Buffer.from(signingInput), key.privateKey).toString('base64url');
+  return { token: `${signingInput}.${signature}`, kid: key.kid };
+}
+
+// The facts the registry attests to
+function agentClaims(agent) {
+  return {
+    agentId: agent.id,
+    name: agent.agent_data.name,
+    owner: agent.agent_data.owner,
+    version: agent.agent_data.version,
+    status: agent.status,
+    trustScore: agent.trust_score,
+    emailVerified: !!agent.email_verified_at,
+    verifiedDomain: agent.verified_domain || null
+  };
+}
+
+async function issueJwt(agent, issuedAt, expiresAt) {
+  const { token, kid } = await signJws({
+    iss: CREDENTIAL_ISSUER,
+    sub: agent.id,
+    iat: Math.floor(issuedAt / 1000),
+    nbf: Math.floor(issuedAt / 1000),
+    exp: Math.floor(expiresAt / 1000),
+    jti: crypto.randomUUID(),
+    agent: agentClaims(agent)
+  }, 'JWT');
+
+  return { format: 'jwt', credential: token, kid };
+}
+
+async function issueVerifiableCredential(agent, issuedAt, expiresAt) {
+  const vc = {
+    '@context': ['https://www.w3.org/ns/credentials/v2'],
+    id: `urn:uuid:${crypto.randomUUID()}`,
+    type: ['VerifiableCredential', 'AgentIdentityCredential'],
+    issuer: CREDENTIAL_ISSUER,
+    validFrom: issuedAt.toISOString(),
+    validUntil: expiresAt.toISOString(),
+    credentialSubject: {
+      id: `${PUBLIC_BASE_URL}/v1/verify/${encodeURIComponent(agent.id)}`,
+      ...agentClaims(agent)
+    }
+  };
+
+  const { token, kid } = await signJws(vc, 'vc+jwt');
+  return { format: 'vc', credential: token, document: vc, kid };
+}
+
+// Issue a credential for an agent row. format: 'jwt' (default) or 'vc'.
+async function issueCredential(agent, format = 'jwt') {
+  const issuedAt = new Date();
+  const expiresAt = new Date(issuedAt.getTime() + CREDENTIAL_TTL_SECONDS * 1000);
+
+  const issued = format === 'vc'
+    ? await issueVerifiableCredential(agent, issuedAt, expiresAt)
+    : await issueJwt(agent, issuedAt, expiresAt);
+
+  return {
+    ...issued,
+    issuer: CREDENTIAL_ISSUER,
+    issuedAt: issuedAt.toISOString(),
+    expiresAt: expiresAt.toISOString()
+  };
+}
+
+module.exports = {
+  CREDENTIAL_ISSUER,
+  issueCredential
+};
@@ -0,0 +1,106 @@
+// lib/credentials/keys.js - Ed25519 signing keys for agent credentials
+//
+// One key is 'active' and signs new credentials. Rotating retires it: retired
+// keys stay in the JWKS for RETIRED_KEY_TTL_DAYS so credentials they signed
+// can still be verified, then drop out.
+const crypto = require('crypto');
+const storage = require('../db');
+const { logger } = require('../logger');
+
+const RETIRED_KEY_TTL_DAYS = parseInt(process.env.RETIRED_KEY_TTL_DAYS) || 30;
+
+// Another API process may rotate the key, so the cached one is checked
+// against storage once it is this old
+const ACTIVE_KEY_TTL_MS = 60 * 1000;
+
+// Private keys are stored encrypted with a key derived from CREDENTIAL_KEY_SECRET
+let secret = process.env.CREDENTIAL_KEY_SECRET;
+if (!secret) {
+  secret = crypto.randomBytes(32).toString('hex');
+  logger.warn('CREDENTIAL_KEY_SECRET is not set - a new signing key will be created on every restart');
+}
+const encryptionKey = crypto.createHash('sha256').update(`astrasync-signing-keys:${secret}`).digest();
+
+let activeKey = null;
+
+function encryptPrivateKey(pem) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey, iv);
+  const encrypted = Buffer.concat([cipher.update(pem, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join('.');
+}
+
+function decryptPrivateKey(stored) {
+  const [iv, tag, encrypted] = stored.split('.').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+}
+
+function toActiveKey(row) {
+  return {
+    kid: row.kid,
+    privateKey: crypto.createPrivateKey(decryptPrivateKey(row.private_key)),
+    loadedAt: Date.now()
+  };
+}
+
+// Generate a key, make it the active one and retire the previous one
+async function rotateSigningKey() {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519');
+  const kid = `as-${new Date().toISOString().slice(0, 10)}-${crypto.randomBytes(4).toString('hex')}`;
+  const publicJwk = { ...publicKey.export({ format: 'jwk' }), kid, alg: 'EdDSA', use: 'sig' };
+
+  const row = await storage.transaction(async tx => {
+    await tx.signingKeys.retireActive();
+    return tx.signingKeys.create({
+      kid,
+      algorithm: 'EdDSA',
+      public_jwk: publicJwk,
+      private_key: encryptPrivateKey(privateKey.export({ format: 'pem', type: 'pkcs8' })),
+      status: 'active'
+    });
+  });
+
+  activeKey = toActiveKey(row);
+  logger.info('Signing key rotated', { kid });
+  return { kid, createdAt: row.created_at };
+}
+
+// The key used to sign new credentials. Creates one on first use, and
+// rotates when the stored key can't be decrypted with the current secret.
+async function getActiveKey() {
+  if (activeKey && Date.now() - activeKey.loadedAt < ACTIVE_KEY_TTL_MS) return activeKey;
+
+  const row = await storage.signingKeys.findActive();
+
+  if (row) {
+    // Only decrypt again when the key was rotated elsewhere
+    if (activeKey && activeKey.kid === row.kid) {
+      activeKey.loadedAt = Date.now();
+      return activeKey;
+    }
+
+    try {
+      activeKey = toActiveKey(row);
+      return activeKey;
+    } catch (error) {
+      logger.error('Cannot decrypt signing key (was CREDENTIAL_KEY_SECRET changed?), rotating', { kid: row.kid });
+    }
+  }
+
+  await rotateSigningKey();
+  return activeKey;
+}
+
+// Public keys that verifiers should accept
+async function getJwks() {
+  return { keys: await storage.signingKeys.listPublic(RETIRED_KEY_TTL_DAYS) };
+}
+
+module.exports = {
+  ACTIVE_KEY_TTL_MS,
+  getActiveKey,
+  getJwks,
+  rotateSigningKey
+};
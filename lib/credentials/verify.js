@@ -0,0 +1,67 @@
+// lib/credentials/verify.js - Offline verification of agent credentials
+//
+// Dependency-free on purpose: downstream services can copy this file, cache
+// the registry's /.well-known/jwks.json and check credentials without
+// calling the API on every request.
+//
+//   const { verifyCredential } = require('./verify');
+//   const { payload } = verifyCredential(token, jwks, { issuer: 'https://astrasync.ai/api' });
+const crypto = require('crypto');
+
+function decodeSegment(segment) {
+  return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+}
+
+// Verify a compact JWS (JWT or vc+jwt) issued by the registry.
+// Throws with a descriptive message when the credential must not be trusted.
+function verifyCredential(token, jwks, { issuer, now = Date.now(), clockToleranceSeconds = 60 } = {}) {
+  const parts = String(token || '').split('.');
+  if (parts.length !== 3) {
+    throw new Error('Credential is not a compact JWS');
+  }
+
+  const [encodedHeader, encodedPayload, encodedSignature] = parts;
+  const header = decodeSegment(encodedHeader);
+
+  if (header.alg !== 'EdDSA') {
+    throw new Error(`Unsupported algorithm: ${header.alg}`);
+  }
+
+  const jwk = (jwks.keys || []).find(key => key.kid === header.kid);
+  if (!jwk) {
+    throw new Error(`Unknown signing key: ${header.kid}`);
+  }
+
+  const valid = crypto.verify(
+    null,
+    Buffer.from(`${encodedHeader}.${encodedPayload}`),
+    crypto.createPublicKey({ key: jwk, format: 'jwk' }),
+    Buffer.from(encodedSignature, 'base64url')
+  );
+  if (!valid) {
+    throw new Error('Invalid signature');
+  }
+
+  const payload = decodeSegment(encodedPayload);
+  const nowSeconds = Math.floor(now / 1000);
+
+  // JWT credentials carry exp/nbf; vc+jwt credentials carry validFrom/validUntil
+  const notBefore = payload.nbf || (payload.validFrom && Math.floor(Date.parse(payload.validFrom) / 1000));
+  const expires = payload.exp || (payload.validUntil && Math.floor(Date.parse(payload.validUntil) / 1000));
+
+  if (notBefore && notBefore > nowSeconds + clockToleranceSeconds) {
+    throw new Error('Credential is not valid yet');
+  }
+  if (expires && expires < nowSeconds - clockToleranceSeconds) {
+    throw new Error('Credential has expired');
+  }
+
+  const tokenIssuer = payload.iss || payload.issuer;
+  if (issuer && tokenIssuer !== issuer) {
+    throw new Error(`Unexpected issuer: ${tokenIssuer}`);
+  }
+
+  return { header, payload };
+}
+
+module.exports = { verifyCredential };
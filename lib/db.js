@@ -0,0 +1,4 @@
+// lib/db.js - Shared storage backend, selected with STORAGE_BACKEND
+const { createStorage } = require('./storage');
+
+module.exports = createStorage();
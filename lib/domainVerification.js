@@ -0,0 +1,148 @@
+// lib/domainVerification.js - Prove ownership of an agent's ownerUrl domain
+//
+// The owner publishes a challenge token either as a DNS TXT record
+//   _astrasync.<domain>  TXT  "astrasync-verification=<token>"
+// or as the body of
+//   https://<domain>/.well-known/astrasync-verification
+// and we look it up through a resolver. The resolver can be swapped for a stub
+// (DOMAIN_RESOLVER=stub) so the flow runs without real DNS or HTTP.
+const crypto = require('crypto');
+const dns = require('dns').promises;
+const fs = require('fs');
+const net = require('net');
+const { request } = require('./outbound');
+
+const TXT_RECORD_PREFIX = '_astrasync';
+const TXT_VALUE_PREFIX = 'astrasync-verification=';
+const WELL_KNOWN_PATH = '/.well-known/astrasync-verification';
+const CHALLENGE_TTL_DAYS = 7;
+const FETCH_TIMEOUT_MS = 5000;
+const MAX_WELL_KNOWN_BYTES = 4096;
+
+// Resolver backed by real DNS and HTTPS
+function createDnsResolver() {
+  return {
+    name: 'dns',
+
+    async resolveTxt(hostname) {
+      try {
+        const records = await dns.resolveTxt(hostname);
+        // Long TXT values arrive split into chunks
+        return records.map(chunks => chunks.join(''));
+      } catch (error) {
+        if (error.code === 'ENOTFOUND' || error.code === 'ENODATA') return [];
+        throw error;
+      }
+    },
+
+    // The body, up to MAX_WELL_KNOWN_BYTES, or null. Like webhooks, only
+    // public addresses are contacted (see outbound.js).
+    async fetchWellKnown(domain) {
+      try {
+        const response = await request(`https://${domain}${WELL_KNOWN_PATH}`, {
+          timeoutMs: FETCH_TIMEOUT_MS,
+          maxBytes: MAX_WELL_KNOWN_BYTES
+        });
+        if (response.status < 200 || response.status >= 300) return null;
+
+        return response.body;
+      } catch (error) {
+        return null;
+      }
+    }
+  };
+}
+
+// In-memory resolver for tests and local runs:
+//   { txt: { '_astrasync.example.com': ['astrasync-verification=...'] },
+//     wellKnown: { 'example.com': '<token>' } }
+function createStubResolver(records = {}) {
+  return {
+    name: 'stub',
+    async resolveTxt(hostname) {
+      return (records.txt && records.txt[hostname]) || [];
+    },
+    async fetchWellKnown(domain) {
+      return (records.wellKnown && records.wellKnown[domain]) || null;
+    }
+  };
+}
+
+function createResolver(env = process.env) {
+  if (env.DOMAIN_RESOLVER === 'stub') {
+    const records = env.DOMAIN_RESOLVER_STUB_FILE
+      ? JSON.parse(fs.readFileSync(env.DOMAIN_RESOLVER_STUB_FILE, 'utf8'))
+      : {};
+    return createStubResolver(records);
+  }
+  return createDnsResolver();
+}
+
+let resolver = createResolver();
+
+// Replace the resolver (e.g. with createStubResolver in tests)
+function setResolver(newResolver) {
+  resolver = newResolver;
+}
+
+// Extract a verifiable public hostname from an ownerUrl, or null
+function domainFromUrl(ownerUrl) {
+  let hostname;
+  try {
+    const url = new URL(/^https?:\/\//i.test(ownerUrl) ? ownerUrl : `https://${ownerUrl}`);
+    hostname = url.hostname.toLowerCase().replace(/\.$/, '');
+  } catch (error) {
+    return null;
+  }
+
+  // Only public DNS names: no IP literals, localhost or single-label hosts
+  if (!hostname || net.isIP(hostname.replace(/^\[|\]$/g, '')) || !hostname.includes('.') || hostname.endsWith('.localhost')) {
+    return null;
+  }
+
+  return hostname;
+}
+
+function generateChallengeToken() {
+  return crypto.randomBytes(24).toString('base64url');
+}
+
+function challengeInstructions(domain, token) {
+  return {
+    dns: {
+      type: 'TXT',
+      name: `${TXT_RECORD_PREFIX}.${domain}`,
+      value: `${TXT_VALUE_PREFIX}${token}`
+    },
+    wellKnown: {
+      url: `https://${domain}${WELL_KNOWN_PATH}`,
+      body: token
+    }
+  };
+}
+
+// Look for the token via DNS first, then the well-known file.
+// Resolves to the method that matched ('dns' | 'well-known') or null.
+async function checkChallenge(domain, token) {
+  const txtRecords = await resolver.resolveTxt(`${TXT_RECORD_PREFIX}.${domain}`);
+  if (txtRecords.some(value => value.trim() === `${TXT_VALUE_PREFIX}${token}`)) {
+    return 'dns';
+  }
+
+  const body = await resolver.fetchWellKnown(domain);
+  if (body && body.trim() === token) {
+    return 'well-known';
+  }
+
+  return null;
+}
+
+module.exports = {
+  CHALLENGE_TTL_DAYS,
+  createStubResolver,
+  setResolver,
+  domainFromUrl,
+  generateChallengeToken,
+  challengeInstructions,
+  checkChallenge
+};
@@ -0,0 +1,8 @@
+// lib/email/queue.js - Add emails to the delivery queue
+
+// Pass the transaction to queue an email as part of a larger change
+async function queueEmail(db, { recipient, subject, template, data }) {
+  await db.emailQueue.enqueue({ recipient, subject, template, data });
+}
+
+module.exports = { queueEmail };
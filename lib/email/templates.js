@@ -0,0 +1,144 @@
+// lib/email/templates.js - Email templates for queued notifications
+const { PUBLIC_BASE_URL } = require('../config');
+const { escapeHtml } = require('../views/html');
+
+// Wrap template body in the shared HTML layout
+function layout(title, bodyHtml) {
+  return `<!DOCTYPE html>
+<html lang="en">
+  <head>
+    <meta charset="UTF-8">
+    <title>${escapeHtml(title)}</title>
+  </head>
+  <body style="font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; color: #1a202c; padding: 24px;">
+    <div style="max-width: 560px; margin: 0 auto;">
+      <h1 style="color: #4A3FC4; font-size: 22px;">${escapeHtml(title)}</h1>
+      ${bodyHtml}
+      <p style="color: #718096; font-size: 13px; margin-top: 32px;">
+        AstraSync - Know Your Agent. Questions? Reply to this email or contact developers@astrasync.ai.
+      </p>
+    </div>
+  </body>
+</html>`;
+}
+
+// Each template receives the row's data object and returns text and HTML bodies
+const templates = {
+  registration_confirmed(data) {
+    const verifyUrl = `${PUBLIC_BASE_URL}/v1/verify/${encodeURIComponent(data.agentId)}`;
+    const profileUrl = `${PUBLIC_BASE_URL}/profile/${encodeURIComponent(data.agentId)}`;
+
+    return {
+      text: [
+        `Your agent "${data.agentName}" has been registered with AstraSync.`,
+        '',
+        `Agent ID: ${data.agentId}`,
+        `Registered at: ${data.timestamp}`,
+        '',
+        `Verify: ${verifyUrl}`,
+        `Profile: ${profileUrl}`,
+        '',
+        'Keep the API key returned at registration safe - it is required to manage this agent.'
+      ].join('\n'),
+      html: layout('Agent Registration Confirmed', `
+        <p>Your agent <strong>${escapeHtml(data.agentName)}</strong> has been registered with AstraSync.</p>
+        <p>Agent ID: <code>${escapeHtml(data.agentId)}</code><br>Registered at: ${escapeHtml(data.timestamp)}</p>
+        <p><a href="${escapeHtml(verifyUrl)}">Verify agent</a> &middot; <a href="${escapeHtml(profileUrl)}">View profile</a></p>
+        <p>Keep the API key returned at registration safe - it is required to manage this agent.</p>
+      `)
+    };
+  },
+
+  email_verification(data) {
+    const verifyEmailUrl = `${PUBLIC_BASE_URL}/v1/verify-email/${encodeURIComponent(data.token)}`;
+
+    return {
+      text: [
+        `Your agent "${data.agentName}" was registered with AstraSync using this email address.`,
+        '',
+        `Agent ID: ${data.agentId}`,
+        '',
+        `Confirm your email to activate the agent: ${verifyEmailUrl}`,
+        `This link expires at ${data.expiresAt}.`,
+        '',
+        'If you did not register this agent, ignore this email and the agent will stay unconfirmed.'
+      ].join('\n'),
+      html: layout('Confirm Your Email', `
+        <p>Your agent <strong>${escapeHtml(data.agentName)}</strong> was registered with AstraSync using this email address.</p>
+        <p>Agent ID: <code>${escapeHtml(data.agentId)}</code></p>
+        <p><a href="${escapeHtml(verifyEmailUrl)}">Confirm your email to activate the agent</a></p>
+        <p>This link expires at ${escapeHtml(data.expiresAt)}. If you did not register this agent, ignore this email and the agent will stay unconfirmed.</p>
+      `)
+    };
+  },
+
+  bulk_registration(data) {
+    const verifyEmailUrl = `${PUBLIC_BASE_URL}/v1/verify-email/batch/${encodeURIComponent(data.token)}`;
+    const agents = data.agents || [];
+
+    return {
+      text: [
+        `${agents.length} agent${agents.length === 1 ? ' was' : 's were'} registered with AstraSync using this email address (batch ${data.batchId}):`,
+        '',
+        ...agents.map(agent => `- ${agent.agentName} (${agent.agentId})`),
+        '',
+        ...(data.failed > 0 ? [`${data.failed} item${data.failed === 1 ? '' : 's'} of the batch failed validation and ${data.failed === 1 ? 'was' : 'were'} not registered.`, ''] : []),
+        `Confirm your email to activate all of them: ${verifyEmailUrl}`,
+        `This link expires at ${data.expiresAt}.`,
+        '',
+        'If you did not register these agents, ignore this email and they will stay unconfirmed.'
+      ].join('\n'),
+      html: layout('Confirm Your Email', `
+        <p>${agents.length} agent${agents.length === 1 ? ' was' : 's were'} registered with AstraSync using this email address (batch <code>${escapeHtml(data.batchId)}</code>):</p>
+        <ul>
+          ${agents.map(agent => `<li><strong>${escapeHtml(agent.agentName)}</strong> <code>${escapeHtml(agent.agentId)}</code></li>`).join('\n          ')}
+        </ul>
+        ${data.failed > 0 ? `<p>${escapeHtml(data.failed)} item${data.failed === 1 ? '' : 's'} of the batch failed validation and ${data.failed === 1 ? 'was' : 'were'} not registered.</p>` : ''}
+        <p><a href="${escapeHtml(verifyEmailUrl)}">Confirm your email to activate all of them</a></p>
+        <p>This link expires at ${escapeHtml(data.expiresAt)}. If you did not register these agents, ignore this email and they will stay unconfirmed.</p>
+      `)
+    };
+  },
+
+  conversion_confirmation(data) {
+    const confirmUrl = `${PUBLIC_BASE_URL}/v1/convert/${encodeURIComponent(data.token)}`;
+
+    return {
+      text: [
+        `A request was made to convert your agent "${data.agentName}" to permanent AstraSync credentials.`,
+        '',
+        `Temporary ID: ${data.agentId}`,
+        '',
+        `Confirm the conversion: ${confirmUrl}`,
+        `This link expires at ${data.expiresAt}.`,
+        '',
+        'If you did not request this, you can ignore this email.'
+      ].join('\n'),
+      html: layout('Confirm Permanent Agent ID', `
+        <p>A request was made to convert your agent <strong>${escapeHtml(data.agentName)}</strong> to permanent AstraSync credentials.</p>
+        <p>Temporary ID: <code>${escapeHtml(data.agentId)}</code></p>
+        <p><a href="${escapeHtml(confirmUrl)}">Confirm the conversion</a></p>
+        <p>This link expires at ${escapeHtml(data.expiresAt)}. If you did not request this, you can ignore this email.</p>
+      `)
+    };
+  }
+};
+
+// Render a queued email. Throws a permanent error for unknown templates so the
+// row goes straight to the dead-letter state instead of being retried.
+function renderEmail(template, data) {
+  const render = templates[template];
+
+  if (!render) {
+    const error = new Error(`Unknown email template: ${template}`);
+    error.permanent = true;
+    throw error;
+  }
+
+  return render(data || {});
+}
+
+module.exports = {
+  layout,
+  renderEmail
+};
@@ -0,0 +1,39 @@
+// lib/email/transports/file.js - Local delivery to a directory or the console
+const fs = require('fs/promises');
+const path = require('path');
+const { logger } = require('../../logger');
+const { maskEmail } = require('../../redact');
+
+// With a directory, each message is written as <timestamp>-<id>.json.
+// Without one, only the fact that a message was sent is logged: the body
+// carries confirmation tokens and logs are kept and shipped elsewhere. Use the
+// file transport to read the messages.
+function createFileTransport({ directory }) {
+  return {
+    name: directory ? 'file' : 'console',
+
+    async send(message) {
+      const messageId = `${Date.now()}-${message.emailId}`;
+
+      if (!directory) {
+        logger.info('Email logged by the console transport', {
+          emailId: message.emailId,
+          messageId,
+          to: maskEmail(message.to),
+          subject: message.subject
+        });
+        return { messageId };
+      }
+
+      await fs.mkdir(directory, { recursive: true });
+      await fs.writeFile(
+        path.join(directory, `${messageId}.json`),
+        JSON.stringify(message, null, 2)
+      );
+
+      return { messageId };
+    }
+  };
+}
+
+module.exports = createFileTransport;
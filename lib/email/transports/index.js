@@ -0,0 +1,30 @@
+// lib/email/transports/index.js - Select the email transport from configuration
+const os = require('os');
+const path = require('path');
+const createSmtpTransport = require('./smtp');
+const createFileTransport = require('./file');
+const createWebhookTransport = require('./webhook');
+
+// EMAIL_TRANSPORT: smtp | file | console | webhook.
+// Defaults to smtp when SMTP_URL is set, otherwise the console.
+function createTransport(env = process.env) {
+  const name = env.EMAIL_TRANSPORT || (env.SMTP_URL ? 'smtp' : 'console');
+
+  switch (name) {
+    case 'smtp':
+      return createSmtpTransport({ url: env.SMTP_URL });
+    case 'file':
+      return createFileTransport({ directory: env.EMAIL_FILE_DIR || path.join(os.tmpdir(), 'astrasync-emails') });
+    case 'console':
+      return createFileTransport({ directory: null });
+    case 'webhook':
+      return createWebhookTransport({
+        url: env.EMAIL_WEBHOOK_URL,
+        secret: env.EMAIL_WEBHOOK_SECRET
+      });
+    default:
+      throw new Error(`Unknown EMAIL_TRANSPORT: ${name}`);
+  }
+}
+
+module.exports = { createTransport };
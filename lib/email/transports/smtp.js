@@ -0,0 +1,31 @@
+// lib/email/transports/smtp.js - SMTP delivery via nodemailer
+const nodemailer = require('nodemailer');
+
+// SMTP reply codes that will never succeed on retry (bad mailbox, bad domain, ...)
+const PERMANENT_CODES = [550, 551, 553, 554];
+
+function createSmtpTransport({ url }) {
+  if (!url) {
+    throw new Error('SMTP_URL is required for the smtp email transport');
+  }
+
+  const transporter = nodemailer.createTransport(url);
+
+  return {
+    name: 'smtp',
+
+    async send(message) {
+      try {
+        const info = await transporter.sendMail(message);
+        return { messageId: info.messageId };
+      } catch (error) {
+        if (PERMANENT_CODES.includes(error.responseCode) || error.code === 'EENVELOPE') {
+          error.permanent = true;
+        }
+        throw error;
+      }
+    }
+  };
+}
+
+module.exports = createSmtpTransport;
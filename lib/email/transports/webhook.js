@@ -0,0 +1,41 @@
+// lib/email/transports/webhook.js - Hand messages to an HTTP endpoint (e.g. an email provider relay)
+const crypto = require('crypto');
+
+function createWebhookTransport({ url, secret, timeoutMs = 10000 }) {
+  if (!url) {
+    throw new Error('EMAIL_WEBHOOK_URL is required for the webhook email transport');
+  }
+
+  return {
+    name: 'webhook',
+
+    async send(message) {
+      const body = JSON.stringify(message);
+      const headers = { 'Content-Type': 'application/json' };
+
+      // Let the receiver check the payload came from us
+      if (secret) {
+        headers['X-AstraSync-Signature'] = crypto.createHmac('sha256', secret).update(body).digest('hex');
+      }
+
+      const response = await fetch(url, {
+        method: 'POST',
+        headers,
+        body,
+        signal: AbortSignal.timeout(timeoutMs)
+      });
+
+      if (!response.ok) {
+        const error = new Error(`Email webhook responded with ${response.status}`);
+        // 4xx (other than throttling) means the message itself was rejected
+        error.permanent = response.status >= 400 && response.status < 500 && response.status !== 429;
+        throw error;
+      }
+
+      const result = await response.json().catch(() => ({}));
+      return { messageId: result.messageId || result.id || null };
+    }
+  };
+}
+
+module.exports = createWebhookTransport;
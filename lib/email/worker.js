@@ -0,0 +1,131 @@
+// lib/email/worker.js - Background dispatcher for the email_queue table
+const storage = require('../db');
+const { logger } = require('../logger');
+const { renderEmail } = require('./templates');
+const { createTransport } = require('./transports');
+
+const EMAIL_FROM = process.env.EMAIL_FROM || 'AstraSync <no-reply@astrasync.ai>';
+const POLL_INTERVAL_MS = parseInt(process.env.EMAIL_WORKER_INTERVAL_MS) || 5000;
+const BATCH_SIZE = parseInt(process.env.EMAIL_WORKER_BATCH_SIZE) || 10;
+const MAX_ATTEMPTS = parseInt(process.env.EMAIL_MAX_ATTEMPTS) || 6;
+const BASE_BACKOFF_MS = 30 * 1000;
+const MAX_BACKOFF_MS = 60 * 60 * 1000;
+
+// Rows stuck in 'sending' longer than this (e.g. after a crash) are picked up again
+const STALE_LOCK_MS = 5 * 60 * 1000;
+
+let timer = null;
+let running = false;
+let transport = null;
+let lastRunAt = null;
+let runningSince = null;
+
+// Exponential backoff with a little jitter: 30s, 1m, 2m, 4m ... capped at 1h
+function backoffMs(attempts) {
+  const delay = Math.min(BASE_BACKOFF_MS * 2 ** (attempts - 1), MAX_BACKOFF_MS);
+  return delay + Math.floor(Math.random() * delay * 0.1);
+}
+
+// Claim a batch of due rows so concurrent workers never send the same email
+function claimBatch() {
+  return storage.emailQueue.claimDue({ limit: BATCH_SIZE, staleLockMs: STALE_LOCK_MS });
+}
+
+async function deliver(email) {
+  const attempts = email.attempts + 1;
+
+  try {
+    const { text, html } = renderEmail(email.template, email.data);
+    const result = await transport.send({
+      emailId: email.id,
+      from: EMAIL_FROM,
+      to: email.recipient,
+      subject: email.subject,
+      text,
+      html
+    });
+
+    await storage.emailQueue.markSent(email.id, {
+      attempts,
+      transport: transport.name,
+      messageId: result.messageId
+    });
+
+    logger.info('Email sent', { emailId: email.id, template: email.template, transport: transport.name });
+  } catch (error) {
+    // Permanent failures (bad address, unknown template) and exhausted retries go to the dead-letter state
+    const dead = error.permanent || attempts >= MAX_ATTEMPTS;
+
+    await storage.emailQueue.markFailed(email.id, {
+      dead,
+      attempts,
+      error: error.message,
+      transport: transport.name,
+      retryInMs: dead ? 0 : backoffMs(attempts)
+    });
+
+    logger.error(dead ? 'Email failed, moved to dead letter' : 'Email failed', { emailId: email.id, attempts, error: error.message });
+  }
+}
+
+// Process everything currently due. Exported so it can be triggered manually.
+async function runOnce() {
+  if (running) return;
+  running = true;
+  runningSince = new Date();
+
+  try {
+    let batch;
+    do {
+      batch = await claimBatch();
+      for (const email of batch) {
+        await deliver(email);
+      }
+    } while (batch.length === BATCH_SIZE);
+  } catch (error) {
+    logger.error('Email worker error', { error });
+  } finally {
+    lastRunAt = new Date();
+    runningSince = null;
+    running = false;
+  }
+}
+
+function startEmailWorker() {
+  if (timer) return;
+
+  try {
+    transport = createTransport();
+  } catch (error) {
+    logger.error('Email worker not started', { error: error.message });
+    return;
+  }
+
+  timer = setInterval(runOnce, POLL_INTERVAL_MS);
+  logger.info('Email worker started', { transport: transport.name, intervalMs: POLL_INTERVAL_MS });
+  runOnce();
+}
+
+function stopEmailWorker() {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+}
+
+function getEmailWorkerStatus() {
+  return {
+    running: timer !== null,
+    transport: transport ? transport.name : null,
+    intervalMs: POLL_INTERVAL_MS,
+    lastRunAt: lastRunAt,
+    runningSince: runningSince
+  };
+}
+
+module.exports = {
+  startEmailWorker,
+  stopEmailWorker,
+  getEmailWorkerStatus,
+  runOnce
+};
@@ -0,0 +1,78 @@
+// lib/health.js - Readiness checks for /readyz
+//
+// The server is ready when the database answers, its schema is current and the
+// email worker is polling. Each check resolves to { status, ... } with status
+// ok, failing or disabled; only failing makes the server not ready.
+// Liveness (/healthz) needs none of this: a process that answers is alive.
+const storage = require('./db');
+const { getEmailWorkerStatus } = require('./email/worker');
+
+// A probe must answer even when the database hangs
+const CHECK_TIMEOUT_MS = parseInt(process.env.READINESS_TIMEOUT_MS) || 2000;
+
+// The worker counts as stalled after missing this many polls, or when one run
+// takes longer than STALLED_RUN_MS (e.g. a hanging SMTP server)
+const MISSED_POLLS = 3;
+const STALLED_RUN_MS = 5 * 60 * 1000;
+
+function withTimeout(promise, what) {
+  let timeout;
+  const timer = new Promise((resolve, reject) => {
+    timeout = setTimeout(() => reject(new Error(`${what} timed out after ${CHECK_TIMEOUT_MS}ms`)), CHECK_TIMEOUT_MS);
+  });
+  return Promise.race([promise, timer]).finally(() => clearTimeout(timeout));
+}
+
+async function checkDatabase() {
+  try {
+    await withTimeout(storage.ping(), 'Database ping');
+    return { status: 'ok', backend: storage.name };
+  } catch (error) {
+    return { status: 'failing', backend: storage.name, message: error.message };
+  }
+}
+
+async function checkMigrations() {
+  try {
+    const { current, latest, pending } = await withTimeout(storage.migrations.status(), 'Migration status');
+    if (pending.length > 0) {
+      return { status: 'failing', current, latest, message: `${pending.length} migration(s) pending` };
+    }
+    return { status: 'ok', current, latest };
+  } catch (error) {
+    return { status: 'failing', message: error.message };
+  }
+}
+
+function checkEmailWorker() {
+  if (process.env.EMAIL_WORKER_ENABLED === 'false') {
+    return { status: 'disabled' };
+  }
+
+  const worker = getEmailWorkerStatus();
+  const lastRunAt = worker.lastRunAt ? worker.lastRunAt.toISOString() : null;
+
+  if (!worker.running) {
+    return { status: 'failing', lastRunAt, message: 'The email worker is not running' };
+  }
+  if (worker.runningSince && Date.now() - worker.runningSince > STALLED_RUN_MS) {
+    return { status: 'failing', lastRunAt, message: `A run has been going on since ${worker.runningSince.toISOString()}` };
+  }
+  if (!worker.runningSince && (!worker.lastRunAt || Date.now() - worker.lastRunAt > MISSED_POLLS * worker.intervalMs)) {
+    return { status: 'failing', lastRunAt, message: `No run for more than ${MISSED_POLLS} polling intervals` };
+  }
+  return { status: 'ok', lastRunAt };
+}
+
+// Resolves to { ready, checks: { database, migrations, emailWorker } }
+async function checkReadiness() {
+  const [database, migrations] = await Promise.all([checkDatabase(), checkMigrations()]);
+  const checks = { database, migrations, emailWorker: checkEmailWorker() };
+
+  return {
+    ready: Object.values(checks).every(check => check.status !== 'failing'),
+    checks
+  };
+}
+
+module.exports = { checkReadiness };
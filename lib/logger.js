@@ -0,0 +1,112 @@
+// lib/logger.js - Structured logging
+//
+// One JSON object per line: time, level, msg, the ID of the request being
+// handled (if any) and the fields passed in. Email and IPv4 addresses are
+// masked wherever they appear, messages and error stacks included
+// (a***@example.com, 203.0.113.0); ip fields are truncated like stored ones,
+// IPv6 included (see redact.js). Errors are logged with their name, message,
+// code and stack.
+//
+//   LOG_LEVEL   debug | info | warn | error (default: info)
+//   LOG_FORMAT  json (default), or pretty for one readable line per entry
+const { AsyncLocalStorage } = require('async_hooks');
+const { maskEmail, truncateIp } = require('./redact');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const LOG_LEVEL = LEVELS[process.env.LOG_LEVEL] ? process.env.LOG_LEVEL : 'info';
+const LOG_FORMAT = process.env.LOG_FORMAT === 'pretty' ? 'pretty' : 'json';
+
+// { requestId } of the request being handled, entered by the request ID
+// middleware in index.js
+const requestContext = new AsyncLocalStorage();
+
+const EMAIL_PATTERN = /[A-Za-z0-9._%+-]+@[A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)+/g;
+const IPV4_PATTERN = /\b(\d{1,3}\.\d{1,3}\.\d{1,3})\.\d{1,3}\b/g;
+
+// Fields holding an IP address in any notation
+const IP_FIELDS = ['ip', 'remoteAddress'];
+
+// Nesting kept in logged fields; deeper values are replaced
+const MAX_DEPTH = 6;
+
+function redactString(value) {
+  return value
+    .replace(EMAIL_PATTERN, email => maskEmail(email))
+    .replace(IPV4_PATTERN, '$1.0');
+}
+
+function serializeError(error) {
+  return {
+    name: error.name,
+    message: error.message,
+    ...(error.code !== undefined && { code: error.code }),
+    stack: error.stack
+  };
+}
+
+// Copy of value with email and IP addresses redacted, errors and dates
+// serialised, safe for JSON.stringify
+function redact(value, key, depth = 0) {
+  if (typeof value === 'string') {
+    return (IP_FIELDS.includes(key) && truncateIp(value)) || redactString(value);
+  }
+  if (value instanceof Error) return redact(serializeError(value), key, depth);
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === 'bigint') return value.toString();
+  if (!value || typeof value !== 'object') return value;
+
+  if (depth >= MAX_DEPTH) return '[Truncated]';
+  if (Array.isArray(value)) return value.map(item => redact(item, key, depth + 1));
+  return Object.fromEntries(Object.entries(value).map(([name, item]) => [name, redact(item, name, depth + 1)]));
+}
+
+// time LEVEL msg {fields}
+function prettyLine({ time, level, msg, ...fields }) {
+  const rest = Object.keys(fields).length > 0 ? ` ${JSON.stringify(fields)}` : '';
+  return `${time} ${level.toUpperCase().padEnd(5)} ${msg}${rest}`;
+}
+
+function write(level, msg, fields) {
+  if (LEVELS[level] < LEVELS[LOG_LEVEL]) return;
+
+  const context = requestContext.getStore();
+  const entry = redact({
+    time: new Date().toISOString(),
+    level,
+    msg,
+    ...(context && { requestId: context.requestId }),
+    ...fields
+  });
+
+  // Through console, so bin/mcp.js can send every line to stderr
+  const line = LOG_FORMAT === 'pretty' ? prettyLine(entry) : JSON.stringify(entry);
+  if (LEVELS[level] >= LEVELS.warn) {
+    console.error(line);
+  } else {
+    console.log(line);
+  }
+}
+
+// logger.info(msg, fields) and so on. child(fields) returns a logger that
+// adds fields, e.g. { component: 'email-worker' }, to every entry.
+function createLogger(bindings = {}) {
+  const log = level => (msg, fields) => write(level, msg, { ...bindings, ...fields });
+
+  return {
+    debug: log('debug'),
+    info: log('info'),
+    warn: log('warn'),
+    error: log('error'),
+    child: fields => createLogger({ ...bindings, ...fields })
+  };
+}
+
+const logger = createLogger();
+
+module.exports = {
+  LEVELS,
+  logger,
+  requestContext,
+  redact
+};
@@ -0,0 +1,149 @@
+// lib/mcp/index.js - Model Context Protocol server for the registry
+//
+// Transport-independent: handleMessages() takes the parsed JSON-RPC message
+// (or batch) and resolves to what should be written back, or null when
+// nothing is owed (notifications and responses). The transports are the
+// /v1/mcp route (streamable HTTP, JSON responses only) and bin/mcp.js (stdio).
+const { logger } = require('../logger');
+const { TOOLS, ToolError } = require('./tools');
+
+// Newest first; an initialize request for any other version gets the newest
+const MCP_PROTOCOL_VERSIONS = ['2025-06-18', '2025-03-26', '2024-11-05'];
+
+const SERVER_INFO = {
+  name: 'astrasync-registry',
+  title: 'AstraSync Agent Registry',
+  version: '1.0.0'
+};
+
+const INSTRUCTIONS = 'Register AI agents with the AstraSync Know Your Agent registry and verify peers before trusting them. verify_agent and search_agents are public; get_agent needs the API key returned by register_agent.';
+
+const JSONRPC_ERRORS = {
+  parseError: -32700,
+  invalidRequest: -32600,
+  methodNotFound: -32601,
+  invalidParams: -32602,
+  internalError: -32603
+};
+
+class MethodError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'MethodError';
+    this.code = code;
+  }
+}
+
+function jsonRpcError(id, code, message) {
+  return { jsonrpc: '2.0', id: id ?? null, error: { code, message } };
+}
+
+function toolResult(value, isError = false) {
+  return {
+    content: [{ type: 'text', text: JSON.stringify(value, null, 2) }],
+    structuredContent: value,
+    ...(isError && { isError: true })
+  };
+}
+
+async function callTool(params, context) {
+  const tool = TOOLS.find(candidate => candidate.name === params.name);
+  if (!tool) {
+    throw new MethodError(JSONRPC_ERRORS.invalidParams, `Unknown tool: ${params.name}`);
+  }
+
+  const args = params.arguments ?? {};
+  if (typeof args !== 'object' || Array.isArray(args)) {
+    throw new MethodError(JSONRPC_ERRORS.invalidParams, 'arguments must be an object');
+  }
+
+  // Failures the caller can act on are tool results, so the model sees them
+  try {
+    return toolResult(await tool.run(args, context));
+  } catch (error) {
+    if (error instanceof ToolError) return toolResult(error.body, true);
+
+    logger.error(`MCP tool ${tool.name} error`, { error });
+    return toolResult({ error: 'Internal server error', message: `${tool.name} failed. Please try again.` }, true);
+  }
+}
+
+const METHODS = {
+  initialize(params) {
+    const requested = params.protocolVersion;
+
+    return {
+      protocolVersion: MCP_PROTOCOL_VERSIONS.includes(requested) ? requested : MCP_PROTOCOL_VERSIONS[0],
+      capabilities: { tools: { listChanged: false } },
+      serverInfo: SERVER_INFO,
+      instructions: INSTRUCTIONS
+    };
+  },
+
+  ping() {
+    return {};
+  },
+
+  'tools/list'() {
+    return {
+      tools: TOOLS.map(({ name, title, description, inputSchema, annotations }) => ({
+        name, title, description, inputSchema, annotations
+      }))
+    };
+  },
+
+  'tools/call': callTool
+};
+
+async function handleMessage(message, context) {
+  if (!message || typeof message !== 'object' || Array.isArray(message) || message.jsonrpc !== '2.0') {
+    return jsonRpcError(message?.id, JSONRPC_ERRORS.invalidRequest, 'Invalid JSON-RPC 2.0 message');
+  }
+
+  // Notifications, and responses to requests we never send, need no answer
+  if (!message.method || !('id' in message)) return null;
+
+  const method = Object.hasOwn(METHODS, message.method) && METHODS[message.method];
+  if (!method) {
+    return jsonRpcError(message.id, JSONRPC_ERRORS.methodNotFound, `Method not found: ${message.method}`);
+  }
+
+  const params = message.params ?? {};
+  if (typeof params !== 'object' || Array.isArray(params)) {
+    return jsonRpcError(message.id, JSONRPC_ERRORS.invalidParams, 'params must be an object');
+  }
+
+  try {
+    return { jsonrpc: '2.0', id: message.id, result: await method(params, context) };
+  } catch (error) {
+    if (error instanceof MethodError) return jsonRpcError(message.id, error.code, error.message);
+
+    logger.error(`MCP ${message.method} error`, { error });
+    return jsonRpcError(message.id, JSONRPC_ERRORS.internalError, 'Internal error');
+  }
+}
+
+// context: { source, ip, userAgent, baseUrl, apiKey, requestId } of the connection
+async function handleMessages(payload, context) {
+  if (!Array.isArray(payload)) {
+    return handleMessage(payload, context);
+  }
+
+  if (payload.length === 0) {
+    return jsonRpcError(null, JSONRPC_ERRORS.invalidRequest, 'Empty batch');
+  }
+
+  const responses = [];
+  for (const message of payload) {
+    const response = await handleMessage(message, context);
+    if (response) responses.push(response);
+  }
+  return responses.length > 0 ? responses : null;
+}
+
+module.exports = {
+  MCP_PROTOCOL_VERSIONS,
+  JSONRPC_ERRORS,
+  jsonRpcError,
+  handleMessages
+};
@@ -0,0 +1,143 @@
+// lib/mcp/tools.js - Registry tools exposed over MCP
+//
+// Each tool runs the same registry operation as its REST route (see
+// lib/registry.js), with the same validation, logging and rate limits.
+// run(args, context) resolves to the result, or throws a ToolError whose body
+// is what the REST route would have answered with.
+const storage = require('../db');
+const { AuthenticationError, authenticateAgentKey } = require('../auth');
+const { checkRateLimit } = require('../rateLimit');
+const { searchAgents } = require('../agentSearch');
+const { registerAgent, verifyAgent, formatAgentDetails } = require('../registry');
+const { ValidationError, validate, validationErrorBody } = require('../validation');
+const { toOpenApiSchema } = require('../openapi');
+const schemas = require('../schemas');
+
+class ToolError extends Error {
+  constructor(body) {
+    super(body.message || body.error);
+    this.name = 'ToolError';
+    this.body = body;
+  }
+}
+
+const agentIdArgument = { type: 'string', minLength: 1, maxLength: 100, description: 'Agent ID (ASTRAS-... or TEMP-...)' };
+
+// Former TEMP IDs resolve to the agent's permanent ID, as in the REST routes
+async function resolveAgentId(agentId) {
+  const currentId = await storage.aliases.resolve(agentId);
+  return currentId ? { agentId: currentId, requestedId: agentId } : { agentId };
+}
+
+function validateArguments(schema, args) {
+  try {
+    return validate(schema, args, { location: 'arguments' });
+  } catch (error) {
+    if (error instanceof ValidationError) throw new ToolError(validationErrorBody(error));
+    throw error;
+  }
+}
+
+function notFound(agentId) {
+  return new ToolError({
+    error: 'Agent not found',
+    message: `No agent found with ID: ${agentId}`
+  });
+}
+
+const TOOLS = [
+  {
+    name: 'register_agent',
+    title: 'Register an agent',
+    description: 'Register an AI agent with the AstraSync registry. The agent gets a TEMP ID and stays pending_email_verification until the owner opens the link emailed to them. Returns the owner API key once; keep it to call get_agent.',
+    inputSchema: toOpenApiSchema(schemas.register),
+    annotations: { readOnlyHint: false, destructiveHint: false, idempotentHint: false, openWorldHint: false },
+    async run(args, context) {
+      const limited = await checkRateLimit('register', { ip: context.ip, email: args.email });
+      if (limited) throw new ToolError(limited);
+
+      try {
+        return await registerAgent(args, context);
+      } catch (error) {
+        if (error instanceof ValidationError) throw new ToolError(validationErrorBody(error));
+        throw error;
+      }
+    }
+  },
+  {
+    name: 'verify_agent',
+    title: 'Verify an agent',
+    description: 'Look up the public verification record of an agent: status, trust score with breakdown, email and domain verification and the blockchain proof. Check `verified` before trusting a peer.',
+    inputSchema: {
+      type: 'object',
+      additionalProperties: false,
+      required: ['agentId'],
+      properties: { agentId: agentIdArgument }
+    },
+    annotations: { readOnlyHint: true, openWorldHint: false },
+    async run(args, context) {
+      const { agentId } = validateArguments(this.inputSchema, args);
+      const resolved = await resolveAgentId(agentId);
+
+      const record = await verifyAgent(resolved.agentId, { source: context.source, requestedId: resolved.requestedId, requestId: context.requestId });
+      if (!record) throw notFound(agentId);
+
+      return record;
+    }
+  },
+  {
+    name: 'get_agent',
+    title: 'Get agent details',
+    description: 'Full record of one of your agents, including its email, metadata and A2A fields. Requires the API key returned by register_agent, as apiKey or in the Authorization header of the MCP connection.',
+    inputSchema: {
+      type: 'object',
+      additionalProperties: false,
+      required: ['agentId'],
+      properties: {
+        agentId: agentIdArgument,
+        apiKey: { type: 'string', maxLength: 200, description: 'The agent\'s API key (as_live_...)' }
+      }
+    },
+    annotations: { readOnlyHint: true, openWorldHint: false },
+    async run(args, context) {
+      const { agentId: requestedId, apiKey } = validateArguments(this.inputSchema, args);
+      const { agentId } = await resolveAgentId(requestedId);
+
+      try {
+        await authenticateAgentKey(apiKey || context.apiKey, agentId, 'agent:read');
+      } catch (error) {
+        if (error instanceof AuthenticationError) {
+          throw new ToolError({ error: error.error, message: error.message });
+        }
+        throw error;
+      }
+
+      const agent = await storage.agents.findById(agentId);
+      if (!agent) throw notFound(requestedId);
+
+      return formatAgentDetails(agent);
+    }
+  },
+  {
+    name: 'search_agents',
+    title: 'Search agents',
+    description: 'Search the registry by owner, capability, status, trust score and registration date, or by words in the name and description. Results are newest first; pass nextCursor back as cursor for the next page.',
+    inputSchema: toOpenApiSchema(schemas.searchAgents),
+    annotations: { readOnlyHint: true, openWorldHint: false },
+    async run(args) {
+      const query = validateArguments(schemas.searchAgents, args);
+
+      try {
+        return await searchAgents(storage, query);
+      } catch (error) {
+        if (error instanceof ValidationError) throw new ToolError(validationErrorBody(error));
+        throw error;
+      }
+    }
+  }
+];
+
+module.exports = {
+  TOOLS,
+  ToolError
+};
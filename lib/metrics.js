@@ -0,0 +1,263 @@
+// lib/metrics.js - Prometheus metrics, served at /metrics
+//
+// Counters and histograms are updated as things happen; gauges that mirror
+// the database (queue depth, connection pool) are read when scraped. The text
+// exposition format (version 0.0.4) is small enough to write here:
+//
+//   # HELP astrasync_registrations_total Agent registrations by source and outcome
+//   # TYPE astrasync_registrations_total counter
+//   astrasync_registrations_total{source="mcp",outcome="success"} 3
+//
+// Label values must come from a small set: one series is kept per combination
+// forever. Labels set by clients (such as source) are capped with maxValues.
+const storage = require('./db');
+const { logger } = require('./logger');
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// Seconds; the Prometheus client defaults
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+// Label value used once a capped label has seen maxValues distinct values
+const OTHER_LABEL_VALUE = 'other';
+
+const metrics = [];
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(names, values) {
+  if (names.length === 0) return '';
+  return `{${names.map((name, i) => `${name}="${escapeLabelValue(values[i])}"`).join(',')}}`;
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return Number.isNaN(value) ? 'NaN' : String(value);
+}
+
+// Series storage shared by every metric type: label values in labelNames
+// order, keyed by their JSON
+function createSeries(labelNames, maxValues = {}) {
+  const series = new Map();
+  const seen = Object.fromEntries(Object.keys(maxValues).map(name => [name, new Set()]));
+
+  function labelValues(labels = {}) {
+    return labelNames.map(name => {
+      const value = labels[name] === undefined || labels[name] === null ? '' : String(labels[name]);
+      if (!seen[name] || seen[name].has(value)) return value;
+      if (seen[name].size >= maxValues[name]) return OTHER_LABEL_VALUE;
+      seen[name].add(value);
+      return value;
+    });
+  }
+
+  return {
+    get(labels, create) {
+      const values = labelValues(labels);
+      const key = JSON.stringify(values);
+      if (!series.has(key)) series.set(key, { values, ...create() });
+      return series.get(key);
+    },
+    list: () => [...series.values()],
+    clear: () => series.clear()
+  };
+}
+
+function register(metric) {
+  if (metrics.some(existing => existing.name === metric.name)) {
+    throw new Error(`Metric ${metric.name} is already registered`);
+  }
+  metrics.push(metric);
+  return metric;
+}
+
+function header(name, help, type) {
+  return [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`];
+}
+
+// counter.inc(labels, by = 1)
+function createCounter({ name, help, labelNames = [], maxValues }) {
+  const series = createSeries(labelNames, maxValues);
+
+  return register({
+    name,
+    inc(labels, by = 1) {
+      series.get(labels, () => ({ value: 0 })).value += by;
+    },
+    render() {
+      return [
+        ...header(name, help, 'counter'),
+        ...series.list().map(item => `${name}${formatLabels(labelNames, item.values)} ${formatValue(item.value)}`)
+      ];
+    }
+  });
+}
+
+// gauge.set(labels, value). With collect(gauge), the gauge is cleared and
+// collect sets its values on every scrape. A gauge without values, or whose
+// collect rejected, is left out of the scrape.
+function createGauge({ name, help, labelNames = [], collect }) {
+  const series = createSeries(labelNames);
+
+  const gauge = {
+    name,
+    set(labels, value) {
+      series.get(labels, () => ({})).value = value;
+    },
+    async render() {
+      if (collect) {
+        series.clear();
+        try {
+          await collect(gauge);
+        } catch (error) {
+          logger.error('Metric collection error', { metric: name, error });
+          return [];
+        }
+      }
+
+      if (series.list().length === 0) return [];
+
+      return [
+        ...header(name, help, 'gauge'),
+        ...series.list().map(item => `${name}${formatLabels(labelNames, item.values)} ${formatValue(item.value)}`)
+      ];
+    }
+  };
+
+  return register(gauge);
+}
+
+// histogram.observe(labels, value)
+function createHistogram({ name, help, labelNames = [], buckets = DEFAULT_BUCKETS }) {
+  const series = createSeries(labelNames);
+  const bucketLabelNames = [...labelNames, 'le'];
+
+  return register({
+    name,
+    observe(labels, value) {
+      const item = series.get(labels, () => ({ counts: buckets.map(() => 0), sum: 0, count: 0 }));
+      buckets.forEach((bound, i) => {
+        if (value <= bound) item.counts[i]++;
+      });
+      item.sum += value;
+      item.count++;
+    },
+    render() {
+      const lines = header(name, help, 'histogram');
+
+      for (const item of series.list()) {
+        buckets.forEach((bound, i) => {
+          lines.push(`${name}_bucket${formatLabels(bucketLabelNames, [...item.values, formatValue(bound)])} ${item.counts[i]}`);
+        });
+        lines.push(`${name}_bucket${formatLabels(bucketLabelNames, [...item.values, '+Inf'])} ${item.count}`);
+        lines.push(`${name}_sum${formatLabels(labelNames, item.values)} ${formatValue(item.sum)}`);
+        lines.push(`${name}_count${formatLabels(labelNames, item.values)} ${item.count}`);
+      }
+      return lines;
+    }
+  });
+}
+
+// Every registered metric in the text exposition format
+async function renderMetrics() {
+  const lines = [];
+  for (const metric of metrics) {
+    const rendered = await metric.render();
+    if (rendered.length > 0) lines.push(...rendered);
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+const httpRequestDuration = createHistogram({
+  name: 'astrasync_http_request_duration_seconds',
+  help: 'Time to answer HTTP requests, by route pattern and status',
+  labelNames: ['method', 'route', 'status']
+});
+
+// outcome: success, failed (invalid request) or error (server error)
+const registrations = createCounter({
+  name: 'astrasync_registrations_total',
+  help: 'Agent registrations by source and outcome; bulk registrations count each agent',
+  labelNames: ['source', 'outcome'],
+  maxValues: { source: 50 }
+});
+
+createGauge({
+  name: 'astrasync_email_queue_emails',
+  help: 'Emails in the queue by status; pending and sending are the queue depth',
+  labelNames: ['status'],
+  async collect(gauge) {
+    const counts = await storage.emailQueue.countByStatus();
+    for (const [status, count] of Object.entries({ pending: 0, sending: 0, sent: 0, dead: 0, ...counts })) {
+      gauge.set({ status }, count);
+    }
+  }
+});
+
+createGauge({
+  name: 'astrasync_webhook_deliveries',
+  help: 'Webhook deliveries by status; pending and delivering are the queue depth',
+  labelNames: ['status'],
+  async collect(gauge) {
+    const counts = await storage.webhookDeliveries.countByStatus();
+    for (const [status, count] of Object.entries({ pending: 0, delivering: 0, delivered: 0, failed: 0, ...counts })) {
+      gauge.set({ status }, count);
+    }
+  }
+});
+
+// Only backends with a connection pool (postgres) report these
+createGauge({
+  name: 'astrasync_db_pool_connections',
+  help: 'Database pool connections by state',
+  labelNames: ['state'],
+  collect(gauge) {
+    const pool = storage.poolStats();
+    if (!pool) return;
+    gauge.set({ state: 'active' }, pool.total - pool.idle);
+    gauge.set({ state: 'idle' }, pool.idle);
+  }
+});
+
+createGauge({
+  name: 'astrasync_db_pool_max_connections',
+  help: 'Size limit of the database pool',
+  collect(gauge) {
+    const pool = storage.poolStats();
+    if (pool) gauge.set({}, pool.max);
+  }
+});
+
+createGauge({
+  name: 'astrasync_db_pool_waiting_requests',
+  help: 'Queries waiting for a free database pool connection',
+  collect(gauge) {
+    const pool = storage.poolStats();
+    if (pool) gauge.set({}, pool.waiting);
+  }
+});
+
+createGauge({
+  name: 'process_resident_memory_bytes',
+  help: 'Resident memory size in bytes',
+  collect: gauge => gauge.set({}, process.memoryUsage.rss())
+});
+
+createGauge({
+  name: 'process_start_time_seconds',
+  help: 'Start time of the process since the Unix epoch in seconds',
+  collect: gauge => gauge.set({}, Math.round((Date.now() / 1000) - process.uptime()))
+});
+
+module.exports = {
+  CONTENT_TYPE,
+  createCounter,
+  createGauge,
+  createHistogram,
+  renderMetrics,
+  httpRequestDuration,
+  registrations
+};
@@ -0,0 +1,374 @@
+// lib/openapi.js - OpenAPI 3.1 document built from the Express route table
+//
+// Routes describe themselves with the describe() middleware; request schemas
+// come from validateRequest(), auth requirements from requireAgentKey() /
+// requireAdminKey() / requireMetricsToken() and 429 responses from
+// rateLimit(). Walking app._router at request time means a route can't exist
+// without showing up in the spec and /v1/docs.
+const pkg = require('../package.json');
+const { describeSchema } = require('./validation');
+
+const JSON_CONTENT = 'application/json';
+
+// Descriptions for path parameters shared by many routes
+const PATH_PARAMETERS = {
+  agentId: 'Agent ID (TEMP-..., ASTRAS-... or a former TEMP ID of a converted agent)',
+  token: 'Signed token from the emailed link',
+  batchId: 'Anchor batch ID',
+  emailId: 'Email queue ID',
+  source: 'ip, email or apiKey',
+  value: 'Blocked IP address, email address or API key hash',
+  webhookId: 'Webhook ID',
+  deliveryId: 'Webhook delivery ID'
+};
+
+const INTEGER_PARAMETERS = ['emailId', 'webhookId', 'deliveryId'];
+
+const errorSchema = {
+  type: 'object',
+  required: ['error'],
+  properties: {
+    error: { type: 'string' },
+    message: { type: 'string' },
+    requestId: { type: 'string', description: 'ID of the request, as in the X-Request-Id response header' }
+  }
+};
+
+const validationErrorSchema = {
+  type: 'object',
+  required: ['error', 'code', 'message', 'errors'],
+  properties: {
+    error: { type: 'string', const: 'Validation failed' },
+    code: { type: 'string', const: 'validation_failed' },
+    message: { type: 'string' },
+    errors: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['field', 'location', 'code', 'message'],
+        properties: {
+          field: { type: 'string', description: 'Dotted path of the invalid field, e.g. agent.capabilities[0]' },
+          location: { type: 'string', enum: ['body', 'query'] },
+          code: { type: 'string' },
+          message: { type: 'string' }
+        }
+      }
+    }
+  }
+};
+
+const rateLimitErrorSchema = {
+  type: 'object',
+  required: ['error', 'message', 'retryAfter'],
+  properties: {
+    error: { type: 'string', enum: ['Too many requests', 'Temporarily blocked'] },
+    message: { type: 'string' },
+    retryAfter: { type: 'integer', description: 'Seconds until the request can be retried (also in the Retry-After header)' }
+  }
+};
+
+function errorResponse(description, schemaName = 'Error') {
+  return {
+    description,
+    content: { [JSON_CONTENT]: { schema: { $ref: `#/components/schemas/${schemaName}` } } }
+  };
+}
+
+// Route metadata: { summary, description, tags, body, responses, hidden }
+// responses: { 200: { description, schema, contentType }, 409: { description, error: true } }
+function describe(doc) {
+  const middleware = (req, res, next) => next();
+  middleware.apiDoc = doc;
+  return middleware;
+}
+
+// Every route registered on the app, in registration order
+function collectRoutes(app) {
+  const routes = [];
+  // App-level rateLimit() middleware seen so far, e.g. app.use('/v1', rateLimit('api'))
+  const rateLimitLayers = [];
+
+  for (const layer of (app._router && app._router.stack) || []) {
+    if (!layer.route && layer.handle.rateLimit) {
+      rateLimitLayers.push(layer);
+      continue;
+    }
+    if (!layer.route || typeof layer.route.path !== 'string') continue;
+
+    const handlers = layer.route.stack.map(item => item.handle);
+    const doc = handlers.map(handle => handle.apiDoc).find(Boolean) || {};
+    if (doc.hidden) continue;
+
+    const validator = handlers.find(handle => handle.schemas);
+    const auth = handlers.map(handle => handle.auth).find(Boolean) || null;
+    const rateLimited = handlers.some(handle => handle.rateLimit) || rateLimitLayers.some(use => use.match(layer.route.path));
+
+    for (const method of Object.keys(layer.route.methods)) {
+      if (method === '_all') continue;
+
+      routes.push({
+        method: method.toUpperCase(),
+        path: layer.route.path,
+        summary: doc.summary || `${method.toUpperCase()} ${layer.route.path}`,
+        description: doc.description,
+        tags: doc.tags || [],
+        auth,
+        rateLimited,
+        body: (validator && validator.schemas.body) || doc.body,
+        query: validator && validator.schemas.query,
+        responses: doc.responses || {}
+      });
+    }
+  }
+
+  return routes;
+}
+
+// Our request schemas are JSON Schema plus a few documentation-only keywords
+function toOpenApiSchema(schema) {
+  if (Array.isArray(schema)) return schema.map(toOpenApiSchema);
+  if (!schema || typeof schema !== 'object') return schema;
+
+  const result = {};
+  for (const [key, value] of Object.entries(schema)) {
+    if (key === 'patternMessage') continue;
+    result[key] = typeof value === 'object' ? toOpenApiSchema(value) : value;
+  }
+  return result;
+}
+
+function openApiPath(path) {
+  return path.replace(/:(\w+)/g, '{$1}');
+}
+
+function pathParameterNames(path) {
+  return [...path.matchAll(/:(\w+)/g)].map(match => match[1]);
+}
+
+function buildOperation(route) {
+  const operation = {
+    operationId: `${route.method.toLowerCase()}${openApiPath(route.path).replace(/[^A-Za-z0-9]+(\w)?/g, (match, char) => (char || '').toUpperCase())}`,
+    summary: route.summary,
+    ...(route.description && { description: route.description }),
+    ...(route.tags.length > 0 && { tags: route.tags })
+  };
+
+  const parameters = pathParameterNames(route.path).map(name => ({
+    name,
+    in: 'path',
+    required: true,
+    description: PATH_PARAMETERS[name],
+    schema: { type: INTEGER_PARAMETERS.includes(name) ? 'integer' : 'string' }
+  }));
+
+  if (route.query) {
+    for (const [name, schema] of Object.entries(route.query.properties || {})) {
+      const { description, ...rest } = toOpenApiSchema(schema);
+      parameters.push({
+        name,
+        in: 'query',
+        required: (route.query.required || []).includes(name),
+        ...(description && { description }),
+        schema: rest,
+        ...(schema.type === 'array' && { style: 'form', explode: true })
+      });
+    }
+  }
+
+  // Every route takes and echoes X-Request-Id (see index.js)
+  operation.parameters = [...parameters, { $ref: '#/components/parameters/RequestId' }];
+
+  if (route.body) {
+    operation.requestBody = {
+      required: route.body.type === 'array' || (route.body.required || []).length > 0,
+      content: { [JSON_CONTENT]: { schema: toOpenApiSchema(route.body) } }
+    };
+  }
+
+  operation.responses = {};
+  for (const [status, response] of Object.entries(route.responses)) {
+    if (response.error) {
+      operation.responses[status] = errorResponse(response.description);
+      continue;
+    }
+
+    const contentType = response.contentType || JSON_CONTENT;
+    operation.responses[status] = {
+      description: response.description || 'Success',
+      ...(response.schema && { content: { [contentType]: { schema: toOpenApiSchema(response.schema) } } }),
+      ...(!response.schema && response.contentType && { content: { [contentType]: {} } })
+    };
+  }
+  if (Object.keys(operation.responses).length === 0) {
+    operation.responses[200] = { description: 'Success' };
+  }
+
+  if (route.body || route.query) {
+    operation.responses[400] = { $ref: '#/components/responses/ValidationFailed' };
+  }
+
+  if (route.body) {
+    operation.responses[413] = { $ref: '#/components/responses/PayloadTooLarge' };
+  }
+
+  if (route.rateLimited) {
+    operation.responses[429] = { $ref: '#/components/responses/TooManyRequests' };
+  }
+
+  if (route.auth && route.auth.scheme === 'agentKey') {
+    operation.security = [{ agentKey: [route.auth.scope] }, { agentKeyHeader: [route.auth.scope] }];
+    operation.responses[401] = { $ref: '#/components/responses/Unauthorized' };
+    operation.responses[403] = { $ref: '#/components/responses/Forbidden' };
+  } else if (route.auth && route.auth.scheme === 'adminKey') {
+    operation.security = [{ adminKey: [] }];
+    operation.responses[401] = { $ref: '#/components/responses/Unauthorized' };
+    operation.responses[503] = { $ref: '#/components/responses/AdminNotConfigured' };
+  } else if (route.auth && route.auth.scheme === 'metricsToken') {
+    operation.security = [{ metricsToken: [] }];
+    operation.responses[401] = { $ref: '#/components/responses/Unauthorized' };
+    operation.responses[503] = { $ref: '#/components/responses/MetricsNotConfigured' };
+  } else {
+    operation.security = [];
+  }
+
+  if (pathParameterNames(route.path).length > 0 && !operation.responses[404]) {
+    operation.responses[404] = { $ref: '#/components/responses/NotFound' };
+  }
+
+  operation.responses[500] = { $ref: '#/components/responses/InternalError' };
+
+  return operation;
+}
+
+function buildOpenApiDocument(app, { serverUrl } = {}) {
+  const paths = {};
+
+  for (const route of collectRoutes(app)) {
+    const path = openApiPath(route.path);
+    paths[path] = paths[path] || {};
+    paths[path][route.method.toLowerCase()] = buildOperation(route);
+  }
+
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: 'AstraSync API',
+      version: pkg.version,
+      description: pkg.description,
+      contact: { email: 'developers@astrasync.ai' },
+      license: { name: pkg.license, identifier: pkg.license }
+    },
+    servers: serverUrl ? [{ url: serverUrl }] : [],
+    paths,
+    components: {
+      securitySchemes: {
+        agentKey: {
+          type: 'http',
+          scheme: 'bearer',
+          description: 'Agent API key returned by POST /v1/register (as_live_...)'
+        },
+        agentKeyHeader: {
+          type: 'apiKey',
+          in: 'header',
+          name: 'X-API-Key',
+          description: 'Agent API key, as an alternative to the Authorization header'
+        },
+        adminKey: {
+          type: 'apiKey',
+          in: 'header',
+          name: 'X-Admin-Key',
+          description: 'Admin key configured with ADMIN_API_KEY'
+        },
+        metricsToken: {
+          type: 'http',
+          scheme: 'bearer',
+          description: 'Read-only metrics token configured with METRICS_TOKEN'
+        }
+      },
+      parameters: {
+        RequestId: {
+          name: 'X-Request-Id',
+          in: 'header',
+          required: false,
+          description: 'ID for this request in the server logs, audit log and error responses, echoed in the X-Request-Id response header. Up to 100 letters, digits and . _ : -; a UUID is generated when it is missing or invalid.',
+          schema: { type: 'string', pattern: '^[A-Za-z0-9._:-]{1,100}$' }
+        }
+      },
+      schemas: {
+        Error: errorSchema,
+        ValidationError: validationErrorSchema,
+        RateLimitError: rateLimitErrorSchema
+      },
+      responses: {
+        ValidationFailed: errorResponse('The request body or query string is invalid', 'ValidationError'),
+        Unauthorized: errorResponse('The API key is missing or invalid'),
+        Forbidden: errorResponse('The API key is not authorised for this agent or lacks the required scope'),
+        NotFound: errorResponse('The resource does not exist'),
+        AdminNotConfigured: errorResponse('ADMIN_API_KEY is not set on the server'),
+        MetricsNotConfigured: errorResponse('METRICS_TOKEN is not set on the server'),
+        PayloadTooLarge: errorResponse('The request body exceeds the size limit of this endpoint'),
+        TooManyRequests: {
+          ...errorResponse('Rate limit exceeded, or the source is temporarily blocked', 'RateLimitError'),
+          headers: {
+            'Retry-After': { description: 'Seconds until the request can be retried', schema: { type: 'integer' } }
+          }
+        },
+        InternalError: errorResponse('Unexpected server error')
+      }
+    }
+  };
+}
+
+const AUTH_HEADERS = {
+  agentKey: 'Authorization: Bearer <apiKey> (or X-API-Key) - API key returned by /v1/register',
+  adminKey: 'X-Admin-Key - Admin API key',
+  metricsToken: 'Authorization: Bearer <token> - Metrics token configured with METRICS_TOKEN'
+};
+
+// The compact endpoint listing served at /v1/docs
+function describeEndpoint(route) {
+  const parameters = pathParameterNames(route.path).map(name => `${name} - ${PATH_PARAMETERS[name]}`);
+
+  return {
+    method: route.method,
+    path: route.path,
+    description: route.description ? `${route.summary}. ${route.description}` : route.summary,
+    ...(parameters.length > 0 && { parameters }),
+    ...(route.query && { query: describeSchema(route.query) }),
+    ...(route.body && { body: describeSchema(route.body) }),
+    ...(route.auth && { headers: [AUTH_HEADERS[route.auth.scheme]] })
+  };
+}
+
+// Swagger UI page for the document at specUrl; assets are served from assetsPath
+function explorerHtml(specUrl, assetsPath) {
+  return `<!DOCTYPE html>
+<html lang="en">
+  <head>
+    <meta charset="UTF-8">
+    <title>AstraSync API Explorer</title>
+    <link rel="stylesheet" href="${assetsPath}/swagger-ui.css">
+  </head>
+  <body>
+    <div id="swagger-ui"></div>
+    <script src="${assetsPath}/swagger-ui-bundle.js"></script>
+    <script>
+      window.ui = SwaggerUIBundle({
+        url: ${JSON.stringify(specUrl)},
+        dom_id: '#swagger-ui',
+        deepLinking: true,
+        persistAuthorization: true
+      });
+    </script>
+  </body>
+</html>`;
+}
+
+module.exports = {
+  toOpenApiSchema,
+  describe,
+  collectRoutes,
+  describeEndpoint,
+  buildOpenApiDocument,
+  explorerHtml
+};
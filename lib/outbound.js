@@ -0,0 +1,151 @@
+// lib/outbound.js - HTTP requests to hosts chosen by users
+//
+// Webhook endpoints and owner domains are names anyone can point at any
+// address, including our own network (127.0.0.1, 10.0.0.0/8, the cloud
+// metadata service at 169.254.169.254 ...). request() resolves the host
+// itself, refuses non-public addresses and then connects to the address it
+// checked, so a second DNS answer can't send the request somewhere else.
+// Host header and TLS server name stay those of the URL.
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+
+// Loopback, private, link-local, unique-local, shared (CGNAT), multicast,
+// documentation and reserved ranges. IPv4-mapped IPv6 addresses
+// (::ffff:10.0.0.1) match the IPv4 ranges.
+const NON_PUBLIC_RANGES = [
+  ['0.0.0.0', 8, 'ipv4'],
+  ['10.0.0.0', 8, 'ipv4'],
+  ['100.64.0.0', 10, 'ipv4'],
+  ['127.0.0.0', 8, 'ipv4'],
+  ['169.254.0.0', 16, 'ipv4'],
+  ['172.16.0.0', 12, 'ipv4'],
+  ['192.0.0.0', 24, 'ipv4'],
+  ['192.0.2.0', 24, 'ipv4'],
+  ['192.168.0.0', 16, 'ipv4'],
+  ['198.18.0.0', 15, 'ipv4'],
+  ['198.51.100.0', 24, 'ipv4'],
+  ['203.0.113.0', 24, 'ipv4'],
+  ['224.0.0.0', 4, 'ipv4'],
+  ['240.0.0.0', 4, 'ipv4'],
+  ['::', 128, 'ipv6'],
+  ['::1', 128, 'ipv6'],
+  ['64:ff9b::', 96, 'ipv6'],
+  ['2001:db8::', 32, 'ipv6'],
+  ['fc00::', 7, 'ipv6'],
+  ['fe80::', 10, 'ipv6'],
+  ['ff00::', 8, 'ipv6']
+];
+
+const nonPublic = new net.BlockList();
+for (const [network, prefix, type] of NON_PUBLIC_RANGES) {
+  nonPublic.addSubnet(network, prefix, type);
+}
+
+// Thrown when a host resolves to an address we won't connect to
+class BlockedAddressError extends Error {
+  constructor(hostname) {
+    super(`${hostname} resolves to a non-public address`);
+    this.name = 'BlockedAddressError';
+    this.code = 'EADDRBLOCKED';
+  }
+}
+
+function isPublicAddress(address) {
+  const family = net.isIP(address);
+  if (!family) return false;
+  return !nonPublic.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+// The address to connect to for hostname: { address, family }. Rejects with a
+// BlockedAddressError when any of its addresses is non-public, unless
+// allowPrivateAddresses is set.
+async function resolveAddress(hostname, { allowPrivateAddresses = false, lookup = dns.promises.lookup } = {}) {
+  const host = hostname.replace(/^\[|\]$/g, '');
+  const addresses = net.isIP(host)
+    ? [{ address: host, family: net.isIP(host) }]
+    : await lookup(host, { all: true, verbatim: true });
+
+  if (addresses.length === 0) {
+    throw Object.assign(new Error(`${host} has no addresses`), { code: 'ENOTFOUND' });
+  }
+  if (!allowPrivateAddresses && !addresses.every(({ address }) => isPublicAddress(address))) {
+    throw new BlockedAddressError(host);
+  }
+
+  return addresses[0];
+}
+
+// Send an HTTP(S) request to a public host. Redirects are not followed.
+// Resolves to { status, headers, body } with at most maxBytes of the body
+// (as text; the rest is never read). Rejects with a TimeoutError when the
+// whole exchange takes longer than timeoutMs. `lookup` replaces
+// dns.promises.lookup, for tests.
+async function request(url, { method = 'GET', headers = {}, body, timeoutMs = 10000, maxBytes = 0, allowPrivateAddresses = false, lookup } = {}) {
+  const target = new URL(url);
+  const client = target.protocol === 'https:' ? https : target.protocol === 'http:' ? http : null;
+  if (!client) {
+    throw new Error(`Unsupported protocol: ${target.protocol}`);
+  }
+
+  const controller = new AbortController();
+  const timer = setTimeout(() => {
+    const error = new Error(`Timed out after ${timeoutMs}ms`);
+    error.name = 'TimeoutError';
+    controller.abort(error);
+  }, timeoutMs);
+
+  try {
+    const resolved = await Promise.race([
+      resolveAddress(target.hostname, { allowPrivateAddresses, lookup }),
+      new Promise((resolve, reject) => controller.signal.addEventListener('abort', () => reject(controller.signal.reason)))
+    ]);
+
+    return await new Promise((resolve, reject) => {
+      const req = client.request(target, {
+        method,
+        headers: body === undefined ? headers : { ...headers, 'Content-Length': Buffer.byteLength(body) },
+        signal: controller.signal,
+        // Connect to the checked address, whatever DNS says now
+        lookup: (hostname, options, callback) => options.all
+          ? callback(null, [resolved])
+          : callback(null, resolved.address, resolved.family)
+      }, response => {
+        const chunks = [];
+        let length = 0;
+
+        const finish = () => {
+          resolve({
+            status: response.statusCode,
+            headers: response.headers,
+            body: Buffer.concat(chunks).subarray(0, maxBytes).toString('utf8')
+          });
+          response.destroy();
+        };
+
+        if (maxBytes <= 0) return finish();
+
+        response.on('data', chunk => {
+          chunks.push(chunk);
+          length += chunk.length;
+          if (length >= maxBytes) finish();
+        });
+        response.on('end', finish);
+        response.on('error', reject);
+      });
+
+      req.on('error', error => reject(controller.signal.aborted ? controller.signal.reason : error));
+      req.end(body);
+    });
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+module.exports = {
+  BlockedAddressError,
+  isPublicAddress,
+  resolveAddress,
+  request
+};
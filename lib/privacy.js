@@ -0,0 +1,57 @@
+// lib/privacy.js - Personal data minimisation for logged events
+//
+// registration_attempts keeps what analytics needs, not what a request
+// contained: IP addresses are truncated, stack traces dropped and the email
+// address is also stored as a keyed hash, so analytics keep working once the
+// address itself is anonymised (see retention.js).
+const crypto = require('crypto');
+const { logger } = require('./logger');
+const { maskEmail, truncateIp } = require('./redact');
+
+// Email hashes are only comparable across deployments that share EMAIL_HASH_SECRET
+const EMAIL_HASH_SECRET = process.env.EMAIL_HASH_SECRET || '';
+if (!EMAIL_HASH_SECRET) {
+  logger.warn('EMAIL_HASH_SECRET is not set - email hashes in analytics are unkeyed SHA-256 and can be matched against known addresses');
+}
+
+// The only data fields an attempt keeps once it is anonymised
+const ANONYMOUS_ATTEMPT_FIELDS = ['error', 'errors', 'sessionId', 'requestId'];
+
+function normalizeEmail(email) {
+  return typeof email === 'string' && email.includes('@') ? email.trim().toLowerCase() : null;
+}
+
+// Keyed SHA-256 of the lower-cased address, or null for values that aren't one
+function hashEmail(email) {
+  const normalized = normalizeEmail(email);
+  if (!normalized) return null;
+  return crypto.createHmac('sha256', EMAIL_HASH_SECRET).update(normalized).digest('hex');
+}
+
+// What logAttempt stores in registration_attempts.data: no stack traces, a
+// truncated IP address, and no email address (it has its own column, which
+// retention.js anonymises), not even inside the request body
+function minimizeAttemptData(data) {
+  const { stack, email, ip, body, ...minimized } = data || {};
+
+  if (ip !== undefined) {
+    minimized.ip = truncateIp(ip);
+  }
+  if (body && typeof body === 'object' && !Array.isArray(body)) {
+    const { email: bodyEmail, ...bodyWithoutEmail } = body;
+    minimized.body = bodyWithoutEmail;
+  } else if (body !== undefined) {
+    minimized.body = body;
+  }
+
+  return minimized;
+}
+
+module.exports = {
+  ANONYMOUS_ATTEMPT_FIELDS,
+  normalizeEmail,
+  hashEmail,
+  maskEmail,
+  truncateIp,
+  minimizeAttemptData
+};
@@ -0,0 +1,282 @@
+// lib/rateLimit/index.js - Per-source rate limits and temporary blocks
+//
+// Each route group counts requests per source (client IP, API key or the email
+// address in the body) in fixed windows. A source that keeps going after being
+// limited is blocked for a while; admins can also block and unblock sources.
+// Counters and blocks live in the store selected with RATE_LIMIT_STORE.
+const { API_KEY_PREFIX, extractApiKey, hasAdminKey, hashApiKey } = require('../auth');
+const { createRateLimitStore } = require('./stores');
+const { logger } = require('../logger');
+
+const UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+// Limits per route group and source as "<max>/<window>". Override one with
+// RATE_LIMIT_<GROUP>_<SOURCE>, e.g. RATE_LIMIT_REGISTER_EMAIL=10/1h, or "off".
+const DEFAULT_LIMITS = {
+  api: { ip: '600/15m', apiKey: '600/15m' },
+  register: { ip: '20/1h', email: '5/1h' },
+  bulk: { ip: '10/1h' },
+  logAttempt: { ip: '120/1h', email: '30/1h' }
+};
+
+const SOURCE_LABELS = {
+  ip: 'IP address',
+  apiKey: 'API key',
+  email: 'email address'
+};
+
+const normalizeEmail = email => typeof email === 'string' && email.trim() ? email.trim().toLowerCase() : null;
+
+// How each source is identified in a request. API keys are hashed so plaintext
+// keys never reach the store.
+const SOURCES = {
+  ip: req => req.ip || null,
+  apiKey: req => {
+    const apiKey = extractApiKey(req);
+    return apiKey ? hashApiKey(apiKey) : null;
+  },
+  email: req => {
+    const body = req.body || {};
+    return normalizeEmail(body.email || (body.data && body.data.email));
+  }
+};
+
+// A source reaching this many times its limit in one window gets blocked
+const BLOCK_AFTER_LIMIT_MULTIPLE = 2;
+
+const SWEEP_INTERVAL_MS = 5 * 60 * 1000;
+
+const ENABLED = process.env.RATE_LIMIT_ENABLED !== 'false';
+const BLOCK_MINUTES = parseInt(process.env.RATE_LIMIT_BLOCK_MINUTES || '15');
+
+const envName = name => name.replace(/[A-Z]/g, char => `_${char}`).toUpperCase();
+
+// "20/1h" -> { max: 20, windowMs: 3600000, window: '1h' }; "off" -> null
+function parseLimit(value, name) {
+  if (value === 'off') return null;
+
+  const match = /^(\d+)\/(\d+)([smhd])$/.exec(value);
+  if (!match || parseInt(match[1]) < 1) {
+    throw new Error(`Invalid ${name}: ${value} (expected e.g. 20/1h, 100/15m or off)`);
+  }
+
+  return {
+    max: parseInt(match[1]),
+    windowMs: parseInt(match[2]) * UNITS[match[3]],
+    window: `${match[2]}${match[3]}`
+  };
+}
+
+function loadLimits(env) {
+  const limits = {};
+
+  for (const [group, sources] of Object.entries(DEFAULT_LIMITS)) {
+    limits[group] = [];
+    for (const [source, fallback] of Object.entries(sources)) {
+      const name = `RATE_LIMIT_${envName(group)}_${envName(source)}`;
+      const limit = parseLimit(env[name] || fallback, name);
+      if (limit) limits[group].push({ source, ...limit });
+    }
+  }
+
+  return limits;
+}
+
+const LIMITS = loadLimits(process.env);
+const store = createRateLimitStore();
+
+let nextSweepAt = Date.now() + SWEEP_INTERVAL_MS;
+
+// Sweeping piggybacks on traffic instead of running a timer
+function sweepIfDue() {
+  if (Date.now() < nextSweepAt) return;
+  nextSweepAt = Date.now() + SWEEP_INTERVAL_MS;
+  store.sweep().catch(error => logger.error('Rate limit sweep error', { error }));
+}
+
+// Blocks apply to a source across every route group
+function blockKey(source, value) {
+  return `${source}:${value}`;
+}
+
+function secondsUntil(date) {
+  return Math.max(1, Math.ceil((new Date(date).getTime() - Date.now()) / 1000));
+}
+
+function setLimitHeaders(res, { max, remaining, resetAt }) {
+  res.set({
+    'RateLimit-Limit': String(max),
+    'RateLimit-Remaining': String(remaining),
+    'RateLimit-Reset': String(secondsUntil(resetAt))
+  });
+}
+
+function tooManyRequests(res, retryAt, body) {
+  const retryAfter = secondsUntil(retryAt);
+  res.set('Retry-After', String(retryAfter));
+  res.status(429).json({ ...body, retryAfter });
+}
+
+// Count a request against a group's limits. values maps each source to its
+// value in the request; sources without one are skipped. Resolves to
+// { refused, tightest }: refused is set, with the 429 body and when to retry,
+// when the request must be turned away.
+async function consume(group, values) {
+  const sources = LIMITS[group]
+    .map(limit => ({ ...limit, value: values[limit.source] }))
+    .filter(limit => limit.value);
+
+  sweepIfDue();
+
+  for (const { source, value } of sources) {
+    const block = await store.findBlock(blockKey(source, value));
+    if (block) {
+      return {
+        refused: {
+          retryAt: block.until,
+          body: {
+            error: 'Temporarily blocked',
+            message: `Requests from this ${SOURCE_LABELS[source]} are blocked until ${new Date(block.until).toISOString()}`
+          }
+        }
+      };
+    }
+  }
+
+  let tightest = null;
+
+  for (const limit of sources) {
+    const { count, resetAt } = await store.hit(`${group}:${limit.source}:${limit.value}`, limit.windowMs);
+
+    if (count > limit.max) {
+      // Only when the count reaches the threshold, so an admin unblock isn't undone by the next request
+      if (BLOCK_MINUTES > 0 && count === limit.max * BLOCK_AFTER_LIMIT_MULTIPLE) {
+        await store.block({
+          key: blockKey(limit.source, limit.value),
+          reason: `Reached ${BLOCK_AFTER_LIMIT_MULTIPLE}x the ${group} limit of ${limit.max}/${limit.window}`,
+          until: new Date(Date.now() + BLOCK_MINUTES * 60 * 1000)
+        });
+        logger.warn('Source blocked', { source: limit.source, value: limit.source === 'apiKey' ? limit.value.slice(0, 12) : limit.value, minutes: BLOCK_MINUTES, group });
+      }
+
+      return {
+        refused: {
+          retryAt: resetAt,
+          limit: { max: limit.max, remaining: 0, resetAt },
+          body: {
+            error: 'Too many requests',
+            message: `Rate limit of ${limit.max} requests per ${limit.window} exceeded for this ${SOURCE_LABELS[limit.source]}`
+          }
+        }
+      };
+    }
+
+    const remaining = limit.max - count;
+    if (!tightest || remaining < tightest.remaining) {
+      tightest = { max: limit.max, remaining, resetAt };
+    }
+  }
+
+  return { refused: null, tightest };
+}
+
+function checkGroup(group) {
+  if (!LIMITS[group]) {
+    throw new Error(`Unknown rate limit group: ${group}`);
+  }
+}
+
+// Middleware: apply the limits of a route group
+function rateLimit(group) {
+  checkGroup(group);
+
+  const middleware = async (req, res, next) => {
+    // Admins are never limited, so they can always reach the unblock endpoint
+    if (!ENABLED || hasAdminKey(req)) return next();
+
+    const values = Object.fromEntries(LIMITS[group].map(limit => [limit.source, SOURCES[limit.source](req)]));
+
+    try {
+      const { refused, tightest } = await consume(group, values);
+
+      if (refused) {
+        if (refused.limit) setLimitHeaders(res, refused.limit);
+        return tooManyRequests(res, refused.retryAt, refused.body);
+      }
+
+      // When an app-level and a route-level group both apply, report the tighter one
+      const reported = res.get('RateLimit-Remaining');
+      if (tightest && (reported === undefined || tightest.remaining < parseInt(reported))) {
+        setLimitHeaders(res, tightest);
+      }
+      next();
+    } catch (error) {
+      // A broken store shouldn't take the API down with it
+      logger.error('Rate limit store error', { error });
+      next();
+    }
+  };
+
+  // Read by the OpenAPI generator
+  middleware.rateLimit = { group };
+  return middleware;
+}
+
+// The limits of a group for callers outside an Express route (the MCP tools).
+// values maps sources to their values, e.g. { ip, email }. Resolves to null
+// when the call may go ahead, or to the 429 body including retryAfter.
+async function checkRateLimit(group, values) {
+  checkGroup(group);
+  if (!ENABLED) return null;
+
+  try {
+    const { refused } = await consume(group, { ...values, email: normalizeEmail(values.email) });
+    return refused && { ...refused.body, retryAfter: secondsUntil(refused.retryAt) };
+  } catch (error) {
+    logger.error('Rate limit store error', { error });
+    return null;
+  }
+}
+
+// Admin blocks take the plaintext API key or its hash as shown in listBlocks()
+function sourceKey(source, value) {
+  if (source === 'email') return blockKey(source, value.trim().toLowerCase());
+  if (source === 'apiKey' && value.startsWith(API_KEY_PREFIX)) return blockKey(source, hashApiKey(value));
+  return blockKey(source, value);
+}
+
+function formatBlock(block) {
+  const separator = block.key.indexOf(':');
+
+  return {
+    source: block.key.slice(0, separator),
+    value: block.key.slice(separator + 1),
+    reason: block.reason,
+    blockedUntil: block.until,
+    createdAt: block.createdAt
+  };
+}
+
+async function blockSource({ source, value, minutes, reason }) {
+  return formatBlock(await store.block({
+    key: sourceKey(source, value),
+    reason: reason || null,
+    until: new Date(Date.now() + minutes * 60 * 1000)
+  }));
+}
+
+function unblockSource(source, value) {
+  return store.unblock(sourceKey(source, value));
+}
+
+async function listBlocks() {
+  return (await store.listBlocks()).map(formatBlock);
+}
+
+module.exports = {
+  rateLimit,
+  checkRateLimit,
+  blockSource,
+  unblockSource,
+  listBlocks
+};
@@ -0,0 +1,29 @@
+// lib/rateLimit/stores/index.js - Select the rate limit store from configuration
+//
+// A store is an object with:
+//   name
+//   hit(key, windowMs)             - count a request, resolves to { count, resetAt }
+//   block({ key, reason, until })  - block a source until the given date
+//   findBlock(key)                 - resolves to the active block { key, reason, until, createdAt } or null
+//   unblock(key)                   - resolves to true if an active block was removed
+//   listBlocks()                   - active blocks, newest first
+//   sweep()                        - drop expired counters and blocks
+const storage = require('../../db');
+const createMemoryStore = require('./memory');
+const createStorageStore = require('./storage');
+
+// RATE_LIMIT_STORE: memory | storage (default: memory)
+function createRateLimitStore(env = process.env) {
+  const name = env.RATE_LIMIT_STORE || 'memory';
+
+  switch (name) {
+    case 'memory':
+      return createMemoryStore();
+    case 'storage':
+      return createStorageStore(storage);
+    default:
+      throw new Error(`Unknown RATE_LIMIT_STORE: ${name}`);
+  }
+}
+
+module.exports = { createRateLimitStore };
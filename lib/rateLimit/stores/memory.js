@@ -0,0 +1,68 @@
+// lib/rateLimit/stores/memory.js - Counters and blocks held in this process
+//
+// Every API process counts on its own, so with several processes a source can
+// make up to that many times the limit. Use the storage store to share them.
+function createMemoryStore() {
+  const counters = new Map();
+  const blocks = new Map();
+
+  const activeBlock = key => {
+    const block = blocks.get(key);
+    return block && block.until > new Date() ? block : null;
+  };
+
+  return {
+    name: 'memory',
+
+    async hit(key, windowMs) {
+      const now = Date.now();
+      let counter = counters.get(key);
+
+      if (!counter || counter.resetAt <= now) {
+        counter = { count: 0, resetAt: now + windowMs };
+        counters.set(key, counter);
+      }
+      counter.count++;
+
+      return { count: counter.count, resetAt: new Date(counter.resetAt) };
+    },
+
+    async block({ key, reason, until }) {
+      const block = { key, reason, until: new Date(until), createdAt: new Date() };
+      blocks.set(key, block);
+      return { ...block };
+    },
+
+    async findBlock(key) {
+      const block = activeBlock(key);
+      return block ? { ...block } : null;
+    },
+
+    async unblock(key) {
+      const block = activeBlock(key);
+      blocks.delete(key);
+      return Boolean(block);
+    },
+
+    async listBlocks() {
+      return [...blocks.keys()]
+        .map(activeBlock)
+        .filter(Boolean)
+        .sort((a, b) => b.createdAt - a.createdAt)
+        .map(block => ({ ...block }));
+    },
+
+    // Drop expired counters and blocks
+    async sweep() {
+      const now = Date.now();
+      for (const [key, counter] of counters) {
+        if (counter.resetAt <= now) counters.delete(key);
+      }
+      for (const [key, block] of blocks) {
+        if (block.until <= now) blocks.delete(key);
+      }
+    }
+  };
+}
+
+module.exports = createMemoryStore;
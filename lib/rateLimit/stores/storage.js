@@ -0,0 +1,44 @@
+// lib/rateLimit/stores/storage.js - Counters and blocks in the storage backend
+//
+// With Postgres every API process shares the same counters and blocks.
+function formatBlock(row) {
+  return row && {
+    key: row.key,
+    reason: row.reason,
+    until: row.blocked_until,
+    createdAt: row.created_at
+  };
+}
+
+function createStorageStore(storage) {
+  return {
+    name: 'storage',
+
+    async hit(key, windowMs) {
+      const counter = await storage.rateLimits.hit(key, windowMs);
+      return { count: counter.count, resetAt: counter.reset_at };
+    },
+
+    async block({ key, reason, until }) {
+      return formatBlock(await storage.rateLimits.block({ key, reason, until }));
+    },
+
+    async findBlock(key) {
+      return formatBlock(await storage.rateLimits.findBlock(key));
+    },
+
+    unblock(key) {
+      return storage.rateLimits.unblock(key);
+    },
+
+    async listBlocks() {
+      return (await storage.rateLimits.listBlocks()).map(formatBlock);
+    },
+
+    sweep() {
+      return storage.rateLimits.purgeExpired();
+    }
+  };
+}
+
+module.exports = createStorageStore;
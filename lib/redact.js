@@ -0,0 +1,44 @@
+// lib/redact.js - Masking email and IP addresses
+//
+// Shared by privacy.js, for what is stored, and logger.js, for what is logged.
+const net = require('net');
+
+// a***@example.com, for listings that only need to tell addresses apart
+function maskEmail(email) {
+  if (typeof email !== 'string') return null;
+  const at = email.lastIndexOf('@');
+  if (at < 1) return '***';
+  return `${email[0]}***${email.slice(at)}`;
+}
+
+function expandIpv6(ip) {
+  const [head, tail = ''] = ip.split('::');
+  const headGroups = head ? head.split(':') : [];
+  const tailGroups = tail ? tail.split(':') : [];
+  const missing = ip.includes('::') ? 8 - headGroups.length - tailGroups.length : 0;
+  return [...headGroups, ...Array(missing).fill('0'), ...tailGroups];
+}
+
+// Drop the host part: IPv4 addresses keep their /24 network, IPv6 their /48.
+// Anything that isn't an IP address becomes null.
+function truncateIp(ip) {
+  if (typeof ip !== 'string') return null;
+
+  const mapped = ip.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) return `::ffff:${truncateIp(mapped[1])}`;
+
+  if (net.isIPv4(ip)) {
+    return ip.split('.').slice(0, 3).concat('0').join('.');
+  }
+  if (net.isIPv6(ip)) {
+    const network = expandIpv6(ip.split('%')[0]).slice(0, 3).map(group => parseInt(group, 16).toString(16));
+    while (network[network.length - 1] === '0') network.pop();
+    return `${network.join(':')}::`;
+  }
+  return null;
+}
+
+module.exports = {
+  maskEmail,
+  truncateIp
+};
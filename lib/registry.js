@@ -0,0 +1,586 @@
+// lib/registry.js - Registry operations shared by the REST routes and the MCP server
+//
+// Each operation validates and logs the same way whichever interface it is
+// called from. Callers pass who is asking (source, ip, userAgent) and the base
+// URL links in responses should point at.
+const { v4: uuidv4 } = require('uuid');
+const storage = require('./db');
+const { logger } = require('./logger');
+const { registrations } = require('./metrics');
+const { issueApiKey } = require('./auth');
+const { recordRevision } = require('./revisions');
+const { queueEmail } = require('./email/queue');
+const { emitAgentEvent } = require('./webhooks');
+const { collectSignals, computeTrustScore, recomputeTrustScore } = require('./trust');
+const { signToken } = require('./tokens');
+const { hashEmail, truncateIp, minimizeAttemptData } = require('./privacy');
+const { ValidationError, validate, validationErrorBody } = require('./validation');
+const schemas = require('./schemas');
+
+// How long an email verification link stays valid
+const EMAIL_VERIFICATION_TTL_SECONDS = 48 * 60 * 60;
+
+// Helper function to generate temp ID
+function generateTempId() {
+  const timestamp = Date.now();
+  const random = Math.random().toString(36).substring(2, 8).toUpperCase();
+  return `TEMP-${timestamp}-${random}`;
+}
+
+// Helper function to log attempts (guaranteed completion). data is minimised
+// first: see privacy.js for what is kept.
+async function logAttempt(eventType, email, agentName, source, data) {
+  try {
+    await storage.attempts.create({
+      eventType: eventType,
+      email: email || null,
+      emailHash: hashEmail(email),
+      agentName: agentName || null,
+      source: source || 'unknown',
+      data: minimizeAttemptData(data)
+    });
+    logger.info('Attempt logged', { eventType, email: email || null });
+    return true;
+  } catch (error) {
+    logger.error('Failed to log attempt', { eventType, error });
+    return false;
+  }
+}
+
+// Helper function to queue the email verification link for an agent
+async function queueEmailVerification(db, agentId, email, agentName) {
+  const expiresAt = new Date(Date.now() + EMAIL_VERIFICATION_TTL_SECONDS * 1000);
+  const token = signToken('verify_email', { agentId, email }, EMAIL_VERIFICATION_TTL_SECONDS);
+
+  await queueEmail(db, {
+    recipient: email,
+    subject: 'Confirm your email to activate your AstraSync agent',
+    template: 'email_verification',
+    data: {
+      agentId: agentId,
+      agentName: agentName,
+      token: token,
+      expiresAt: expiresAt.toISOString()
+    }
+  });
+
+  return expiresAt;
+}
+
+// Helper function to queue the summary email of a bulk registration, with one
+// link confirming all of the owner's agents from the batch
+async function queueBatchEmailVerification(db, batchId, email, { agents, failed }) {
+  const expiresAt = new Date(Date.now() + EMAIL_VERIFICATION_TTL_SECONDS * 1000);
+  const token = signToken('verify_email_batch', { batchId, email }, EMAIL_VERIFICATION_TTL_SECONDS);
+
+  await queueEmail(db, {
+    recipient: email,
+    subject: `Confirm your email to activate ${agents.length} AstraSync agent${agents.length === 1 ? '' : 's'}`,
+    template: 'bulk_registration',
+    data: {
+      batchId: batchId,
+      agents: agents,
+      failed: failed,
+      token: token,
+      expiresAt: expiresAt.toISOString()
+    }
+  });
+
+  return expiresAt;
+}
+
+// Mark an agent's email as confirmed inside the caller's transaction (the
+// agent row locked by it). Unconfirmed agents become active; a revoked agent
+// stays revoked. audit is passed to recordRevision. Resolves to the new status.
+async function confirmAgentEmail(tx, agent, audit) {
+  const status = agent.status === 'pending_email_verification' ? 'registered' : agent.status;
+  const now = new Date();
+
+  await tx.agents.update(agent.id, {
+    status: status,
+    email_verified_at: now,
+    updated_at: now,
+    blockchain_status: 'pending'
+  });
+
+  const changes = status !== agent.status ? { status: { from: agent.status, to: status } } : {};
+
+  await recordRevision(tx, {
+    agentId: agent.id,
+    action: 'email_verified',
+    status: status,
+    agentData: agent.agent_data,
+    changes: changes,
+    audit: audit
+  });
+
+  await recomputeTrustScore(tx, agent.id);
+
+  await emitAgentEvent(tx, 'agent.updated', agent.id, { changes: { ...changes, emailVerified: { from: false, to: true } } });
+
+  return status;
+}
+
+// Agent data, registration metadata and initial trust score for an agent
+// that passed schemas.register
+function prepareAgent(agent, { source, ip, userAgent, registrationMethod = 'api', batchId }) {
+  const timestamp = new Date();
+
+  // Prepare agent data
+  const agentData = {
+    name: agent.name,
+    description: agent.description || '',
+    owner: agent.owner,
+    ownerUrl: agent.ownerUrl || '',
+    capabilities: agent.capabilities || [],
+    version: agent.version
+  };
+
+  if (agent.metadata) {
+    agentData.metadata = agent.metadata;
+  }
+
+  if (agent.a2a) {
+    agentData.a2a = agent.a2a;
+  }
+
+  const metadata = {
+    registrationMethod: registrationMethod,
+    apiVersion: 'v1',
+    ip: truncateIp(ip),
+    userAgent: userAgent || 'unknown',
+    source: source,
+    ...(batchId && { batchId })
+  };
+
+  // Initial trust score: a brand new, unconfirmed agent
+  const trust = computeTrustScore(collectSignals({
+    agent_data: agentData,
+    status: 'pending_email_verification',
+    registered_at: timestamp
+  }));
+
+  return {
+    id: generateTempId(),
+    internalId: uuidv4(),
+    timestamp,
+    agentData,
+    metadata,
+    trust
+  };
+}
+
+// Insert a prepared agent with its first revision and owner API key, inside
+// the caller's transaction. Resolves to the plaintext API key.
+async function createAgent(tx, email, prepared, audit) {
+  // Insert agent
+  await tx.agents.create({
+    id: prepared.id,
+    internal_id: prepared.internalId,
+    email: email,
+    status: 'pending_email_verification',
+    blockchain_status: 'pending',
+    trust_score: prepared.trust.score,
+    trust_breakdown: prepared.trust.breakdown,
+    registered_at: prepared.timestamp,
+    agent_data: prepared.agentData,
+    metadata: prepared.metadata
+  });
+
+  // Record the initial revision
+  await recordRevision(tx, {
+    agentId: prepared.id,
+    action: 'registered',
+    status: 'pending_email_verification',
+    agentData: prepared.agentData,
+    audit: audit
+  });
+
+  // Issue the owner API key (only its hash is stored)
+  const apiKey = await issueApiKey(tx, prepared.id);
+
+  // Notify the owner's webhooks, if this email already has any
+  await emitAgentEvent(tx, 'agent.registered', prepared.id);
+
+  return apiKey;
+}
+
+// Registrations are unauthenticated: the audit log names the client by its X-Source
+function registrationAudit({ source, requestId }) {
+  return { actor: { type: 'public', id: source }, requestId };
+}
+
+// Register an agent from a /v1/register body. Every attempt is logged, also
+// the failed ones, with the client's sessionId if it sent one (see
+// analytics.js). Resolves to the response body; throws a ValidationError for
+// an invalid body.
+async function registerAgent(body, context) {
+  const { source, ip, userAgent, baseUrl, sessionId, requestId } = context;
+
+  // Extract data for logging
+  const email = body.email;
+  const agentName = body.agent?.name || body.name;
+
+  try {
+    // Log the attempt first (guaranteed to complete)
+    await logAttempt(
+      'registration_attempt',
+      email,
+      agentName,
+      source,
+      {
+        body: body,
+        headers: {
+          'user-agent': userAgent,
+          'x-source': source
+        },
+        ip: ip,
+        sessionId: sessionId,
+        requestId: requestId
+      }
+    );
+
+    // Validate the whole body at once so every invalid field is reported
+    let agent;
+    try {
+      ({ agent } = validate(schemas.register, body));
+    } catch (error) {
+      if (!(error instanceof ValidationError)) throw error;
+
+      // Log validation failure (wait for completion)
+      await logAttempt(
+        'registration_failed',
+        typeof email === 'string' && email ? email : 'invalid-email',
+        typeof agentName === 'string' ? agentName : 'missing-name',
+        source,
+        {
+          error: error.message,
+          errors: error.errors,
+          body: body,
+          sessionId: sessionId,
+          requestId: requestId
+        }
+      );
+      registrations.inc({ source, outcome: 'failed' });
+
+      throw error;
+    }
+
+    const prepared = prepareAgent(agent, context);
+
+    // Create the agent, its verification email, first revision and API key in one transaction
+    const { verificationExpiresAt, apiKey } = await storage.transaction(async tx => {
+      const apiKey = await createAgent(tx, email, prepared, registrationAudit(context));
+
+      // Queue the email verification link; the agent stays unconfirmed until it is opened
+      const verificationExpiresAt = await queueEmailVerification(tx, prepared.id, email, agent.name);
+
+      return { verificationExpiresAt, apiKey };
+    });
+
+    // Log successful registration (after commit to ensure it happened)
+    await logAttempt(
+      'registration_success',
+      email,
+      agent.name,
+      source,
+      {
+        agentId: prepared.id,
+        agent: prepared.agentData,
+        sessionId: sessionId,
+        requestId: requestId
+      }
+    );
+
+    registrations.inc({ source, outcome: 'success' });
+    logger.info('Agent registered', { agentId: prepared.id, name: agent.name, email });
+
+    return {
+      agentId: prepared.id,
+      status: 'pending_email_verification',
+      emailVerification: {
+        status: 'pending',
+        message: `A confirmation link has been sent to ${email}. The agent is activated once the link is opened.`,
+        expiresAt: verificationExpiresAt.toISOString()
+      },
+      blockchain: {
+        status: 'pending',
+        message: 'Blockchain registration queued. You will be notified upon completion.'
+      },
+      trustScore: prepared.trust.score,
+      apiKey: apiKey,
+      apiKeyNotice: 'Store this API key securely. It is required to manage this agent and will not be shown again.',
+      message: 'Agent registered successfully. Confirm your email address to activate it. Your agent has been assigned a temporary ID and will be queued for blockchain verification. Create an account at https://www.astrasync.ai/alphaSignup to manage your agent credentials.',
+      links: {
+        verify: `${baseUrl}/v1/verify/${prepared.id}`,
+        dashboard: 'https://astrasync.ai',
+        createAccount: 'https://www.astrasync.ai/alphaSignup',
+        profileUrl: `${baseUrl}/profile/${prepared.id}`
+      },
+      registeredAt: prepared.timestamp.toISOString()
+    };
+  } catch (error) {
+    if (error instanceof ValidationError) throw error;
+
+    // Log the error (guaranteed completion)
+    await logAttempt(
+      'registration_error',
+      email || 'unknown',
+      agentName || 'unknown',
+      source,
+      {
+        error: error.message,
+        body: body,
+        requestId: requestId
+      }
+    );
+    registrations.inc({ source, outcome: 'error' });
+
+    throw error;
+  }
+}
+
+// Register several agents at once from /v1/register bodies. Items are
+// validated one by one: invalid ones are reported and skipped, the valid ones
+// are created together in one transaction. Instead of a verification email
+// per agent, each owner email gets one summary with a link confirming all of
+// its agents from the batch. items may contain ValidationErrors for entries
+// that couldn't be parsed. Resolves to the response body.
+async function registerAgents(items, context) {
+  const { source, ip, userAgent, baseUrl, requestId } = context;
+  const batchId = `bulk_${uuidv4().replace(/-/g, '')}`;
+  const results = [];
+  const accepted = [];
+
+  for (const [index, body] of items.entries()) {
+    const email = body?.email;
+    const agentName = body?.agent?.name;
+
+    await logAttempt(
+      'registration_attempt',
+      email,
+      agentName,
+      source,
+      {
+        body: body instanceof ValidationError ? null : body,
+        headers: {
+          'user-agent': userAgent,
+          'x-source': source
+        },
+        ip: ip,
+        batchId: batchId,
+        index: index,
+        requestId: requestId
+      }
+    );
+
+    try {
+      if (body instanceof ValidationError) throw body;
+
+      const { agent } = validate(schemas.register, body);
+      accepted.push({ index, email, prepared: prepareAgent(agent, { ...context, registrationMethod: 'bulk', batchId }) });
+    } catch (error) {
+      if (!(error instanceof ValidationError)) throw error;
+
+      await logAttempt(
+        'registration_failed',
+        typeof email === 'string' && email ? email : 'invalid-email',
+        typeof agentName === 'string' ? agentName : 'missing-name',
+        source,
+        {
+          error: error.message,
+          errors: error.errors,
+          batchId: batchId,
+          index: index,
+          requestId: requestId
+        }
+      );
+
+      registrations.inc({ source, outcome: 'failed' });
+      results[index] = { index, status: 'failed', ...validationErrorBody(error) };
+    }
+  }
+
+  // One summary email per owner address, case-insensitively
+  const owners = new Map();
+  for (const item of accepted) {
+    const key = item.email.toLowerCase();
+    if (!owners.has(key)) owners.set(key, { email: item.email, agents: [] });
+    owners.get(key).agents.push(item);
+  }
+
+  let emailVerification;
+  try {
+    emailVerification = await storage.transaction(async tx => {
+      for (const item of accepted) {
+        item.apiKey = await createAgent(tx, item.email, item.prepared, registrationAudit(context));
+      }
+
+      const summaries = [];
+      for (const owner of owners.values()) {
+        const expiresAt = await queueBatchEmailVerification(tx, batchId, owner.email, {
+          agents: owner.agents.map(item => ({ agentId: item.prepared.id, agentName: item.prepared.agentData.name })),
+          failed: items.length - accepted.length
+        });
+        summaries.push({ email: owner.email, agents: owner.agents.length, expiresAt: expiresAt.toISOString() });
+      }
+      return summaries;
+    });
+  } catch (error) {
+    await logAttempt(
+      'registration_error',
+      accepted[0]?.email || 'unknown',
+      'bulk',
+      source,
+      {
+        error: error.message,
+        batchId: batchId,
+        agents: accepted.length,
+        requestId: requestId
+      }
+    );
+    registrations.inc({ source, outcome: 'error' }, accepted.length);
+    throw error;
+  }
+
+  for (const item of accepted) {
+    await logAttempt(
+      'registration_success',
+      item.email,
+      item.prepared.agentData.name,
+      source,
+      {
+        agentId: item.prepared.id,
+        agent: item.prepared.agentData,
+        batchId: batchId,
+        index: item.index,
+        requestId: requestId
+      }
+    );
+
+    registrations.inc({ source, outcome: 'success' });
+
+    results[item.index] = {
+      index: item.index,
+      status: 'registered',
+      agentId: item.prepared.id,
+      agentStatus: 'pending_email_verification',
+      trustScore: item.prepared.trust.score,
+      apiKey: item.apiKey,
+      links: {
+        verify: `${baseUrl}/v1/verify/${item.prepared.id}`,
+        profileUrl: `${baseUrl}/profile/${item.prepared.id}`
+      }
+    };
+  }
+
+  logger.info('Bulk registration', { batchId, registered: accepted.length, failed: items.length - accepted.length });
+
+  return {
+    batchId,
+    registered: accepted.length,
+    failed: items.length - accepted.length,
+    results,
+    emailVerification,
+    apiKeyNotice: accepted.length > 0
+      ? 'Store these API keys securely. Each is required to manage its agent and will not be shown again.'
+      : undefined,
+    registeredAt: new Date().toISOString()
+  };
+}
+
+// The public verification record of an agent, or null when there is none.
+// Pass requestedId when agentId was resolved from a former ID.
+async function verifyAgent(agentId, { source, requestedId, requestId }) {
+  // Log verification attempt
+  await logAttempt(
+    'verification_attempt',
+    null,
+    null,
+    source,
+    { agentId, requestedId: requestedId || agentId, requestId }
+  );
+
+  const agent = await storage.agents.findById(agentId);
+
+  if (!agent) return null;
+
+  const revoked = agent.status === 'revoked';
+  const deprecated = agent.status === 'deprecated';
+  const unconfirmed = agent.status === 'pending_email_verification';
+
+  let message = 'Agent verified successfully';
+  if (unconfirmed) {
+    message = 'This agent is unconfirmed: its registration email address has not been verified yet.';
+  } else if (revoked) {
+    message = 'This agent has been revoked by its owner and should no longer be trusted.';
+  } else if (deprecated) {
+    message = 'This agent has been deprecated by its owner. It remains registered but is no longer maintained.';
+  } else if (agent.id.startsWith('TEMP')) {
+    message = 'This agent is registered with a temporary ID. Create an account at https://www.astrasync.ai/alphaSignup to manage your agent credentials.';
+  }
+
+  // Public information only
+  return {
+    agentId: agent.id,
+    ...(requestedId && { requestedId }),
+    status: agent.status,
+    blockchain: {
+      status: agent.blockchain_status,
+      message: agent.blockchain_status === 'anchored'
+        ? 'Agent record anchored. Check the proof offline by hashing the record into the leaf and following the proof to the Merkle root.'
+        : 'Agent record queued for anchoring',
+      anchoredAt: agent.anchored_at,
+      proof: agent.blockchain_status === 'anchored' ? agent.anchor_proof : null
+    },
+    trustScore: agent.trust_score,
+    trustBreakdown: agent.trust_breakdown,
+    agent: {
+      name: agent.agent_data.name,
+      owner: agent.agent_data.owner,
+      version: agent.agent_data.version
+    },
+    registeredAt: agent.registered_at,
+    updatedAt: agent.updated_at,
+    verified: !revoked && !unconfirmed,
+    emailVerified: !!agent.email_verified_at,
+    domainVerification: {
+      verified: !!agent.domain_verified_at,
+      domain: agent.verified_domain,
+      verifiedAt: agent.domain_verified_at
+    },
+    revoked: revoked,
+    deprecated: deprecated,
+    message: message
+  };
+}
+
+// Full agent record, as shown to the agent's owner
+function formatAgentDetails(agent) {
+  return {
+    id: agent.id,
+    internalId: agent.internal_id,
+    email: agent.email,
+    status: agent.status,
+    blockchainStatus: agent.blockchain_status,
+    trustScore: agent.trust_score,
+    trustBreakdown: agent.trust_breakdown,
+    registeredAt: agent.registered_at,
+    updatedAt: agent.updated_at,
+    emailVerifiedAt: agent.email_verified_at,
+    verifiedDomain: agent.verified_domain,
+    domainVerifiedAt: agent.domain_verified_at,
+    agent: agent.agent_data,
+    metadata: agent.metadata
+  };
+}
+
+module.exports = {
+  logAttempt,
+  queueEmailVerification,
+  confirmAgentEmail,
+  registerAgent,
+  registerAgents,
+  verifyAgent,
+  formatAgentDetails
+};
@@ -0,0 +1,183 @@
+// lib/retention.js - Retention purge and data-subject erasure
+//
+// Logged events keep personal data only for a limited time. The purge runs
+// hourly in three steps, each disabled by setting its period to 0:
+//   ATTEMPT_PII_RETENTION_DAYS (30)  - registration attempts lose their email
+//                                      address and every data field but a few
+//                                      (see privacy.js); email_hash stays
+//   ATTEMPT_RETENTION_DAYS (365)     - registration attempts are deleted
+//   EMAIL_RETENTION_DAYS (30)        - sent and dead emails are deleted
+// Erasure removes or anonymises everything tied to one email address at once.
+const crypto = require('crypto');
+const storage = require('./db');
+const { logger } = require('./logger');
+const { recordRevision } = require('./revisions');
+const { recomputeTrustScore } = require('./trust');
+const { unblockSource } = require('./rateLimit');
+const { ANONYMOUS_ATTEMPT_FIELDS, normalizeEmail, hashEmail } = require('./privacy');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+// Agent fields that describe the owner, removed from past revisions on erasure
+const OWNER_AGENT_FIELDS = ['owner', 'ownerUrl', 'metadata'];
+
+function retentionDays(name, fallback) {
+  const days = parseInt(process.env[name]);
+  return Number.isNaN(days) ? fallback : days;
+}
+
+const RETENTION = {
+  attemptPiiDays: retentionDays('ATTEMPT_PII_RETENTION_DAYS', 30),
+  attemptDays: retentionDays('ATTEMPT_RETENTION_DAYS', 365),
+  emailDays: retentionDays('EMAIL_RETENTION_DAYS', 30)
+};
+
+const daysAgo = days => new Date(Date.now() - days * DAY_MS);
+
+// Apply the retention periods once. Resolves to the number of rows per step.
+async function purgeExpiredData() {
+  const purged = { attemptsAnonymized: 0, attemptsDeleted: 0, emailsDeleted: 0 };
+
+  if (RETENTION.attemptPiiDays > 0) {
+    purged.attemptsAnonymized = await storage.attempts.anonymizeBefore(daysAgo(RETENTION.attemptPiiDays), ANONYMOUS_ATTEMPT_FIELDS);
+  }
+  if (RETENTION.attemptDays > 0) {
+    purged.attemptsDeleted = await storage.attempts.deleteBefore(daysAgo(RETENTION.attemptDays));
+  }
+  if (RETENTION.emailDays > 0) {
+    purged.emailsDeleted = await storage.emailQueue.deleteFinishedBefore(daysAgo(RETENTION.emailDays));
+  }
+
+  return purged;
+}
+
+async function runPurge() {
+  try {
+    const purged = await purgeExpiredData();
+
+    if (Object.values(purged).some(count => count > 0)) {
+      logger.info('Retention purge', purged);
+    }
+  } catch (error) {
+    logger.error('Retention purge error', { error });
+  }
+}
+
+// Erase an email address (GDPR article 17). Its agents stay in the registry,
+// since relying parties may still look them up, but are revoked, lose the
+// address, IP address and user agent, and their API keys stop working. Their
+// past revisions lose the fields describing the owner, so only the values the
+// registry still publishes remain. Its webhooks, queued emails and admin
+// blocks are deleted and its registration attempts anonymised.
+//
+// The audit log is left as it is: rewriting an entry would break the hash
+// chain for every entry after it. Its entries hold no email or IP address
+// (see audit.js), only agent IDs and the agent fields that changed.
+//
+// audit is passed to recordRevision. Resolves to an audit record that names
+// the address only by its hash.
+async function eraseDataSubject(email, { reason, audit } = {}) {
+  const subject = normalizeEmail(email);
+  const emailHash = hashEmail(subject);
+  const requestedAt = new Date();
+
+  // The column is NOT NULL; .invalid addresses can never receive mail
+  const placeholder = `erased-${crypto.randomUUID()}@erased.invalid`;
+
+  const counts = await storage.transaction(async tx => {
+    const agents = await tx.agents.listByOwnerEmail(subject);
+    let apiKeysRevoked = 0;
+    let revisionsScrubbed = 0;
+
+    for (const agent of agents) {
+      const { ip, userAgent, ...metadata } = agent.metadata || {};
+      const status = 'revoked';
+
+      await tx.agents.update(agent.id, {
+        email: placeholder,
+        metadata: metadata,
+        status: status,
+        updated_at: new Date(),
+        blockchain_status: 'pending'
+      });
+
+      revisionsScrubbed += await tx.revisions.eraseFields(agent.id, OWNER_AGENT_FIELDS);
+      await recordRevision(tx, {
+        agentId: agent.id,
+        action: 'erased',
+        status: status,
+        agentData: agent.agent_data,
+        changes: agent.status !== status ? { status: { from: agent.status, to: status } } : {},
+        reason: reason || 'Owner data erased',
+        audit: audit
+      });
+
+      await recomputeTrustScore(tx, agent.id);
+      apiKeysRevoked += await tx.apiKeys.revokeForAgent(agent.id);
+    }
+
+    // Webhooks are keyed by the lower-cased address; deliveries go with them
+    const webhooks = await tx.webhooks.listForOwner(subject);
+    for (const webhook of webhooks) {
+      await tx.webhooks.delete(webhook.id);
+    }
+
+    return {
+      agents: agents.map(agent => agent.id),
+      apiKeysRevoked,
+      revisionsScrubbed,
+      webhooksDeleted: webhooks.length,
+      emailsDeleted: await tx.emailQueue.deleteForRecipient(subject),
+      attemptsAnonymized: await tx.attempts.eraseForEmail(subject, emailHash, ANONYMOUS_ATTEMPT_FIELDS)
+    };
+  });
+
+  // Blocks live in the rate limit store, which may not be the database
+  const blocksRemoved = await unblockSource('email', subject) ? 1 : 0;
+
+  const record = {
+    erasureId: `era_${crypto.randomUUID().replace(/-/g, '')}`,
+    subject: { emailHash },
+    reason: reason || null,
+    requestedAt: requestedAt.toISOString(),
+    completedAt: new Date().toISOString(),
+    agents: counts.agents,
+    counts: {
+      agentsAnonymized: counts.agents.length,
+      apiKeysRevoked: counts.apiKeysRevoked,
+      revisionsScrubbed: counts.revisionsScrubbed,
+      webhooksDeleted: counts.webhooksDeleted,
+      emailsDeleted: counts.emailsDeleted,
+      attemptsAnonymized: counts.attemptsAnonymized,
+      blocksRemoved
+    }
+  };
+
+  logger.info('Data subject erased', { erasureId: record.erasureId, emailHash: emailHash.slice(0, 12), ...record.counts });
+
+  return record;
+}
+
+let timer = null;
+
+function startRetentionPurge() {
+  if (timer) return;
+  timer = setInterval(runPurge, PURGE_INTERVAL_MS);
+  runPurge();
+}
+
+function stopRetentionPurge() {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+}
+
+module.exports = {
+  RETENTION,
+  purgeExpiredData,
+  eraseDataSubject,
+  startRetentionPurge,
+  stopRetentionPurge
+};
@@ -0,0 +1,61 @@
+// lib/revisions.js - Agent revision history
+const storage = require('./db');
+const { recordAudit } = require('./audit');
+
+// Fields an owner may change after registration
+const UPDATABLE_FIELDS = ['name', 'description', 'owner', 'ownerUrl', 'capabilities', 'version', 'metadata', 'a2a'];
+
+// Build a { field: { from, to } } map of the fields that actually changed
+function diffAgentData(before, after) {
+  const changes = {};
+
+  for (const field of Object.keys({ ...before, ...after })) {
+    if (JSON.stringify(before[field]) !== JSON.stringify(after[field])) {
+      changes[field] = { from: before[field], to: after[field] };
+    }
+  }
+
+  return changes;
+}
+
+// Append a revision and its audit log entry. Pass the transaction so both
+// commit (or roll back) together with the change they describe. audit is
+// { actor, requestId } (see audit.js).
+async function recordRevision(db, { agentId, action, status, agentData, changes, reason, audit = {} }) {
+  const revision = await db.revisions.create({ agentId, action, status, agentData, changes, reason });
+
+  await recordAudit(db, {
+    ...audit,
+    action: action,
+    agentId: agentId,
+    // A new agent's diff is its whole initial state
+    changes: action === 'registered'
+      ? Object.fromEntries(Object.entries({ ...agentData, status }).map(([field, value]) => [field, { from: null, to: value }]))
+      : changes,
+    reason: reason
+  });
+
+  return revision;
+}
+
+// Full revision history for an agent, oldest first
+async function getHistory(agentId) {
+  const rows = await storage.revisions.listForAgent(agentId);
+
+  return rows.map(row => ({
+    revision: row.revision,
+    action: row.action,
+    status: row.status,
+    agent: row.agent_data,
+    changes: row.changes,
+    reason: row.reason,
+    createdAt: row.created_at
+  }));
+}
+
+module.exports = {
+  UPDATABLE_FIELDS,
+  diffAgentData,
+  recordRevision,
+  getHistory
+};
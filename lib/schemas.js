@@ -0,0 +1,940 @@
+// lib/schemas.js - Request and response schemas
+//
+// The request schemas are the single source of truth for what the API
+// accepts: routes validate against them, and /v1/docs and /v1/openapi.json
+// are generated from them. The response schemas only document what routes
+// return.
+const { UPDATABLE_FIELDS } = require('./revisions');
+const { WEBHOOK_EVENTS } = require('./webhooks');
+const { A2A_TRANSPORTS, A2A_CAPABILITIES, A2A_SECURITY_SCHEME_TYPES } = require('./agentCard');
+const { THEMES } = require('./views/layout');
+const { MAX_RANGE_DAYS, INTERVALS, COHORT_INTERVALS, DEFAULT_FUNNEL_STAGES } = require('./analytics');
+const { ACTOR_TYPES } = require('./audit');
+
+const NOT_BLANK = { pattern: '\\S', patternMessage: 'must not be blank' };
+
+const agentName = { type: 'string', minLength: 1, maxLength: 255, ...NOT_BLANK, description: 'Agent name' };
+const agentOwner = { type: 'string', minLength: 1, maxLength: 255, ...NOT_BLANK, description: 'Organization or individual owning the agent' };
+
+const mediaTypes = description => ({
+  type: 'array',
+  maxItems: 20,
+  uniqueItems: true,
+  items: { type: 'string', maxLength: 100, pattern: '^[\\w.+-]+/[\\w.+*-]+$', patternMessage: 'must be a media type such as text/plain' },
+  description
+});
+
+const a2aSkill = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['id', 'name'],
+  properties: {
+    id: { type: 'string', minLength: 1, maxLength: 100, ...NOT_BLANK, description: 'Unique skill identifier' },
+    name: { type: 'string', minLength: 1, maxLength: 255, ...NOT_BLANK, description: 'Skill name' },
+    description: { type: 'string', maxLength: 2000 },
+    tags: { type: 'array', maxItems: 20, uniqueItems: true, items: { type: 'string', minLength: 1, maxLength: 100 } },
+    examples: { type: 'array', maxItems: 10, items: { type: 'string', minLength: 1, maxLength: 500 } },
+    inputModes: mediaTypes('Overrides defaultInputModes for this skill'),
+    outputModes: mediaTypes('Overrides defaultOutputModes for this skill')
+  }
+};
+
+// OpenAPI-style security scheme; which fields apply depends on type
+const a2aSecurityScheme = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['type'],
+  properties: {
+    type: { type: 'string', enum: A2A_SECURITY_SCHEME_TYPES },
+    description: { type: 'string', maxLength: 500 },
+    name: { type: 'string', maxLength: 255, description: 'apiKey: header, query or cookie name' },
+    in: { type: 'string', enum: ['query', 'header', 'cookie'], description: 'apiKey: where the key is sent' },
+    scheme: { type: 'string', maxLength: 50, description: 'http: e.g. bearer or basic' },
+    bearerFormat: { type: 'string', maxLength: 50 },
+    openIdConnectUrl: { type: 'string', format: 'uri', maxLength: 2048 },
+    flows: { type: 'object', maxProperties: 4, description: 'oauth2: OAuth flows as in OpenAPI' }
+  }
+};
+
+const a2aFields = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    url: { type: 'string', format: 'uri', maxLength: 2048, description: 'Endpoint A2A clients send requests to' },
+    preferredTransport: { type: 'string', enum: A2A_TRANSPORTS, description: 'Transport at url (default: JSONRPC)' },
+    capabilities: {
+      type: 'object',
+      additionalProperties: false,
+      properties: Object.fromEntries(A2A_CAPABILITIES.map(name => [name, { type: 'boolean' }]))
+    },
+    skills: { type: 'array', maxItems: 50, items: a2aSkill },
+    securitySchemes: {
+      type: 'object',
+      maxProperties: 10,
+      additionalProperties: a2aSecurityScheme,
+      description: 'Security schemes by name'
+    },
+    security: {
+      type: 'array',
+      maxItems: 10,
+      items: { type: 'object', additionalProperties: { type: 'array', maxItems: 20, items: { type: 'string', maxLength: 100 } } },
+      description: 'Alternative requirements, e.g. [{ "bearer": [] }]'
+    },
+    defaultInputModes: mediaTypes('Media types the agent accepts (default: ["text/plain"])'),
+    defaultOutputModes: mediaTypes('Media types the agent produces (default: ["text/plain"])'),
+    documentationUrl: { type: 'string', format: 'uri', maxLength: 2048 },
+    iconUrl: { type: 'string', format: 'uri', maxLength: 2048 }
+  },
+  description: 'A2A Agent Card fields, served at /v1/agent/:agentId/card'
+};
+
+const agentFields = {
+  name: agentName,
+  description: { type: 'string', maxLength: 2000, description: 'What the agent does' },
+  owner: agentOwner,
+  ownerUrl: { type: 'string', format: 'uri', maxLength: 2048, description: 'Owner website (http or https). Its domain can be verified' },
+  capabilities: {
+    type: 'array',
+    maxItems: 50,
+    uniqueItems: true,
+    items: { type: 'string', minLength: 1, maxLength: 100, ...NOT_BLANK },
+    description: 'Capability names, e.g. ["payments", "search"]'
+  },
+  version: { type: 'string', format: 'semver', maxLength: 64, description: 'Semantic version of the agent' },
+  metadata: {
+    type: 'object',
+    maxProperties: 50,
+    description: 'Free-form key/value data stored with the agent'
+  },
+  a2a: a2aFields
+};
+
+const reason = { type: 'string', maxLength: 500, description: 'Reason recorded in the revision history' };
+
+// Agent statuses visible outside the owner's own routes
+const PUBLIC_STATUSES = ['registered', 'revoked', 'deprecated'];
+
+function limitQuery(defaultLimit, maximum) {
+  return {
+    type: 'object',
+    additionalProperties: false,
+    properties: {
+      limit: { type: 'integer', minimum: 1, maximum, default: defaultLimit, description: 'Number of results to return' }
+    }
+  };
+}
+
+const register = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['email', 'agent'],
+  properties: {
+    email: { type: 'string', format: 'email', maxLength: 255, description: 'Owner email for notifications; must be verified to activate the agent' },
+    agent: {
+      type: 'object',
+      additionalProperties: false,
+      required: ['name', 'owner'],
+      properties: {
+        ...agentFields,
+        version: { ...agentFields.version, default: '1.0.0' }
+      }
+    }
+  }
+};
+
+const updateAgent = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['agent'],
+  properties: {
+    agent: {
+      type: 'object',
+      additionalProperties: false,
+      properties: Object.fromEntries(UPDATABLE_FIELDS.map(field => [field, agentFields[field]])),
+      description: 'Fields to change'
+    },
+    reason
+  }
+};
+
+const deleteAgent = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    status: { type: 'string', enum: ['revoked', 'deprecated'], description: 'Status to move the agent to (default: revoked)' },
+    reason
+  }
+};
+
+// Kept open: callers such as the MCP bridge send extra fields, and logging must never fail their flow
+const logAttempt = {
+  type: 'object',
+  properties: {
+    event: { type: 'string', minLength: 1, maxLength: 50, description: 'Event type, e.g. registration_attempt' },
+    data: { type: 'object', description: 'Event details (email, agentName, source, ...)' }
+  }
+};
+
+const eraseDataSubject = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['email'],
+  properties: {
+    email: { type: 'string', format: 'email', maxLength: 255, description: 'Email address to erase (case-insensitive)' },
+    reason: { type: 'string', maxLength: 500, description: 'Why, e.g. the request reference. Kept in the audit record and agent histories' }
+  }
+};
+
+// Sources that rate limits count and admins can block
+const BLOCK_SOURCES = ['ip', 'email', 'apiKey'];
+
+const blockSource = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['source', 'value'],
+  properties: {
+    source: { type: 'string', enum: BLOCK_SOURCES, description: 'What to block' },
+    value: { type: 'string', minLength: 1, maxLength: 255, ...NOT_BLANK, description: 'IP address, email address, or API key (plaintext or the hash listed by GET /v1/admin/blocks)' },
+    minutes: { type: 'integer', minimum: 1, maximum: 10080, default: 60, description: 'Block duration (at most 7 days)' },
+    reason: { type: 'string', maxLength: 500, description: 'Why the source is blocked' }
+  }
+};
+
+const createWebhook = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['url'],
+  properties: {
+    url: { type: 'string', format: 'uri', maxLength: 2048, description: 'Endpoint that receives the events (https, public host)' },
+    events: {
+      type: 'array',
+      minItems: 1,
+      uniqueItems: true,
+      items: { type: 'string', enum: WEBHOOK_EVENTS },
+      default: WEBHOOK_EVENTS,
+      description: 'Events to send (default: all)'
+    },
+    description: { type: 'string', maxLength: 500, description: 'Note for your own reference' }
+  }
+};
+
+const WEBHOOK_DELIVERY_STATUSES = ['pending', 'delivering', 'delivered', 'failed'];
+
+const webhookDeliveriesQuery = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    status: { type: 'string', enum: WEBHOOK_DELIVERY_STATUSES, description: 'Only deliveries with this status' },
+    limit: { type: 'integer', minimum: 1, maximum: 100, default: 20, description: 'Number of results to return' }
+  }
+};
+
+const credentialQuery = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    format: { type: 'string', enum: ['jwt', 'vc'], default: 'jwt', description: 'jwt for a compact JWS, vc for a W3C Verifiable Credential' }
+  }
+};
+
+const profileQuery = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    theme: { type: 'string', enum: THEMES, default: 'auto', description: 'light, dark, or auto to follow the visitor\'s system setting' }
+  }
+};
+
+const exportQuery = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    format: { type: 'string', enum: ['json', 'csv'], default: 'json', description: 'json, or csv for spreadsheets' }
+  }
+};
+
+// Shared by the /v1/admin/analytics queries
+const analyticsFilters = {
+  from: { type: 'string', format: 'date-time', description: 'Events at or after this ISO 8601 date (default: 30 days before to)' },
+  to: { type: 'string', format: 'date-time', description: `Events before this ISO 8601 date (default: now). At most ${MAX_RANGE_DAYS} days after from` },
+  source: { type: 'string', maxLength: 255, description: 'Only events from this source (x-source of the caller, e.g. mcp)' }
+};
+
+const eventType = { type: 'string', minLength: 1, maxLength: 50 };
+
+const analyticsSeriesQuery = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    interval: { type: 'string', enum: INTERVALS, default: 'day', description: 'Bucket size; buckets are UTC and weeks start on Monday' },
+    eventType: { type: 'array', maxItems: 20, items: eventType, description: 'Event types to count (default: all)' },
+    ...analyticsFilters
+  }
+};
+
+const analyticsFunnelQuery = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    stages: {
+      type: 'array',
+      minItems: 2,
+      maxItems: 10,
+      uniqueItems: true,
+      items: eventType,
+      default: DEFAULT_FUNNEL_STAGES,
+      description: 'Event types in funnel order'
+    },
+    ...analyticsFilters,
+    source: { type: 'string', maxLength: 255, description: 'Only owners who entered the funnel (first stage) from this source' }
+  }
+};
+
+const analyticsFailuresQuery = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    limit: { type: 'integer', minimum: 1, maximum: 100, default: 10, description: 'Number of reasons to return' },
+    ...analyticsFilters
+  }
+};
+
+const analyticsCohortsQuery = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    interval: { type: 'string', enum: COHORT_INTERVALS, default: 'week', description: 'Cohort size, by the owner\'s first registration' },
+    ...analyticsFilters,
+    from: { type: 'string', format: 'date-time', description: 'Owners who first registered at or after this ISO 8601 date (default: 30 days before to)' },
+    to: { type: 'string', format: 'date-time', description: `Owners who first registered before this ISO 8601 date (default: now). At most ${MAX_RANGE_DAYS} days after from` }
+  }
+};
+
+const auditLogQuery = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    from: { type: 'string', format: 'date-time', description: 'Entries at or after this ISO 8601 date' },
+    to: { type: 'string', format: 'date-time', description: 'Entries before this ISO 8601 date' },
+    agentId: { type: 'string', minLength: 1, maxLength: 50, description: 'Only entries for this agent, under its current or former (TEMP) ID' },
+    afterSeq: { type: 'integer', minimum: 0, description: 'Entries after this sequence number: nextAfterSeq of the previous page' },
+    limit: { type: 'integer', minimum: 1, maximum: 1000, default: 100, description: 'Number of entries to return' }
+  }
+};
+
+const auditVerifyQuery = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    from: { type: 'string', format: 'date-time', description: 'Check from the first entry at or after this ISO 8601 date (default: the first entry)' },
+    to: { type: 'string', format: 'date-time', description: 'Check entries before this ISO 8601 date (default: up to the latest entry)' }
+  }
+};
+
+// A JSON-RPC 2.0 message (or a batch of them) for /v1/mcp. Used for the
+// documentation only: the MCP server answers bad messages with JSON-RPC errors.
+const mcpMessage = {
+  type: 'object',
+  required: ['jsonrpc'],
+  properties: {
+    jsonrpc: { type: 'string', enum: ['2.0'] },
+    id: { type: ['string', 'integer'], description: 'Omitted for notifications' },
+    method: { type: 'string', description: 'initialize, ping, tools/list, tools/call or a notification' },
+    params: { type: 'object' }
+  }
+};
+
+const searchAgents = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    q: { type: 'string', maxLength: 200, description: 'Full-text search over name and description' },
+    owner: { type: 'string', maxLength: 255, description: 'Owner name (case-insensitive exact match)' },
+    capability: {
+      type: 'array',
+      maxItems: 20,
+      items: { type: 'string', minLength: 1, maxLength: 100 },
+      description: 'Required capabilities (repeat or comma-separate for several)'
+    },
+    status: {
+      type: 'array',
+      items: { type: 'string', enum: PUBLIC_STATUSES },
+      description: 'Statuses to include (default: all)'
+    },
+    minTrustScore: { type: 'integer', minimum: 0, maximum: 100, description: 'Lowest trust score' },
+    maxTrustScore: { type: 'integer', minimum: 0, maximum: 100, description: 'Highest trust score' },
+    registeredAfter: { type: 'string', format: 'date-time', description: 'Registered at or after this ISO 8601 date' },
+    registeredBefore: { type: 'string', format: 'date-time', description: 'Registered before this ISO 8601 date' },
+    limit: { type: 'integer', minimum: 1, maximum: 100, default: 20, description: 'Page size' },
+    cursor: { type: 'string', maxLength: 500, description: 'nextCursor from the previous page' }
+  }
+};
+
+// Response schemas
+
+function object(properties, description) {
+  return { type: 'object', properties, ...(description && { description }) };
+}
+
+const string = description => ({ type: 'string', ...(description && { description }) });
+const dateTime = description => ({ type: 'string', format: 'date-time', ...(description && { description }) });
+const nullable = schema => ({ ...schema, type: [schema.type, 'null'] });
+
+const AGENT_STATUSES = ['pending_email_verification', ...PUBLIC_STATUSES];
+
+const agentStatus = { type: 'string', enum: AGENT_STATUSES };
+const agentId = string('Agent ID');
+
+// How many agents one POST /v1/agents/bulk request may register
+const MAX_BULK_AGENTS = 100;
+
+// Each item is a /v1/register body. Items are validated one at a time so an
+// invalid one fails alone; the route checks only the array itself up front.
+const bulkRegister = {
+  type: 'array',
+  minItems: 1,
+  maxItems: MAX_BULK_AGENTS,
+  items: register,
+  description: 'Agents to register, as a JSON array or as NDJSON (Content-Type: application/x-ndjson, one body per line)'
+};
+
+const agentData = object({
+  ...agentFields,
+  description: string('What the agent does'),
+  ownerUrl: string('Owner website')
+}, 'Agent data as registered');
+
+const trustBreakdown = object({
+  modelVersion: { type: 'integer' },
+  score: { type: 'integer', minimum: 0, maximum: 100 },
+  maxScore: { type: 'integer' },
+  factors: {
+    type: 'array',
+    items: object({
+      factor: string(),
+      label: string(),
+      weight: { type: 'number' },
+      points: { type: 'number' },
+      detail: string()
+    })
+  },
+  computedAt: dateTime()
+}, 'How the trust score was reached');
+
+const links = object({
+  verify: string(),
+  profileUrl: string()
+});
+
+const message = string();
+
+const registerResponse = object({
+  agentId,
+  status: agentStatus,
+  emailVerification: object({ status: string(), message, expiresAt: dateTime() }),
+  blockchain: object({ status: string(), message }),
+  trustScore: { type: 'integer' },
+  apiKey: string('Owner API key. Shown once'),
+  apiKeyNotice: string(),
+  message,
+  links: object({ ...links.properties, dashboard: string(), createAccount: string() }),
+  registeredAt: dateTime()
+});
+
+const verifyResponse = object({
+  agentId,
+  requestedId: string('The ID that was requested, when it is an alias of agentId'),
+  status: agentStatus,
+  blockchain: object({
+    status: { type: 'string', enum: ['pending', 'anchoring', 'anchored'] },
+    message,
+    anchoredAt: nullable(dateTime()),
+    proof: nullable(object({
+      batchId: { type: 'integer' },
+      ledger: string(),
+      txId: string(),
+      blockNumber: { type: 'integer' },
+      merkleRoot: string(),
+      leafHash: string(),
+      proof: { type: 'array', items: object({ position: string(), hash: string() }) },
+      record: object({}),
+      anchoredAt: dateTime()
+    }, 'Merkle inclusion proof'))
+  }),
+  trustScore: { type: 'integer' },
+  trustBreakdown,
+  agent: object({ name: string(), owner: string(), version: string() }),
+  registeredAt: dateTime(),
+  updatedAt: dateTime(),
+  verified: { type: 'boolean', description: 'False for revoked and unconfirmed agents' },
+  emailVerified: { type: 'boolean' },
+  domainVerification: object({ verified: { type: 'boolean' }, domain: nullable(string()), verifiedAt: nullable(dateTime()) }),
+  revoked: { type: 'boolean' },
+  deprecated: { type: 'boolean' },
+  message
+});
+
+const agentDetails = object({
+  id: agentId,
+  internalId: string(),
+  email: string(),
+  status: agentStatus,
+  blockchainStatus: string(),
+  trustScore: { type: 'integer' },
+  trustBreakdown,
+  registeredAt: dateTime(),
+  updatedAt: dateTime(),
+  emailVerifiedAt: nullable(dateTime()),
+  verifiedDomain: nullable(string()),
+  domainVerifiedAt: nullable(dateTime()),
+  agent: agentData,
+  metadata: object({}, 'Registration metadata recorded by the API')
+});
+
+const agentSummary = object({
+  agentId,
+  name: string(),
+  description: string(),
+  owner: string(),
+  ownerUrl: string(),
+  capabilities: { type: 'array', items: string() },
+  status: agentStatus,
+  trustScore: { type: 'integer' },
+  emailVerified: { type: 'boolean' },
+  verifiedDomain: nullable(string()),
+  registeredAt: dateTime()
+});
+
+const bulkResult = object({
+  index: { type: 'integer', description: 'Position of the item in the request' },
+  status: { type: 'string', enum: ['registered', 'failed'] },
+  agentId,
+  agentStatus,
+  trustScore: { type: 'integer' },
+  apiKey: string('Owner API key of this agent. Shown once'),
+  links,
+  error: string(),
+  code: string(),
+  message,
+  errors: { type: 'array', items: object({ field: string(), location: string(), code: string(), message }) }
+}, 'Registered items carry agentId and apiKey; failed ones carry the validation errors');
+
+const domainVerification = object({
+  agentId,
+  id: { type: 'integer' },
+  domain: string(),
+  status: { type: 'string', enum: ['pending', 'verified', 'expired'] },
+  method: nullable({ type: 'string', enum: ['dns', 'well-known'] }),
+  createdAt: dateTime(),
+  expiresAt: dateTime(),
+  lastCheckedAt: nullable(dateTime()),
+  verifiedAt: nullable(dateTime()),
+  instructions: object({
+    dns: object({ type: string(), name: string(), value: string() }),
+    wellKnown: object({ url: string(), body: string() })
+  }, 'How to publish the token. Only present while pending'),
+  message
+});
+
+const sourceBlock = object({
+  source: { type: 'string', enum: BLOCK_SOURCES },
+  value: string('IP address, email address or API key hash'),
+  reason: nullable(string()),
+  blockedUntil: dateTime(),
+  createdAt: dateTime()
+});
+
+const webhook = object({
+  id: { type: 'integer' },
+  url: string(),
+  events: { type: 'array', items: { type: 'string', enum: WEBHOOK_EVENTS } },
+  description: nullable(string()),
+  createdAt: dateTime()
+});
+
+const webhookDelivery = object({
+  id: { type: 'integer' },
+  eventId: string('Same for every delivery and replay of one event'),
+  event: { type: 'string', enum: WEBHOOK_EVENTS },
+  agentId: nullable(agentId),
+  status: { type: 'string', enum: WEBHOOK_DELIVERY_STATUSES },
+  attempts: { type: 'integer' },
+  responseStatus: nullable({ type: 'integer' }),
+  lastError: nullable(string()),
+  replayOf: nullable({ type: 'integer', description: 'The delivery this one replays' }),
+  createdAt: dateTime(),
+  nextAttemptAt: nullable(dateTime('When a pending delivery is retried')),
+  deliveredAt: nullable(dateTime()),
+  payload: object({}, 'The event body sent to the endpoint')
+});
+
+const agentCard = object({
+  protocolVersion: string('A2A protocol version'),
+  name: string(),
+  description: string(),
+  url: string('A2A endpoint. Absent until the owner registers one'),
+  preferredTransport: { type: 'string', enum: A2A_TRANSPORTS },
+  iconUrl: string(),
+  provider: object({ organization: string(), url: string() }),
+  version: string(),
+  documentationUrl: string(),
+  capabilities: object({
+    ...Object.fromEntries(A2A_CAPABILITIES.map(name => [name, { type: 'boolean' }])),
+    extensions: {
+      type: 'array',
+      items: object({ uri: string(), description: string(), required: { type: 'boolean' }, params: object({}) })
+    }
+  }),
+  securitySchemes: { type: 'object', additionalProperties: a2aSecurityScheme },
+  security: a2aFields.properties.security,
+  defaultInputModes: { type: 'array', items: string() },
+  defaultOutputModes: { type: 'array', items: string() },
+  skills: { type: 'array', items: a2aSkill },
+  supportsAuthenticatedExtendedCard: { type: 'boolean' }
+}, 'A2A Agent Card');
+
+const auditEntry = object({
+  seq: { type: 'integer', description: 'Position in the chain, from 1 without gaps' },
+  createdAt: dateTime(),
+  actor: object({
+    type: { type: 'string', enum: ACTOR_TYPES, description: 'public (unauthenticated registration), owner (API key), email_link, admin or system' },
+    id: nullable(string('X-Source of a registration, or the key prefix of an API key'))
+  }),
+  action: string('Revision action, e.g. registered, updated, revoked, erased'),
+  agentId: nullable(agentId),
+  changes: object({}, 'Changed fields as { field: { from, to } }; all fields for registered'),
+  reason: nullable(string()),
+  requestId: nullable(string('X-Request-Id of the request that made the change')),
+  prevHash: nullable(string('hash of the previous entry; null for the first')),
+  hash: string('SHA-256 of the entry without hash, as JSON with sorted keys')
+});
+
+const readinessCheck = object({
+  status: { type: 'string', enum: ['ok', 'failing', 'disabled'] },
+  message: string('Why the check fails')
+}, 'Further fields depend on the check: backend, current and latest migration, lastRunAt of the worker');
+
+const responses = {
+  welcome: object({
+    service: string(),
+    version: string(),
+    status: string(),
+    message,
+    stats: object({ blockchainStatus: string() }),
+    links: object({ docs: string(), health: string(), readiness: string() })
+  }),
+  liveness: object({
+    status: { type: 'string', const: 'ok' },
+    uptime: { type: 'number', description: 'Seconds since the process started' }
+  }),
+  readiness: object({
+    status: { type: 'string', enum: ['ready', 'not_ready'] },
+    checks: object({
+      database: readinessCheck,
+      migrations: readinessCheck,
+      emailWorker: readinessCheck
+    })
+  }),
+  logged: object({ logged: { type: 'boolean' } }),
+  register: registerResponse,
+  bulkRegister: object({
+    batchId: string('Recorded in the metadata of every agent of the batch'),
+    registered: { type: 'integer' },
+    failed: { type: 'integer' },
+    results: { type: 'array', items: bulkResult, description: 'One result per item, in request order' },
+    emailVerification: {
+      type: 'array',
+      items: object({ email: string(), agents: { type: 'integer' }, expiresAt: dateTime() }),
+      description: 'One summary email with a confirmation link per owner email address'
+    },
+    apiKeyNotice: string(),
+    registeredAt: dateTime()
+  }),
+  verify: verifyResponse,
+  agentDetails,
+  agentExport: object({
+    ownerEmail: string(),
+    agents: { type: 'array', items: agentDetails },
+    total: { type: 'integer' },
+    exportedAt: dateTime()
+  }),
+  agentUpdated: object({
+    agentId,
+    status: agentStatus,
+    revision: { type: 'integer' },
+    agent: agentData,
+    changes: object({}, 'Changed fields as { field: { from, to } }'),
+    trustScore: { type: 'integer' },
+    updatedAt: dateTime(),
+    message
+  }),
+  agentDeleted: object({
+    agentId,
+    status: agentStatus,
+    previousStatus: agentStatus,
+    revision: { type: 'integer' },
+    trustScore: { type: 'integer' },
+    updatedAt: dateTime(),
+    message
+  }),
+  emailVerified: object({ agentId, status: agentStatus, emailVerified: { type: 'boolean' }, message, links }),
+  batchEmailVerified: object({
+    batchId: string(),
+    emailVerified: { type: 'boolean' },
+    agents: { type: 'array', items: object({ agentId, status: agentStatus, links }) },
+    total: { type: 'integer' },
+    message
+  }),
+  linkSent: object({ agentId, status: string(), message, expiresAt: dateTime() }),
+  converted: object({ agentId, previousId: string('The former TEMP ID, which keeps resolving'), status: agentStatus, message, links }),
+  domainVerification,
+  credential: object({
+    agentId,
+    format: { type: 'string', enum: ['jwt', 'vc'] },
+    credential: string('Compact JWS'),
+    document: object({}, 'Decoded Verifiable Credential (format=vc only)'),
+    kid: string('ID of the signing key in the JWKS'),
+    issuer: string(),
+    issuedAt: dateTime(),
+    expiresAt: dateTime(),
+    jwksUrl: string()
+  }),
+  history: object({
+    agentId,
+    revisions: {
+      type: 'array',
+      items: object({
+        revision: { type: 'integer' },
+        action: string(),
+        status: agentStatus,
+        agent: agentData,
+        changes: object({}),
+        reason: nullable(string()),
+        createdAt: dateTime()
+      })
+    },
+    total: { type: 'integer' }
+  }),
+  recentAgents: object({
+    agents: { type: 'array', items: object({ agentId, name: string(), owner: string(), registeredAt: dateTime(), trustScore: { type: 'integer' } }) },
+    total: { type: 'integer' },
+    returned: { type: 'integer' }
+  }),
+  searchAgents: object({
+    agents: { type: 'array', items: agentSummary },
+    returned: { type: 'integer' },
+    nextCursor: nullable(string('Pass as cursor to get the next page; null on the last page'))
+  }),
+  jwks: object({
+    keys: { type: 'array', items: object({ kty: string(), crv: string(), x: string(), kid: string(), alg: string(), use: string() }) }
+  }),
+  keyRotated: object({ kid: string(), createdAt: dateTime(), message }),
+  anchorBatch: object({
+    batchId: { type: 'integer' },
+    merkleRoot: string(),
+    leafCount: { type: 'integer' },
+    ledger: string(),
+    status: string(),
+    txId: nullable(string()),
+    blockNumber: nullable({ type: 'integer' }),
+    createdAt: dateTime(),
+    anchoredAt: nullable(dateTime())
+  }),
+  stats: object({
+    totalAgents: { type: 'integer' },
+    last24Hours: { type: 'integer' },
+    blockchainStatus: string(),
+    blockchain: object({}),
+    emailQueueSize: { type: 'integer' },
+    emailDelivery: object({}),
+    webhookDelivery: object({}),
+    customerIntelligence: object({}),
+    serverTime: dateTime(),
+    databaseStatus: string(),
+    uptime: { type: 'number' },
+    apiVersion: string()
+  }),
+  analyticsSeries: object({
+    interval: { type: 'string', enum: INTERVALS },
+    from: dateTime(),
+    to: dateTime(),
+    source: nullable(string()),
+    buckets: {
+      type: 'array',
+      items: object({
+        start: dateTime(),
+        counts: { type: 'object', additionalProperties: { type: 'integer' }, description: 'Events by event type' },
+        total: { type: 'integer' }
+      }),
+      description: 'Every bucket of the range, oldest first, including empty ones'
+    }
+  }),
+  analyticsFunnel: object({
+    from: dateTime(),
+    to: dateTime(),
+    source: nullable(string()),
+    stages: {
+      type: 'array',
+      items: object({
+        stage: string('Event type'),
+        count: { type: 'integer', description: 'Owners (email addresses, or sessions without one) that reached this and every earlier stage' },
+        conversionFromPrevious: nullable({ type: 'number', description: 'Fraction of the previous stage' }),
+        conversionFromStart: nullable({ type: 'number', description: 'Fraction of the first stage' })
+      })
+    },
+    conversionRate: nullable({ type: 'number', description: 'Fraction of owners in the first stage who reached the last' })
+  }),
+  analyticsFailures: object({
+    from: dateTime(),
+    to: dateTime(),
+    source: nullable(string()),
+    failedAttempts: { type: 'integer' },
+    reasons: {
+      type: 'array',
+      items: object({
+        code: nullable(string('Validation error code')),
+        field: nullable(string()),
+        message: nullable(string('An example message')),
+        count: { type: 'integer', description: 'Failed attempts with this problem' },
+        share: nullable({ type: 'number', description: 'Fraction of failed attempts' })
+      }),
+      description: 'Most common first'
+    }
+  }),
+  analyticsCohorts: object({
+    interval: { type: 'string', enum: COHORT_INTERVALS },
+    from: dateTime(),
+    to: dateTime(),
+    source: nullable(string()),
+    cohorts: {
+      type: 'array',
+      items: object({
+        cohort: dateTime('Start of the interval of the first registration'),
+        owners: { type: 'integer' },
+        returned: { type: 'integer', description: 'Owners who registered a second agent, up to now' },
+        returnedWithin7Days: { type: 'integer' },
+        returnedWithin30Days: { type: 'integer' },
+        returnRate: nullable({ type: 'number' })
+      })
+    },
+    owners: { type: 'integer' },
+    returned: { type: 'integer' },
+    returnRate: nullable({ type: 'number' })
+  }),
+  attempts: object({
+    attempts: {
+      type: 'array',
+      items: object({ event_type: string(), email: nullable(string('Masked, e.g. a***@example.com')), agent_name: nullable(string()), source: nullable(string()), created_at: dateTime(), error_message: nullable(string()) })
+    },
+    total: { type: 'integer' }
+  }),
+  erasure: object({
+    erasureId: string(),
+    subject: object({ emailHash: string('Keyed SHA-256 of the lower-cased address, as in registration_attempts.email_hash') }),
+    reason: nullable(string()),
+    requestedAt: dateTime(),
+    completedAt: dateTime(),
+    agents: { type: 'array', items: agentId, description: 'Agents revoked and anonymised' },
+    counts: object({
+      agentsAnonymized: { type: 'integer' },
+      apiKeysRevoked: { type: 'integer' },
+      revisionsScrubbed: { type: 'integer' },
+      webhooksDeleted: { type: 'integer' },
+      emailsDeleted: { type: 'integer' },
+      attemptsAnonymized: { type: 'integer' },
+      blocksRemoved: { type: 'integer' }
+    })
+  }),
+  auditLog: object({
+    from: nullable(dateTime()),
+    to: nullable(dateTime()),
+    agentId: nullable(agentId),
+    entries: { type: 'array', items: auditEntry, description: 'Oldest first' },
+    nextAfterSeq: nullable({ type: 'integer', description: 'afterSeq for the next page; null on the last one' })
+  }),
+  auditVerification: object({
+    intact: { type: 'boolean' },
+    from: nullable(dateTime()),
+    to: nullable(dateTime()),
+    entriesChecked: { type: 'integer' },
+    firstSeq: nullable({ type: 'integer' }),
+    lastSeq: nullable({ type: 'integer' }),
+    latestHash: nullable(string('Hash of the last entry checked')),
+    brokenAt: nullable(object({ seq: { type: 'integer' }, reason: string() }, 'The first entry that fails the check'))
+  }),
+  deadLetters: object({
+    emails: {
+      type: 'array',
+      items: object({
+        id: { type: 'integer' },
+        recipient: string(),
+        subject: string(),
+        template: string(),
+        attempts: { type: 'integer' },
+        lastError: nullable(string()),
+        transport: nullable(string()),
+        createdAt: dateTime(),
+        failedAt: dateTime()
+      })
+    },
+    total: { type: 'integer' }
+  }),
+  emailRequeued: object({ id: { type: 'integer' }, status: string(), message }),
+  block: sourceBlock,
+  blocks: object({
+    blocks: { type: 'array', items: sourceBlock },
+    total: { type: 'integer' }
+  }),
+  webhookCreated: object({
+    ...webhook.properties,
+    secret: string('Signing secret for the X-AstraSync-Signature header. Shown once'),
+    secretNotice: string()
+  }),
+  webhooks: object({
+    ownerEmail: string('Webhooks receive events for every agent registered with this email'),
+    webhooks: { type: 'array', items: webhook },
+    total: { type: 'integer' }
+  }),
+  webhookDeliveries: object({
+    webhookId: { type: 'integer' },
+    deliveries: { type: 'array', items: webhookDelivery },
+    returned: { type: 'integer' }
+  }),
+  webhookReplayed: webhookDelivery,
+  agentCard,
+  mcp: object({
+    jsonrpc: string(),
+    id: { type: ['string', 'integer', 'null'] },
+    result: object({}, 'Method result; tool failures are results with isError: true'),
+    error: object({ code: { type: 'integer' }, message })
+  }, 'JSON-RPC 2.0 response, or an array of them for a batch')
+};
+
+module.exports = {
+  PUBLIC_STATUSES,
+  MAX_BULK_AGENTS,
+  responses,
+  register,
+  bulkRegister,
+  updateAgent,
+  deleteAgent,
+  logAttempt,
+  eraseDataSubject,
+  blockSource,
+  createWebhook,
+  webhookDeliveriesQuery,
+  credentialQuery,
+  exportQuery,
+  profileQuery,
+  analyticsSeriesQuery,
+  analyticsFunnelQuery,
+  analyticsFailuresQuery,
+  analyticsCohortsQuery,
+  auditLogQuery,
+  auditVerifyQuery,
+  mcpMessage,
+  searchAgents,
+  recentAgentsQuery: limitQuery(10, 100),
+  recentAttemptsQuery: limitQuery(20, 100),
+  deadLetterQuery: limitQuery(50, 500)
+};
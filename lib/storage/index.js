@@ -0,0 +1,44 @@
+// lib/storage/index.js - Select the storage backend from configuration
+//
+// A backend is an object with:
+//   name                     - postgres | sqlite | memory
+//   init()                   - rejects if the store is unusable or its schema is
+//                              behind the code (see migrations/index.js)
+//   migrations               - status(), migrate({ to }), rollback({ to })
+//   ping()                   - rejects if the store can't be reached
+//   poolStats()              - { total, idle, waiting, max } connections of the
+//                              pool, or null for backends without one
+//   transaction(fn)          - run fn(repositories) atomically, resolves to its result
+//   close()
+// and the repositories, each a set of async methods returning rows shaped like
+// the Postgres tables (see tables.js):
+//   agents, aliases, apiKeys, revisions, emailQueue, attempts,
+//   domainVerifications, anchorBatches, signingKeys, rateLimits, webhooks,
+//   webhookDeliveries
+//
+// Functions that take a `db` argument (recordRevision, queueEmail, ...) accept
+// either the storage or the repositories passed to transaction().
+const createPostgresStorage = require('./postgres');
+const createSqliteStorage = require('./sqlite');
+const createMemoryStorage = require('./memory');
+
+// STORAGE_BACKEND: postgres | sqlite | memory (default: postgres)
+function createStorage(env = process.env) {
+  const name = env.STORAGE_BACKEND || 'postgres';
+
+  switch (name) {
+    case 'postgres':
+      return createPostgresStorage({
+        connectionString: env.DATABASE_URL,
+        ssl: env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+      });
+    case 'sqlite':
+      return createSqliteStorage({ file: env.SQLITE_FILE || 'astrasync.sqlite' });
+    case 'memory':
+      return createMemoryStorage();
+    default:
+      throw new Error(`Unknown STORAGE_BACKEND: ${name}`);
+  }
+}
+
+module.exports = { createStorage };
@@ -0,0 +1,16 @@
+// lib/storage/lock.js - Serialise work on a single-connection backend
+//
+// SQLite and the in-memory store have one connection shared by every request.
+// A transaction holds the lock until it commits or rolls back, so statements
+// from other requests can't end up inside it.
+function createLock() {
+  let tail = Promise.resolve();
+
+  return function withLock(fn) {
+    const run = tail.then(() => fn());
+    tail = run.catch(() => {});
+    return run;
+  };
+}
+
+module.exports = { createLock };
@@ -0,0 +1,881 @@
+// lib/storage/memory.js - In-memory storage backend
+//
+// Every table is a plain array and nothing survives a restart: for tests,
+// demos and trying the API without a database. A transaction snapshots the
+// data and puts the snapshot back if it rolls back.
+const { TABLES, assertColumns } = require('./tables');
+const { createLock } = require('./lock');
+const { createMigrator } = require('./migrations');
+const { searchTerms } = require('../agentSearch');
+const { bucketStart } = require('../analytics');
+
+// Tables with an auto-incrementing integer id
+const SERIAL_TABLES = [
+  'api_keys', 'agent_revisions', 'email_queue', 'registration_attempts', 'domain_verifications', 'anchor_batches',
+  'webhooks', 'webhook_deliveries'
+];
+
+const UNIQUE_COLUMNS = {
+  agents: 'id',
+  agent_aliases: 'alias_id',
+  api_keys: 'key_hash',
+  signing_keys: 'kid',
+  rate_limits: 'key',
+  blocked_sources: 'key'
+};
+
+// Column defaults beyond NULL and created_at
+const DEFAULTS = {
+  agent_revisions: () => ({ changes: {} }),
+  email_queue: () => ({ status: 'pending', attempts: 0, next_attempt_at: new Date() }),
+  domain_verifications: () => ({ status: 'pending' }),
+  webhook_deliveries: () => ({ status: 'pending', attempts: 0, next_attempt_at: new Date() })
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const copy = value => structuredClone(value);
+
+function emptyTables() {
+  return Object.fromEntries(Object.keys(TABLES).map(table => [table, []]));
+}
+
+function countsBy(rows, key) {
+  const counts = {};
+  for (const row of rows) {
+    counts[row[key]] = (counts[row[key]] || 0) + 1;
+  }
+  return counts;
+}
+
+// Newest first, like ORDER BY column DESC, id DESC
+function newestFirst(column) {
+  return (a, b) => (b[column] - a[column]) || (a.id < b.id ? 1 : a.id > b.id ? -1 : 0);
+}
+
+// Filters shared by the registration_attempts analytics queries
+function matchesAttempt(row, { from, to, source, eventTypes }) {
+  return (!from || row.created_at >= new Date(from))
+    && (!to || row.created_at < new Date(to))
+    && (!source || row.source === source)
+    && (!eventTypes || eventTypes.length === 0 || eventTypes.includes(row.event_type));
+}
+
+function matchesSearch(agent, filters) {
+  const data = agent.agent_data;
+
+  if (filters.status && filters.status.length > 0
+    ? !filters.status.includes(agent.status)
+    : agent.status === 'pending_email_verification') {
+    return false;
+  }
+
+  if (filters.owner && String(data.owner || '').toLowerCase() !== filters.owner.toLowerCase()) return false;
+
+  // Agents must have every requested capability
+  if (filters.capability && !filters.capability.every(capability => (data.capabilities || []).includes(capability))) return false;
+
+  if (filters.minTrustScore !== undefined && !(agent.trust_score >= filters.minTrustScore)) return false;
+  if (filters.maxTrustScore !== undefined && !(agent.trust_score <= filters.maxTrustScore)) return false;
+
+  if (filters.registeredAfter !== undefined && agent.registered_at < new Date(filters.registeredAfter)) return false;
+  if (filters.registeredBefore !== undefined && agent.registered_at >= new Date(filters.registeredBefore)) return false;
+
+  if (filters.q) {
+    const text = `${data.name || ''} ${data.description || ''}`.toLowerCase();
+    const { include, exclude } = searchTerms(filters.q);
+    if (!include.every(term => text.includes(term)) || exclude.some(term => text.includes(term))) return false;
+  }
+
+  if (filters.after) {
+    const registeredAt = agent.registered_at.toISOString();
+    if (registeredAt > filters.after.registeredAt) return false;
+    if (registeredAt === filters.after.registeredAt && agent.id >= filters.after.id) return false;
+  }
+
+  return true;
+}
+
+// Repositories over the in-memory tables. `run` wraps every call: it takes
+// the lock outside a transaction and runs directly inside one.
+function createRepositories(state, run) {
+  const rows = table => state.tables[table];
+
+  function insertRow(table, values) {
+    assertColumns(table, Object.keys(values));
+
+    const row = Object.fromEntries(TABLES[table].columns.map(column => [column, null]));
+    if (TABLES[table].columns.includes('created_at')) {
+      row.created_at = new Date();
+    }
+    if (SERIAL_TABLES.includes(table)) {
+      row.id = ++state.sequences[table];
+    }
+    Object.assign(row, DEFAULTS[table] && DEFAULTS[table](), copy(values));
+
+    const unique = UNIQUE_COLUMNS[table];
+    if (unique && rows(table).some(existing => existing[unique] === row[unique])) {
+      throw new Error(`duplicate key value violates unique constraint on ${table}.${unique}`);
+    }
+
+    rows(table).push(row);
+    return row;
+  }
+
+  function updateRow(table, row, changes) {
+    assertColumns(table, Object.keys(changes));
+    if (!row) return null;
+    Object.assign(row, copy(changes));
+    return copy(row);
+  }
+
+  const findAgent = id => rows('agents').find(agent => agent.id === id);
+  const findById = (table, id) => rows(table).find(row => row.id === id);
+
+  // Remove matching rows, resolving to how many there were
+  function deleteWhere(table, matches) {
+    const before = rows(table).length;
+    state.tables[table] = rows(table).filter(row => !matches(row));
+    return before - rows(table).length;
+  }
+
+  function anonymizeAttempt(row, keepFields) {
+    const data = row.data || {};
+    Object.assign(row, {
+      email: null,
+      anonymized_at: new Date(),
+      data: Object.fromEntries(Object.entries(data).filter(([key]) => keepFields.includes(key)))
+    });
+  }
+
+  return {
+    agents: {
+      findById(id) {
+        return run(() => copy(findAgent(id) || null));
+      },
+
+      create(row) {
+        return run(() => copy(insertRow('agents', row)));
+      },
+
+      update(id, changes) {
+        return run(() => updateRow('agents', findAgent(id), changes));
+      },
+
+      // The audit log keeps the ID an entry was recorded under: it is
+      // append-only and hashed. Its export resolves former IDs through aliases.
+      rename(id, newId) {
+        return run(() => {
+          if (findAgent(newId)) {
+            throw new Error(`duplicate key value violates unique constraint on agents.id`);
+          }
+          const agent = findAgent(id);
+          if (!agent) return;
+
+          agent.id = newId;
+          for (const table of ['agent_aliases', 'api_keys', 'agent_revisions', 'domain_verifications', 'webhook_deliveries']) {
+            for (const row of rows(table)) {
+              if (row.agent_id === id) row.agent_id = newId;
+            }
+          }
+        });
+      },
+
+      count({ excludeUnconfirmed = false, registeredSince } = {}) {
+        return run(() => rows('agents').filter(agent =>
+          (!excludeUnconfirmed || agent.status !== 'pending_email_verification')
+          && (!registeredSince || agent.registered_at > new Date(registeredSince))
+        ).length);
+      },
+
+      countByBlockchainStatus() {
+        return run(() => countsBy(rows('agents'), 'blockchain_status'));
+      },
+
+      listRecent(limit) {
+        return run(() => copy(rows('agents')
+          .filter(agent => agent.status !== 'pending_email_verification')
+          .sort(newestFirst('registered_at'))
+          .slice(0, limit)));
+      },
+
+      listByOwnerEmail(ownerEmail) {
+        return run(() => copy(rows('agents')
+          .filter(agent => agent.email.toLowerCase() === ownerEmail)
+          // A stable sort keeps agents of one bulk registration in insertion order
+          .sort((a, b) => a.registered_at - b.registered_at)));
+      },
+
+      search(filters) {
+        return run(() => rows('agents')
+          .filter(agent => matchesSearch(agent, filters))
+          .sort(newestFirst('registered_at'))
+          .slice(0, filters.limit)
+          .map(agent => ({ ...copy(agent), cursor_registered_at: agent.registered_at.toISOString() })));
+      },
+
+      findStaleTrustScores({ maxAgeMs, modelVersion, limit }) {
+        return run(() => rows('agents')
+          .filter(({ trust_breakdown: breakdown }) => !breakdown
+            || new Date(breakdown.computedAt) < new Date(Date.now() - maxAgeMs)
+            || breakdown.modelVersion !== modelVersion)
+          .slice(0, limit)
+          .map(agent => agent.id));
+      },
+
+      claimForAnchoring(limit) {
+        return run(() => {
+          const claimed = rows('agents')
+            .filter(agent => agent.blockchain_status === 'pending' && agent.status !== 'pending_email_verification')
+            .sort((a, b) => (a.updated_at || a.registered_at) - (b.updated_at || b.registered_at))
+            .slice(0, limit);
+
+          for (const agent of claimed) {
+            agent.blockchain_status = 'anchoring';
+          }
+          return copy(claimed);
+        });
+      },
+
+      releaseAnchoring(ids) {
+        return run(() => {
+          for (const agent of rows('agents')) {
+            if (agent.blockchain_status === 'anchoring' && (!ids || ids.includes(agent.id))) {
+              agent.blockchain_status = 'pending';
+            }
+          }
+        });
+      },
+
+      markAnchored(id, { batchId, proof, anchoredAt }) {
+        return run(() => {
+          const agent = findAgent(id);
+          if (!agent || agent.blockchain_status !== 'anchoring') return false;
+
+          Object.assign(agent, {
+            blockchain_status: 'anchored',
+            anchor_batch_id: batchId,
+            anchor_proof: copy(proof),
+            anchored_at: new Date(anchoredAt)
+          });
+          return true;
+        });
+      }
+    },
+
+    aliases: {
+      resolve(aliasId) {
+        return run(() => {
+          const alias = rows('agent_aliases').find(row => row.alias_id === aliasId);
+          return alias ? alias.agent_id : null;
+        });
+      },
+
+      create(aliasId, agentId) {
+        return run(() => {
+          insertRow('agent_aliases', { alias_id: aliasId, agent_id: agentId });
+        });
+      },
+
+      listForAgent(agentId) {
+        return run(() => rows('agent_aliases').filter(row => row.agent_id === agentId).map(row => row.alias_id));
+      }
+    },
+
+    apiKeys: {
+      create({ agentId, keyHash, keyPrefix, scopes }) {
+        return run(() => {
+          insertRow('api_keys', { agent_id: agentId, key_hash: keyHash, key_prefix: keyPrefix, scopes });
+        });
+      },
+
+      findActiveByHash(keyHash) {
+        return run(() => {
+          const key = rows('api_keys').find(row => row.key_hash === keyHash && !row.revoked_at);
+          return key ? copy({ id: key.id, agent_id: key.agent_id, key_prefix: key.key_prefix, scopes: key.scopes }) : null;
+        });
+      },
+
+      touch(id) {
+        return run(() => {
+          const key = findById('api_keys', id);
+          if (key) key.last_used_at = new Date();
+        });
+      },
+
+      revokeForAgent(agentId) {
+        return run(() => {
+          const keys = rows('api_keys').filter(row => row.agent_id === agentId && !row.revoked_at);
+          keys.forEach(key => { key.revoked_at = new Date(); });
+          return keys.length;
+        });
+      }
+    },
+
+    revisions: {
+      create({ agentId, action, status, agentData, changes, reason }) {
+        return run(() => {
+          const revision = rows('agent_revisions')
+            .filter(row => row.agent_id === agentId)
+            .reduce((max, row) => Math.max(max, row.revision), 0) + 1;
+
+          const row = insertRow('agent_revisions', {
+            agent_id: agentId,
+            revision,
+            action,
+            status,
+            agent_data: agentData,
+            changes: changes || {},
+            reason: reason || null
+          });
+          return { revision: row.revision, created_at: row.created_at };
+        });
+      },
+
+      listForAgent(agentId) {
+        return run(() => copy(rows('agent_revisions')
+          .filter(row => row.agent_id === agentId)
+          .sort((a, b) => a.revision - b.revision)));
+      },
+
+      countActions(agentId) {
+        return run(() => countsBy(rows('agent_revisions').filter(row => row.agent_id === agentId), 'action'));
+      },
+
+      eraseFields(agentId, fields) {
+        const omit = object => Object.fromEntries(Object.entries(object).filter(([key]) => !fields.includes(key)));
+        return run(() => {
+          const matching = rows('agent_revisions')
+            .filter(row => row.agent_id === agentId && fields.some(field => field in row.agent_data || field in row.changes));
+          matching.forEach(row => Object.assign(row, { agent_data: omit(row.agent_data), changes: omit(row.changes) }));
+          return matching.length;
+        });
+      }
+    },
+
+    auditLog: {
+      // Every call runs under the lock already
+      lockLatest() {
+        return run(() => {
+          const latest = rows('audit_log')[rows('audit_log').length - 1];
+          return latest ? { seq: latest.seq, hash: latest.hash } : null;
+        });
+      },
+
+      append(entry) {
+        return run(() => copy(insertRow('audit_log', entry)));
+      },
+
+      findBySeq(seq) {
+        return run(() => copy(rows('audit_log').find(row => row.seq === seq) || null));
+      },
+
+      list({ from, to, agentIds, afterSeq, limit }) {
+        return run(() => copy(rows('audit_log')
+          .filter(row => (!from || row.created_at >= new Date(from))
+            && (!to || row.created_at < new Date(to))
+            && (!agentIds || agentIds.includes(row.agent_id))
+            && (afterSeq === undefined || row.seq > afterSeq))
+          .slice(0, limit)));
+      }
+    },
+
+    emailQueue: {
+      enqueue({ recipient, subject, template, data }) {
+        return run(() => {
+          insertRow('email_queue', { recipient, subject, template, data });
+        });
+      },
+
+      claimDue({ limit, staleLockMs }) {
+        return run(() => {
+          const now = new Date();
+          const claimed = rows('email_queue')
+            .filter(email => (email.status === 'pending' && email.next_attempt_at <= now)
+              || (email.status === 'sending' && email.locked_at < new Date(now - staleLockMs)))
+            .sort((a, b) => a.next_attempt_at - b.next_attempt_at)
+            .slice(0, limit);
+
+          for (const email of claimed) {
+            email.status = 'sending';
+            email.locked_at = now;
+          }
+          return copy(claimed);
+        });
+      },
+
+      markSent(id, { attempts, transport, messageId }) {
+        return run(() => {
+          Object.assign(findById('email_queue', id), {
+            status: 'sent',
+            attempts,
+            sent_at: new Date(),
+            locked_at: null,
+            last_error: null,
+            transport,
+            message_id: messageId || null
+          });
+        });
+      },
+
+      markFailed(id, { dead, attempts, error, transport, retryInMs }) {
+        return run(() => {
+          Object.assign(findById('email_queue', id), {
+            status: dead ? 'dead' : 'pending',
+            attempts,
+            last_error: error,
+            locked_at: null,
+            transport,
+            next_attempt_at: new Date(Date.now() + (dead ? 0 : retryInMs))
+          });
+        });
+      },
+
+      requeue(id) {
+        return run(() => {
+          const email = findById('email_queue', id);
+          if (!email || email.status !== 'dead') return false;
+
+          Object.assign(email, { status: 'pending', attempts: 0, next_attempt_at: new Date(), last_error: null });
+          return true;
+        });
+      },
+
+      countByStatus() {
+        return run(() => countsBy(rows('email_queue'), 'status'));
+      },
+
+      listDead(limit) {
+        return run(() => copy(rows('email_queue')
+          .filter(email => email.status === 'dead')
+          .sort(newestFirst('created_at'))
+          .slice(0, limit)));
+      },
+
+      deleteFinishedBefore(cutoff) {
+        return run(() => deleteWhere('email_queue', email => ['sent', 'dead'].includes(email.status) && email.created_at < new Date(cutoff)));
+      },
+
+      deleteForRecipient(email) {
+        return run(() => deleteWhere('email_queue', row => row.recipient.toLowerCase() === email));
+      }
+    },
+
+    attempts: {
+      create({ eventType, email, emailHash, agentName, source, data }) {
+        return run(() => {
+          insertRow('registration_attempts', { event_type: eventType, email, email_hash: emailHash, agent_name: agentName, source, data });
+        });
+      },
+
+      count({ eventType } = {}) {
+        return run(() => rows('registration_attempts').filter(row => !eventType || row.event_type === eventType).length);
+      },
+
+      countByEventType() {
+        return run(() => {
+          const counts = countsBy(rows('registration_attempts'), 'event_type');
+          return Object.fromEntries(Object.entries(counts).sort((a, b) => b[1] - a[1]));
+        });
+      },
+
+      listRecent(limit) {
+        return run(() => copy(rows('registration_attempts')
+          .slice()
+          .sort(newestFirst('created_at'))
+          .slice(0, limit)));
+      },
+
+      countByInterval({ interval, ...filters }) {
+        return run(() => {
+          const counts = new Map();
+          for (const row of rows('registration_attempts')) {
+            if (!matchesAttempt(row, filters)) continue;
+            const bucket = bucketStart(row.created_at, interval);
+            const key = `${bucket.toISOString()}|${row.event_type}`;
+            if (!counts.has(key)) counts.set(key, { bucket, event_type: row.event_type, count: 0 });
+            counts.get(key).count++;
+          }
+          return [...counts.values()]
+            .sort((a, b) => (a.bucket - b.bucket) || a.event_type.localeCompare(b.event_type));
+        });
+      },
+
+      listEvents(filters) {
+        return run(() => rows('registration_attempts')
+          .filter(row => matchesAttempt(row, filters))
+          .sort((a, b) => (a.created_at - b.created_at) || (a.id - b.id))
+          .map(row => {
+            const data = row.data || {};
+            const failed = row.event_type === 'registration_failed';
+            return copy({
+              event_type: row.event_type,
+              source: row.source,
+              email: row.email,
+              email_hash: row.email_hash,
+              session_id: data.sessionId === undefined || data.sessionId === null ? null : String(data.sessionId),
+              error: failed ? data.error ?? null : null,
+              errors: failed ? data.errors ?? null : null,
+              created_at: row.created_at
+            });
+          }));
+      },
+
+      listOwnerRegistrations({ source, from, to }) {
+        return run(() => {
+          const owners = new Map();
+          const registrations = rows('registration_attempts')
+            .filter(row => matchesAttempt(row, { source, eventTypes: ['registration_success'] }) && (row.email_hash || row.email))
+            .sort((a, b) => (a.created_at - b.created_at) || (a.id - b.id));
+
+          for (const row of registrations) {
+            const email = row.email_hash ? null : row.email.trim().toLowerCase();
+            const key = row.email_hash || `email:${email}`;
+            if (!owners.has(key)) {
+              owners.set(key, { email_hash: row.email_hash || null, email, first_at: row.created_at, second_at: null });
+            } else if (!owners.get(key).second_at) {
+              owners.get(key).second_at = row.created_at;
+            }
+          }
+
+          return copy([...owners.values()].filter(owner => owner.first_at < new Date(to)
+            && (!owner.email_hash || owner.first_at >= new Date(from))));
+        });
+      },
+
+      anonymizeBefore(cutoff, keepFields) {
+        return run(() => {
+          const expired = rows('registration_attempts').filter(row => row.created_at < new Date(cutoff) && !row.anonymized_at);
+          expired.forEach(row => anonymizeAttempt(row, keepFields));
+          return expired.length;
+        });
+      },
+
+      deleteBefore(cutoff) {
+        return run(() => deleteWhere('registration_attempts', row => row.created_at < new Date(cutoff)));
+      },
+
+      eraseForEmail(email, emailHash, keepFields) {
+        return run(() => {
+          const matching = rows('registration_attempts')
+            .filter(row => (row.email && row.email.toLowerCase() === email) || (emailHash && row.email_hash === emailHash));
+          matching.forEach(row => {
+            anonymizeAttempt(row, keepFields);
+            Object.assign(row, { email_hash: null, agent_name: null });
+          });
+          return matching.length;
+        });
+      }
+    },
+
+    domainVerifications: {
+      create({ agentId, domain, token, ttlDays }) {
+        return run(() => copy(insertRow('domain_verifications', {
+          agent_id: agentId,
+          domain,
+          token,
+          expires_at: new Date(Date.now() + ttlDays * DAY_MS)
+        })));
+      },
+
+      update(id, changes) {
+        return run(() => updateRow('domain_verifications', findById('domain_verifications', id), changes));
+      },
+
+      findOpen(agentId, domain) {
+        return run(() => copy(rows('domain_verifications')
+          .filter(row => row.agent_id === agentId && row.domain === domain && row.status === 'pending' && row.expires_at > new Date())
+          .sort(newestFirst('created_at'))[0] || null));
+      },
+
+      findLatest(agentId, { status } = {}) {
+        return run(() => copy(rows('domain_verifications')
+          .filter(row => row.agent_id === agentId && (!status || row.status === status))
+          .sort(newestFirst('created_at'))[0] || null));
+      }
+    },
+
+    anchorBatches: {
+      create({ merkleRoot, leafCount, ledger }) {
+        return run(() => insertRow('anchor_batches', {
+          merkle_root: merkleRoot,
+          leaf_count: leafCount,
+          ledger,
+          status: 'submitting'
+        }).id);
+      },
+
+      update(id, changes) {
+        return run(() => updateRow('anchor_batches', findById('anchor_batches', id), changes));
+      },
+
+      findById(id) {
+        return run(() => copy(findById('anchor_batches', id) || null));
+      },
+
+      findLatestAnchored() {
+        return run(() => copy(rows('anchor_batches')
+          .filter(batch => batch.status === 'anchored')
+          .sort((a, b) => b.id - a.id)[0] || null));
+      }
+    },
+
+    signingKeys: {
+      findActive() {
+        return run(() => copy(rows('signing_keys')
+          .filter(key => key.status === 'active')
+          .sort((a, b) => b.created_at - a.created_at)[0] || null));
+      },
+
+      create(row) {
+        return run(() => copy(insertRow('signing_keys', row)));
+      },
+
+      retireActive() {
+        return run(() => {
+          for (const key of rows('signing_keys')) {
+            if (key.status === 'active') {
+              Object.assign(key, { status: 'retired', retired_at: new Date() });
+            }
+          }
+        });
+      },
+
+      listPublic(retiredTtlDays) {
+        return run(() => {
+          const retiredSince = new Date(Date.now() - retiredTtlDays * DAY_MS);
+          return copy(rows('signing_keys')
+            .filter(key => key.status === 'active' || (key.status === 'retired' && key.retired_at > retiredSince))
+            .sort((a, b) => b.created_at - a.created_at)
+            .map(key => key.public_jwk));
+        });
+      }
+    },
+
+    rateLimits: {
+      // Count a request in the key's current window, starting a new window once it has passed
+      hit(key, windowMs) {
+        return run(() => {
+          const now = new Date();
+          let counter = rows('rate_limits').find(row => row.key === key);
+
+          if (!counter) {
+            counter = insertRow('rate_limits', { key, count: 0, reset_at: new Date(now.getTime() + windowMs) });
+          } else if (counter.reset_at <= now) {
+            Object.assign(counter, { count: 0, reset_at: new Date(now.getTime() + windowMs) });
+          }
+          counter.count++;
+
+          return { count: counter.count, reset_at: new Date(counter.reset_at) };
+        });
+      },
+
+      block({ key, reason, until }) {
+        return run(() => {
+          state.tables.blocked_sources = rows('blocked_sources').filter(row => row.key !== key);
+          return copy(insertRow('blocked_sources', { key, reason, blocked_until: new Date(until) }));
+        });
+      },
+
+      findBlock(key) {
+        return run(() => copy(rows('blocked_sources').find(row => row.key === key && row.blocked_until > new Date()) || null));
+      },
+
+      unblock(key) {
+        return run(() => {
+          const before = rows('blocked_sources').length;
+          state.tables.blocked_sources = rows('blocked_sources').filter(row => !(row.key === key && row.blocked_until > new Date()));
+          return rows('blocked_sources').length < before;
+        });
+      },
+
+      listBlocks() {
+        return run(() => copy(rows('blocked_sources')
+          .filter(row => row.blocked_until > new Date())
+          .sort((a, b) => b.created_at - a.created_at)));
+      },
+
+      purgeExpired() {
+        return run(() => {
+          const now = new Date();
+          state.tables.rate_limits = rows('rate_limits').filter(row => row.reset_at > now);
+          state.tables.blocked_sources = rows('blocked_sources').filter(row => row.blocked_until > now);
+        });
+      }
+    },
+
+    webhooks: {
+      create({ ownerEmail, url, events, secret, description }) {
+        return run(() => copy(insertRow('webhooks', {
+          owner_email: ownerEmail,
+          url,
+          events,
+          secret,
+          description: description || null
+        })));
+      },
+
+      findById(id) {
+        return run(() => copy(findById('webhooks', id) || null));
+      },
+
+      listForOwner(ownerEmail) {
+        return run(() => copy(rows('webhooks').filter(webhook => webhook.owner_email === ownerEmail)));
+      },
+
+      listSubscribed(ownerEmail, eventType) {
+        return run(() => copy(rows('webhooks')
+          .filter(webhook => webhook.owner_email === ownerEmail && webhook.events.includes(eventType))));
+      },
+
+      delete(id) {
+        return run(() => {
+          if (!findById('webhooks', id)) return false;
+
+          state.tables.webhooks = rows('webhooks').filter(webhook => webhook.id !== id);
+          state.tables.webhook_deliveries = rows('webhook_deliveries').filter(delivery => delivery.webhook_id !== id);
+          return true;
+        });
+      }
+    },
+
+    webhookDeliveries: {
+      enqueue({ webhookId, eventId, eventType, agentId, payload, replayOf }) {
+        return run(() => copy(insertRow('webhook_deliveries', {
+          webhook_id: webhookId,
+          event_id: eventId,
+          event_type: eventType,
+          agent_id: agentId || null,
+          payload,
+          replay_of: replayOf || null
+        })));
+      },
+
+      claimDue({ limit, staleLockMs }) {
+        return run(() => {
+          const now = new Date();
+          const claimed = rows('webhook_deliveries')
+            .filter(delivery => (delivery.status === 'pending' && delivery.next_attempt_at <= now)
+              || (delivery.status === 'delivering' && delivery.locked_at < new Date(now - staleLockMs)))
+            .sort((a, b) => a.next_attempt_at - b.next_attempt_at)
+            .slice(0, limit);
+
+          for (const delivery of claimed) {
+            delivery.status = 'delivering';
+            delivery.locked_at = now;
+          }
+          return copy(claimed);
+        });
+      },
+
+      markDelivered(id, { attempts, responseStatus }) {
+        return run(() => {
+          Object.assign(findById('webhook_deliveries', id) || {}, {
+            status: 'delivered',
+            attempts,
+            response_status: responseStatus,
+            delivered_at: new Date(),
+            locked_at: null,
+            last_error: null
+          });
+        });
+      },
+
+      markFailed(id, { dead, attempts, error, responseStatus, retryInMs }) {
+        return run(() => {
+          Object.assign(findById('webhook_deliveries', id) || {}, {
+            status: dead ? 'failed' : 'pending',
+            attempts,
+            last_error: error,
+            response_status: responseStatus || null,
+            locked_at: null,
+            next_attempt_at: new Date(Date.now() + (dead ? 0 : retryInMs))
+          });
+        });
+      },
+
+      findById(id) {
+        return run(() => copy(findById('webhook_deliveries', id) || null));
+      },
+
+      listForWebhook(webhookId, { status, limit }) {
+        return run(() => copy(rows('webhook_deliveries')
+          .filter(delivery => delivery.webhook_id === webhookId && (!status || delivery.status === status))
+          .sort(newestFirst('created_at'))
+          .slice(0, limit)));
+      },
+
+      countByStatus() {
+        return run(() => countsBy(rows('webhook_deliveries'), 'status'));
+      }
+    }
+  };
+}
+
+// Migration primitives, see migrations/index.js. The tables here are defined
+// by the code, so migrations only record their version.
+function createMigrationBackend() {
+  const applied = [];
+
+  return {
+    async ensureTable() {},
+
+    async listApplied() {
+      return applied.map(copy);
+    },
+
+    async apply(migration, direction) {
+      if (direction === 'up') {
+        applied.push({ version: migration.version, name: migration.name, applied_at: new Date() });
+      } else {
+        applied.splice(applied.findIndex(row => row.version === migration.version), 1);
+      }
+    }
+  };
+}
+
+function createMemoryStorage() {
+  const state = {
+    tables: emptyTables(),
+    sequences: Object.fromEntries(SERIAL_TABLES.map(table => [table, 0]))
+  };
+
+  const withLock = createLock();
+  const migrations = createMigrator(createMigrationBackend());
+
+  return {
+    name: 'memory',
+    ...createRepositories(state, fn => withLock(fn)),
+    migrations,
+
+    // A new in-memory store always starts at the current schema
+    async init() {
+      await migrations.migrate();
+    },
+
+    async ping() {},
+
+    poolStats() {
+      return null;
+    },
+
+    // Inside fn use only the repositories passed to it: the others wait for
+    // the lock this transaction holds
+    transaction(fn) {
+      return withLock(async () => {
+        const snapshot = copy(state);
+        try {
+          return await fn(createRepositories(state, run => Promise.resolve().then(run)));
+        } catch (error) {
+          state.tables = snapshot.tables;
+          state.sequences = snapshot.sequences;
+          throw error;
+        }
+      });
+    },
+
+    async close() {}
+  };
+}
+
+module.exports = createMemoryStorage;
@@ -0,0 +1,399 @@
+// lib/storage/migrations/001-initial-schema.js - Schema as of the first migration
+//
+// Databases created before migrations existed already have some or all of
+// these tables, so every statement tolerates objects that already exist.
+const NOW = `strftime('%Y-%m-%dT%H:%M:%fZ', 'now')`;
+
+const TABLES = [
+  'agent_aliases',
+  'signing_keys',
+  'domain_verifications',
+  'agent_revisions',
+  'api_keys',
+  'agents',
+  'anchor_batches',
+  'registration_attempts',
+  'email_queue'
+];
+
+module.exports = {
+  version: 1,
+  name: 'initial-schema',
+
+  postgres: {
+    up: [
+      // Create agents table
+      `
+        CREATE TABLE IF NOT EXISTS agents (
+          id VARCHAR(50) PRIMARY KEY,
+          internal_id UUID NOT NULL,
+          email VARCHAR(255) NOT NULL,
+          status VARCHAR(50) NOT NULL,
+          blockchain_status VARCHAR(50) NOT NULL,
+          trust_score VARCHAR(20) NOT NULL,
+          registered_at TIMESTAMP NOT NULL,
+          agent_data JSONB NOT NULL,
+          metadata JSONB NOT NULL
+        )
+      `,
+
+      // Create email queue table
+      `
+        CREATE TABLE IF NOT EXISTS email_queue (
+          id SERIAL PRIMARY KEY,
+          recipient VARCHAR(255) NOT NULL,
+          subject VARCHAR(255) NOT NULL,
+          template VARCHAR(50) NOT NULL,
+          data JSONB NOT NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `,
+
+      // Create registration attempts table for customer intelligence
+      `
+        CREATE TABLE IF NOT EXISTS registration_attempts (
+          id SERIAL PRIMARY KEY,
+          event_type VARCHAR(50) NOT NULL,
+          email VARCHAR(255),
+          agent_name VARCHAR(255),
+          source VARCHAR(50),
+          data JSONB NOT NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `,
+
+      // Create indexes for better query performance
+      `
+        CREATE INDEX IF NOT EXISTS idx_agents_email ON agents(email);
+        CREATE INDEX IF NOT EXISTS idx_agents_registered_at ON agents(registered_at);
+        CREATE INDEX IF NOT EXISTS idx_attempts_email ON registration_attempts(email);
+        CREATE INDEX IF NOT EXISTS idx_attempts_created ON registration_attempts(created_at);
+        CREATE INDEX IF NOT EXISTS idx_attempts_event_type ON registration_attempts(event_type);
+      `,
+
+      // Create API keys table (only hashes are stored)
+      `
+        CREATE TABLE IF NOT EXISTS api_keys (
+          id SERIAL PRIMARY KEY,
+          agent_id VARCHAR(50) NOT NULL REFERENCES agents(id) ON UPDATE CASCADE ON DELETE CASCADE,
+          key_hash CHAR(64) NOT NULL UNIQUE,
+          key_prefix VARCHAR(20) NOT NULL,
+          scopes TEXT[] NOT NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          last_used_at TIMESTAMP,
+          revoked_at TIMESTAMP
+        )
+      `,
+
+      `
+        CREATE INDEX IF NOT EXISTS idx_api_keys_agent_id ON api_keys(agent_id);
+      `,
+
+      // Track when an agent record last changed
+      `
+        ALTER TABLE agents ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP
+      `,
+
+      // Create agent revision history table
+      `
+        CREATE TABLE IF NOT EXISTS agent_revisions (
+          id SERIAL PRIMARY KEY,
+          agent_id VARCHAR(50) NOT NULL REFERENCES agents(id) ON UPDATE CASCADE ON DELETE CASCADE,
+          revision INTEGER NOT NULL,
+          action VARCHAR(50) NOT NULL,
+          status VARCHAR(50) NOT NULL,
+          agent_data JSONB NOT NULL,
+          changes JSONB NOT NULL DEFAULT '{}',
+          reason TEXT,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE (agent_id, revision)
+        )
+      `,
+
+      // Email delivery state for the queue worker
+      `
+        ALTER TABLE email_queue
+          ADD COLUMN IF NOT EXISTS status VARCHAR(20) NOT NULL DEFAULT 'pending',
+          ADD COLUMN IF NOT EXISTS attempts INTEGER NOT NULL DEFAULT 0,
+          ADD COLUMN IF NOT EXISTS next_attempt_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          ADD COLUMN IF NOT EXISTS locked_at TIMESTAMP,
+          ADD COLUMN IF NOT EXISTS last_error TEXT,
+          ADD COLUMN IF NOT EXISTS transport VARCHAR(20),
+          ADD COLUMN IF NOT EXISTS message_id VARCHAR(255),
+          ADD COLUMN IF NOT EXISTS sent_at TIMESTAMP
+      `,
+
+      `
+        CREATE INDEX IF NOT EXISTS idx_email_queue_due ON email_queue(status, next_attempt_at);
+      `,
+
+      // When the registration email was confirmed
+      `
+        ALTER TABLE agents ADD COLUMN IF NOT EXISTS email_verified_at TIMESTAMP
+      `,
+
+      // Trust scores are numeric (0-100) with a stored per-factor breakdown.
+      // Convert legacy '95%' strings; the refresher recomputes them on startup.
+      `
+        DO $$
+        BEGIN
+          IF (SELECT data_type FROM information_schema.columns
+              WHERE table_name = 'agents' AND column_name = 'trust_score') = 'character varying' THEN
+            ALTER TABLE agents ALTER COLUMN trust_score TYPE INTEGER
+              USING NULLIF(regexp_replace(trust_score, '[^0-9]', '', 'g'), '')::INTEGER;
+          END IF;
+        END $$;
+      `,
+
+      `
+        ALTER TABLE agents
+          ADD COLUMN IF NOT EXISTS trust_breakdown JSONB,
+          ADD COLUMN IF NOT EXISTS domain_verified_at TIMESTAMP
+      `,
+
+      // Merkle batches anchored to the ledger
+      `
+        CREATE TABLE IF NOT EXISTS anchor_batches (
+          id SERIAL PRIMARY KEY,
+          merkle_root CHAR(64) NOT NULL,
+          leaf_count INTEGER NOT NULL,
+          ledger VARCHAR(50) NOT NULL,
+          status VARCHAR(20) NOT NULL,
+          tx_id VARCHAR(255),
+          block_number BIGINT,
+          error TEXT,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          anchored_at TIMESTAMP
+        )
+      `,
+
+      // Inclusion proof of the agent's most recently anchored record
+      `
+        ALTER TABLE agents
+          ADD COLUMN IF NOT EXISTS anchor_batch_id INTEGER REFERENCES anchor_batches(id),
+          ADD COLUMN IF NOT EXISTS anchor_proof JSONB,
+          ADD COLUMN IF NOT EXISTS anchored_at TIMESTAMP
+      `,
+
+      `
+        CREATE INDEX IF NOT EXISTS idx_agents_blockchain_status ON agents(blockchain_status);
+      `,
+
+      // Owner domain verification challenges
+      `
+        CREATE TABLE IF NOT EXISTS domain_verifications (
+          id SERIAL PRIMARY KEY,
+          agent_id VARCHAR(50) NOT NULL REFERENCES agents(id) ON UPDATE CASCADE ON DELETE CASCADE,
+          domain VARCHAR(255) NOT NULL,
+          token VARCHAR(64) NOT NULL,
+          status VARCHAR(20) NOT NULL DEFAULT 'pending',
+          method VARCHAR(20),
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          expires_at TIMESTAMP NOT NULL,
+          last_checked_at TIMESTAMP,
+          verified_at TIMESTAMP
+        )
+      `,
+
+      `
+        CREATE INDEX IF NOT EXISTS idx_domain_verifications_agent_id ON domain_verifications(agent_id);
+      `,
+
+      // Indexes backing GET /v1/agents filters and full-text search
+      `
+        CREATE INDEX IF NOT EXISTS idx_agents_owner ON agents(lower(agent_data->>'owner'));
+        CREATE INDEX IF NOT EXISTS idx_agents_capabilities ON agents USING GIN ((agent_data->'capabilities') jsonb_path_ops);
+        CREATE INDEX IF NOT EXISTS idx_agents_search ON agents USING GIN ((to_tsvector('english', coalesce(agent_data->>'name', '') || ' ' || coalesce(agent_data->>'description', ''))));
+        CREATE INDEX IF NOT EXISTS idx_agents_status_registered ON agents(status, registered_at DESC, id DESC);
+      `,
+
+      `
+        ALTER TABLE agents ADD COLUMN IF NOT EXISTS verified_domain VARCHAR(255)
+      `,
+
+      // Keys used to sign agent credentials (private keys are stored encrypted)
+      `
+        CREATE TABLE IF NOT EXISTS signing_keys (
+          kid VARCHAR(64) PRIMARY KEY,
+          algorithm VARCHAR(20) NOT NULL,
+          public_jwk JSONB NOT NULL,
+          private_key TEXT NOT NULL,
+          status VARCHAR(20) NOT NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          retired_at TIMESTAMP
+        )
+      `,
+
+      // Former agent IDs (e.g. TEMP IDs converted to permanent IDs) that still resolve
+      `
+        CREATE TABLE IF NOT EXISTS agent_aliases (
+          alias_id VARCHAR(50) PRIMARY KEY,
+          agent_id VARCHAR(50) NOT NULL REFERENCES agents(id) ON UPDATE CASCADE ON DELETE CASCADE,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `,
+
+      // Give agents registered before revision tracking their initial revision
+      `
+        INSERT INTO agent_revisions (agent_id, revision, action, status, agent_data, created_at)
+        SELECT id, 1, 'registered', status, agent_data, registered_at
+        FROM agents
+        WHERE NOT EXISTS (SELECT 1 FROM agent_revisions r WHERE r.agent_id = agents.id)
+      `
+    ],
+    // Dependent tables first
+    down: TABLES.map(table => `DROP TABLE IF EXISTS ${table}`)
+  },
+
+  sqlite: {
+    up: [
+      `
+        CREATE TABLE IF NOT EXISTS anchor_batches (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          merkle_root TEXT NOT NULL,
+          leaf_count INTEGER NOT NULL,
+          ledger TEXT NOT NULL,
+          status TEXT NOT NULL,
+          tx_id TEXT,
+          block_number INTEGER,
+          error TEXT,
+          created_at TEXT DEFAULT (${NOW}),
+          anchored_at TEXT
+        )
+      `,
+      `
+        CREATE TABLE IF NOT EXISTS agents (
+          id TEXT PRIMARY KEY,
+          internal_id TEXT NOT NULL,
+          email TEXT NOT NULL,
+          status TEXT NOT NULL,
+          blockchain_status TEXT NOT NULL,
+          trust_score INTEGER NOT NULL,
+          trust_breakdown TEXT,
+          registered_at TEXT NOT NULL,
+          updated_at TEXT,
+          agent_data TEXT NOT NULL,
+          metadata TEXT NOT NULL,
+          email_verified_at TEXT,
+          verified_domain TEXT,
+          domain_verified_at TEXT,
+          anchor_batch_id INTEGER REFERENCES anchor_batches(id),
+          anchor_proof TEXT,
+          anchored_at TEXT
+        )
+      `,
+      `
+        CREATE INDEX IF NOT EXISTS idx_agents_email ON agents(email)
+      `,
+      `
+        CREATE INDEX IF NOT EXISTS idx_agents_status_registered ON agents(status, registered_at DESC, id DESC)
+      `,
+      `
+        CREATE INDEX IF NOT EXISTS idx_agents_blockchain_status ON agents(blockchain_status)
+      `,
+      `
+        CREATE TABLE IF NOT EXISTS agent_aliases (
+          alias_id TEXT PRIMARY KEY,
+          agent_id TEXT NOT NULL REFERENCES agents(id) ON UPDATE CASCADE ON DELETE CASCADE,
+          created_at TEXT DEFAULT (${NOW})
+        )
+      `,
+      `
+        CREATE TABLE IF NOT EXISTS api_keys (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          agent_id TEXT NOT NULL REFERENCES agents(id) ON UPDATE CASCADE ON DELETE CASCADE,
+          key_hash TEXT NOT NULL UNIQUE,
+          key_prefix TEXT NOT NULL,
+          scopes TEXT NOT NULL,
+          created_at TEXT DEFAULT (${NOW}),
+          last_used_at TEXT,
+          revoked_at TEXT
+        )
+      `,
+      `
+        CREATE INDEX IF NOT EXISTS idx_api_keys_agent_id ON api_keys(agent_id)
+      `,
+      `
+        CREATE TABLE IF NOT EXISTS agent_revisions (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          agent_id TEXT NOT NULL REFERENCES agents(id) ON UPDATE CASCADE ON DELETE CASCADE,
+          revision INTEGER NOT NULL,
+          action TEXT NOT NULL,
+          status TEXT NOT NULL,
+          agent_data TEXT NOT NULL,
+          changes TEXT NOT NULL DEFAULT '{}',
+          reason TEXT,
+          created_at TEXT DEFAULT (${NOW}),
+          UNIQUE (agent_id, revision)
+        )
+      `,
+      `
+        CREATE TABLE IF NOT EXISTS email_queue (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          recipient TEXT NOT NULL,
+          subject TEXT NOT NULL,
+          template TEXT NOT NULL,
+          data TEXT NOT NULL,
+          status TEXT NOT NULL DEFAULT 'pending',
+          attempts INTEGER NOT NULL DEFAULT 0,
+          next_attempt_at TEXT DEFAULT (${NOW}),
+          locked_at TEXT,
+          last_error TEXT,
+          transport TEXT,
+          message_id TEXT,
+          sent_at TEXT,
+          created_at TEXT DEFAULT (${NOW})
+        )
+      `,
+      `
+        CREATE INDEX IF NOT EXISTS idx_email_queue_due ON email_queue(status, next_attempt_at)
+      `,
+      `
+        CREATE TABLE IF NOT EXISTS registration_attempts (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          event_type TEXT NOT NULL,
+          email TEXT,
+          agent_name TEXT,
+          source TEXT,
+          data TEXT NOT NULL,
+          created_at TEXT DEFAULT (${NOW})
+        )
+      `,
+      `
+        CREATE INDEX IF NOT EXISTS idx_attempts_created ON registration_attempts(created_at)
+      `,
+      `
+        CREATE INDEX IF NOT EXISTS idx_attempts_event_type ON registration_attempts(event_type)
+      `,
+      `
+        CREATE TABLE IF NOT EXISTS domain_verifications (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          agent_id TEXT NOT NULL REFERENCES agents(id) ON UPDATE CASCADE ON DELETE CASCADE,
+          domain TEXT NOT NULL,
+          token TEXT NOT NULL,
+          status TEXT NOT NULL DEFAULT 'pending',
+          method TEXT,
+          created_at TEXT DEFAULT (${NOW}),
+          expires_at TEXT NOT NULL,
+          last_checked_at TEXT,
+          verified_at TEXT
+        )
+      `,
+      `
+        CREATE INDEX IF NOT EXISTS idx_domain_verifications_agent_id ON domain_verifications(agent_id)
+      `,
+      `
+        CREATE TABLE IF NOT EXISTS signing_keys (
+          kid TEXT PRIMARY KEY,
+          algorithm TEXT NOT NULL,
+          public_jwk TEXT NOT NULL,
+          private_key TEXT NOT NULL,
+          status TEXT NOT NULL,
+          created_at TEXT DEFAULT (${NOW}),
+          retired_at TEXT
+        )
+      `
+    ],
+    down: TABLES.map(table => `DROP TABLE IF EXISTS ${table}`)
+  }
+};
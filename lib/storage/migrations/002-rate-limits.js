@@ -0,0 +1,57 @@
+// lib/storage/migrations/002-rate-limits.js - Shared rate limit counters and source blocks
+const NOW = `strftime('%Y-%m-%dT%H:%M:%fZ', 'now')`;
+
+module.exports = {
+  version: 2,
+  name: 'rate-limits',
+
+  postgres: {
+    up: [
+      // One fixed-window counter per limit and source
+      `
+        CREATE TABLE rate_limits (
+          key VARCHAR(255) PRIMARY KEY,
+          count INTEGER NOT NULL,
+          reset_at TIMESTAMP NOT NULL
+        )
+      `,
+
+      `
+        CREATE TABLE blocked_sources (
+          key VARCHAR(255) PRIMARY KEY,
+          reason TEXT,
+          blocked_until TIMESTAMP NOT NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `
+    ],
+    down: [
+      'DROP TABLE blocked_sources',
+      'DROP TABLE rate_limits'
+    ]
+  },
+
+  sqlite: {
+    up: [
+      `
+        CREATE TABLE rate_limits (
+          key TEXT PRIMARY KEY,
+          count INTEGER NOT NULL,
+          reset_at TEXT NOT NULL
+        )
+      `,
+      `
+        CREATE TABLE blocked_sources (
+          key TEXT PRIMARY KEY,
+          reason TEXT,
+          blocked_until TEXT NOT NULL,
+          created_at TEXT DEFAULT (${NOW})
+        )
+      `
+    ],
+    down: [
+      'DROP TABLE blocked_sources',
+      'DROP TABLE rate_limits'
+    ]
+  }
+};
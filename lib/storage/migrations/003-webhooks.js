@@ -0,0 +1,100 @@
+// lib/storage/migrations/003-webhooks.js - Owner webhook endpoints and their delivery log
+const NOW = `strftime('%Y-%m-%dT%H:%M:%fZ', 'now')`;
+
+module.exports = {
+  version: 3,
+  name: 'webhooks',
+
+  postgres: {
+    up: [
+      // Endpoints belong to an owner email and receive events for all of its agents
+      `
+        CREATE TABLE webhooks (
+          id SERIAL PRIMARY KEY,
+          owner_email VARCHAR(255) NOT NULL,
+          url TEXT NOT NULL,
+          events JSONB NOT NULL,
+          secret VARCHAR(100) NOT NULL,
+          description TEXT,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `,
+
+      `
+        CREATE INDEX idx_webhooks_owner_email ON webhooks(owner_email);
+      `,
+
+      // One row per event and endpoint; the payload is frozen when the event happens
+      `
+        CREATE TABLE webhook_deliveries (
+          id SERIAL PRIMARY KEY,
+          webhook_id INTEGER NOT NULL REFERENCES webhooks(id) ON DELETE CASCADE,
+          event_id VARCHAR(64) NOT NULL,
+          event_type VARCHAR(50) NOT NULL,
+          agent_id VARCHAR(50),
+          payload JSONB NOT NULL,
+          status VARCHAR(20) NOT NULL DEFAULT 'pending',
+          attempts INTEGER NOT NULL DEFAULT 0,
+          next_attempt_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          locked_at TIMESTAMP,
+          response_status INTEGER,
+          last_error TEXT,
+          replay_of INTEGER,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          delivered_at TIMESTAMP
+        )
+      `,
+
+      `
+        CREATE INDEX idx_webhook_deliveries_due ON webhook_deliveries(status, next_attempt_at);
+        CREATE INDEX idx_webhook_deliveries_webhook ON webhook_deliveries(webhook_id, created_at);
+      `
+    ],
+    down: [
+      'DROP TABLE webhook_deliveries',
+      'DROP TABLE webhooks'
+    ]
+  },
+
+  sqlite: {
+    up: [
+      `
+        CREATE TABLE webhooks (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          owner_email TEXT NOT NULL,
+          url TEXT NOT NULL,
+          events TEXT NOT NULL,
+          secret TEXT NOT NULL,
+          description TEXT,
+          created_at TEXT DEFAULT (${NOW})
+        )
+      `,
+      'CREATE INDEX idx_webhooks_owner_email ON webhooks(owner_email)',
+      `
+        CREATE TABLE webhook_deliveries (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          webhook_id INTEGER NOT NULL REFERENCES webhooks(id) ON DELETE CASCADE,
+          event_id TEXT NOT NULL,
+          event_type TEXT NOT NULL,
+          agent_id TEXT,
+          payload TEXT NOT NULL,
+          status TEXT NOT NULL DEFAULT 'pending',
+          attempts INTEGER NOT NULL DEFAULT 0,
+          next_attempt_at TEXT DEFAULT (${NOW}),
+          locked_at TEXT,
+          response_status INTEGER,
+          last_error TEXT,
+          replay_of INTEGER,
+          created_at TEXT DEFAULT (${NOW}),
+          delivered_at TEXT
+        )
+      `,
+      'CREATE INDEX idx_webhook_deliveries_due ON webhook_deliveries(status, next_attempt_at)',
+      'CREATE INDEX idx_webhook_deliveries_webhook ON webhook_deliveries(webhook_id, created_at)'
+    ],
+    down: [
+      'DROP TABLE webhook_deliveries',
+      'DROP TABLE webhooks'
+    ]
+  }
+};
@@ -0,0 +1,29 @@
+// lib/storage/migrations/004-agent-owner-email.js - Case-insensitive lookups of an owner's agents, in registration order
+module.exports = {
+  version: 4,
+  name: 'agent-owner-email',
+
+  postgres: {
+    up: [
+      // Owner-scoped exports match the email case-insensitively, like webhooks
+      'CREATE INDEX idx_agents_owner_email ON agents (LOWER(email))',
+
+      // Agents of one bulk registration share registered_at; seq keeps them in
+      // the order they were inserted. SQLite has its rowid for this.
+      'ALTER TABLE agents ADD COLUMN seq BIGSERIAL'
+    ],
+    down: [
+      'ALTER TABLE agents DROP COLUMN seq',
+      'DROP INDEX idx_agents_owner_email'
+    ]
+  },
+
+  sqlite: {
+    up: [
+      'CREATE INDEX idx_agents_owner_email ON agents (LOWER(email))'
+    ],
+    down: [
+      'DROP INDEX idx_agents_owner_email'
+    ]
+  }
+};
@@ -0,0 +1,43 @@
+// lib/storage/migrations/005-attempt-privacy.js - Pseudonymised analytics and data-subject lookups
+module.exports = {
+  version: 5,
+  name: 'attempt-privacy',
+
+  postgres: {
+    up: [
+      // Analytics group by the hash, which outlives the address itself (see lib/retention.js)
+      `
+        ALTER TABLE registration_attempts
+          ADD COLUMN email_hash VARCHAR(64),
+          ADD COLUMN anonymized_at TIMESTAMP
+      `,
+      'CREATE INDEX idx_attempts_email_hash ON registration_attempts(email_hash)',
+      // Erasure finds an address's rows case-insensitively
+      'CREATE INDEX idx_attempts_lower_email ON registration_attempts (LOWER(email))',
+      'CREATE INDEX idx_email_queue_recipient ON email_queue (LOWER(recipient))'
+    ],
+    down: [
+      'DROP INDEX idx_email_queue_recipient',
+      'DROP INDEX idx_attempts_lower_email',
+      'DROP INDEX idx_attempts_email_hash',
+      'ALTER TABLE registration_attempts DROP COLUMN anonymized_at, DROP COLUMN email_hash'
+    ]
+  },
+
+  sqlite: {
+    up: [
+      'ALTER TABLE registration_attempts ADD COLUMN email_hash TEXT',
+      'ALTER TABLE registration_attempts ADD COLUMN anonymized_at TEXT',
+      'CREATE INDEX idx_attempts_email_hash ON registration_attempts(email_hash)',
+      'CREATE INDEX idx_attempts_lower_email ON registration_attempts (LOWER(email))',
+      'CREATE INDEX idx_email_queue_recipient ON email_queue (LOWER(recipient))'
+    ],
+    down: [
+      'DROP INDEX idx_email_queue_recipient',
+      'DROP INDEX idx_attempts_lower_email',
+      'DROP INDEX idx_attempts_email_hash',
+      'ALTER TABLE registration_attempts DROP COLUMN anonymized_at',
+      'ALTER TABLE registration_attempts DROP COLUMN email_hash'
+    ]
+  }
+};
@@ -0,0 +1,89 @@
+// lib/storage/migrations/006-audit-log.js - Append-only, hash-chained audit log of registry changes
+const NOW = `strftime('%Y-%m-%dT%H:%M:%fZ', 'now')`;
+
+module.exports = {
+  version: 6,
+  name: 'audit-log',
+
+  postgres: {
+    up: [
+      // seq has no gaps, so a deleted entry shows up as a missing number.
+      // TIMESTAMPTZ because the hash covers created_at, whatever the server's time zone.
+      `
+        CREATE TABLE audit_log (
+          seq INTEGER PRIMARY KEY,
+          created_at TIMESTAMPTZ NOT NULL,
+          actor_type VARCHAR(20) NOT NULL,
+          actor_id VARCHAR(100),
+          action VARCHAR(50) NOT NULL,
+          agent_id VARCHAR(50),
+          changes JSONB NOT NULL,
+          reason TEXT,
+          request_id VARCHAR(100),
+          prev_hash VARCHAR(64),
+          hash VARCHAR(64) NOT NULL
+        )
+      `,
+
+      `
+        CREATE INDEX idx_audit_log_created_at ON audit_log(created_at);
+        CREATE INDEX idx_audit_log_agent ON audit_log(agent_id, seq);
+      `,
+
+      // The chain shows tampering; the trigger stops it through the API's own connection
+      `
+        CREATE FUNCTION audit_log_append_only() RETURNS trigger AS $$
+        BEGIN
+          RAISE EXCEPTION 'audit_log is append-only';
+        END;
+        $$ LANGUAGE plpgsql
+      `,
+      `
+        CREATE TRIGGER audit_log_append_only
+          BEFORE UPDATE OR DELETE ON audit_log
+          FOR EACH ROW EXECUTE FUNCTION audit_log_append_only()
+      `
+    ],
+    down: [
+      'DROP TABLE audit_log',
+      'DROP FUNCTION audit_log_append_only()'
+    ]
+  },
+
+  sqlite: {
+    up: [
+      `
+        CREATE TABLE audit_log (
+          seq INTEGER PRIMARY KEY,
+          created_at TEXT NOT NULL DEFAULT (${NOW}),
+          actor_type TEXT NOT NULL,
+          actor_id TEXT,
+          action TEXT NOT NULL,
+          agent_id TEXT,
+          changes TEXT NOT NULL,
+          reason TEXT,
+          request_id TEXT,
+          prev_hash TEXT,
+          hash TEXT NOT NULL
+        )
+      `,
+      'CREATE INDEX idx_audit_log_created_at ON audit_log(created_at)',
+      'CREATE INDEX idx_audit_log_agent ON audit_log(agent_id, seq)',
+      `
+        CREATE TRIGGER audit_log_no_update BEFORE UPDATE ON audit_log
+        BEGIN
+          SELECT RAISE(ABORT, 'audit_log is append-only');
+        END
+      `,
+      `
+        CREATE TRIGGER audit_log_no_delete BEFORE DELETE ON audit_log
+        BEGIN
+          SELECT RAISE(ABORT, 'audit_log is append-only');
+        END
+      `
+    ],
+    down: [
+      'DROP TABLE audit_log'
+    ]
+  }
+};
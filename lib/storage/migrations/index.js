@@ -0,0 +1,119 @@
+// lib/storage/migrations/index.js - Numbered schema migrations
+//
+// A migration is a module exporting:
+//   version                 - increasing integer, also its file name prefix
+//   name
+//   postgres, sqlite        - { up, down }: SQL statements run in order
+// Migrations never change once released: a schema change is a new migration
+// appended to MIGRATIONS. Applied versions are recorded in schema_migrations.
+const { logger } = require('../../logger');
+
+const MIGRATIONS = [
+  require('./001-initial-schema'),
+  require('./002-rate-limits'),
+  require('./003-webhooks'),
+  require('./004-agent-owner-email'),
+  require('./005-attempt-privacy'),
+  require('./006-audit-log')
+];
+
+const LATEST_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+MIGRATIONS.forEach((migration, index) => {
+  if (index > 0 && migration.version <= MIGRATIONS[index - 1].version) {
+    throw new Error(`Migration ${migration.version}-${migration.name} is out of order`);
+  }
+});
+
+class SchemaOutOfDateError extends Error {
+  constructor(pending) {
+    super(`Database schema is behind the code: ${pending.length} pending migration${pending.length === 1 ? '' : 's'} (${pending.map(label).join(', ')}). Run npm run db:migrate`);
+    this.name = 'SchemaOutOfDateError';
+    this.pending = pending;
+  }
+}
+
+function label(migration) {
+  return `${migration.version}-${migration.name}`;
+}
+
+function summary(migration) {
+  return { version: migration.version, name: migration.name };
+}
+
+// Migration commands over a backend, which provides:
+//   ensureTable()                - create schema_migrations if it doesn't exist
+//   listApplied()                - resolves to [{ version, name, applied_at }]
+//   apply(migration, direction)  - run migration[dialect][direction] and add or
+//                                  remove its schema_migrations row atomically
+function createMigrator(backend) {
+  async function status() {
+    await backend.ensureTable();
+    const applied = await backend.listApplied();
+    const appliedVersions = new Set(applied.map(row => row.version));
+    const knownVersions = new Set(MIGRATIONS.map(migration => migration.version));
+
+    return {
+      current: applied.reduce((max, row) => Math.max(max, row.version), 0),
+      latest: LATEST_VERSION,
+      applied: applied,
+      pending: MIGRATIONS.filter(migration => !appliedVersions.has(migration.version)).map(summary),
+      // Applied by a newer release than this one
+      unknown: applied.filter(row => !knownVersions.has(row.version)).map(row => row.version)
+    };
+  }
+
+  // Apply pending migrations up to and including `to`
+  async function migrate({ to = LATEST_VERSION } = {}) {
+    const { pending } = await status();
+    const done = [];
+
+    for (const migration of MIGRATIONS) {
+      if (migration.version > to || !pending.some(p => p.version === migration.version)) continue;
+      await backend.apply(migration, 'up');
+      done.push(summary(migration));
+    }
+
+    return done;
+  }
+
+  // Roll back the newest migrations, one by default, or all above `to`
+  async function rollback({ to } = {}) {
+    const { applied } = await status();
+    const newestFirst = applied.map(row => row.version).sort((a, b) => b - a);
+    const versions = to === undefined ? newestFirst.slice(0, 1) : newestFirst.filter(version => version > to);
+    const done = [];
+
+    for (const version of versions) {
+      const migration = MIGRATIONS.find(m => m.version === version);
+      if (!migration) {
+        throw new Error(`Can't roll back migration ${version}: it was applied by a newer release`);
+      }
+      await backend.apply(migration, 'down');
+      done.push(summary(migration));
+    }
+
+    return done;
+  }
+
+  // Rejects when migrations are pending, so the server never runs on an old schema
+  async function assertCurrent() {
+    const { pending, unknown } = await status();
+
+    if (pending.length > 0) {
+      throw new SchemaOutOfDateError(pending);
+    }
+    if (unknown.length > 0) {
+      logger.warn('Database has migrations this release does not know - it was migrated by a newer release', { unknown });
+    }
+  }
+
+  return { status, migrate, rollback, assertCurrent };
+}
+
+module.exports = {
+  MIGRATIONS,
+  LATEST_VERSION,
+  SchemaOutOfDateError,
+  createMigrator
+};
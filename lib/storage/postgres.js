@@ -0,0 +1,961 @@
+// lib/storage/postgres.js - PostgreSQL storage backend
+//
+// The production backend. Row claims use FOR UPDATE SKIP LOCKED, so several
+// API processes can share one database.
+const { Pool } = require('pg');
+const { TABLES, assertColumns } = require('./tables');
+const { createMigrator } = require('./migrations');
+
+// Must match the expression of idx_agents_search (see migrations) so the index is used
+const SEARCH_VECTOR = `to_tsvector('english', coalesce(agent_data->>'name', '') || ' ' || coalesce(agent_data->>'description', ''))`;
+
+function toValue(table, column, value) {
+  if (value === undefined || value === null) return null;
+  return (TABLES[table].json || []).includes(column) ? JSON.stringify(value) : value;
+}
+
+async function insertRow(db, table, row) {
+  const columns = Object.keys(row);
+  assertColumns(table, columns);
+
+  const result = await db.query(
+    `INSERT INTO ${table} (${columns.join(', ')})
+     VALUES (${columns.map((column, i) => `$${i + 1}`).join(', ')})
+     RETURNING *`,
+    columns.map(column => toValue(table, column, row[column]))
+  );
+
+  return result.rows[0];
+}
+
+async function updateRow(db, table, key, id, changes) {
+  const columns = Object.keys(changes);
+  assertColumns(table, columns);
+
+  const result = await db.query(
+    `UPDATE ${table}
+     SET ${columns.map((column, i) => `${column} = $${i + 2}`).join(', ')}
+     WHERE ${key} = $1
+     RETURNING *`,
+    [id, ...columns.map(column => toValue(table, column, changes[column]))]
+  );
+
+  return result.rows[0] || null;
+}
+
+function countsBy(rows, key) {
+  const counts = {};
+  for (const row of rows) {
+    counts[row[key]] = parseInt(row.count);
+  }
+  return counts;
+}
+
+// SQL for a search request, see agents.search()
+function buildAgentSearch(filters) {
+  const conditions = [];
+  const values = [];
+  const param = value => {
+    values.push(value);
+    return `$${values.length}`;
+  };
+
+  conditions.push(filters.status && filters.status.length > 0
+    ? `status = ANY(${param(filters.status)})`
+    : `status <> 'pending_email_verification'`);
+
+  if (filters.owner) {
+    conditions.push(`lower(agent_data->>'owner') = lower(${param(filters.owner)})`);
+  }
+
+  if (filters.capability && filters.capability.length > 0) {
+    // Agents must have every requested capability
+    conditions.push(`agent_data->'capabilities' @> ${param(JSON.stringify(filters.capability))}::jsonb`);
+  }
+
+  if (filters.minTrustScore !== undefined) {
+    conditions.push(`trust_score >= ${param(filters.minTrustScore)}`);
+  }
+  if (filters.maxTrustScore !== undefined) {
+    conditions.push(`trust_score <= ${param(filters.maxTrustScore)}`);
+  }
+
+  if (filters.registeredAfter !== undefined) {
+    conditions.push(`registered_at >= ${param(new Date(filters.registeredAfter))}`);
+  }
+  if (filters.registeredBefore !== undefined) {
+    conditions.push(`registered_at < ${param(new Date(filters.registeredBefore))}`);
+  }
+
+  if (filters.q) {
+    conditions.push(`${SEARCH_VECTOR} @@ websearch_to_tsquery('english', ${param(filters.q)})`);
+  }
+
+  if (filters.after) {
+    conditions.push(`(registered_at, id) < (${param(filters.after.registeredAt)}::timestamp, ${param(filters.after.id)}::varchar)`);
+  }
+
+  // The cursor keeps registered_at as text because JS dates would drop its microseconds
+  const text = `SELECT *, registered_at::text AS cursor_registered_at
+     FROM agents
+     WHERE ${conditions.join('\n       AND ')}
+     ORDER BY registered_at DESC, id DESC
+     LIMIT ${param(filters.limit)}`;
+
+  return { text, values };
+}
+
+// WHERE clause shared by the registration_attempts analytics queries
+function attemptFilters({ from, to, source, eventTypes }, values) {
+  const conditions = [];
+  const param = value => {
+    values.push(value);
+    return `$${values.length}`;
+  };
+
+  if (from) conditions.push(`created_at >= ${param(from)}`);
+  if (to) conditions.push(`created_at < ${param(to)}`);
+  if (source) conditions.push(`source = ${param(source)}`);
+  if (eventTypes && eventTypes.length > 0) conditions.push(`event_type = ANY(${param(eventTypes)})`);
+
+  return conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+}
+
+// Repositories bound to the pool, or to a client inside a transaction
+function createRepositories(db) {
+  return {
+    agents: {
+      async findById(id, { forUpdate = false } = {}) {
+        const result = await db.query(`SELECT * FROM agents WHERE id = $1${forUpdate ? ' FOR UPDATE' : ''}`, [id]);
+        return result.rows[0] || null;
+      },
+
+      create(row) {
+        return insertRow(db, 'agents', row);
+      },
+
+      update(id, changes) {
+        return updateRow(db, 'agents', 'id', id, changes);
+      },
+
+      // Related rows follow the new ID through ON UPDATE CASCADE; webhook
+      // deliveries, which have no foreign key on agents, are moved here. The
+      // audit log keeps the ID an entry was recorded under: it is append-only
+      // and hashed. Its export resolves former IDs through aliases.
+      async rename(id, newId) {
+        await db.query('UPDATE agents SET id = $2 WHERE id = $1', [id, newId]);
+        await db.query('UPDATE webhook_deliveries SET agent_id = $2 WHERE agent_id = $1', [id, newId]);
+      },
+
+      async count({ excludeUnconfirmed = false, registeredSince } = {}) {
+        const conditions = [];
+        const values = [];
+        if (excludeUnconfirmed) {
+          conditions.push(`status <> 'pending_email_verification'`);
+        }
+        if (registeredSince) {
+          values.push(registeredSince);
+          conditions.push(`registered_at > $${values.length}`);
+        }
+
+        const result = await db.query(
+          `SELECT COUNT(*) as count FROM agents${conditions.length > 0 ? ` WHERE ${conditions.join(' AND ')}` : ''}`,
+          values
+        );
+        return parseInt(result.rows[0].count);
+      },
+
+      async countByBlockchainStatus() {
+        const result = await db.query('SELECT blockchain_status, COUNT(*) as count FROM agents GROUP BY blockchain_status');
+        return countsBy(result.rows, 'blockchain_status');
+      },
+
+      async listRecent(limit) {
+        const result = await db.query(
+          `SELECT * FROM agents
+           WHERE status <> 'pending_email_verification'
+           ORDER BY registered_at DESC
+           LIMIT $1`,
+          [limit]
+        );
+        return result.rows;
+      },
+
+      // Every agent registered with an email address, oldest first and in
+      // insertion order within a bulk registration. ownerEmail is lower-case.
+      async listByOwnerEmail(ownerEmail) {
+        const result = await db.query(
+          'SELECT * FROM agents WHERE LOWER(email) = $1 ORDER BY registered_at ASC, seq ASC',
+          [ownerEmail]
+        );
+        return result.rows;
+      },
+
+      async search(filters) {
+        const { text, values } = buildAgentSearch(filters);
+        const result = await db.query(text, values);
+        return result.rows;
+      },
+
+      async findStaleTrustScores({ maxAgeMs, modelVersion, limit }) {
+        const result = await db.query(
+          `SELECT id FROM agents
+           WHERE trust_breakdown IS NULL
+              OR (trust_breakdown->>'computedAt')::timestamptz < NOW() - $1 * INTERVAL '1 millisecond'
+              OR (trust_breakdown->>'modelVersion')::int <> $2
+           LIMIT $3`,
+          [maxAgeMs, modelVersion, limit]
+        );
+        return result.rows.map(row => row.id);
+      },
+
+      // Unconfirmed agents are anchored once their email is verified
+      async claimForAnchoring(limit) {
+        const result = await db.query(
+          `UPDATE agents
+           SET blockchain_status = 'anchoring'
+           WHERE id IN (
+             SELECT id FROM agents
+             WHERE blockchain_status = 'pending'
+               AND status <> 'pending_email_verification'
+             ORDER BY COALESCE(updated_at, registered_at) ASC
+             LIMIT $1
+             FOR UPDATE SKIP LOCKED
+           )
+           RETURNING *`,
+          [limit]
+        );
+        return result.rows;
+      },
+
+      // Put claimed agents back in the queue; all of them when ids is omitted
+      async releaseAnchoring(ids) {
+        if (ids) {
+          await db.query(
+            `UPDATE agents SET blockchain_status = 'pending'
+             WHERE id = ANY($1) AND blockchain_status = 'anchoring'`,
+            [ids]
+          );
+        } else {
+          await db.query(`UPDATE agents SET blockchain_status = 'pending' WHERE blockchain_status = 'anchoring'`);
+        }
+      },
+
+      // Skips agents that changed (and went back to 'pending') while their batch
+      // was anchored. Resolves to whether the agent was marked.
+      async markAnchored(id, { batchId, proof, anchoredAt }) {
+        const result = await db.query(
+          `UPDATE agents
+           SET blockchain_status = 'anchored', anchor_batch_id = $2, anchor_proof = $3, anchored_at = $4
+           WHERE id = $1 AND blockchain_status = 'anchoring'`,
+          [id, batchId, JSON.stringify(proof), anchoredAt]
+        );
+        return result.rowCount > 0;
+      }
+    },
+
+    aliases: {
+      async resolve(aliasId) {
+        const result = await db.query('SELECT agent_id FROM agent_aliases WHERE alias_id = $1', [aliasId]);
+        return result.rows.length > 0 ? result.rows[0].agent_id : null;
+      },
+
+      async create(aliasId, agentId) {
+        await db.query('INSERT INTO agent_aliases (alias_id, agent_id) VALUES ($1, $2)', [aliasId, agentId]);
+      },
+
+      async listForAgent(agentId) {
+        const result = await db.query('SELECT alias_id FROM agent_aliases WHERE agent_id = $1', [agentId]);
+        return result.rows.map(row => row.alias_id);
+      }
+    },
+
+    apiKeys: {
+      async create({ agentId, keyHash, keyPrefix, scopes }) {
+        await db.query(
+          `INSERT INTO api_keys (agent_id, key_hash, key_prefix, scopes)
+           VALUES ($1, $2, $3, $4)`,
+          [agentId, keyHash, keyPrefix, scopes]
+        );
+      },
+
+      async findActiveByHash(keyHash) {
+        const result = await db.query(
+          `SELECT id, agent_id, key_prefix, scopes
+           FROM api_keys
+           WHERE key_hash = $1 AND revoked_at IS NULL`,
+          [keyHash]
+        );
+        return result.rows[0] || null;
+      },
+
+      async touch(id) {
+        await db.query('UPDATE api_keys SET last_used_at = NOW() WHERE id = $1', [id]);
+      },
+
+      async revokeForAgent(agentId) {
+        const result = await db.query('UPDATE api_keys SET revoked_at = NOW() WHERE agent_id = $1 AND revoked_at IS NULL', [agentId]);
+        return result.rowCount;
+      }
+    },
+
+    revisions: {
+      async create({ agentId, action, status, agentData, changes, reason }) {
+        const result = await db.query(
+          `INSERT INTO agent_revisions (agent_id, revision, action, status, agent_data, changes, reason)
+           VALUES (
+             $1::VARCHAR,
+             (SELECT COALESCE(MAX(revision), 0) + 1 FROM agent_revisions WHERE agent_id = $1::VARCHAR),
+             $2, $3, $4, $5, $6
+           )
+           RETURNING revision, created_at`,
+          [agentId, action, status, JSON.stringify(agentData), JSON.stringify(changes || {}), reason || null]
+        );
+        return result.rows[0];
+      },
+
+      async listForAgent(agentId) {
+        const result = await db.query(
+          `SELECT revision, action, status, agent_data, changes, reason, created_at
+           FROM agent_revisions
+           WHERE agent_id = $1
+           ORDER BY revision ASC`,
+          [agentId]
+        );
+        return result.rows;
+      },
+
+      // { updated: 2, deprecated: 1, ... }
+      async countActions(agentId) {
+        const result = await db.query(
+          'SELECT action, COUNT(*) as count FROM agent_revisions WHERE agent_id = $1 GROUP BY action',
+          [agentId]
+        );
+        return countsBy(result.rows, 'action');
+      },
+
+      // Remove fields from the snapshots and diffs of an agent's revisions.
+      // Resolves to the number of revisions that had any of them.
+      async eraseFields(agentId, fields) {
+        const result = await db.query(
+          `UPDATE agent_revisions
+           SET agent_data = agent_data - $2::text[], changes = changes - $2::text[]
+           WHERE agent_id = $1 AND (agent_data ?| $2 OR changes ?| $2)`,
+          [agentId, fields]
+        );
+        return result.rowCount;
+      }
+    },
+
+    auditLog: {
+      // Only inside a transaction: the advisory lock is held until it ends, so
+      // concurrent appends can't both extend the same entry
+      async lockLatest() {
+        await db.query(`SELECT pg_advisory_xact_lock(hashtext('audit_log'))`);
+        const result = await db.query('SELECT seq, hash FROM audit_log ORDER BY seq DESC LIMIT 1');
+        return result.rows[0] || null;
+      },
+
+      append(entry) {
+        return insertRow(db, 'audit_log', entry);
+      },
+
+      async findBySeq(seq) {
+        const result = await db.query('SELECT * FROM audit_log WHERE seq = $1', [seq]);
+        return result.rows[0] || null;
+      },
+
+      async list({ from, to, agentIds, afterSeq, limit }) {
+        const conditions = [];
+        const values = [];
+        const param = value => {
+          values.push(value);
+          return `$${values.length}`;
+        };
+
+        if (from) conditions.push(`created_at >= ${param(from)}`);
+        if (to) conditions.push(`created_at < ${param(to)}`);
+        if (agentIds) conditions.push(`agent_id = ANY(${param(agentIds)})`);
+        if (afterSeq !== undefined) conditions.push(`seq > ${param(afterSeq)}`);
+
+        const result = await db.query(
+          `SELECT * FROM audit_log
+           ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+           ORDER BY seq
+           LIMIT ${param(limit)}`,
+          values
+        );
+        return result.rows;
+      }
+    },
+
+    emailQueue: {
+      async enqueue({ recipient, subject, template, data }) {
+        await db.query(
+          `INSERT INTO email_queue (recipient, subject, template, data)
+           VALUES ($1, $2, $3, $4)`,
+          [recipient, subject, template, JSON.stringify(data)]
+        );
+      },
+
+      // Claim due rows (and rows stuck in 'sending') so concurrent workers never send the same email
+      async claimDue({ limit, staleLockMs }) {
+        const result = await db.query(
+          `UPDATE email_queue
+           SET status = 'sending', locked_at = NOW()
+           WHERE id IN (
+             SELECT id FROM email_queue
+             WHERE (status = 'pending' AND next_attempt_at <= NOW())
+                OR (status = 'sending' AND locked_at < NOW() - $2 * INTERVAL '1 millisecond')
+             ORDER BY next_attempt_at ASC
+             LIMIT $1
+             FOR UPDATE SKIP LOCKED
+           )
+           RETURNING *`,
+          [limit, staleLockMs]
+        );
+        return result.rows;
+      },
+
+      async markSent(id, { attempts, transport, messageId }) {
+        await db.query(
+          `UPDATE email_queue
+           SET status = 'sent', attempts = $2, sent_at = NOW(), locked_at = NULL,
+               last_error = NULL, transport = $3, message_id = $4
+           WHERE id = $1`,
+          [id, attempts, transport, messageId || null]
+        );
+      },
+
+      // Back to 'pending' to retry after retryInMs, or 'dead' when dead is set
+      async markFailed(id, { dead, attempts, error, transport, retryInMs }) {
+        await db.query(
+          `UPDATE email_queue
+           SET status = $2, attempts = $3, last_error = $4, locked_at = NULL, transport = $5,
+               next_attempt_at = NOW() + $6 * INTERVAL '1 millisecond'
+           WHERE id = $1`,
+          [id, dead ? 'dead' : 'pending', attempts, error, transport, dead ? 0 : retryInMs]
+        );
+      },
+
+      async requeue(id) {
+        const result = await db.query(
+          `UPDATE email_queue
+           SET status = 'pending', attempts = 0, next_attempt_at = NOW(), last_error = NULL
+           WHERE id = $1 AND status = 'dead'
+           RETURNING id`,
+          [id]
+        );
+        return result.rows.length > 0;
+      },
+
+      async countByStatus() {
+        const result = await db.query('SELECT status, COUNT(*) as count FROM email_queue GROUP BY status');
+        return countsBy(result.rows, 'status');
+      },
+
+      async listDead(limit) {
+        const result = await db.query(
+          `SELECT * FROM email_queue
+           WHERE status = 'dead'
+           ORDER BY created_at DESC
+           LIMIT $1`,
+          [limit]
+        );
+        return result.rows;
+      },
+
+      // Sent and dead emails; pending ones are kept however old they are
+      async deleteFinishedBefore(cutoff) {
+        const result = await db.query(
+          `DELETE FROM email_queue WHERE status IN ('sent', 'dead') AND created_at < $1`,
+          [cutoff]
+        );
+        return result.rowCount;
+      },
+
+      async deleteForRecipient(email) {
+        const result = await db.query('DELETE FROM email_queue WHERE LOWER(recipient) = $1', [email]);
+        return result.rowCount;
+      }
+    },
+
+    attempts: {
+      async create({ eventType, email, emailHash, agentName, source, data }) {
+        await db.query(
+          `INSERT INTO registration_attempts
+           (event_type, email, email_hash, agent_name, source, data, created_at)
+           VALUES ($1, $2, $3, $4, $5, $6, NOW())`,
+          [eventType, email, emailHash, agentName, source, JSON.stringify(data)]
+        );
+      },
+
+      async count({ eventType } = {}) {
+        const result = eventType
+          ? await db.query('SELECT COUNT(*) as count FROM registration_attempts WHERE event_type = $1', [eventType])
+          : await db.query('SELECT COUNT(*) as count FROM registration_attempts');
+        return parseInt(result.rows[0].count);
+      },
+
+      async countByEventType() {
+        const result = await db.query(
+          `SELECT event_type, COUNT(*) as count
+           FROM registration_attempts
+           GROUP BY event_type
+           ORDER BY count DESC`
+        );
+        return countsBy(result.rows, 'event_type');
+      },
+
+      async listRecent(limit) {
+        const result = await db.query(
+          `SELECT * FROM registration_attempts
+           ORDER BY created_at DESC
+           LIMIT $1`,
+          [limit]
+        );
+        return result.rows;
+      },
+
+      // Events per UTC hour, day or week (starting Monday) and event type
+      async countByInterval({ interval, ...filters }) {
+        const values = [interval];
+        const result = await db.query(
+          `SELECT date_trunc($1, created_at) AS bucket, event_type, COUNT(*) AS count
+           FROM registration_attempts
+           ${attemptFilters(filters, values)}
+           GROUP BY bucket, event_type
+           ORDER BY bucket, event_type`,
+          values
+        );
+        return result.rows.map(row => ({ bucket: row.bucket, event_type: row.event_type, count: parseInt(row.count) }));
+      },
+
+      // Oldest first, only the fields analytics needs: the owner, the client's
+      // sessionId and a failed registration's errors
+      async listEvents(filters) {
+        const values = [];
+        const result = await db.query(
+          `SELECT event_type, source, email, email_hash, data->>'sessionId' AS session_id,
+                  CASE WHEN event_type = 'registration_failed' THEN data->>'error' END AS error,
+                  CASE WHEN event_type = 'registration_failed' THEN data->'errors' END AS errors,
+                  created_at
+           FROM registration_attempts
+           ${attemptFilters(filters, values)}
+           ORDER BY created_at, id`,
+          values
+        );
+        return result.rows;
+      },
+
+      // One row per owner whose first successful registration is in
+      // [from, to): { email_hash, email, first_at, second_at }, counting every
+      // registration up to now. Owners are told apart by email_hash; rows
+      // logged before hashes were stored are grouped by their lower-cased
+      // email instead and returned whatever their first date, so the caller
+      // can merge them with the same owner's hashed rows.
+      async listOwnerRegistrations({ source, from, to }) {
+        const values = source ? [from, to, source] : [from, to];
+        const result = await db.query(
+          `WITH registrations AS (
+             SELECT email_hash, CASE WHEN email_hash IS NULL THEN LOWER(TRIM(email)) END AS email,
+                    ROW_NUMBER() OVER (
+                      PARTITION BY email_hash, CASE WHEN email_hash IS NULL THEN LOWER(TRIM(email)) END
+                      ORDER BY created_at, id
+                    ) AS position,
+                    created_at
+             FROM registration_attempts
+             WHERE event_type = 'registration_success' AND (email_hash IS NOT NULL OR email IS NOT NULL)
+                   ${source ? 'AND source = $3' : ''}
+           )
+           SELECT email_hash, email, MIN(created_at) AS first_at,
+                  MIN(CASE WHEN position = 2 THEN created_at END) AS second_at
+           FROM registrations
+           GROUP BY email_hash, email
+           HAVING MIN(created_at) < $2 AND (email_hash IS NULL OR MIN(created_at) >= $1)`,
+          values
+        );
+        return result.rows;
+      },
+
+      // Clear the email address and every data field but keepFields of
+      // attempts older than cutoff; email_hash stays for analytics
+      async anonymizeBefore(cutoff, keepFields) {
+        const result = await db.query(
+          `UPDATE registration_attempts
+           SET email = NULL, anonymized_at = NOW(),
+               data = (SELECT COALESCE(jsonb_object_agg(key, value), '{}') FROM jsonb_each(data) WHERE key = ANY($2))
+           WHERE created_at < $1 AND anonymized_at IS NULL`,
+          [cutoff, keepFields]
+        );
+        return result.rowCount;
+      },
+
+      async deleteBefore(cutoff) {
+        const result = await db.query('DELETE FROM registration_attempts WHERE created_at < $1', [cutoff]);
+        return result.rowCount;
+      },
+
+      // Anonymise every attempt of an email address, including its hash
+      async eraseForEmail(email, emailHash, keepFields) {
+        const result = await db.query(
+          `UPDATE registration_attempts
+           SET email = NULL, email_hash = NULL, agent_name = NULL, anonymized_at = NOW(),
+               data = (SELECT COALESCE(jsonb_object_agg(key, value), '{}') FROM jsonb_each(data) WHERE key = ANY($3))
+           WHERE LOWER(email) = $1 OR email_hash = $2`,
+          [email, emailHash, keepFields]
+        );
+        return result.rowCount;
+      }
+    },
+
+    domainVerifications: {
+      async create({ agentId, domain, token, ttlDays }) {
+        const result = await db.query(
+          `INSERT INTO domain_verifications (agent_id, domain, token, expires_at)
+           VALUES ($1, $2, $3, NOW() + $4 * INTERVAL '1 day')
+           RETURNING *`,
+          [agentId, domain, token, ttlDays]
+        );
+        return result.rows[0];
+      },
+
+      update(id, changes) {
+        return updateRow(db, 'domain_verifications', 'id', id, changes);
+      },
+
+      // An unexpired pending challenge for the domain
+      async findOpen(agentId, domain) {
+        const result = await db.query(
+          `SELECT * FROM domain_verifications
+           WHERE agent_id = $1 AND domain = $2 AND status = 'pending' AND expires_at > NOW()
+           ORDER BY created_at DESC
+           LIMIT 1`,
+          [agentId, domain]
+        );
+        return result.rows[0] || null;
+      },
+
+      async findLatest(agentId, { status } = {}) {
+        const result = await db.query(
+          `SELECT * FROM domain_verifications
+           WHERE agent_id = $1${status ? ' AND status = $2' : ''}
+           ORDER BY created_at DESC
+           LIMIT 1`,
+          status ? [agentId, status] : [agentId]
+        );
+        return result.rows[0] || null;
+      }
+    },
+
+    anchorBatches: {
+      async create({ merkleRoot, leafCount, ledger }) {
+        const result = await db.query(
+          `INSERT INTO anchor_batches (merkle_root, leaf_count, ledger, status)
+           VALUES ($1, $2, $3, 'submitting')
+           RETURNING id`,
+          [merkleRoot, leafCount, ledger]
+        );
+        return result.rows[0].id;
+      },
+
+      update(id, changes) {
+        return updateRow(db, 'anchor_batches', 'id', id, changes);
+      },
+
+      async findById(id) {
+        const result = await db.query('SELECT * FROM anchor_batches WHERE id = $1', [id]);
+        return result.rows[0] || null;
+      },
+
+      async findLatestAnchored() {
+        const result = await db.query(
+          `SELECT * FROM anchor_batches
+           WHERE status = 'anchored'
+           ORDER BY id DESC
+           LIMIT 1`
+        );
+        return result.rows[0] || null;
+      }
+    },
+
+    signingKeys: {
+      async findActive() {
+        const result = await db.query(
+          `SELECT * FROM signing_keys WHERE status = 'active' ORDER BY created_at DESC LIMIT 1`
+        );
+        return result.rows[0] || null;
+      },
+
+      create(row) {
+        return insertRow(db, 'signing_keys', row);
+      },
+
+      async retireActive() {
+        await db.query(`UPDATE signing_keys SET status = 'retired', retired_at = NOW() WHERE status = 'active'`);
+      },
+
+      // The active key plus keys retired less than retiredTtlDays ago
+      async listPublic(retiredTtlDays) {
+        const result = await db.query(
+          `SELECT public_jwk FROM signing_keys
+           WHERE status = 'active'
+              OR (status = 'retired' AND retired_at > NOW() - $1 * INTERVAL '1 day')
+           ORDER BY created_at DESC`,
+          [retiredTtlDays]
+        );
+        return result.rows.map(row => row.public_jwk);
+      }
+    },
+
+    rateLimits: {
+      // Count a request in the key's current window, starting a new window once it has passed
+      async hit(key, windowMs) {
+        const result = await db.query(
+          `INSERT INTO rate_limits (key, count, reset_at)
+           VALUES ($1, 1, NOW() + $2 * INTERVAL '1 millisecond')
+           ON CONFLICT (key) DO UPDATE SET
+             count = CASE WHEN rate_limits.reset_at <= NOW() THEN 1 ELSE rate_limits.count + 1 END,
+             reset_at = CASE WHEN rate_limits.reset_at <= NOW() THEN EXCLUDED.reset_at ELSE rate_limits.reset_at END
+           RETURNING count, reset_at`,
+          [key, windowMs]
+        );
+        return result.rows[0];
+      },
+
+      async block({ key, reason, until }) {
+        const result = await db.query(
+          `INSERT INTO blocked_sources (key, reason, blocked_until)
+           VALUES ($1, $2, $3)
+           ON CONFLICT (key) DO UPDATE SET reason = EXCLUDED.reason, blocked_until = EXCLUDED.blocked_until, created_at = NOW()
+           RETURNING *`,
+          [key, reason, until]
+        );
+        return result.rows[0];
+      },
+
+      async findBlock(key) {
+        const result = await db.query('SELECT * FROM blocked_sources WHERE key = $1 AND blocked_until > NOW()', [key]);
+        return result.rows[0] || null;
+      },
+
+      async unblock(key) {
+        const result = await db.query('DELETE FROM blocked_sources WHERE key = $1 AND blocked_until > NOW()', [key]);
+        return result.rowCount > 0;
+      },
+
+      async listBlocks() {
+        const result = await db.query('SELECT * FROM blocked_sources WHERE blocked_until > NOW() ORDER BY created_at DESC');
+        return result.rows;
+      },
+
+      async purgeExpired() {
+        await db.query('DELETE FROM rate_limits WHERE reset_at <= NOW()');
+        await db.query('DELETE FROM blocked_sources WHERE blocked_until <= NOW()');
+      }
+    },
+
+    webhooks: {
+      create({ ownerEmail, url, events, secret, description }) {
+        return insertRow(db, 'webhooks', {
+          owner_email: ownerEmail,
+          url,
+          events,
+          secret,
+          description: description || null
+        });
+      },
+
+      async findById(id) {
+        const result = await db.query('SELECT * FROM webhooks WHERE id = $1', [id]);
+        return result.rows[0] || null;
+      },
+
+      async listForOwner(ownerEmail) {
+        const result = await db.query('SELECT * FROM webhooks WHERE owner_email = $1 ORDER BY id ASC', [ownerEmail]);
+        return result.rows;
+      },
+
+      // The owner's endpoints subscribed to eventType
+      async listSubscribed(ownerEmail, eventType) {
+        const result = await db.query(
+          'SELECT * FROM webhooks WHERE owner_email = $1 AND events ? $2 ORDER BY id ASC',
+          [ownerEmail, eventType]
+        );
+        return result.rows;
+      },
+
+      // Its delivery log goes with it (ON DELETE CASCADE)
+      async delete(id) {
+        const result = await db.query('DELETE FROM webhooks WHERE id = $1', [id]);
+        return result.rowCount > 0;
+      }
+    },
+
+    webhookDeliveries: {
+      enqueue({ webhookId, eventId, eventType, agentId, payload, replayOf }) {
+        return insertRow(db, 'webhook_deliveries', {
+          webhook_id: webhookId,
+          event_id: eventId,
+          event_type: eventType,
+          agent_id: agentId || null,
+          payload,
+          replay_of: replayOf || null
+        });
+      },
+
+      // Claim due rows (and rows stuck in 'delivering') so concurrent workers never send the same delivery
+      async claimDue({ limit, staleLockMs }) {
+        const result = await db.query(
+          `UPDATE webhook_deliveries
+           SET status = 'delivering', locked_at = NOW()
+           WHERE id IN (
+             SELECT id FROM webhook_deliveries
+             WHERE (status = 'pending' AND next_attempt_at <= NOW())
+                OR (status = 'delivering' AND locked_at < NOW() - $2 * INTERVAL '1 millisecond')
+             ORDER BY next_attempt_at ASC
+             LIMIT $1
+             FOR UPDATE SKIP LOCKED
+           )
+           RETURNING *`,
+          [limit, staleLockMs]
+        );
+        return result.rows;
+      },
+
+      async markDelivered(id, { attempts, responseStatus }) {
+        await db.query(
+          `UPDATE webhook_deliveries
+           SET status = 'delivered', attempts = $2, response_status = $3, delivered_at = NOW(),
+               locked_at = NULL, last_error = NULL
+           WHERE id = $1`,
+          [id, attempts, responseStatus]
+        );
+      },
+
+      // Back to 'pending' to retry after retryInMs, or 'failed' when dead is set
+      async markFailed(id, { dead, attempts, error, responseStatus, retryInMs }) {
+        await db.query(
+          `UPDATE webhook_deliveries
+           SET status = $2, attempts = $3, last_error = $4, response_status = $5, locked_at = NULL,
+               next_attempt_at = NOW() + $6 * INTERVAL '1 millisecond'
+           WHERE id = $1`,
+          [id, dead ? 'failed' : 'pending', attempts, error, responseStatus || null, dead ? 0 : retryInMs]
+        );
+      },
+
+      async findById(id) {
+        const result = await db.query('SELECT * FROM webhook_deliveries WHERE id = $1', [id]);
+        return result.rows[0] || null;
+      },
+
+      async listForWebhook(webhookId, { status, limit }) {
+        const result = await db.query(
+          `SELECT * FROM webhook_deliveries
+           WHERE webhook_id = $1${status ? ' AND status = $3' : ''}
+           ORDER BY created_at DESC, id DESC
+           LIMIT $2`,
+          status ? [webhookId, limit, status] : [webhookId, limit]
+        );
+        return result.rows;
+      },
+
+      async countByStatus() {
+        const result = await db.query('SELECT status, COUNT(*) as count FROM webhook_deliveries GROUP BY status');
+        return countsBy(result.rows, 'status');
+      }
+    }
+  };
+}
+
+// Migration primitives, see migrations/index.js
+function createMigrationBackend(pool) {
+  return {
+    async ensureTable() {
+      await pool.query(`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+          version INTEGER PRIMARY KEY,
+          name VARCHAR(255) NOT NULL,
+          applied_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+    },
+
+    async listApplied() {
+      const result = await pool.query('SELECT version, name, applied_at FROM schema_migrations ORDER BY version');
+      return result.rows;
+    },
+
+    // Postgres DDL is transactional, so a failed migration leaves no trace
+    async apply(migration, direction) {
+      const client = await pool.connect();
+      try {
+        await client.query('BEGIN');
+        for (const statement of migration.postgres[direction]) {
+          await client.query(statement);
+        }
+        if (direction === 'up') {
+          await client.query('INSERT INTO schema_migrations (version, name) VALUES ($1, $2)', [migration.version, migration.name]);
+        } else {
+          await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+        }
+        await client.query('COMMIT');
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+      } finally {
+        client.release();
+      }
+    }
+  };
+}
+
+// Without a connectionString pg falls back to the PGHOST, PGUSER, ... variables
+function createPostgresStorage({ connectionString, ssl }) {
+  const pool = new Pool({ connectionString, ssl });
+  const migrations = createMigrator(createMigrationBackend(pool));
+
+  return {
+    name: 'postgres',
+    ...createRepositories(pool),
+    migrations,
+
+    init() {
+      return migrations.assertCurrent();
+    },
+
+    async ping() {
+      await pool.query('SELECT 1');
+    },
+
+    poolStats() {
+      return {
+        total: pool.totalCount,
+        idle: pool.idleCount,
+        waiting: pool.waitingCount,
+        max: pool.options.max
+      };
+    },
+
+    async transaction(fn) {
+      const client = await pool.connect();
+      try {
+        await client.query('BEGIN');
+        const result = await fn(createRepositories(client));
+        await client.query('COMMIT');
+        return result;
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+      } finally {
+        client.release();
+      }
+    },
+
+    close() {
+      return pool.end();
+    }
+  };
+}
+
+module.exports = createPostgresStorage;
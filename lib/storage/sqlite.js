@@ -0,0 +1,984 @@
+// lib/storage/sqlite.js - SQLite storage backend (better-sqlite3)
+//
+// A single file, no server: for local demos, integration tests and small
+// single-process deployments. JSON and timestamps are stored as text (ISO 8601
+// in UTC, so they sort as strings) and converted back using tables.js.
+// Name/description search matches words rather than using Postgres full-text search.
+const { assertColumns, isJsonColumn, isDateColumn } = require('./tables');
+const { createLock } = require('./lock');
+const { createMigrator } = require('./migrations');
+const { searchTerms } = require('../agentSearch');
+
+const NOW = `strftime('%Y-%m-%dT%H:%M:%fZ', 'now')`;
+
+function toValue(table, column, value) {
+  if (value === undefined || value === null) return null;
+  if (isJsonColumn(table, column)) return JSON.stringify(value);
+  if (isDateColumn(table, column)) return new Date(value).toISOString();
+  return value;
+}
+
+function fromRow(table, row) {
+  if (!row) return null;
+
+  const result = {};
+  for (const [column, value] of Object.entries(row)) {
+    if (value !== null && isJsonColumn(table, column)) {
+      result[column] = JSON.parse(value);
+    } else if (value !== null && isDateColumn(table, column)) {
+      result[column] = new Date(value);
+    } else {
+      result[column] = value;
+    }
+  }
+  return result;
+}
+
+// ISO timestamp offsetMs from now (negative for the past)
+function isoFromNow(offsetMs) {
+  return new Date(Date.now() + offsetMs).toISOString();
+}
+
+function countsBy(rows, key) {
+  const counts = {};
+  for (const row of rows) {
+    counts[row[key]] = row.count;
+  }
+  return counts;
+}
+
+function placeholders(values) {
+  return values.map(() => '?').join(', ');
+}
+
+// Bucket start for each analytics interval, in the same ISO format as stored
+// timestamps. Weeks start on Monday, as with Postgres date_trunc.
+const BUCKETS = {
+  hour: `strftime('%Y-%m-%dT%H:00:00.000Z', created_at)`,
+  day: `strftime('%Y-%m-%dT00:00:00.000Z', created_at)`,
+  week: `strftime('%Y-%m-%dT00:00:00.000Z', created_at, 'weekday 0', '-6 days')`
+};
+
+// registration_attempts.data reduced to the keys in a JSON array parameter.
+// json_each gives nested JSON as text and booleans as 0/1, so those are converted back.
+const KEPT_DATA = `(
+  SELECT COALESCE(json_group_object(key, CASE type
+    WHEN 'object' THEN json(value)
+    WHEN 'array' THEN json(value)
+    WHEN 'true' THEN json('true')
+    WHEN 'false' THEN json('false')
+    ELSE value END), '{}')
+  FROM json_each(registration_attempts.data)
+  WHERE key IN (SELECT value FROM json_each(?))
+)`;
+
+// WHERE clause shared by the registration_attempts analytics queries
+function attemptFilters({ from, to, source, eventTypes }, params) {
+  const conditions = [];
+
+  if (from) {
+    conditions.push('created_at >= ?');
+    params.push(new Date(from).toISOString());
+  }
+  if (to) {
+    conditions.push('created_at < ?');
+    params.push(new Date(to).toISOString());
+  }
+  if (source) {
+    conditions.push('source = ?');
+    params.push(source);
+  }
+  if (eventTypes && eventTypes.length > 0) {
+    conditions.push(`event_type IN (${placeholders(eventTypes)})`);
+    params.push(...eventTypes);
+  }
+
+  return conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+}
+
+// Repositories over a better-sqlite3 database. `run` wraps every call: it
+// takes the lock outside a transaction and runs directly inside one.
+function createRepositories(db, run) {
+  const all = (sql, params = []) => run(() => db.prepare(sql).all(...params));
+  const get = (sql, params = []) => run(() => db.prepare(sql).get(...params));
+  const exec = (sql, params = []) => run(() => db.prepare(sql).run(...params));
+
+  async function insertRow(table, row) {
+    const columns = Object.keys(row);
+    assertColumns(table, columns);
+
+    return fromRow(table, await get(
+      `INSERT INTO ${table} (${columns.join(', ')}) VALUES (${placeholders(columns)}) RETURNING *`,
+      columns.map(column => toValue(table, column, row[column]))
+    ));
+  }
+
+  async function updateRow(table, key, id, changes) {
+    const columns = Object.keys(changes);
+    assertColumns(table, columns);
+
+    return fromRow(table, await get(
+      `UPDATE ${table} SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE ${key} = ? RETURNING *`,
+      [...columns.map(column => toValue(table, column, changes[column])), id]
+    ));
+  }
+
+  return {
+    agents: {
+      // Writers are serialised, so there is nothing to lock for forUpdate
+      async findById(id) {
+        return fromRow('agents', await get('SELECT * FROM agents WHERE id = ?', [id]));
+      },
+
+      create(row) {
+        return insertRow('agents', row);
+      },
+
+      update(id, changes) {
+        return updateRow('agents', 'id', id, changes);
+      },
+
+      // Related rows follow the new ID through ON UPDATE CASCADE; webhook
+      // deliveries, which have no foreign key on agents, are moved here. The
+      // audit log keeps the ID an entry was recorded under: it is append-only
+      // and hashed. Its export resolves former IDs through aliases.
+      async rename(id, newId) {
+        await exec('UPDATE agents SET id = ? WHERE id = ?', [newId, id]);
+        await exec('UPDATE webhook_deliveries SET agent_id = ? WHERE agent_id = ?', [newId, id]);
+      },
+
+      async count({ excludeUnconfirmed = false, registeredSince } = {}) {
+        const conditions = [];
+        const params = [];
+        if (excludeUnconfirmed) {
+          conditions.push(`status <> 'pending_email_verification'`);
+        }
+        if (registeredSince) {
+          conditions.push('registered_at > ?');
+          params.push(new Date(registeredSince).toISOString());
+        }
+
+        const row = await get(
+          `SELECT COUNT(*) as count FROM agents${conditions.length > 0 ? ` WHERE ${conditions.join(' AND ')}` : ''}`,
+          params
+        );
+        return row.count;
+      },
+
+      async countByBlockchainStatus() {
+        return countsBy(await all('SELECT blockchain_status, COUNT(*) as count FROM agents GROUP BY blockchain_status'), 'blockchain_status');
+      },
+
+      async listRecent(limit) {
+        const rows = await all(
+          `SELECT * FROM agents
+           WHERE status <> 'pending_email_verification'
+           ORDER BY registered_at DESC
+           LIMIT ?`,
+          [limit]
+        );
+        return rows.map(row => fromRow('agents', row));
+      },
+
+      // Every agent registered with an email address, oldest first and in
+      // insertion order within a bulk registration. ownerEmail is lower-case.
+      async listByOwnerEmail(ownerEmail) {
+        const rows = await all('SELECT * FROM agents WHERE LOWER(email) = ? ORDER BY registered_at ASC, rowid ASC', [ownerEmail]);
+        return rows.map(row => fromRow('agents', row));
+      },
+
+      async search(filters) {
+        const conditions = [];
+        const params = [];
+
+        if (filters.status && filters.status.length > 0) {
+          conditions.push(`status IN (${placeholders(filters.status)})`);
+          params.push(...filters.status);
+        } else {
+          conditions.push(`status <> 'pending_email_verification'`);
+        }
+
+        if (filters.owner) {
+          conditions.push(`lower(json_extract(agent_data, '$.owner')) = lower(?)`);
+          params.push(filters.owner);
+        }
+
+        // Agents must have every requested capability
+        for (const capability of filters.capability || []) {
+          conditions.push(`EXISTS (SELECT 1 FROM json_each(agents.agent_data, '$.capabilities') WHERE json_each.value = ?)`);
+          params.push(capability);
+        }
+
+        if (filters.minTrustScore !== undefined) {
+          conditions.push('trust_score >= ?');
+          params.push(filters.minTrustScore);
+        }
+        if (filters.maxTrustScore !== undefined) {
+          conditions.push('trust_score <= ?');
+          params.push(filters.maxTrustScore);
+        }
+
+        if (filters.registeredAfter !== undefined) {
+          conditions.push('registered_at >= ?');
+          params.push(new Date(filters.registeredAfter).toISOString());
+        }
+        if (filters.registeredBefore !== undefined) {
+          conditions.push('registered_at < ?');
+          params.push(new Date(filters.registeredBefore).toISOString());
+        }
+
+        if (filters.q) {
+          const text = `lower(coalesce(json_extract(agent_data, '$.name'), '') || ' ' || coalesce(json_extract(agent_data, '$.description'), ''))`;
+          const { include, exclude } = searchTerms(filters.q);
+          for (const term of include) {
+            conditions.push(`instr(${text}, ?) > 0`);
+            params.push(term);
+          }
+          for (const term of exclude) {
+            conditions.push(`instr(${text}, ?) = 0`);
+            params.push(term);
+          }
+        }
+
+        if (filters.after) {
+          conditions.push('(registered_at, id) < (?, ?)');
+          params.push(filters.after.registeredAt, filters.after.id);
+        }
+
+        const rows = await all(
+          `SELECT *, registered_at AS cursor_registered_at
+           FROM agents
+           WHERE ${conditions.join(' AND ')}
+           ORDER BY registered_at DESC, id DESC
+           LIMIT ?`,
+          [...params, filters.limit]
+        );
+        return rows.map(row => fromRow('agents', row));
+      },
+
+      async findStaleTrustScores({ maxAgeMs, modelVersion, limit }) {
+        const rows = await all(
+          `SELECT id FROM agents
+           WHERE trust_breakdown IS NULL
+              OR json_extract(trust_breakdown, '$.computedAt') < ?
+              OR json_extract(trust_breakdown, '$.modelVersion') <> ?
+           LIMIT ?`,
+          [isoFromNow(-maxAgeMs), modelVersion, limit]
+        );
+        return rows.map(row => row.id);
+      },
+
+      async claimForAnchoring(limit) {
+        const rows = await all(
+          `UPDATE agents
+           SET blockchain_status = 'anchoring'
+           WHERE id IN (
+             SELECT id FROM agents
+             WHERE blockchain_status = 'pending'
+               AND status <> 'pending_email_verification'
+             ORDER BY COALESCE(updated_at, registered_at) ASC
+             LIMIT ?
+           )
+           RETURNING *`,
+          [limit]
+        );
+        return rows.map(row => fromRow('agents', row));
+      },
+
+      async releaseAnchoring(ids) {
+        if (ids) {
+          await exec(
+            `UPDATE agents SET blockchain_status = 'pending'
+             WHERE id IN (${placeholders(ids)}) AND blockchain_status = 'anchoring'`,
+            ids
+          );
+        } else {
+          await exec(`UPDATE agents SET blockchain_status = 'pending' WHERE blockchain_status = 'anchoring'`);
+        }
+      },
+
+      async markAnchored(id, { batchId, proof, anchoredAt }) {
+        const result = await exec(
+          `UPDATE agents
+           SET blockchain_status = 'anchored', anchor_batch_id = ?, anchor_proof = ?, anchored_at = ?
+           WHERE id = ? AND blockchain_status = 'anchoring'`,
+          [batchId, JSON.stringify(proof), new Date(anchoredAt).toISOString(), id]
+        );
+        return result.changes > 0;
+      }
+    },
+
+    aliases: {
+      async resolve(aliasId) {
+        const row = await get('SELECT agent_id FROM agent_aliases WHERE alias_id = ?', [aliasId]);
+        return row ? row.agent_id : null;
+      },
+
+      async create(aliasId, agentId) {
+        await exec('INSERT INTO agent_aliases (alias_id, agent_id) VALUES (?, ?)', [aliasId, agentId]);
+      },
+
+      async listForAgent(agentId) {
+        const rows = await all('SELECT alias_id FROM agent_aliases WHERE agent_id = ?', [agentId]);
+        return rows.map(row => row.alias_id);
+      }
+    },
+
+    apiKeys: {
+      async create({ agentId, keyHash, keyPrefix, scopes }) {
+        await exec(
+          'INSERT INTO api_keys (agent_id, key_hash, key_prefix, scopes) VALUES (?, ?, ?, ?)',
+          [agentId, keyHash, keyPrefix, JSON.stringify(scopes)]
+        );
+      },
+
+      async findActiveByHash(keyHash) {
+        return fromRow('api_keys', await get(
+          `SELECT id, agent_id, key_prefix, scopes
+           FROM api_keys
+           WHERE key_hash = ? AND revoked_at IS NULL`,
+          [keyHash]
+        ));
+      },
+
+      async touch(id) {
+        await exec(`UPDATE api_keys SET last_used_at = ${NOW} WHERE id = ?`, [id]);
+      },
+
+      async revokeForAgent(agentId) {
+        const result = await exec(`UPDATE api_keys SET revoked_at = ${NOW} WHERE agent_id = ? AND revoked_at IS NULL`, [agentId]);
+        return result.changes;
+      }
+    },
+
+    revisions: {
+      async create({ agentId, action, status, agentData, changes, reason }) {
+        return fromRow('agent_revisions', await get(
+          `INSERT INTO agent_revisions (agent_id, revision, action, status, agent_data, changes, reason)
+           VALUES (?, (SELECT COALESCE(MAX(revision), 0) + 1 FROM agent_revisions WHERE agent_id = ?), ?, ?, ?, ?, ?)
+           RETURNING revision, created_at`,
+          [agentId, agentId, action, status, JSON.stringify(agentData), JSON.stringify(changes || {}), reason || null]
+        ));
+      },
+
+      async listForAgent(agentId) {
+        const rows = await all(
+          `SELECT revision, action, status, agent_data, changes, reason, created_at
+           FROM agent_revisions
+           WHERE agent_id = ?
+           ORDER BY revision ASC`,
+          [agentId]
+        );
+        return rows.map(row => fromRow('agent_revisions', row));
+      },
+
+      async countActions(agentId) {
+        return countsBy(await all(
+          'SELECT action, COUNT(*) as count FROM agent_revisions WHERE agent_id = ? GROUP BY action',
+          [agentId]
+        ), 'action');
+      },
+
+      // Remove fields from the snapshots and diffs of an agent's revisions.
+      // Resolves to the number of revisions that had any of them.
+      async eraseFields(agentId, fields) {
+        const paths = fields.map(field => `$.${field}`);
+        const pathList = paths.map(() => '?').join(', ');
+        const fieldList = fields.map(() => '?').join(', ');
+        const result = await exec(
+          `UPDATE agent_revisions
+           SET agent_data = json_remove(agent_data, ${pathList}), changes = json_remove(changes, ${pathList})
+           WHERE agent_id = ?
+             AND (EXISTS (SELECT 1 FROM json_each(agent_data) WHERE key IN (${fieldList}))
+               OR EXISTS (SELECT 1 FROM json_each(changes) WHERE key IN (${fieldList})))`,
+          [...paths, ...paths, agentId, ...fields, ...fields]
+        );
+        return result.changes;
+      }
+    },
+
+    auditLog: {
+      // Every call runs under the lock already
+      async lockLatest() {
+        return (await get('SELECT seq, hash FROM audit_log ORDER BY seq DESC LIMIT 1')) || null;
+      },
+
+      append(entry) {
+        return insertRow('audit_log', entry);
+      },
+
+      async findBySeq(seq) {
+        return fromRow('audit_log', await get('SELECT * FROM audit_log WHERE seq = ?', [seq]));
+      },
+
+      async list({ from, to, agentIds, afterSeq, limit }) {
+        const conditions = [];
+        const params = [];
+
+        if (from) {
+          conditions.push('created_at >= ?');
+          params.push(new Date(from).toISOString());
+        }
+        if (to) {
+          conditions.push('created_at < ?');
+          params.push(new Date(to).toISOString());
+        }
+        if (agentIds) {
+          conditions.push(`agent_id IN (${placeholders(agentIds)})`);
+          params.push(...agentIds);
+        }
+        if (afterSeq !== undefined) {
+          conditions.push('seq > ?');
+          params.push(afterSeq);
+        }
+
+        const rows = await all(
+          `SELECT * FROM audit_log
+           ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+           ORDER BY seq
+           LIMIT ?`,
+          [...params, limit]
+        );
+        return rows.map(row => fromRow('audit_log', row));
+      }
+    },
+
+    emailQueue: {
+      async enqueue({ recipient, subject, template, data }) {
+        await exec(
+          'INSERT INTO email_queue (recipient, subject, template, data) VALUES (?, ?, ?, ?)',
+          [recipient, subject, template, JSON.stringify(data)]
+        );
+      },
+
+      async claimDue({ limit, staleLockMs }) {
+        const rows = await all(
+          `UPDATE email_queue
+           SET status = 'sending', locked_at = ${NOW}
+           WHERE id IN (
+             SELECT id FROM email_queue
+             WHERE (status = 'pending' AND next_attempt_at <= ${NOW})
+                OR (status = 'sending' AND locked_at < ?)
+             ORDER BY next_attempt_at ASC
+             LIMIT ?
+           )
+           RETURNING *`,
+          [isoFromNow(-staleLockMs), limit]
+        );
+        return rows.map(row => fromRow('email_queue', row));
+      },
+
+      async markSent(id, { attempts, transport, messageId }) {
+        await exec(
+          `UPDATE email_queue
+           SET status = 'sent', attempts = ?, sent_at = ${NOW}, locked_at = NULL,
+               last_error = NULL, transport = ?, message_id = ?
+           WHERE id = ?`,
+          [attempts, transport, messageId || null, id]
+        );
+      },
+
+      async markFailed(id, { dead, attempts, error, transport, retryInMs }) {
+        await exec(
+          `UPDATE email_queue
+           SET status = ?, attempts = ?, last_error = ?, locked_at = NULL, transport = ?, next_attempt_at = ?
+           WHERE id = ?`,
+          [dead ? 'dead' : 'pending', attempts, error, transport, isoFromNow(dead ? 0 : retryInMs), id]
+        );
+      },
+
+      async requeue(id) {
+        const result = await exec(
+          `UPDATE email_queue
+           SET status = 'pending', attempts = 0, next_attempt_at = ${NOW}, last_error = NULL
+           WHERE id = ? AND status = 'dead'`,
+          [id]
+        );
+        return result.changes > 0;
+      },
+
+      async countByStatus() {
+        return countsBy(await all('SELECT status, COUNT(*) as count FROM email_queue GROUP BY status'), 'status');
+      },
+
+      async listDead(limit) {
+        const rows = await all(
+          `SELECT * FROM email_queue
+           WHERE status = 'dead'
+           ORDER BY created_at DESC
+           LIMIT ?`,
+          [limit]
+        );
+        return rows.map(row => fromRow('email_queue', row));
+      },
+
+      async deleteFinishedBefore(cutoff) {
+        const result = await exec(
+          `DELETE FROM email_queue WHERE status IN ('sent', 'dead') AND created_at < ?`,
+          [new Date(cutoff).toISOString()]
+        );
+        return result.changes;
+      },
+
+      async deleteForRecipient(email) {
+        const result = await exec('DELETE FROM email_queue WHERE LOWER(recipient) = ?', [email]);
+        return result.changes;
+      }
+    },
+
+    attempts: {
+      async create({ eventType, email, emailHash, agentName, source, data }) {
+        await exec(
+          'INSERT INTO registration_attempts (event_type, email, email_hash, agent_name, source, data) VALUES (?, ?, ?, ?, ?, ?)',
+          [eventType, email, emailHash, agentName, source, JSON.stringify(data)]
+        );
+      },
+
+      async count({ eventType } = {}) {
+        const row = eventType
+          ? await get('SELECT COUNT(*) as count FROM registration_attempts WHERE event_type = ?', [eventType])
+          : await get('SELECT COUNT(*) as count FROM registration_attempts');
+        return row.count;
+      },
+
+      async countByEventType() {
+        return countsBy(await all(
+          `SELECT event_type, COUNT(*) as count
+           FROM registration_attempts
+           GROUP BY event_type
+           ORDER BY count DESC`
+        ), 'event_type');
+      },
+
+      async listRecent(limit) {
+        const rows = await all(
+          `SELECT * FROM registration_attempts
+           ORDER BY created_at DESC, id DESC
+           LIMIT ?`,
+          [limit]
+        );
+        return rows.map(row => fromRow('registration_attempts', row));
+      },
+
+      async countByInterval({ interval, ...filters }) {
+        const params = [];
+        const rows = await all(
+          `SELECT ${BUCKETS[interval]} AS bucket, event_type, COUNT(*) as count
+           FROM registration_attempts
+           ${attemptFilters(filters, params)}
+           GROUP BY bucket, event_type
+           ORDER BY bucket, event_type`,
+          params
+        );
+        return rows.map(row => ({ bucket: new Date(row.bucket), event_type: row.event_type, count: row.count }));
+      },
+
+      async listEvents(filters) {
+        const params = [];
+        const rows = await all(
+          `SELECT event_type, source, email, email_hash, json_extract(data, '$.sessionId') AS session_id,
+                  CASE WHEN event_type = 'registration_failed' THEN json_extract(data, '$.error') END AS error,
+                  CASE WHEN event_type = 'registration_failed' THEN json_extract(data, '$.errors') END AS errors,
+                  created_at
+           FROM registration_attempts
+           ${attemptFilters(filters, params)}
+           ORDER BY created_at, id`,
+          params
+        );
+        return rows.map(row => ({
+          ...row,
+          session_id: row.session_id === null ? null : String(row.session_id),
+          errors: row.errors === null ? null : JSON.parse(row.errors),
+          created_at: new Date(row.created_at)
+        }));
+      },
+
+      async listOwnerRegistrations({ source, from, to }) {
+        const params = source ? [source] : [];
+        const rows = await all(
+          `WITH registrations AS (
+             SELECT email_hash, CASE WHEN email_hash IS NULL THEN LOWER(TRIM(email)) END AS email,
+                    ROW_NUMBER() OVER (
+                      PARTITION BY email_hash, CASE WHEN email_hash IS NULL THEN LOWER(TRIM(email)) END
+                      ORDER BY created_at, id
+                    ) AS position,
+                    created_at
+             FROM registration_attempts
+             WHERE event_type = 'registration_success' AND (email_hash IS NOT NULL OR email IS NOT NULL)
+                   ${source ? 'AND source = ?' : ''}
+           )
+           SELECT email_hash, email, MIN(created_at) AS first_at,
+                  MIN(CASE WHEN position = 2 THEN created_at END) AS second_at
+           FROM registrations
+           GROUP BY email_hash, email
+           HAVING MIN(created_at) < ? AND (email_hash IS NULL OR MIN(created_at) >= ?)`,
+          [...params, new Date(to).toISOString(), new Date(from).toISOString()]
+        );
+        return rows.map(row => ({
+          ...row,
+          first_at: new Date(row.first_at),
+          second_at: row.second_at === null ? null : new Date(row.second_at)
+        }));
+      },
+
+      async anonymizeBefore(cutoff, keepFields) {
+        const result = await exec(
+          `UPDATE registration_attempts
+           SET email = NULL, anonymized_at = ${NOW}, data = ${KEPT_DATA}
+           WHERE created_at < ? AND anonymized_at IS NULL`,
+          [JSON.stringify(keepFields), new Date(cutoff).toISOString()]
+        );
+        return result.changes;
+      },
+
+      async deleteBefore(cutoff) {
+        const result = await exec('DELETE FROM registration_attempts WHERE created_at < ?', [new Date(cutoff).toISOString()]);
+        return result.changes;
+      },
+
+      async eraseForEmail(email, emailHash, keepFields) {
+        const result = await exec(
+          `UPDATE registration_attempts
+           SET email = NULL, email_hash = NULL, agent_name = NULL, anonymized_at = ${NOW}, data = ${KEPT_DATA}
+           WHERE LOWER(email) = ? OR email_hash = ?`,
+          [JSON.stringify(keepFields), email, emailHash]
+        );
+        return result.changes;
+      }
+    },
+
+    domainVerifications: {
+      async create({ agentId, domain, token, ttlDays }) {
+        return fromRow('domain_verifications', await get(
+          `INSERT INTO domain_verifications (agent_id, domain, token, expires_at)
+           VALUES (?, ?, ?, ?)
+           RETURNING *`,
+          [agentId, domain, token, isoFromNow(ttlDays * 24 * 60 * 60 * 1000)]
+        ));
+      },
+
+      update(id, changes) {
+        return updateRow('domain_verifications', 'id', id, changes);
+      },
+
+      async findOpen(agentId, domain) {
+        return fromRow('domain_verifications', await get(
+          `SELECT * FROM domain_verifications
+           WHERE agent_id = ? AND domain = ? AND status = 'pending' AND expires_at > ${NOW}
+           ORDER BY created_at DESC, id DESC
+           LIMIT 1`,
+          [agentId, domain]
+        ));
+      },
+
+      async findLatest(agentId, { status } = {}) {
+        return fromRow('domain_verifications', await get(
+          `SELECT * FROM domain_verifications
+           WHERE agent_id = ?${status ? ' AND status = ?' : ''}
+           ORDER BY created_at DESC, id DESC
+           LIMIT 1`,
+          status ? [agentId, status] : [agentId]
+        ));
+      }
+    },
+
+    anchorBatches: {
+      async create({ merkleRoot, leafCount, ledger }) {
+        const row = await get(
+          `INSERT INTO anchor_batches (merkle_root, leaf_count, ledger, status)
+           VALUES (?, ?, ?, 'submitting')
+           RETURNING id`,
+          [merkleRoot, leafCount, ledger]
+        );
+        return row.id;
+      },
+
+      update(id, changes) {
+        return updateRow('anchor_batches', 'id', id, changes);
+      },
+
+      async findById(id) {
+        return fromRow('anchor_batches', await get('SELECT * FROM anchor_batches WHERE id = ?', [id]));
+      },
+
+      async findLatestAnchored() {
+        return fromRow('anchor_batches', await get(
+          `SELECT * FROM anchor_batches
+           WHERE status = 'anchored'
+           ORDER BY id DESC
+           LIMIT 1`
+        ));
+      }
+    },
+
+    signingKeys: {
+      async findActive() {
+        return fromRow('signing_keys', await get(
+          `SELECT * FROM signing_keys WHERE status = 'active' ORDER BY created_at DESC LIMIT 1`
+        ));
+      },
+
+      create(row) {
+        return insertRow('signing_keys', row);
+      },
+
+      async retireActive() {
+        await exec(`UPDATE signing_keys SET status = 'retired', retired_at = ${NOW} WHERE status = 'active'`);
+      },
+
+      async listPublic(retiredTtlDays) {
+        const rows = await all(
+          `SELECT public_jwk FROM signing_keys
+           WHERE status = 'active'
+              OR (status = 'retired' AND retired_at > ?)
+           ORDER BY created_at DESC`,
+          [isoFromNow(-retiredTtlDays * 24 * 60 * 60 * 1000)]
+        );
+        return rows.map(row => JSON.parse(row.public_jwk));
+      }
+    },
+
+    rateLimits: {
+      // Count a request in the key's current window, starting a new window once it has passed
+      async hit(key, windowMs) {
+        return fromRow('rate_limits', await get(
+          `INSERT INTO rate_limits (key, count, reset_at)
+           VALUES (?, 1, ?)
+           ON CONFLICT (key) DO UPDATE SET
+             count = CASE WHEN rate_limits.reset_at <= ${NOW} THEN 1 ELSE rate_limits.count + 1 END,
+             reset_at = CASE WHEN rate_limits.reset_at <= ${NOW} THEN excluded.reset_at ELSE rate_limits.reset_at END
+           RETURNING count, reset_at`,
+          [key, isoFromNow(windowMs)]
+        ));
+      },
+
+      async block({ key, reason, until }) {
+        return fromRow('blocked_sources', await get(
+          `INSERT INTO blocked_sources (key, reason, blocked_until)
+           VALUES (?, ?, ?)
+           ON CONFLICT (key) DO UPDATE SET reason = excluded.reason, blocked_until = excluded.blocked_until, created_at = ${NOW}
+           RETURNING *`,
+          [key, reason, toValue('blocked_sources', 'blocked_until', until)]
+        ));
+      },
+
+      async findBlock(key) {
+        return fromRow('blocked_sources', await get(
+          `SELECT * FROM blocked_sources WHERE key = ? AND blocked_until > ${NOW}`,
+          [key]
+        ));
+      },
+
+      async unblock(key) {
+        const result = await exec(`DELETE FROM blocked_sources WHERE key = ? AND blocked_until > ${NOW}`, [key]);
+        return result.changes > 0;
+      },
+
+      async listBlocks() {
+        const rows = await all(`SELECT * FROM blocked_sources WHERE blocked_until > ${NOW} ORDER BY created_at DESC`);
+        return rows.map(row => fromRow('blocked_sources', row));
+      },
+
+      async purgeExpired() {
+        await exec(`DELETE FROM rate_limits WHERE reset_at <= ${NOW}`);
+        await exec(`DELETE FROM blocked_sources WHERE blocked_until <= ${NOW}`);
+      }
+    },
+
+    webhooks: {
+      create({ ownerEmail, url, events, secret, description }) {
+        return insertRow('webhooks', {
+          owner_email: ownerEmail,
+          url,
+          events,
+          secret,
+          description: description || null
+        });
+      },
+
+      async findById(id) {
+        return fromRow('webhooks', await get('SELECT * FROM webhooks WHERE id = ?', [id]));
+      },
+
+      async listForOwner(ownerEmail) {
+        const rows = await all('SELECT * FROM webhooks WHERE owner_email = ? ORDER BY id ASC', [ownerEmail]);
+        return rows.map(row => fromRow('webhooks', row));
+      },
+
+      async listSubscribed(ownerEmail, eventType) {
+        const rows = await all(
+          `SELECT * FROM webhooks
+           WHERE owner_email = ? AND EXISTS (SELECT 1 FROM json_each(webhooks.events) WHERE json_each.value = ?)
+           ORDER BY id ASC`,
+          [ownerEmail, eventType]
+        );
+        return rows.map(row => fromRow('webhooks', row));
+      },
+
+      async delete(id) {
+        const result = await exec('DELETE FROM webhooks WHERE id = ?', [id]);
+        return result.changes > 0;
+      }
+    },
+
+    webhookDeliveries: {
+      enqueue({ webhookId, eventId, eventType, agentId, payload, replayOf }) {
+        return insertRow('webhook_deliveries', {
+          webhook_id: webhookId,
+          event_id: eventId,
+          event_type: eventType,
+          agent_id: agentId || null,
+          payload,
+          replay_of: replayOf || null
+        });
+      },
+
+      async claimDue({ limit, staleLockMs }) {
+        const rows = await all(
+          `UPDATE webhook_deliveries
+           SET status = 'delivering', locked_at = ${NOW}
+           WHERE id IN (
+             SELECT id FROM webhook_deliveries
+             WHERE (status = 'pending' AND next_attempt_at <= ${NOW})
+                OR (status = 'delivering' AND locked_at < ?)
+             ORDER BY next_attempt_at ASC
+             LIMIT ?
+           )
+           RETURNING *`,
+          [isoFromNow(-staleLockMs), limit]
+        );
+        return rows.map(row => fromRow('webhook_deliveries', row));
+      },
+
+      async markDelivered(id, { attempts, responseStatus }) {
+        await exec(
+          `UPDATE webhook_deliveries
+           SET status = 'delivered', attempts = ?, response_status = ?, delivered_at = ${NOW},
+               locked_at = NULL, last_error = NULL
+           WHERE id = ?`,
+          [attempts, responseStatus, id]
+        );
+      },
+
+      async markFailed(id, { dead, attempts, error, responseStatus, retryInMs }) {
+        await exec(
+          `UPDATE webhook_deliveries
+           SET status = ?, attempts = ?, last_error = ?, response_status = ?, locked_at = NULL, next_attempt_at = ?
+           WHERE id = ?`,
+          [dead ? 'failed' : 'pending', attempts, error, responseStatus || null, isoFromNow(dead ? 0 : retryInMs), id]
+        );
+      },
+
+      async findById(id) {
+        return fromRow('webhook_deliveries', await get('SELECT * FROM webhook_deliveries WHERE id = ?', [id]));
+      },
+
+      async listForWebhook(webhookId, { status, limit }) {
+        const rows = await all(
+          `SELECT * FROM webhook_deliveries
+           WHERE webhook_id = ?${status ? ' AND status = ?' : ''}
+           ORDER BY created_at DESC, id DESC
+           LIMIT ?`,
+          status ? [webhookId, status, limit] : [webhookId, limit]
+        );
+        return rows.map(row => fromRow('webhook_deliveries', row));
+      },
+
+      async countByStatus() {
+        return countsBy(await all('SELECT status, COUNT(*) as count FROM webhook_deliveries GROUP BY status'), 'status');
+      }
+    }
+  };
+}
+
+// Migration primitives, see migrations/index.js. `run` is the caller's lock.
+function createMigrationBackend(db, run) {
+  return {
+    async ensureTable() {
+      await run(() => db.exec(`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+          version INTEGER PRIMARY KEY,
+          name TEXT NOT NULL,
+          applied_at TEXT NOT NULL DEFAULT (${NOW})
+        )
+      `));
+    },
+
+    async listApplied() {
+      const rows = await run(() => db.prepare('SELECT version, name, applied_at FROM schema_migrations ORDER BY version').all());
+      return rows.map(row => ({ ...row, applied_at: new Date(row.applied_at) }));
+    },
+
+    async apply(migration, direction) {
+      await run(() => db.transaction(() => {
+        for (const statement of migration.sqlite[direction]) {
+          db.exec(statement);
+        }
+        if (direction === 'up') {
+          db.prepare('INSERT INTO schema_migrations (version, name) VALUES (?, ?)').run(migration.version, migration.name);
+        } else {
+          db.prepare('DELETE FROM schema_migrations WHERE version = ?').run(migration.version);
+        }
+      })());
+    }
+  };
+}
+
+function createSqliteStorage({ file }) {
+  let Database;
+  try {
+    Database = require('better-sqlite3');
+  } catch (error) {
+    throw new Error('The sqlite storage backend needs the better-sqlite3 package (npm install better-sqlite3)');
+  }
+
+  const db = new Database(file);
+  db.pragma('journal_mode = WAL');
+  db.pragma('foreign_keys = ON');
+
+  const withLock = createLock();
+  const repositories = createRepositories(db, fn => withLock(fn));
+  const migrations = createMigrator(createMigrationBackend(db, fn => withLock(fn)));
+
+  return {
+    name: 'sqlite',
+    location: file,
+    ...repositories,
+    migrations,
+
+    init() {
+      return migrations.assertCurrent();
+    },
+
+    async ping() {
+      await withLock(() => db.prepare('SELECT 1').get());
+    },
+
+    // One connection, no pool
+    poolStats() {
+      return null;
+    },
+
+    // Inside fn use only the repositories passed to it: the others wait for
+    // the lock this transaction holds
+    transaction(fn) {
+      return withLock(async () => {
+        db.exec('BEGIN IMMEDIATE');
+        try {
+          const result = await fn(createRepositories(db, run => Promise.resolve().then(run)));
+          db.exec('COMMIT');
+          return result;
+        } catch (error) {
+          db.exec('ROLLBACK');
+          throw error;
+        }
+      });
+    },
+
+    async close() {
+      await withLock(() => db.close());
+    }
+  };
+}
+
+module.exports = createSqliteStorage;
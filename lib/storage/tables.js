@@ -0,0 +1,118 @@
+// lib/storage/tables.js - Column layout shared by the storage backends
+//
+// Rows look the same whichever backend returns them: snake_case columns,
+// Date objects for timestamps and parsed JSON. SQLite stores JSON and
+// timestamps as text and converts with this table; every backend uses it to
+// reject unknown columns in update().
+const TABLES = {
+  agents: {
+    columns: [
+      'id', 'internal_id', 'email', 'status', 'blockchain_status', 'trust_score', 'trust_breakdown',
+      'registered_at', 'updated_at', 'agent_data', 'metadata', 'email_verified_at', 'verified_domain',
+      'domain_verified_at', 'anchor_batch_id', 'anchor_proof', 'anchored_at'
+    ],
+    json: ['agent_data', 'metadata', 'trust_breakdown', 'anchor_proof'],
+    dates: ['registered_at', 'updated_at', 'email_verified_at', 'domain_verified_at', 'anchored_at']
+  },
+  agent_aliases: {
+    columns: ['alias_id', 'agent_id', 'created_at'],
+    dates: ['created_at']
+  },
+  api_keys: {
+    columns: ['id', 'agent_id', 'key_hash', 'key_prefix', 'scopes', 'created_at', 'last_used_at', 'revoked_at'],
+    // TEXT[] in Postgres
+    lists: ['scopes'],
+    dates: ['created_at', 'last_used_at', 'revoked_at']
+  },
+  agent_revisions: {
+    columns: ['id', 'agent_id', 'revision', 'action', 'status', 'agent_data', 'changes', 'reason', 'created_at'],
+    json: ['agent_data', 'changes'],
+    dates: ['created_at']
+  },
+  email_queue: {
+    columns: [
+      'id', 'recipient', 'subject', 'template', 'data', 'status', 'attempts', 'next_attempt_at',
+      'locked_at', 'last_error', 'transport', 'message_id', 'sent_at', 'created_at'
+    ],
+    json: ['data'],
+    dates: ['next_attempt_at', 'locked_at', 'sent_at', 'created_at']
+  },
+  registration_attempts: {
+    columns: ['id', 'event_type', 'email', 'email_hash', 'agent_name', 'source', 'data', 'created_at', 'anonymized_at'],
+    json: ['data'],
+    dates: ['created_at', 'anonymized_at']
+  },
+  domain_verifications: {
+    columns: [
+      'id', 'agent_id', 'domain', 'token', 'status', 'method', 'created_at', 'expires_at',
+      'last_checked_at', 'verified_at'
+    ],
+    dates: ['created_at', 'expires_at', 'last_checked_at', 'verified_at']
+  },
+  anchor_batches: {
+    columns: [
+      'id', 'merkle_root', 'leaf_count', 'ledger', 'status', 'tx_id', 'block_number', 'error',
+      'created_at', 'anchored_at'
+    ],
+    dates: ['created_at', 'anchored_at']
+  },
+  signing_keys: {
+    columns: ['kid', 'algorithm', 'public_jwk', 'private_key', 'status', 'created_at', 'retired_at'],
+    json: ['public_jwk'],
+    dates: ['created_at', 'retired_at']
+  },
+  rate_limits: {
+    columns: ['key', 'count', 'reset_at'],
+    dates: ['reset_at']
+  },
+  blocked_sources: {
+    columns: ['key', 'reason', 'blocked_until', 'created_at'],
+    dates: ['blocked_until', 'created_at']
+  },
+  webhooks: {
+    columns: ['id', 'owner_email', 'url', 'events', 'secret', 'description', 'created_at'],
+    json: ['events'],
+    dates: ['created_at']
+  },
+  webhook_deliveries: {
+    columns: [
+      'id', 'webhook_id', 'event_id', 'event_type', 'agent_id', 'payload', 'status', 'attempts',
+      'next_attempt_at', 'locked_at', 'response_status', 'last_error', 'replay_of', 'created_at', 'delivered_at'
+    ],
+    json: ['payload'],
+    dates: ['next_attempt_at', 'locked_at', 'created_at', 'delivered_at']
+  },
+  audit_log: {
+    columns: [
+      'seq', 'created_at', 'actor_type', 'actor_id', 'action', 'agent_id', 'changes', 'reason', 'request_id',
+      'prev_hash', 'hash'
+    ],
+    json: ['changes'],
+    dates: ['created_at']
+  }
+};
+
+// Throw on columns that don't exist, so update() can't be handed arbitrary SQL
+function assertColumns(table, columns) {
+  for (const column of columns) {
+    if (!TABLES[table].columns.includes(column)) {
+      throw new Error(`Unknown column ${table}.${column}`);
+    }
+  }
+}
+
+function isJsonColumn(table, column) {
+  const { json = [], lists = [] } = TABLES[table];
+  return json.includes(column) || lists.includes(column);
+}
+
+function isDateColumn(table, column) {
+  return (TABLES[table].dates || []).includes(column);
+}
+
+module.exports = {
+  TABLES,
+  assertColumns,
+  isJsonColumn,
+  isDateColumn
+};
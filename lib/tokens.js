@@ -0,0 +1,56 @@
+// lib/tokens.js - Signed, expiring tokens for email confirmation links
+const crypto = require('crypto');
+const { logger } = require('./logger');
+
+// Tokens are only valid across restarts (and across instances) when TOKEN_SECRET is set
+let secret = process.env.TOKEN_SECRET;
+if (!secret) {
+  secret = crypto.randomBytes(32).toString('hex');
+  logger.warn('TOKEN_SECRET is not set - confirmation links will stop working when the server restarts');
+}
+
+function sign(data) {
+  return crypto.createHmac('sha256', secret).update(data).digest('base64url');
+}
+
+// Create a token carrying `payload` for a single purpose, valid for ttlSeconds
+function signToken(purpose, payload, ttlSeconds) {
+  const body = Buffer.from(JSON.stringify({
+    ...payload,
+    purpose,
+    exp: Math.floor(Date.now() / 1000) + ttlSeconds
+  })).toString('base64url');
+
+  return `${body}.${sign(body)}`;
+}
+
+// Returns the payload, or null when the token is malformed, tampered with,
+// expired or was issued for a different purpose
+function verifyToken(purpose, token) {
+  const [body, signature] = String(token || '').split('.');
+  if (!body || !signature) return null;
+
+  const expected = Buffer.from(sign(body));
+  const provided = Buffer.from(signature);
+  if (expected.length !== provided.length || !crypto.timingSafeEqual(expected, provided)) {
+    return null;
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+  } catch (error) {
+    return null;
+  }
+
+  if (payload.purpose !== purpose || payload.exp < Math.floor(Date.now() / 1000)) {
+    return null;
+  }
+
+  return payload;
+}
+
+module.exports = {
+  signToken,
+  verifyToken
+};
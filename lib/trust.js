@@ -0,0 +1,188 @@
+// lib/trust.js - Trust score engine
+//
+// A trust score is a number from 0 to 100 built from weighted factors. Each
+// factor earns a share of its weight from one signal, and the per-factor
+// breakdown is stored with the score so relying parties can see how it was reached.
+const storage = require('./db');
+const { logger } = require('./logger');
+
+// Bump when factors or weights change so stored breakdowns can be told apart
+const TRUST_MODEL_VERSION = 1;
+
+// Agents reach full age credit after this many days
+const FULL_AGE_DAYS = 90;
+
+// Scores older than this are refreshed (agent age keeps changing)
+const REFRESH_AFTER_MS = 24 * 60 * 60 * 1000;
+const REFRESH_INTERVAL_MS = 60 * 60 * 1000;
+
+// agent_data fields that count towards completeness
+const COMPLETENESS_FIELDS = ['name', 'owner', 'description', 'ownerUrl', 'capabilities', 'version'];
+
+const FACTORS = [
+  {
+    factor: 'emailVerified',
+    label: 'Verified email',
+    weight: 30,
+    evaluate: signals => signals.emailVerified
+      ? { ratio: 1, detail: 'Registration email address confirmed' }
+      : { ratio: 0, detail: 'Registration email address not confirmed' }
+  },
+  {
+    factor: 'domainOwnership',
+    label: 'Owner domain verified',
+    weight: 25,
+    evaluate: signals => {
+      if (signals.domainVerified) return { ratio: 1, detail: 'Ownership of the owner URL domain proven' };
+      if (signals.ownerUrl) return { ratio: 0, detail: 'Owner URL provided but domain ownership not proven' };
+      return { ratio: 0, detail: 'No owner URL provided' };
+    }
+  },
+  {
+    factor: 'agentAge',
+    label: 'Agent age',
+    weight: 15,
+    evaluate: signals => ({
+      ratio: Math.min(signals.ageDays / FULL_AGE_DAYS, 1),
+      detail: `Registered ${Math.floor(signals.ageDays)} day(s) ago (full credit at ${FULL_AGE_DAYS} days)`
+    })
+  },
+  {
+    factor: 'revocationHistory',
+    label: 'Revocation history',
+    weight: 10,
+    evaluate: signals => {
+      if (signals.revoked) return { ratio: 0, detail: 'Agent has been revoked' };
+      if (signals.deprecations > 0) return { ratio: 0.5, detail: 'Agent has been deprecated' };
+      return { ratio: 1, detail: 'Never revoked or deprecated' };
+    }
+  },
+  {
+    factor: 'completeness',
+    label: 'Profile completeness',
+    weight: 20,
+    evaluate: signals => ({
+      ratio: signals.completedFields.length / COMPLETENESS_FIELDS.length,
+      detail: `${signals.completedFields.length} of ${COMPLETENESS_FIELDS.length} fields provided`
+    })
+  }
+];
+
+function isFilled(value) {
+  if (Array.isArray(value)) return value.length > 0;
+  return value !== undefined && value !== null && String(value).trim() !== '';
+}
+
+// Collect the inputs for scoring. `revisionCounts` ({ action: count }) comes
+// from agent_revisions; omit it for an agent that has just been created.
+function collectSignals(agent, revisionCounts = {}, now = new Date()) {
+  const agentData = agent.agent_data || {};
+
+  return {
+    emailVerified: !!agent.email_verified_at,
+    domainVerified: !!agent.domain_verified_at,
+    ownerUrl: agentData.ownerUrl || null,
+    ageDays: Math.max((now - new Date(agent.registered_at)) / (24 * 60 * 60 * 1000), 0),
+    revoked: agent.status === 'revoked',
+    deprecations: parseInt(revisionCounts.deprecated) || 0,
+    completedFields: COMPLETENESS_FIELDS.filter(field => isFilled(agentData[field]))
+  };
+}
+
+// Pure scoring: signals in, score and breakdown out
+function computeTrustScore(signals, now = new Date()) {
+  const factors = FACTORS.map(({ factor, label, weight, evaluate }) => {
+    const { ratio, detail } = evaluate(signals);
+    return {
+      factor,
+      label,
+      weight,
+      points: Math.round(weight * ratio * 100) / 100,
+      detail
+    };
+  });
+
+  let score = Math.round(factors.reduce((total, f) => total + f.points, 0));
+
+  // A revoked agent should never be trusted, whatever its other signals
+  if (signals.revoked) {
+    score = 0;
+  }
+
+  return {
+    score,
+    breakdown: {
+      modelVersion: TRUST_MODEL_VERSION,
+      score,
+      maxScore: FACTORS.reduce((total, f) => total + f.weight, 0),
+      factors,
+      computedAt: now.toISOString()
+    }
+  };
+}
+
+// Recompute and store the score for one agent. Pass the transaction when
+// the inputs were just changed inside one.
+async function recomputeTrustScore(db, agentId) {
+  const agent = await db.agents.findById(agentId);
+  if (!agent) return null;
+
+  const revisionCounts = await db.revisions.countActions(agentId);
+  const { score, breakdown } = computeTrustScore(collectSignals(agent, revisionCounts));
+
+  await db.agents.update(agentId, { trust_score: score, trust_breakdown: breakdown });
+
+  return { score, breakdown };
+}
+
+// Recompute scores that were never computed or have gone stale
+async function refreshStaleTrustScores() {
+  try {
+    let refreshed = 0;
+    let ids;
+
+    // Recomputed rows drop out of the query, so keep going until none are left
+    do {
+      ids = await storage.agents.findStaleTrustScores({
+        maxAgeMs: REFRESH_AFTER_MS,
+        modelVersion: TRUST_MODEL_VERSION,
+        limit: 500
+      });
+
+      for (const id of ids) {
+        await recomputeTrustScore(storage, id);
+      }
+      refreshed += ids.length;
+    } while (ids.length === 500);
+
+    if (refreshed > 0) {
+      logger.info('Trust scores refreshed', { refreshed });
+    }
+  } catch (error) {
+    logger.error('Trust score refresh error', { error });
+  }
+}
+
+let timer = null;
+
+function startTrustScoreRefresher() {
+  if (timer) return;
+  timer = setInterval(refreshStaleTrustScores, REFRESH_INTERVAL_MS);
+  refreshStaleTrustScores();
+}
+
+function stopTrustScoreRefresher() {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+}
+
+module.exports = {
+  TRUST_MODEL_VERSION,
+  collectSignals,
+  computeTrustScore,
+  recomputeTrustScore,
+  startTrustScoreRefresher,
+  stopTrustScoreRefresher
+};
@@ -0,0 +1,259 @@
+// lib/validation.js - Declarative request validation
+//
+// Schemas are a small subset of JSON Schema (type, required, properties,
+// additionalProperties, items, enum, format, pattern, min/max keywords) plus
+// `description`, which /v1/docs uses. Every problem is reported with the
+// path of the field and one of ERROR_CODES.
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const SEMVER_PATTERN = /^(0|[1-9]\d*)\.(0|[1-9]\d*)\.(0|[1-9]\d*)(?:-[0-9A-Za-z-]+(?:\.[0-9A-Za-z-]+)*)?(?:\+[0-9A-Za-z-]+(?:\.[0-9A-Za-z-]+)*)?$/;
+
+const ERROR_CODES = [
+  'required', 'invalid_type', 'unknown_field', 'invalid_json', 'invalid_format', 'invalid_enum',
+  'too_short', 'too_long', 'too_small', 'too_large', 'too_few_items', 'too_many_items',
+  'duplicate_item', 'too_many_properties'
+];
+
+const FORMATS = {
+  email: value => EMAIL_PATTERN.test(value),
+  semver: value => SEMVER_PATTERN.test(value),
+  'date-time': value => !isNaN(Date.parse(value)),
+  uri(value) {
+    try {
+      return ['http:', 'https:'].includes(new URL(value).protocol);
+    } catch (error) {
+      return false;
+    }
+  }
+};
+
+class ValidationError extends Error {
+  constructor(errors) {
+    super(`${errors.length} invalid field${errors.length === 1 ? '' : 's'}`);
+    this.name = 'ValidationError';
+    this.errors = errors;
+  }
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(type, value) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+// Query strings only carry strings; turn them into the type the schema expects
+function coerceQueryValue(schema, value) {
+  if (schema.type === 'array' && typeof value === 'string') {
+    // Repeated (?a=1&a=2) and comma-separated (?a=1,2) values are both accepted
+    return value.split(',').map(item => item.trim()).filter(Boolean);
+  }
+  if (schema.type === 'array' && Array.isArray(value)) {
+    return value.flatMap(item => typeof item === 'string' ? coerceQueryValue(schema, item) : [item]);
+  }
+  if ((schema.type === 'integer' || schema.type === 'number') && typeof value === 'string' && value.trim() !== '') {
+    const number = Number(value);
+    return isNaN(number) ? value : number;
+  }
+  if (schema.type === 'boolean' && (value === 'true' || value === 'false')) {
+    return value === 'true';
+  }
+  return value;
+}
+
+function check(schema, value, field, errors, options) {
+  const fail = (code, message) => {
+    errors.push({ field: field || options.location, location: options.location, code, message: `${field || options.location} ${message}` });
+  };
+
+  if (options.coerce) {
+    value = coerceQueryValue(schema, value);
+  }
+
+  if (schema.type && !matchesType(schema.type, value)) {
+    fail('invalid_type', `must be ${schema.type === 'array' || schema.type === 'object' || schema.type === 'integer' ? 'an' : 'a'} ${schema.type}`);
+    return value;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    fail('invalid_enum', `must be one of: ${schema.enum.join(', ')}`);
+    return value;
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      fail('too_short', `must be at least ${schema.minLength} character${schema.minLength === 1 ? '' : 's'}`);
+    } else if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      fail('too_long', `must be at most ${schema.maxLength} characters`);
+    } else if (schema.format && !FORMATS[schema.format](value)) {
+      fail('invalid_format', `must be a valid ${schema.format}`);
+    } else if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      fail('invalid_format', schema.patternMessage || `must match ${schema.pattern}`);
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      fail('too_small', `must be at least ${schema.minimum}`);
+    } else if (schema.maximum !== undefined && value > schema.maximum) {
+      fail('too_large', `must be at most ${schema.maximum}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      fail('too_few_items', `must have at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}`);
+    } else if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      fail('too_many_items', `must have at most ${schema.maxItems} items`);
+    } else if (schema.uniqueItems && new Set(value.map(item => JSON.stringify(item))).size !== value.length) {
+      fail('duplicate_item', 'must not contain duplicate items');
+    }
+
+    if (schema.items) {
+      value = value.map((item, index) => check(schema.items, item, `${field}[${index}]`, errors, { ...options, coerce: false }));
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+    const result = {};
+
+    if (schema.maxProperties !== undefined && Object.keys(value).length > schema.maxProperties) {
+      fail('too_many_properties', `must have at most ${schema.maxProperties} properties`);
+    }
+
+    for (const name of schema.required || []) {
+      if (value[name] === undefined || value[name] === null) {
+        errors.push({ field: join(field, name), location: options.location, code: 'required', message: `${join(field, name)} is required` });
+      }
+    }
+
+    for (const [name, item] of Object.entries(value)) {
+      const childField = join(field, name);
+
+      if (item === null && (schema.required || []).includes(name)) {
+        // Already reported as missing
+        continue;
+      } else if (properties[name]) {
+        result[name] = check(properties[name], item, childField, errors, options);
+      } else if (schema.additionalProperties === false) {
+        errors.push({ field: childField, location: options.location, code: 'unknown_field', message: `${childField} is not a recognised field` });
+      } else if (typeof schema.additionalProperties === 'object') {
+        result[name] = check(schema.additionalProperties, item, childField, errors, options);
+      } else {
+        result[name] = item;
+      }
+    }
+
+    for (const [name, property] of Object.entries(properties)) {
+      if (result[name] === undefined && property.default !== undefined) {
+        result[name] = property.default;
+      }
+    }
+
+    return result;
+  }
+
+  return value;
+}
+
+function join(parent, name) {
+  return parent ? `${parent}.${name}` : name;
+}
+
+// Validate a value. Returns the value with query coercion and defaults
+// applied, or throws a ValidationError listing every invalid field.
+function validate(schema, value, { location = 'body', coerce = location === 'query' } = {}) {
+  const errors = [];
+  const result = check(schema, value === undefined ? {} : value, '', errors, { location, coerce });
+
+  if (errors.length > 0) {
+    throw new ValidationError(errors);
+  }
+
+  return result;
+}
+
+// The error envelope for invalid requests
+function validationErrorBody(error) {
+  return {
+    error: 'Validation failed',
+    code: 'validation_failed',
+    message: error.message,
+    errors: error.errors
+  };
+}
+
+// Express middleware validating req.body and/or req.query against schemas
+function validateRequest(schemas) {
+  const middleware = (req, res, next) => {
+    try {
+      if (schemas.query) {
+        req.query = validate(schemas.query, req.query, { location: 'query' });
+      }
+      if (schemas.body) {
+        req.body = validate(schemas.body, req.body, { location: 'body' });
+      }
+      next();
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        return res.status(400).json(validationErrorBody(error));
+      }
+      next(error);
+    }
+  };
+
+  // Read by the OpenAPI generator
+  middleware.schemas = schemas;
+  return middleware;
+}
+
+// Flatten a schema into { 'agent.name': 'string, required, 1-255 characters. Agent name' }
+// for /v1/docs
+function describeSchema(schema, prefix = '', required = true, lines = {}) {
+  // Array bodies are described by their items, as '[].agent.name'
+  if (schema.type === 'array' && schema.items) {
+    return describeSchema(schema.items, join(prefix, '[]'), required, lines);
+  }
+
+  for (const [name, property] of Object.entries(schema.properties || {})) {
+    const field = join(prefix, name);
+    const isRequired = required && (schema.required || []).includes(name);
+
+    const facts = [property.type === 'array' && property.items && property.items.type ? `array of ${property.items.type}s` : property.type];
+    facts.push(isRequired ? 'required' : 'optional');
+    if (property.enum) facts.push(`one of: ${property.enum.join(', ')}`);
+    if (property.format) facts.push(`format: ${property.format}`);
+    if (property.minLength && property.maxLength !== undefined) {
+      facts.push(`${property.minLength}-${property.maxLength} characters`);
+    } else if (property.maxLength !== undefined) {
+      facts.push(`at most ${property.maxLength} characters`);
+    }
+    if (property.minimum !== undefined && property.maximum !== undefined) {
+      facts.push(`${property.minimum}-${property.maximum}`);
+    }
+    if (property.maxItems !== undefined) facts.push(`at most ${property.maxItems} items`);
+    if (property.default !== undefined) facts.push(`default: ${JSON.stringify(property.default)}`);
+
+    lines[field] = `${facts.join(', ')}${property.description ? `. ${property.description}` : ''}`;
+
+    if (property.type === 'object' && property.properties) {
+      describeSchema(property, field, isRequired, lines);
+    }
+  }
+
+  return lines;
+}
+
+module.exports = {
+  ERROR_CODES,
+  ValidationError,
+  validate,
+  validateRequest,
+  validationErrorBody,
+  describeSchema
+};
@@ -0,0 +1,63 @@
+// lib/views/html.js - Auto-escaping HTML templates
+//
+// html`<p>${value}</p>` escapes every interpolated value unless it is itself
+// the result of an html`` template (or raw()). Arrays are joined, and null,
+// undefined and false render as nothing, so conditionals and lists read like
+// plain template literals without ever emitting unescaped data.
+
+class SafeHtml {
+  constructor(value) {
+    this.value = value;
+  }
+
+  toString() {
+    return this.value;
+  }
+}
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function render(value) {
+  if (value === null || value === undefined || value === false) return '';
+  if (value instanceof SafeHtml) return value.value;
+  if (Array.isArray(value)) return value.map(render).join('');
+  return escapeHtml(value);
+}
+
+function html(strings, ...values) {
+  let result = strings[0];
+  for (let i = 0; i < values.length; i++) {
+    result += render(values[i]) + strings[i + 1];
+  }
+  return new SafeHtml(result);
+}
+
+// Trusted markup only (our own CSS, never request or agent data)
+function raw(value) {
+  return new SafeHtml(String(value));
+}
+
+// Only http(s) links are rendered as links; anything else (javascript:,
+// data:) would run in the page
+function safeUrl(value) {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol) ? value : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+module.exports = {
+  SafeHtml,
+  escapeHtml,
+  html,
+  raw,
+  safeUrl
+};
@@ -0,0 +1,103 @@
+// lib/views/layout.js - Page shell and themes for the HTML pages
+//
+// Every page is rendered through layout(), which sets the theme and the shared
+// styles. Themes are CSS custom properties: light, dark, or auto (the
+// default) following the visitor's prefers-color-scheme.
+const { html, raw } = require('./html');
+
+const THEMES = ['auto', 'light', 'dark'];
+
+const LIGHT = `
+  --page-bg: #f5f5f5;
+  --text: #1a202c;
+  --muted: #718096;
+  --panel-bg: #ffffff;
+  --panel-shadow: 0 20px 40px rgba(0, 0, 0, 0.1);
+  --card-bg: linear-gradient(135deg, #4A3FC4 0%, #7B4FE6 100%);
+  --card-text: #ffffff;
+  --card-shadow: 0 20px 40px rgba(0, 0, 0, 0.3);
+  --accent: #4A3FC4;
+  --danger: #e53e3e;
+  --code-bg: #f0eefc;
+  --dot-on: #48BB78;
+  --dot-off: #A0AEC0;
+`;
+
+const DARK = `
+  --page-bg: #0f0e1a;
+  --text: #e2e8f0;
+  --muted: #a0aec0;
+  --panel-bg: #1a1830;
+  --panel-shadow: 0 20px 40px rgba(0, 0, 0, 0.5);
+  --card-bg: linear-gradient(135deg, #2C2578 0%, #4B2F99 100%);
+  --card-text: #f7fafc;
+  --card-shadow: 0 20px 40px rgba(0, 0, 0, 0.6);
+  --accent: #a79bff;
+  --danger: #fc8181;
+  --code-bg: #2d2a4a;
+  --dot-on: #68D391;
+  --dot-off: #4A5568;
+`;
+
+const BASE_CSS = `
+  :root, :root[data-theme="light"] {${LIGHT}}
+  :root[data-theme="dark"] {${DARK}}
+  @media (prefers-color-scheme: dark) {
+    :root[data-theme="auto"] {${DARK}}
+  }
+  * { margin: 0; padding: 0; box-sizing: border-box; }
+  body {
+    font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+    background: var(--page-bg);
+    color: var(--text);
+  }
+  a { color: var(--accent); }
+  .dot {
+    width: 12px;
+    height: 12px;
+    background: var(--dot-off);
+    border-radius: 50%;
+    display: inline-block;
+    flex-shrink: 0;
+  }
+  .dot.on { background: var(--dot-on); }
+`;
+
+// Only our own assets: inline styles, no scripts. Pages can't be framed
+// unless they are meant to be embedded.
+function contentSecurityPolicy({ embeddable = false } = {}) {
+  return [
+    "default-src 'none'",
+    "style-src 'unsafe-inline'",
+    'img-src https://www.astrasync.ai',
+    "base-uri 'none'",
+    "form-action 'none'",
+    `frame-ancestors ${embeddable ? '*' : "'none'"}`
+  ].join('; ');
+}
+
+// A complete HTML document. title and description are escaped; styles must be
+// our own CSS and body an html`` template.
+function layout({ title, description, theme = 'auto', styles = '', body }) {
+  return html`<!DOCTYPE html>
+<html lang="en" data-theme="${theme}">
+  <head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <meta name="color-scheme" content="${theme === 'auto' ? 'light dark' : theme}">
+    <title>${title}</title>
+    ${description && html`<meta property="og:title" content="${title}">
+    <meta property="og:description" content="${description}">`}
+    <style>${raw(BASE_CSS)}${raw(styles)}</style>
+  </head>
+  <body>
+    ${body}
+  </body>
+</html>`;
+}
+
+module.exports = {
+  THEMES,
+  contentSecurityPolicy,
+  layout
+};
@@ -0,0 +1,404 @@
+// lib/views/profile.js - Public agent profile page and embeddable badge
+//
+// Everything shown here comes from registrants, so it only ever reaches the
+// page through html`` templates, which escape it.
+const { A2A_CAPABILITIES, buildAgentCard } = require('../agentCard');
+const { html, safeUrl } = require('./html');
+const { layout } = require('./layout');
+
+const LOGO_URL = 'https://www.astrasync.ai/assets/AS_black_IconFCN.png';
+
+const CAPABILITY_LABELS = {
+  streaming: 'Streaming',
+  pushNotifications: 'Push Notifications',
+  stateTransitionHistory: 'State Transition History'
+};
+
+// How the public pages describe each status, as /v1/verify does
+const STATUS_LABELS = {
+  registered: 'Verified',
+  deprecated: 'Deprecated',
+  revoked: 'Revoked',
+  pending_email_verification: 'Unconfirmed'
+};
+
+const PROFILE_CSS = `
+  body {
+    min-height: 100vh;
+    display: flex;
+    align-items: center;
+    justify-content: center;
+    padding: 20px;
+  }
+  .card {
+    width: 100%;
+    max-width: 600px;
+    background: var(--card-bg);
+    border-radius: 20px;
+    padding: 35px;
+    color: var(--card-text);
+    position: relative;
+    overflow: hidden;
+    box-shadow: var(--card-shadow);
+  }
+  .card a { color: var(--card-text); }
+  .logo-container {
+    text-align: center;
+    margin-bottom: 20px;
+  }
+  .logo {
+    width: 100px;
+    height: 100px;
+    filter: brightness(0) invert(1);
+  }
+  .title {
+    font-size: 54px;
+    font-weight: 700;
+    text-align: center;
+    margin-bottom: 20px;
+    letter-spacing: 2px;
+  }
+  .status {
+    text-align: center;
+    margin-bottom: 20px;
+  }
+  .status span {
+    display: inline-block;
+    padding: 4px 14px;
+    border-radius: 999px;
+    background: rgba(255, 255, 255, 0.15);
+    font-size: 18px;
+    letter-spacing: 1px;
+    text-transform: uppercase;
+  }
+  .agent-info {
+    margin-bottom: 20px;
+    font-size: 24px;
+    line-height: 1.6;
+    overflow-wrap: anywhere;
+  }
+  .agent-id {
+    font-size: 26px;
+    margin-bottom: 8px;
+  }
+  .trust-section {
+    display: flex;
+    flex-wrap: wrap;
+    align-items: center;
+    margin: 20px 0;
+    gap: 30px;
+  }
+  .trust-items {
+    font-size: 26px;
+    line-height: 1.6;
+  }
+  .trust-items .heading {
+    font-size: 30px;
+    margin-bottom: 10px;
+  }
+  .trust-item {
+    display: flex;
+    align-items: center;
+    gap: 10px;
+    font-size: 24px;
+  }
+  .trust-score-circle {
+    width: 120px;
+    height: 120px;
+    border: 8px solid rgba(255, 255, 255, 0.3);
+    border-radius: 50%;
+    display: flex;
+    align-items: center;
+    justify-content: center;
+    font-size: 52px;
+    font-weight: 700;
+    position: relative;
+  }
+  .trust-score-circle::after {
+    content: '';
+    position: absolute;
+    top: -8px;
+    left: -8px;
+    right: -8px;
+    bottom: -8px;
+    border-radius: 50%;
+    border: 8px solid transparent;
+    border-top-color: #E53E3E;
+    border-right-color: #E53E3E;
+    transform: rotate(45deg);
+  }
+  .powered-by { font-size: 26px; }
+  .agent-details {
+    margin: 20px 0;
+    font-size: 24px;
+    line-height: 1.5;
+    overflow-wrap: anywhere;
+  }
+  .agent-details .description { margin-top: 20px; }
+  .capabilities-section { margin: 20px 0; }
+  .capability-item {
+    display: flex;
+    align-items: center;
+    justify-content: space-between;
+    font-size: 26px;
+    margin: 8px 0;
+  }
+  .skills-section { margin-top: 25px; }
+  .skills-title {
+    font-size: 30px;
+    font-weight: 700;
+    margin-bottom: 15px;
+  }
+  .skills-grid {
+    display: grid;
+    grid-template-columns: 1fr 1fr;
+    gap: 15px;
+    font-size: 24px;
+    overflow-wrap: anywhere;
+  }
+  .card-link {
+    margin-top: 25px;
+    font-size: 18px;
+  }
+  @media (max-width: 640px) {
+    .card { padding: 24px; }
+    .title { font-size: 36px; }
+    .agent-info, .agent-details, .trust-item, .skills-grid { font-size: 18px; }
+    .agent-id, .trust-items, .capability-item, .powered-by { font-size: 20px; }
+    .skills-grid { grid-template-columns: 1fr; }
+  }
+`;
+
+const MESSAGE_CSS = `
+  body {
+    min-height: 100vh;
+    display: flex;
+    align-items: center;
+    justify-content: center;
+    padding: 20px;
+  }
+  .message {
+    background: var(--panel-bg);
+    padding: 40px;
+    border-radius: 16px;
+    text-align: center;
+    box-shadow: var(--panel-shadow);
+    max-width: 100%;
+  }
+  h1 { color: var(--danger); margin-bottom: 20px; }
+  .agent-id {
+    font-family: monospace;
+    background: var(--code-bg);
+    padding: 8px 16px;
+    border-radius: 8px;
+    display: inline-block;
+    margin: 20px 0;
+    overflow-wrap: anywhere;
+  }
+  a { text-decoration: none; font-weight: 600; }
+  a:hover { text-decoration: underline; }
+`;
+
+const BADGE_CSS = `
+  body { background: transparent; }
+  .badge {
+    display: flex;
+    align-items: center;
+    gap: 12px;
+    width: 320px;
+    height: 96px;
+    padding: 12px 16px;
+    border-radius: 14px;
+    background: var(--card-bg);
+    color: var(--card-text);
+    text-decoration: none;
+    overflow: hidden;
+  }
+  .badge img {
+    width: 40px;
+    height: 40px;
+    filter: brightness(0) invert(1);
+    flex-shrink: 0;
+  }
+  .badge .details {
+    flex: 1;
+    min-width: 0;
+    line-height: 1.3;
+  }
+  .badge .name {
+    font-weight: 700;
+    font-size: 16px;
+    white-space: nowrap;
+    overflow: hidden;
+    text-overflow: ellipsis;
+  }
+  .badge .meta {
+    display: flex;
+    align-items: center;
+    gap: 6px;
+    font-size: 12px;
+    opacity: 0.9;
+  }
+  .badge .dot { width: 8px; height: 8px; }
+  .badge .dot.off { background: var(--danger); }
+  .badge .id {
+    font-family: monospace;
+    font-size: 11px;
+    opacity: 0.75;
+    white-space: nowrap;
+    overflow: hidden;
+    text-overflow: ellipsis;
+  }
+  .badge .score {
+    font-size: 26px;
+    font-weight: 700;
+    text-align: center;
+    line-height: 1;
+  }
+  .badge .score small {
+    display: block;
+    font-size: 10px;
+    font-weight: 400;
+    letter-spacing: 1px;
+    margin-top: 4px;
+  }
+`;
+
+function profilePage(agent, { theme, badgeUrl }) {
+  const agentData = agent.agent_data;
+  const card = buildAgentCard(agent);
+  const ownerUrl = safeUrl(agentData.ownerUrl);
+  const authSchemes = Object.entries(card.securitySchemes || {})
+    .map(([name, scheme]) => `${name} (${scheme.scheme || scheme.type})`);
+
+  return layout({
+    title: `${agentData.name} - AstraSync Agent`,
+    description: agentData.description || 'Verified AI Agent on AstraSync',
+    theme,
+    styles: PROFILE_CSS,
+    body: html`<div class="card">
+      <div class="logo-container">
+        <img src="${LOGO_URL}" alt="AstraSync" class="logo">
+      </div>
+
+      <h1 class="title">KNOW YOUR AGENT</h1>
+
+      <div class="status"><span>${STATUS_LABELS[agent.status] || agent.status}</span></div>
+
+      <div class="agent-info">
+        <div class="agent-id">AGENT ID ${agent.id}</div>
+        <div>Owner - ${agentData.owner}</div>
+        <div>URL - ${ownerUrl ? html`<a href="${ownerUrl}" rel="nofollow noopener">${ownerUrl}</a>` : 'Not specified'}</div>
+      </div>
+
+      <div class="trust-section">
+        <div class="trust-items">
+          <div class="heading">TRUST SCORE</div>
+          <div class="trust-item">
+            <span class="dot ${agent.email_verified_at && 'on'}"></span>
+            <span>Developer</span>
+          </div>
+          <div class="trust-item">
+            <span class="dot ${agent.domain_verified_at && 'on'}"></span>
+            <span>KYA/KYB</span>
+          </div>
+          <div class="trust-item">
+            <span class="dot"></span>
+            <span>AML</span>
+          </div>
+        </div>
+        <div class="trust-score-circle">${agent.trust_score ?? 0}%</div>
+        <div class="powered-by">Powered by</div>
+      </div>
+
+      <div class="agent-details">
+        <div>Name - ${agentData.name}</div>
+        <div>Endpoint - ${card.url ? `${card.url} (${card.preferredTransport})` : 'Not specified'}</div>
+        <div>Auth - ${authSchemes.length > 0 ? authSchemes.join(', ') : 'Not specified'}</div>
+        <div>Input - ${card.defaultInputModes.join(', ')}</div>
+        <div>Output - ${card.defaultOutputModes.join(', ')}</div>
+        <div class="description">Description - ${agentData.description || 'No description provided'}</div>
+      </div>
+
+      <div class="capabilities-section">
+        ${A2A_CAPABILITIES.map(name => html`
+        <div class="capability-item">
+          <span>${CAPABILITY_LABELS[name]}</span>
+          <span class="dot ${card.capabilities[name] && 'on'}"></span>
+        </div>`)}
+      </div>
+
+      <div class="skills-section">
+        <div class="skills-title">SKILLS</div>
+        <div class="skills-grid">
+          ${card.skills.length > 0
+            ? card.skills.map(skill => html`<div title="${skill.description}">${skill.name}</div>`)
+            : html`<div>No skills registered</div>`}
+        </div>
+      </div>
+
+      <div class="card-link">
+        <a href="/v1/agent/${encodeURIComponent(agent.id)}/card">View A2A agent card (JSON)</a>
+        &middot;
+        <a href="${badgeUrl}">Embeddable badge</a>
+      </div>
+    </div>`
+  });
+}
+
+// Compact variant for partner sites to embed in an iframe. Links open the full
+// profile outside the frame.
+function badgePage(agent, { theme, profileUrl }) {
+  const agentData = agent.agent_data;
+  const status = STATUS_LABELS[agent.status] || agent.status;
+  const trusted = agent.status === 'registered' || agent.status === 'deprecated';
+
+  return layout({
+    title: `${agentData.name} - AstraSync Badge`,
+    theme,
+    styles: BADGE_CSS,
+    body: html`<a class="badge" href="${profileUrl}" target="_blank" rel="noopener" title="View the AstraSync profile of ${agentData.name}">
+      <img src="${LOGO_URL}" alt="AstraSync">
+      <div class="details">
+        <div class="name">${agentData.name}</div>
+        <div class="meta"><span class="dot ${trusted ? 'on' : 'off'}"></span>${status} &middot; AstraSync</div>
+        <div class="id">${agent.id}</div>
+      </div>
+      <div class="score">${agent.trust_score ?? 0}<small>TRUST</small></div>
+    </a>`
+  });
+}
+
+function notFoundPage(agentId, { theme }) {
+  return layout({
+    title: 'Agent Not Found - AstraSync',
+    theme,
+    styles: MESSAGE_CSS,
+    body: html`<div class="message">
+      <h1>Agent Not Found</h1>
+      <p>No agent found with ID:</p>
+      <div class="agent-id">${agentId}</div>
+      <p><a href="https://astrasync.ai" target="_top">Learn more about AstraSync</a></p>
+    </div>`
+  });
+}
+
+function errorPage({ theme }) {
+  return layout({
+    title: 'Error - AstraSync',
+    theme,
+    styles: MESSAGE_CSS,
+    body: html`<div class="message">
+      <h1>Error Loading Profile</h1>
+      <p>An error occurred while loading the agent profile.</p>
+      <p><a href="https://astrasync.ai" target="_top">Return to AstraSync</a></p>
+    </div>`
+  });
+}
+
+module.exports = {
+  profilePage,
+  badgePage,
+  notFoundPage,
+  errorPage
+};
@@ -0,0 +1,136 @@
+// lib/webhooks/index.js - Owner webhooks for agent lifecycle events
+//
+// A webhook belongs to an owner email and receives the events of every agent
+// registered with that address. Events are queued as one webhook_deliveries
+// row per subscribed endpoint, in the same transaction as the change they
+// describe, and sent by the webhook worker (see worker.js).
+const crypto = require('crypto');
+const net = require('net');
+
+const WEBHOOK_EVENTS = [
+  'agent.registered',
+  'agent.updated',
+  'agent.revoked',
+  'agent.anchored'
+];
+
+const SECRET_PREFIX = 'whsec_';
+const SIGNATURE_HEADER = 'X-AstraSync-Signature';
+
+function generateSecret() {
+  return SECRET_PREFIX + crypto.randomBytes(24).toString('base64url');
+}
+
+function ownerKey(email) {
+  return email.trim().toLowerCase();
+}
+
+// Why a URL can't be used as a webhook endpoint, or null when it can. Only
+// public https hosts unless WEBHOOK_ALLOW_PRIVATE_URLS=true (local development).
+function webhookUrlError(value, env = process.env) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    return 'must be a valid URL';
+  }
+
+  if (url.username || url.password) {
+    return 'must not contain credentials';
+  }
+
+  if (env.WEBHOOK_ALLOW_PRIVATE_URLS === 'true') {
+    return ['http:', 'https:'].includes(url.protocol) ? null : 'must be an http or https URL';
+  }
+
+  if (url.protocol !== 'https:') {
+    return 'must be an https URL';
+  }
+
+  const hostname = url.hostname.toLowerCase().replace(/\.$/, '');
+  if (net.isIP(hostname.replace(/^\[|\]$/g, '')) || !hostname.includes('.') || hostname.endsWith('.localhost')) {
+    return 'must use a public host name, not an IP address or local name';
+  }
+
+  return null;
+}
+
+// "t=<unix seconds>,v1=<hex HMAC-SHA256 of `${t}.${body}`>". The timestamp
+// lets receivers reject old deliveries that are played back to them.
+function signPayload(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+  const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+}
+
+// The agent as it appears in event payloads
+function agentSnapshot(agent) {
+  return {
+    agentId: agent.id,
+    name: agent.agent_data.name,
+    owner: agent.agent_data.owner,
+    version: agent.agent_data.version,
+    status: agent.status,
+    blockchainStatus: agent.blockchain_status,
+    trustScore: agent.trust_score,
+    emailVerified: Boolean(agent.email_verified_at),
+    registeredAt: agent.registered_at,
+    updatedAt: agent.updated_at
+  };
+}
+
+// Queue an event for the agent owner's subscribed webhooks. Pass the
+// transaction to queue it as part of the change; the payload is built from
+// the agent as it is at that point. Resolves to the number of deliveries queued.
+async function emitAgentEvent(db, type, agentId, data = {}) {
+  if (!WEBHOOK_EVENTS.includes(type)) {
+    throw new Error(`Unknown webhook event: ${type}`);
+  }
+
+  const agent = await db.agents.findById(agentId);
+  if (!agent) return 0;
+
+  const webhooks = await db.webhooks.listSubscribed(ownerKey(agent.email), type);
+  if (webhooks.length === 0) return 0;
+
+  const event = {
+    id: `evt_${crypto.randomUUID().replace(/-/g, '')}`,
+    type,
+    createdAt: new Date().toISOString(),
+    data: { agent: agentSnapshot(agent), ...data }
+  };
+
+  for (const webhook of webhooks) {
+    await db.webhookDeliveries.enqueue({
+      webhookId: webhook.id,
+      eventId: event.id,
+      eventType: type,
+      agentId: agent.id,
+      payload: event
+    });
+  }
+
+  return webhooks.length;
+}
+
+// Send a logged delivery again as a new delivery with the same event payload
+function replayDelivery(db, delivery) {
+  return db.webhookDeliveries.enqueue({
+    webhookId: delivery.webhook_id,
+    eventId: delivery.event_id,
+    eventType: delivery.event_type,
+    agentId: delivery.agent_id,
+    payload: delivery.payload,
+    replayOf: delivery.id
+  });
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  SIGNATURE_HEADER,
+  generateSecret,
+  ownerKey,
+  webhookUrlError,
+  signPayload,
+  emitAgentEvent,
+  replayDelivery
+};
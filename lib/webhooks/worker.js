@@ -0,0 +1,139 @@
+// lib/webhooks/worker.js - Background dispatcher for the webhook_deliveries table
+const storage = require('../db');
+const { logger } = require('../logger');
+const { request } = require('../outbound');
+const { SIGNATURE_HEADER, signPayload } = require('./index');
+
+const POLL_INTERVAL_MS = parseInt(process.env.WEBHOOK_WORKER_INTERVAL_MS) || 5000;
+const BATCH_SIZE = parseInt(process.env.WEBHOOK_WORKER_BATCH_SIZE) || 20;
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 10;
+const TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10000;
+const BASE_BACKOFF_MS = 30 * 1000;
+const MAX_BACKOFF_MS = 6 * 60 * 60 * 1000;
+
+// Rows stuck in 'delivering' longer than this (e.g. after a crash) are picked up again
+const STALE_LOCK_MS = 5 * 60 * 1000;
+
+let timer = null;
+let running = false;
+let lastRunAt = null;
+
+// Exponential backoff with a little jitter: 30s, 1m, 2m, 4m ... capped at 6h
+function backoffMs(attempts) {
+  const delay = Math.min(BASE_BACKOFF_MS * 2 ** (attempts - 1), MAX_BACKOFF_MS);
+  return delay + Math.floor(Math.random() * delay * 0.1);
+}
+
+// POST the event. Resolves to the response status; rejects with error.status
+// set when the endpoint answered with anything but a 2xx. The host is resolved
+// and checked at delivery time: a name that passed webhookUrlError can point at
+// a private address later.
+async function post(webhook, delivery) {
+  const body = JSON.stringify(delivery.payload);
+
+  // A redirect could point anywhere, so it counts as a failure (request()
+  // doesn't follow redirects)
+  const response = await request(webhook.url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'User-Agent': 'AstraSync-Webhooks/1.0',
+      'X-AstraSync-Event': delivery.event_type,
+      'X-AstraSync-Event-Id': delivery.event_id,
+      'X-AstraSync-Delivery': String(delivery.id),
+      [SIGNATURE_HEADER]: signPayload(webhook.secret, body)
+    },
+    body,
+    timeoutMs: TIMEOUT_MS,
+    allowPrivateAddresses: process.env.WEBHOOK_ALLOW_PRIVATE_URLS === 'true'
+  });
+
+  if (response.status < 200 || response.status >= 300) {
+    const error = new Error(`Endpoint responded with ${response.status}`);
+    error.status = response.status;
+    // 410 Gone: the receiver asked us to stop
+    error.permanent = response.status === 410;
+    throw error;
+  }
+
+  return response.status;
+}
+
+async function deliver(delivery) {
+  const attempts = delivery.attempts + 1;
+  const webhook = await storage.webhooks.findById(delivery.webhook_id);
+
+  // Deleted while the delivery was claimed; its rows are gone with it
+  if (!webhook) return;
+
+  try {
+    const responseStatus = await post(webhook, delivery);
+
+    await storage.webhookDeliveries.markDelivered(delivery.id, { attempts, responseStatus });
+
+    logger.info('Webhook delivered', { deliveryId: delivery.id, eventType: delivery.event_type, webhookId: webhook.id });
+  } catch (error) {
+    const dead = error.permanent || attempts >= MAX_ATTEMPTS;
+    const message = error.name === 'TimeoutError' ? `Timed out after ${TIMEOUT_MS}ms` : error.message;
+
+    await storage.webhookDeliveries.markFailed(delivery.id, {
+      dead,
+      attempts,
+      error: message,
+      responseStatus: error.status,
+      retryInMs: dead ? 0 : backoffMs(attempts)
+    });
+
+    logger.error(dead ? 'Webhook delivery failed, giving up' : 'Webhook delivery failed', { deliveryId: delivery.id, attempts, error: message });
+  }
+}
+
+// Process everything currently due. Exported so it can be triggered manually.
+async function runOnce() {
+  if (running) return;
+  running = true;
+
+  try {
+    let batch;
+    do {
+      batch = await storage.webhookDeliveries.claimDue({ limit: BATCH_SIZE, staleLockMs: STALE_LOCK_MS });
+      for (const delivery of batch) {
+        await deliver(delivery);
+      }
+    } while (batch.length === BATCH_SIZE);
+  } catch (error) {
+    logger.error('Webhook worker error', { error });
+  } finally {
+    lastRunAt = new Date();
+    running = false;
+  }
+}
+
+function startWebhookWorker() {
+  if (timer) return;
+
+  timer = setInterval(runOnce, POLL_INTERVAL_MS);
+  logger.info('Webhook worker started', { intervalMs: POLL_INTERVAL_MS });
+  runOnce();
+}
+
+function stopWebhookWorker() {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+}
+
+function getWebhookWorkerStatus() {
+  return {
+    running: timer !== null,
+    lastRunAt: lastRunAt
+  };
+}
+
+module.exports = {
+  startWebhookWorker,
+  stopWebhookWorker,
+  getWebhookWorkerStatus,
+  runOnce
+};
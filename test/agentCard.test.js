@@ -0,0 +1,99 @@
+// test/agentCard.test.js - A2A Agent Cards built from the registered A2A fields
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { AGENT, bearer, registerAgent, startServer, verifyEmail } = require('./helpers');
+const { A2A_PROTOCOL_VERSION } = require('../lib/agentCard');
+
+const A2A = {
+  url: 'https://agent.example.com/a2a',
+  preferredTransport: 'HTTP+JSON',
+  capabilities: { streaming: true },
+  skills: [{ id: 'forecast', name: 'Forecast', description: 'Weather forecasts', tags: ['weather'] }],
+  securitySchemes: { bearer: { type: 'http', scheme: 'bearer' } },
+  security: [{ bearer: [] }],
+  defaultInputModes: ['application/json']
+};
+
+describe('Agent cards', () => {
+  let server;
+  let agent;
+
+  before(async () => {
+    server = await startServer();
+    agent = await registerAgent(server.request, 'card@example.com', { version: '2.1.0', a2a: A2A });
+  });
+
+  after(() => server.close());
+
+  it('does not publish the card of an unconfirmed agent', async () => {
+    const response = await server.request('GET', `/v1/agent/${agent.agentId}/card`);
+    assert.strictEqual(response.status, 404);
+  });
+
+  it('serves the registered A2A fields at both paths', async () => {
+    await verifyEmail(server.request, agent.agentId, 'card@example.com');
+
+    const response = await server.request('GET', `/v1/agent/${agent.agentId}/card`);
+    assert.strictEqual(response.status, 200);
+
+    const card = response.body;
+    assert.strictEqual(card.protocolVersion, A2A_PROTOCOL_VERSION);
+    assert.strictEqual(card.name, AGENT.name);
+    assert.strictEqual(card.version, '2.1.0');
+    assert.strictEqual(card.url, A2A.url);
+    assert.strictEqual(card.preferredTransport, 'HTTP+JSON');
+    assert.deepStrictEqual(card.provider, { organization: AGENT.owner, url: AGENT.ownerUrl });
+    assert.strictEqual(card.capabilities.streaming, true);
+    assert.strictEqual(card.capabilities.pushNotifications, false);
+    assert.strictEqual(card.capabilities.extensions[0].params.agentId, agent.agentId);
+    assert.deepStrictEqual(card.skills, [{ id: 'forecast', name: 'Forecast', description: 'Weather forecasts', tags: ['weather'] }]);
+    assert.deepStrictEqual(card.securitySchemes, A2A.securitySchemes);
+    assert.deepStrictEqual(card.defaultInputModes, ['application/json']);
+    assert.deepStrictEqual(card.defaultOutputModes, ['text/plain']);
+
+    const wellKnown = await server.request('GET', `/agents/${agent.agentId}/.well-known/agent.json`);
+    assert.deepStrictEqual(wellKnown.body, card);
+  });
+
+  it('shows the skills on the profile page', async () => {
+    const response = await server.request('GET', `/profile/${agent.agentId}`);
+    assert.match(response.body, /Forecast/);
+    assert.doesNotMatch(response.body, /stateTransitionNotifications/);
+  });
+
+  it('follows updates to the agent', async () => {
+    const updated = await server.request('PATCH', `/v1/agent/${agent.agentId}`, {
+      headers: bearer(agent.apiKey),
+      body: { agent: { a2a: { ...A2A, skills: [] } } }
+    });
+    assert.strictEqual(updated.status, 200);
+
+    const card = (await server.request('GET', `/v1/agent/${agent.agentId}/card`)).body;
+    assert.deepStrictEqual(card.skills, []);
+  });
+
+  it('uses the A2A defaults for an agent without A2A fields', async () => {
+    const plain = await registerAgent(server.request, 'plain@example.com');
+    await verifyEmail(server.request, plain.agentId, 'plain@example.com');
+
+    const card = (await server.request('GET', `/v1/agent/${plain.agentId}/card`)).body;
+    assert.strictEqual(card.url, undefined);
+    assert.deepStrictEqual(card.skills, []);
+    assert.deepStrictEqual(card.defaultInputModes, ['text/plain']);
+  });
+
+  it('rejects invalid A2A fields', async () => {
+    const response = await server.request('POST', '/v1/register', {
+      body: { email: 'card@example.com', agent: { ...AGENT, a2a: { preferredTransport: 'SOAP', skills: [{ id: 'x' }] } } }
+    });
+    assert.strictEqual(response.status, 400);
+    assert.deepStrictEqual(response.body.errors.map(error => error.field).sort(), ['agent.a2a.preferredTransport', 'agent.a2a.skills[0].name']);
+  });
+
+  it('answers 410 for a revoked agent', async () => {
+    await server.request('DELETE', `/v1/agent/${agent.agentId}`, { headers: bearer(agent.apiKey) });
+
+    const response = await server.request('GET', `/agents/${agent.agentId}/.well-known/agent.json`);
+    assert.strictEqual(response.status, 410);
+  });
+});
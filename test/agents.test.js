@@ -0,0 +1,83 @@
+// test/agents.test.js - Updating, revoking and deprecating agents, with their history
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { bearer, registerAgent, startServer, verifyEmail } = require('./helpers');
+
+describe('Agent management', () => {
+  let server;
+  let agent;
+
+  const patch = (body, agentId = agent.agentId, apiKey = agent.apiKey) => server.request('PATCH', `/v1/agent/${agentId}`, {
+    headers: bearer(apiKey),
+    body
+  });
+
+  before(async () => {
+    server = await startServer();
+    agent = await registerAgent(server.request, 'manager@example.com');
+    await verifyEmail(server.request, agent.agentId, 'manager@example.com');
+  });
+
+  after(() => server.close());
+
+  it('updates agent data and reports the changed fields', async () => {
+    const response = await patch({ agent: { description: 'Updated description' }, reason: 'New release' });
+
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.body.revision, 3);
+    assert.strictEqual(response.body.agent.description, 'Updated description');
+    assert.strictEqual(response.body.agent.name, 'Test Agent');
+    assert.deepStrictEqual(response.body.changes, {
+      description: { from: 'An agent registered by the tests', to: 'Updated description' }
+    });
+  });
+
+  it('records no revision when nothing changes', async () => {
+    const response = await patch({ agent: { description: 'Updated description' } });
+
+    assert.strictEqual(response.status, 200);
+    assert.deepStrictEqual(response.body.changes, {});
+    assert.strictEqual(response.body.revision, undefined);
+  });
+
+  it('rejects fields that cannot be updated', async () => {
+    const response = await patch({ agent: { trustScore: 100 } });
+    assert.strictEqual(response.status, 400);
+  });
+
+  it('deprecates and then revokes an agent', async () => {
+    const other = await registerAgent(server.request, 'manager@example.com');
+    await verifyEmail(server.request, other.agentId, 'manager@example.com');
+    const headers = bearer(other.apiKey);
+
+    const deprecated = await server.request('DELETE', `/v1/agent/${other.agentId}?status=deprecated`, { headers });
+    assert.strictEqual(deprecated.status, 200);
+    assert.strictEqual(deprecated.body.status, 'deprecated');
+
+    const again = await server.request('DELETE', `/v1/agent/${other.agentId}?status=deprecated`, { headers });
+    assert.strictEqual(again.status, 409);
+
+    const revoked = await server.request('DELETE', `/v1/agent/${other.agentId}`, { headers, body: { reason: 'Retired' } });
+    assert.strictEqual(revoked.status, 200);
+    assert.strictEqual(revoked.body.status, 'revoked');
+    assert.strictEqual(revoked.body.previousStatus, 'deprecated');
+
+    const verify = await server.request('GET', `/v1/verify/${other.agentId}`);
+    assert.strictEqual(verify.body.status, 'revoked');
+
+    const update = await patch({ agent: { description: 'Too late' } }, other.agentId, other.apiKey);
+    assert.strictEqual(update.status, 409);
+  });
+
+  it('lists every revision, oldest first', async () => {
+    const response = await server.request('GET', `/v1/agent/${agent.agentId}/history`, { headers: bearer(agent.apiKey) });
+
+    assert.strictEqual(response.status, 200);
+    assert.deepStrictEqual(response.body.revisions.map(revision => [revision.revision, revision.action]), [
+      [1, 'registered'],
+      [2, 'email_verified'],
+      [3, 'updated']
+    ]);
+    assert.strictEqual(response.body.revisions[2].reason, 'New release');
+  });
+});
@@ -0,0 +1,157 @@
+// test/analytics.test.js - Registration analytics on every storage backend
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { BACKENDS, openStorage, closeStorage } = require('./backends');
+const { hashEmail } = require('../lib/privacy');
+const { bucketStart, eventSeries, failureReasons, ownerCohorts, funnel } = require('../lib/analytics');
+const { ValidationError } = require('../lib/validation');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+
+// A logged event, hashed like logAttempt does unless legacy (logged before
+// email hashes were stored)
+function logEvent(db, eventType, email, { source = 'direct-api', legacy = false, data = {} } = {}) {
+  return db.attempts.create({
+    eventType,
+    email,
+    emailHash: legacy ? null : hashEmail(email),
+    agentName: 'Test Agent',
+    source,
+    data
+  });
+}
+
+const range = (fromOffsetMs, toOffsetMs) => ({
+  from: new Date(Date.now() + fromOffsetMs).toISOString(),
+  to: new Date(Date.now() + toOffsetMs).toISOString()
+});
+
+describe('bucketStart', () => {
+  it('starts weeks on Monday and months on the 1st, in UTC', () => {
+    const sunday = new Date('2026-03-15T23:30:00Z');
+    assert.strictEqual(bucketStart(sunday, 'hour').toISOString(), '2026-03-15T23:00:00.000Z');
+    assert.strictEqual(bucketStart(sunday, 'day').toISOString(), '2026-03-15T00:00:00.000Z');
+    assert.strictEqual(bucketStart(sunday, 'week').toISOString(), '2026-03-09T00:00:00.000Z');
+    assert.strictEqual(bucketStart(sunday, 'month').toISOString(), '2026-03-01T00:00:00.000Z');
+  });
+});
+
+for (const backend of BACKENDS) {
+  describe(`Analytics (${backend.name})`, { skip: backend.skip }, () => {
+    let db;
+
+    before(async () => {
+      db = await openStorage(backend);
+
+      // alice registers twice from mcp, bob once, and carol once before email
+      // hashes were stored and once after
+      await logEvent(db, 'registration_attempt', 'alice@example.com', { source: 'mcp' });
+      await logEvent(db, 'registration_success', 'alice@example.com', { source: 'mcp' });
+      await logEvent(db, 'registration_success', 'Alice@Example.com', { source: 'mcp' });
+      await logEvent(db, 'registration_attempt', 'bob@example.com');
+      await logEvent(db, 'registration_success', 'bob@example.com');
+      await logEvent(db, 'email_verified', 'bob@example.com');
+      await logEvent(db, 'registration_success', 'Carol@Example.com ', { legacy: true });
+      await logEvent(db, 'registration_success', 'carol@example.com');
+      // Not owners: a placeholder address and a failed registration
+      await logEvent(db, 'registration_success', 'invalid-email', { legacy: true });
+      await logEvent(db, 'registration_failed', 'dave@example.com', { data: { error: 'Validation failed' } });
+      await logEvent(db, 'registration_failed', 'erin@example.com', {
+        data: {
+          error: '2 invalid fields',
+          errors: [
+            { field: 'agent.name', code: 'required', message: 'agent.name is required' },
+            { field: 'agent.name', code: 'required', message: 'agent.name is required' }
+          ]
+        }
+      });
+    });
+
+    after(() => closeStorage(db));
+
+    describe('ownerCohorts', () => {
+      it('counts each owner once, with those who registered a second agent', async () => {
+        const result = await ownerCohorts(db, { interval: 'day', ...range(-HOUR_MS, HOUR_MS) });
+
+        assert.strictEqual(result.owners, 3);
+        assert.strictEqual(result.returned, 2);
+        assert.strictEqual(result.cohorts.length, 1);
+        assert.strictEqual(result.cohorts[0].returnedWithin7Days, 2);
+        assert.strictEqual(result.returnRate, 0.6667);
+      });
+
+      it('filters by source', async () => {
+        const result = await ownerCohorts(db, { interval: 'day', source: 'mcp', ...range(-HOUR_MS, HOUR_MS) });
+        assert.strictEqual(result.owners, 1);
+        assert.strictEqual(result.returned, 1);
+      });
+
+      it('leaves out owners whose first agent is outside the range', async () => {
+        const before = await ownerCohorts(db, { interval: 'day', ...range(-2 * HOUR_MS, -HOUR_MS) });
+        const after = await ownerCohorts(db, { interval: 'day', ...range(HOUR_MS, 2 * HOUR_MS) });
+
+        assert.strictEqual(before.owners, 0);
+        assert.strictEqual(after.owners, 0);
+        assert.deepStrictEqual(after.cohorts, []);
+      });
+    });
+
+    describe('attempts.listOwnerRegistrations', () => {
+      it('returns one row per hashed owner and unhashed rows separately', async () => {
+        const { from, to } = range(-HOUR_MS, HOUR_MS);
+        const rows = await db.attempts.listOwnerRegistrations({ from: new Date(from), to: new Date(to) });
+
+        const byOwner = Object.fromEntries(rows.map(row => [row.email_hash || row.email, row]));
+        assert.strictEqual(rows.length, 5);
+        assert.ok(byOwner[hashEmail('alice@example.com')].second_at instanceof Date);
+        assert.strictEqual(byOwner[hashEmail('bob@example.com')].second_at, null);
+        assert.strictEqual(byOwner[hashEmail('carol@example.com')].second_at, null);
+        assert.strictEqual(byOwner['carol@example.com'].email_hash, null);
+        assert.ok(byOwner['invalid-email']);
+      });
+    });
+
+    describe('funnel', () => {
+      it('counts owners reaching each stage', async () => {
+        const result = await funnel(db, { ...range(-HOUR_MS, HOUR_MS) });
+        assert.deepStrictEqual(result.stages.map(stage => stage.count), [2, 2, 1]);
+      });
+    });
+
+    describe('eventSeries', () => {
+      it('counts each event type per bucket, with empty buckets included', async () => {
+        const result = await eventSeries(db, { interval: 'hour', ...range(-3 * HOUR_MS, HOUR_MS) });
+
+        assert.ok(result.buckets.length >= 4);
+        assert.strictEqual(result.buckets.filter(bucket => bucket.total > 0).length, 1);
+
+        const counts = result.buckets.find(bucket => bucket.total > 0).counts;
+        assert.deepStrictEqual(counts, { registration_attempt: 2, registration_success: 6, email_verified: 1, registration_failed: 2 });
+      });
+
+      it('filters by source and event type', async () => {
+        const total = result => result.buckets.reduce((sum, bucket) => sum + bucket.total, 0);
+
+        assert.strictEqual(total(await eventSeries(db, { interval: 'day', source: 'mcp', ...range(-HOUR_MS, HOUR_MS) })), 3);
+        assert.strictEqual(total(await eventSeries(db, { interval: 'day', eventType: ['email_verified'], ...range(-HOUR_MS, HOUR_MS) })), 1);
+      });
+
+      it('refuses a range with too many buckets', async () => {
+        await assert.rejects(eventSeries(db, { interval: 'hour', ...range(-60 * 24 * HOUR_MS, 0) }), ValidationError);
+      });
+    });
+
+    describe('failureReasons', () => {
+      it('groups failures by code and field, or by message for older events', async () => {
+        const result = await failureReasons(db, { limit: 10, ...range(-HOUR_MS, HOUR_MS) });
+
+        assert.strictEqual(result.failedAttempts, 2);
+        assert.deepStrictEqual(result.reasons.map(({ code, field, count, share }) => ({ code, field, count, share })), [
+          { code: 'required', field: 'agent.name', count: 1, share: 0.5 },
+          { code: null, field: null, count: 1, share: 0.5 }
+        ]);
+      });
+    });
+  });
+}
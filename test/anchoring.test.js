@@ -0,0 +1,76 @@
+// test/anchoring.test.js - Merkle proofs and the anchoring pipeline
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'astrasync-ledger-test-'));
+process.env.LEDGER_FILE = path.join(directory, 'ledger.jsonl');
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { registerAgent, startServer, verifyEmail } = require('./helpers');
+const { canonicalize, hashLeaf, buildTree, verifyProof } = require('../lib/anchoring/merkle');
+const { startAnchoring, stopAnchoring, runOnce } = require('../lib/anchoring');
+
+describe('Merkle trees', () => {
+  it('canonicalizes objects with sorted keys', () => {
+    assert.strictEqual(canonicalize({ b: 1, a: { d: [2, { f: 3, e: 4 }], c: null } }), '{"a":{"c":null,"d":[2,{"e":4,"f":3}]},"b":1}');
+    assert.strictEqual(hashLeaf({ a: 1, b: 2 }), hashLeaf({ b: 2, a: 1 }));
+  });
+
+  for (const size of [1, 2, 3, 5, 8]) {
+    it(`proves every leaf of a tree of ${size}`, () => {
+      const leaves = Array.from({ length: size }, (item, i) => hashLeaf({ agentId: `AGENT-${i}` }));
+      const { root, proofs } = buildTree(leaves);
+
+      leaves.forEach((leaf, i) => assert.ok(verifyProof(leaf, proofs[i], root), `leaf ${i}`));
+      if (size > 1) {
+        assert.ok(!verifyProof(hashLeaf({ agentId: 'OTHER' }), proofs[0], root));
+      }
+    });
+  }
+
+  it('refuses an empty tree', () => {
+    assert.throws(() => buildTree([]));
+  });
+});
+
+describe('Anchoring', () => {
+  let server;
+
+  before(async () => {
+    server = await startServer();
+    // Creates the ledger; runs are triggered by the tests
+    await startAnchoring();
+    stopAnchoring();
+  });
+
+  after(async () => {
+    await server.close();
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('anchors confirmed agents with a proof anyone can check', async () => {
+    const agent = await registerAgent(server.request, 'anchor@example.com');
+    const unconfirmed = await registerAgent(server.request, 'unconfirmed@example.com');
+    await verifyEmail(server.request, agent.agentId, 'anchor@example.com');
+
+    await runOnce();
+
+    const verify = await server.request('GET', `/v1/verify/${agent.agentId}`);
+    const { blockchain } = verify.body;
+    assert.strictEqual(blockchain.status, 'anchored');
+    assert.ok(verifyProof(hashLeaf(blockchain.proof.record), blockchain.proof.proof, blockchain.proof.merkleRoot));
+    assert.strictEqual(blockchain.proof.leafHash, hashLeaf(blockchain.proof.record));
+
+    const batch = await server.request('GET', `/v1/anchors/${blockchain.proof.batchId}`);
+    assert.strictEqual(batch.status, 200);
+    assert.strictEqual(batch.body.merkleRoot, blockchain.proof.merkleRoot);
+
+    const ledger = fs.readFileSync(process.env.LEDGER_FILE, 'utf8');
+    assert.match(ledger, new RegExp(blockchain.proof.merkleRoot));
+
+    const pending = await server.request('GET', `/v1/verify/${unconfirmed.agentId}`);
+    assert.notStrictEqual(pending.body.blockchain.status, 'anchored');
+  });
+});
@@ -0,0 +1,109 @@
+// test/audit.test.js - The hash-chained audit log, its export and verification
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { adminHeaders, bearer, registerAgent, startServer, storage, verifyEmail } = require('./helpers');
+const { canonicalJson, computeEntryHash } = require('../lib/audit');
+
+describe('canonicalJson', () => {
+  it('sorts keys and drops undefined values', () => {
+    assert.strictEqual(canonicalJson({ b: 1, a: { d: undefined, c: [undefined, 2] } }), '{"a":{"c":[null,2]},"b":1}');
+  });
+});
+
+describe('Audit log', () => {
+  let server;
+  let agent;
+
+  const exportLog = query => server.request('GET', `/v1/admin/audit?${new URLSearchParams(query)}`, { headers: adminHeaders() });
+  const verifyLog = (query = {}) => server.request('GET', `/v1/admin/audit/verify?${new URLSearchParams(query)}`, { headers: adminHeaders() });
+
+  before(async () => {
+    server = await startServer();
+
+    agent = await registerAgent(server.request, 'audit@example.com');
+    await verifyEmail(server.request, agent.agentId, 'audit@example.com');
+    await server.request('PATCH', `/v1/agent/${agent.agentId}`, {
+      headers: { ...bearer(agent.apiKey), 'x-request-id': 'audit-update-1' },
+      body: { agent: { description: 'Updated' }, reason: 'New description' }
+    });
+    await registerAgent(server.request, 'other@example.com');
+  });
+
+  after(() => server.close());
+
+  it('records who changed which agent, how and in which request', async () => {
+    const response = await exportLog({ agentId: agent.agentId });
+    assert.strictEqual(response.status, 200);
+
+    const { entries } = response.body;
+    assert.deepStrictEqual(entries.map(entry => entry.action), ['registered', 'email_verified', 'updated']);
+    assert.deepStrictEqual(entries.map(entry => entry.actor.type), ['public', 'email_link', 'owner']);
+    assert.strictEqual(entries[2].actor.id, agent.apiKey.slice(0, entries[2].actor.id.length));
+    assert.deepStrictEqual(entries[2].changes.description, { from: 'An agent registered by the tests', to: 'Updated' });
+    assert.strictEqual(entries[2].reason, 'New description');
+    assert.strictEqual(entries[2].requestId, 'audit-update-1');
+  });
+
+  it('never contains email addresses', async () => {
+    const response = await exportLog({});
+    assert.doesNotMatch(JSON.stringify(response.body), /@example\.com/);
+  });
+
+  it('exports a chain that can be checked offline', async () => {
+    const { entries } = (await exportLog({})).body;
+    assert.strictEqual(entries.length, 4);
+
+    entries.forEach((entry, index) => {
+      assert.strictEqual(entry.seq, index + 1);
+      assert.strictEqual(entry.prevHash, index > 0 ? entries[index - 1].hash : null);
+      assert.strictEqual(computeEntryHash(entry), entry.hash);
+    });
+  });
+
+  it('pages with afterSeq', async () => {
+    const first = (await exportLog({ limit: 3 })).body;
+    assert.strictEqual(first.entries.length, 3);
+    assert.strictEqual(first.nextAfterSeq, 3);
+
+    const second = (await exportLog({ limit: 3, afterSeq: first.nextAfterSeq })).body;
+    assert.deepStrictEqual(second.entries.map(entry => entry.seq), [4]);
+    assert.strictEqual(second.nextAfterSeq, null);
+  });
+
+  it('verifies an intact chain', async () => {
+    const response = await verifyLog();
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.body.intact, true);
+    assert.strictEqual(response.body.entriesChecked, 4);
+    assert.strictEqual(response.body.latestHash, (await exportLog({})).body.entries[3].hash);
+  });
+
+  it('reports the first entry that does not match its hash', async () => {
+    const latest = await storage.auditLog.findBySeq(4);
+    await storage.auditLog.append({
+      ...latest,
+      seq: 5,
+      action: 'deleted',
+      prev_hash: latest.hash,
+      hash: latest.hash
+    });
+
+    const response = await verifyLog();
+    assert.strictEqual(response.body.intact, false);
+    assert.deepStrictEqual(response.body.brokenAt, { seq: 5, reason: 'Entry does not match its hash' });
+  });
+
+  it('checks only the requested time range', async () => {
+    const response = await verifyLog({ from: new Date(Date.now() + 60000).toISOString() });
+    assert.strictEqual(response.body.intact, true);
+    assert.strictEqual(response.body.entriesChecked, 0);
+  });
+
+  it('is only available to admins', async () => {
+    const anonymous = await server.request('GET', '/v1/admin/audit');
+    assert.strictEqual(anonymous.status, 401);
+
+    const owner = await server.request('GET', '/v1/admin/audit/verify', { headers: bearer(agent.apiKey) });
+    assert.strictEqual(owner.status, 401);
+  });
+});
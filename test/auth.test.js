@@ -0,0 +1,146 @@
+// test/auth.test.js - API key and admin key checks on every protected route
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { ADMIN_KEY, adminHeaders, bearer, registerAgent, startServer, storage } = require('./helpers');
+const { issueApiKey } = require('../lib/auth');
+const { collectRoutes } = require('../lib/openapi');
+const app = require('../index');
+
+// Path of a route with its parameters filled in; only the agent ID matters,
+// the checks run before anything else is looked up
+const routePath = (route, agentId) => route.path
+  .replace(':agentId', agentId)
+  .replace(/:\w+/g, '1');
+
+const routes = collectRoutes(app);
+const agentKeyRoutes = routes.filter(route => route.auth && route.auth.scheme === 'agentKey');
+const adminKeyRoutes = routes.filter(route => route.auth && route.auth.scheme === 'adminKey');
+
+describe('API key authentication', () => {
+  let server;
+  let owner;
+  let other;
+  let unscopedKey;
+
+  before(async () => {
+    server = await startServer();
+    owner = await registerAgent(server.request, 'owner@example.com');
+    other = await registerAgent(server.request, 'other@example.com');
+    unscopedKey = await issueApiKey(storage, owner.agentId, []);
+  });
+
+  after(() => server.close());
+
+  it('finds the key-protected routes', () => {
+    assert.ok(agentKeyRoutes.length >= 10, `only ${agentKeyRoutes.length} agentKey routes found`);
+  });
+
+  it('accepts the owner key', async () => {
+    const response = await server.request('GET', `/v1/agent/${owner.agentId}`, { headers: bearer(owner.apiKey) });
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.body.id, owner.agentId);
+  });
+
+  it('accepts the key in the X-API-Key header', async () => {
+    const response = await server.request('GET', `/v1/agent/${owner.agentId}`, { headers: { 'x-api-key': owner.apiKey } });
+    assert.strictEqual(response.status, 200);
+  });
+
+  for (const route of agentKeyRoutes) {
+    describe(`${route.method} ${route.path}`, () => {
+      const call = headers => server.request(route.method, routePath(route, owner.agentId), { headers });
+
+      it('requires a key', async () => {
+        const response = await call({});
+        assert.strictEqual(response.status, 401);
+        assert.strictEqual(response.body.error, 'Authentication required');
+      });
+
+      it('rejects an unknown key', async () => {
+        const response = await call(bearer('as_live_not-a-real-key'));
+        assert.strictEqual(response.status, 401);
+        assert.strictEqual(response.body.error, 'Invalid API key');
+      });
+
+      it('rejects the admin key', async () => {
+        const response = await call(bearer(ADMIN_KEY));
+        assert.strictEqual(response.status, 401);
+      });
+
+      it('rejects another agent\'s key', async () => {
+        const response = await call(bearer(other.apiKey));
+        assert.strictEqual(response.status, 403);
+        assert.match(response.body.message, /not authorised for this agent/);
+      });
+
+      if (route.auth.scope) {
+        it(`requires the ${route.auth.scope} scope`, async () => {
+          const response = await call(bearer(unscopedKey));
+          assert.strictEqual(response.status, 403);
+          assert.match(response.body.message, new RegExp(`missing the required scope: ${route.auth.scope}`));
+        });
+      }
+    });
+  }
+
+  it('rejects a revoked key', async () => {
+    const agent = await registerAgent(server.request, 'revoked@example.com');
+    await storage.apiKeys.revokeForAgent(agent.agentId);
+
+    const response = await server.request('GET', `/v1/agent/${agent.agentId}`, { headers: bearer(agent.apiKey) });
+    assert.strictEqual(response.status, 401);
+    assert.strictEqual(response.body.error, 'Invalid API key');
+  });
+});
+
+describe('Admin key authentication', () => {
+  let server;
+  let agent;
+
+  before(async () => {
+    server = await startServer();
+    agent = await registerAgent(server.request, 'admin-test@example.com');
+  });
+
+  after(() => server.close());
+
+  it('finds the admin routes', () => {
+    assert.ok(adminKeyRoutes.length >= 10, `only ${adminKeyRoutes.length} adminKey routes found`);
+  });
+
+  it('accepts the key in the X-Admin-Key and Authorization headers', async () => {
+    assert.strictEqual((await server.request('GET', '/v1/stats', { headers: adminHeaders() })).status, 200);
+    assert.strictEqual((await server.request('GET', '/v1/stats', { headers: bearer(ADMIN_KEY) })).status, 200);
+  });
+
+  for (const route of adminKeyRoutes) {
+    describe(`${route.method} ${route.path}`, () => {
+      const call = headers => server.request(route.method, routePath(route, agent.agentId), { headers });
+
+      it('requires the admin key', async () => {
+        const response = await call({});
+        assert.strictEqual(response.status, 401);
+        assert.strictEqual(response.body.error, 'Admin authentication required');
+      });
+
+      it('rejects a wrong admin key', async () => {
+        assert.strictEqual((await call({ 'x-admin-key': `${ADMIN_KEY}x` })).status, 401);
+      });
+
+      it('rejects an agent key', async () => {
+        assert.strictEqual((await call(bearer(agent.apiKey))).status, 401);
+      });
+    });
+  }
+
+  it('answers 503 when no admin key is configured', async () => {
+    delete process.env.ADMIN_API_KEY;
+    try {
+      const response = await server.request('GET', '/v1/stats', { headers: adminHeaders() });
+      assert.strictEqual(response.status, 503);
+      assert.strictEqual(response.body.error, 'Admin access not configured');
+    } finally {
+      process.env.ADMIN_API_KEY = ADMIN_KEY;
+    }
+  });
+});
@@ -0,0 +1,64 @@
+// test/backends.js - The storage backends the repository tests run against
+//
+// SQLite runs when better-sqlite3 is installed and Postgres when DATABASE_URL
+// is set. On Postgres each test file works in a schema of its own, so the
+// files can share one database; closeStorage() drops it again.
+const { Client } = require('pg');
+const { createStorage } = require('../lib/storage');
+
+let hasSqlite = true;
+try {
+  require('better-sqlite3');
+} catch (error) {
+  hasSqlite = false;
+}
+
+const POSTGRES_SCHEMA = `test_${process.pid}`;
+
+// DATABASE_URL with the file's schema first on the search path
+function postgresUrl() {
+  const url = new URL(process.env.DATABASE_URL);
+  url.searchParams.set('options', `-c search_path=${POSTGRES_SCHEMA}`);
+  return url.toString();
+}
+
+async function postgresQuery(text) {
+  const client = new Client({ connectionString: process.env.DATABASE_URL });
+  await client.connect();
+  try {
+    await client.query(text);
+  } finally {
+    await client.end();
+  }
+}
+
+const BACKENDS = [
+  { name: 'memory', env: { STORAGE_BACKEND: 'memory' } },
+  { name: 'sqlite', env: { STORAGE_BACKEND: 'sqlite', SQLITE_FILE: ':memory:' }, skip: !hasSqlite && 'better-sqlite3 is not installed' },
+  { name: 'postgres', skip: !process.env.DATABASE_URL && 'DATABASE_URL is not set' }
+];
+
+// Create a backend's storage with every migration applied
+async function openStorage(backend) {
+  let env = backend.env;
+
+  if (backend.name === 'postgres') {
+    await postgresQuery(`DROP SCHEMA IF EXISTS ${POSTGRES_SCHEMA} CASCADE; CREATE SCHEMA ${POSTGRES_SCHEMA}`);
+    env = { STORAGE_BACKEND: 'postgres', DATABASE_URL: postgresUrl() };
+  }
+
+  const db = createStorage(env);
+  await db.migrations.migrate();
+  await db.init();
+  return db;
+}
+
+async function closeStorage(db) {
+  await db.close();
+
+  if (db.name === 'postgres') {
+    await postgresQuery(`DROP SCHEMA ${POSTGRES_SCHEMA} CASCADE`);
+  }
+}
+
+module.exports = { BACKENDS, openStorage, closeStorage };
@@ -0,0 +1,128 @@
+// test/bulk.test.js - Bulk registration and the owner's JSON/CSV export
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { AGENT, bearer, registerAgent, startServer, storage } = require('./helpers');
+const { signToken } = require('../lib/tokens');
+const { MAX_BULK_AGENTS } = require('../lib/schemas');
+
+describe('Bulk registration', () => {
+  let server;
+  let bulk;
+
+  const item = (email, agent = {}) => ({ email, agent: { ...AGENT, ...agent } });
+
+  before(async () => {
+    server = await startServer();
+  });
+
+  after(() => server.close());
+
+  it('registers the valid items and reports the invalid ones', async () => {
+    const response = await server.request('POST', '/v1/agents/bulk', {
+      body: [
+        item('fleet@example.com', { name: 'First' }),
+        item('fleet@example.com', { name: 'Second', capabilities: 'search' }),
+        item('FLEET@example.com', { name: 'Third' })
+      ]
+    });
+    assert.strictEqual(response.status, 200);
+    bulk = response.body;
+
+    assert.strictEqual(bulk.registered, 2);
+    assert.strictEqual(bulk.failed, 1);
+    assert.deepStrictEqual(bulk.results.map(result => result.status), ['registered', 'failed', 'registered']);
+    assert.strictEqual(bulk.results[1].errors[0].field, 'agent.capabilities');
+    assert.match(bulk.results[0].apiKey, /^as_live_/);
+    assert.strictEqual(bulk.results[0].agentStatus, 'pending_email_verification');
+
+    // One summary email for the owner, whatever the case of the address
+    assert.strictEqual(bulk.emailVerification.length, 1);
+    assert.strictEqual(bulk.emailVerification[0].agents, 2);
+    assert.strictEqual((await storage.emailQueue.countByStatus()).pending, 1);
+  });
+
+  it('accepts NDJSON and fails only the lines that are not JSON', async () => {
+    const response = await server.request('POST', '/v1/agents/bulk', {
+      headers: { 'content-type': 'application/x-ndjson' },
+      body: `${JSON.stringify(item('ndjson@example.com'))}\n{not json\n\n${JSON.stringify(item('ndjson@example.com'))}\n`
+    });
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.body.registered, 2);
+    assert.strictEqual(response.body.results[1].errors[0].code, 'invalid_json');
+    assert.match(response.body.results[1].errors[0].message, /line 2/);
+  });
+
+  it('rejects a body that is not a list of items', async () => {
+    const object = await server.request('POST', '/v1/agents/bulk', { body: item('fleet@example.com') });
+    assert.strictEqual(object.status, 400);
+
+    const tooMany = await server.request('POST', '/v1/agents/bulk', {
+      body: Array.from({ length: MAX_BULK_AGENTS + 1 }, () => item('fleet@example.com'))
+    });
+    assert.strictEqual(tooMany.status, 400);
+    assert.strictEqual(tooMany.body.errors[0].code, 'too_many_items');
+  });
+
+  it('confirms every agent of the batch from the summary link', async () => {
+    const link = `/v1/verify-email/batch/${signToken('verify_email_batch', { batchId: bulk.batchId, email: 'fleet@example.com' }, 60)}`;
+
+    const confirmed = await server.request('GET', link);
+    assert.strictEqual(confirmed.status, 200);
+    assert.deepStrictEqual(confirmed.body.agents.map(agent => agent.agentId).sort(), [bulk.results[0].agentId, bulk.results[2].agentId].sort());
+
+    const again = await server.request('GET', link);
+    assert.strictEqual(again.body.total, 0);
+
+    const other = await server.request('GET', `/v1/verify-email/batch/${signToken('verify_email_batch', { batchId: bulk.batchId, email: 'ndjson@example.com' }, 60)}`);
+    assert.strictEqual(other.body.total, 0);
+  });
+});
+
+describe('Agent export', () => {
+  let server;
+  let first;
+
+  before(async () => {
+    server = await startServer();
+    const response = await server.request('POST', '/v1/agents/bulk', {
+      body: [
+        { email: 'export@example.com', agent: { ...AGENT, name: 'Exported, "quoted"' } },
+        { email: 'export@example.com', agent: { ...AGENT, name: '=SUM(1,2)' } }
+      ]
+    });
+    first = response.body.results[0];
+    await registerAgent(server.request, 'someone-else@example.com');
+  });
+
+  after(() => server.close());
+
+  const exportAgents = format => server.request('GET', `/v1/agent/${first.agentId}/export?format=${format}`, { headers: bearer(first.apiKey) });
+
+  it('requires a verified email', async () => {
+    const response = await exportAgents('json');
+    assert.strictEqual(response.status, 409);
+  });
+
+  it('exports the owner\'s agents as JSON', async () => {
+    const { batchId } = (await storage.agents.findById(first.agentId)).metadata;
+    await server.request('GET', `/v1/verify-email/batch/${signToken('verify_email_batch', { batchId, email: 'export@example.com' }, 60)}`);
+
+    const response = await exportAgents('json');
+    assert.strictEqual(response.status, 200);
+    assert.match(response.headers.get('content-disposition'), /attachment; filename="astrasync-agents-.*\.json"/);
+    assert.strictEqual(response.body.total, 2);
+    assert.deepStrictEqual(response.body.agents.map(agent => agent.agent.name), ['Exported, "quoted"', '=SUM(1,2)']);
+  });
+
+  it('exports CSV safe to open in a spreadsheet', async () => {
+    const response = await exportAgents('csv');
+    assert.strictEqual(response.status, 200);
+    assert.match(response.headers.get('content-type'), /^text\/csv/);
+
+    const lines = response.body.trim().split('\r\n');
+    assert.strictEqual(lines.length, 3);
+    assert.match(lines[0], /^id,name,description,owner/);
+    assert.ok(lines[1].startsWith(`${first.agentId},"Exported, ""quoted""",`));
+    assert.match(lines[2], /,"'=SUM\(1,2\)",/);
+  });
+});
@@ -0,0 +1,88 @@
+// test/conversion.test.js - Converting a TEMP ID to a permanent ID
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { adminHeaders, bearer, registerAgent, startServer, verifyEmail } = require('./helpers');
+const { signToken } = require('../lib/tokens');
+
+describe('TEMP to permanent ID conversion', () => {
+  let server;
+  let agent;
+
+  const convertLink = (agentId, email = 'convert@example.com') => `/v1/convert/${signToken('convert', { agentId, email }, 60)}`;
+
+  before(async () => {
+    server = await startServer();
+    agent = await registerAgent(server.request, 'convert@example.com');
+  });
+
+  after(() => server.close());
+
+  it('requires a verified email', async () => {
+    assert.match(agent.agentId, /^TEMP-/);
+
+    const response = await server.request('POST', `/v1/agent/${agent.agentId}/convert`, { headers: bearer(agent.apiKey) });
+    assert.strictEqual(response.status, 409);
+    assert.strictEqual(response.body.error, 'Email not verified');
+  });
+
+  it('emails a confirmation link', async () => {
+    await verifyEmail(server.request, agent.agentId, 'convert@example.com');
+
+    const response = await server.request('POST', `/v1/agent/${agent.agentId}/convert`, { headers: bearer(agent.apiKey) });
+    assert.strictEqual(response.status, 202);
+    assert.strictEqual(response.body.status, 'confirmation_sent');
+  });
+
+  it('converts the agent when the link is opened, and keeps the TEMP ID as an alias', async () => {
+    const converted = await server.request('GET', convertLink(agent.agentId));
+    assert.strictEqual(converted.status, 200);
+    assert.strictEqual(converted.body.previousId, agent.agentId);
+    assert.match(converted.body.agentId, /^ASTRAS-/);
+
+    const byOldId = await server.request('GET', `/v1/verify/${agent.agentId}`);
+    assert.strictEqual(byOldId.status, 200);
+    assert.strictEqual(byOldId.body.agentId, converted.body.agentId);
+
+    // The owner key follows the agent to its new ID
+    const details = await server.request('GET', `/v1/agent/${converted.body.agentId}`, { headers: bearer(agent.apiKey) });
+    assert.strictEqual(details.status, 200);
+
+    const again = await server.request('GET', convertLink(agent.agentId));
+    assert.strictEqual(again.status, 409);
+    assert.strictEqual(again.body.error, 'Link already used');
+  });
+
+  it('moves webhook deliveries to the new ID and finds audit entries under either ID', async () => {
+    const temp = await registerAgent(server.request, 'history@example.com');
+    await verifyEmail(server.request, temp.agentId, 'history@example.com');
+    const webhook = (await server.request('POST', `/v1/agent/${temp.agentId}/webhooks`, {
+      headers: bearer(temp.apiKey),
+      body: { url: 'https://hooks.example.com/history', events: ['agent.updated'] }
+    })).body;
+    await server.request('PATCH', `/v1/agent/${temp.agentId}`, { headers: bearer(temp.apiKey), body: { agent: { description: 'Before conversion' } } });
+
+    const { agentId } = (await server.request('GET', convertLink(temp.agentId, 'history@example.com'))).body;
+
+    const deliveries = await server.request('GET', `/v1/agent/${agentId}/webhooks/${webhook.id}/deliveries`, { headers: bearer(temp.apiKey) });
+    assert.ok(deliveries.body.returned >= 2);
+    assert.ok(deliveries.body.deliveries.every(delivery => delivery.agentId === agentId));
+
+    // Entries keep the ID they were recorded under; the chain covers it
+    const audit = await server.request('GET', `/v1/admin/audit?agentId=${agentId}`, { headers: adminHeaders() });
+    const entries = audit.body.entries.map(entry => [entry.action, entry.agentId]);
+    assert.deepStrictEqual(entries.slice(0, 3), [['registered', temp.agentId], ['email_verified', temp.agentId], ['updated', temp.agentId]]);
+    assert.deepStrictEqual(entries[entries.length - 1], ['converted', agentId]);
+  });
+
+  it('rejects a link issued to another address', async () => {
+    const other = await registerAgent(server.request, 'convert@example.com');
+    await verifyEmail(server.request, other.agentId, 'convert@example.com');
+
+    const response = await server.request('GET', convertLink(other.agentId, 'attacker@example.com'));
+    assert.strictEqual(response.status, 409);
+    assert.strictEqual(response.body.error, 'Conversion no longer valid');
+
+    const unchanged = await server.request('GET', `/v1/verify/${other.agentId}`);
+    assert.strictEqual(unchanged.body.agentId, other.agentId);
+  });
+});
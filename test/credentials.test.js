@@ -0,0 +1,110 @@
+// test/credentials.test.js - Signed agent credentials, checked offline against the JWKS
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert');
+const { adminHeaders, bearer, registerAgent, startServer, storage, verifyEmail } = require('./helpers');
+const { verifyCredential } = require('../lib/credentials/verify');
+const { CREDENTIAL_ISSUER } = require('../lib/credentials');
+const { ACTIVE_KEY_TTL_MS } = require('../lib/credentials/keys');
+
+describe('Agent credentials', () => {
+  let server;
+  let agent;
+
+  const credential = (agentId, apiKey, format = 'jwt') =>
+    server.request('GET', `/v1/agent/${agentId}/credential?format=${format}`, { headers: bearer(apiKey) });
+  const jwks = async () => (await server.request('GET', '/.well-known/jwks.json')).body;
+
+  before(async () => {
+    server = await startServer();
+    agent = await registerAgent(server.request, 'credential@example.com');
+  });
+
+  after(() => server.close());
+
+  it('refuses a credential until the email is confirmed', async () => {
+    const response = await credential(agent.agentId, agent.apiKey);
+    assert.strictEqual(response.status, 409);
+    assert.strictEqual(response.body.error, 'Credential unavailable');
+  });
+
+  it('issues a JWT that verifies against the published keys', async () => {
+    await verifyEmail(server.request, agent.agentId, 'credential@example.com');
+
+    const response = await credential(agent.agentId, agent.apiKey);
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.body.format, 'jwt');
+    assert.match(response.body.jwksUrl, /\/\.well-known\/jwks\.json$/);
+
+    const { header, payload } = verifyCredential(response.body.credential, await jwks(), { issuer: CREDENTIAL_ISSUER });
+    assert.strictEqual(header.kid, response.body.kid);
+    assert.strictEqual(payload.sub, agent.agentId);
+    assert.strictEqual(payload.agent.emailVerified, true);
+  });
+
+  it('issues a verifiable credential that verifies against the published keys', async () => {
+    const response = await credential(agent.agentId, agent.apiKey, 'vc');
+    assert.strictEqual(response.status, 200);
+    assert.ok(response.body.document.type.includes('AgentIdentityCredential'));
+
+    const { payload } = verifyCredential(response.body.credential, await jwks());
+    assert.strictEqual(payload.credentialSubject.agentId, agent.agentId);
+  });
+
+  it('rejects a tampered credential', async () => {
+    const response = await credential(agent.agentId, agent.apiKey);
+    const [header, payload, signature] = response.body.credential.split('.');
+    const forged = Buffer.from(JSON.stringify({ ...JSON.parse(Buffer.from(payload, 'base64url')), sub: 'ASTRAS-FORGED' })).toString('base64url');
+
+    const keys = await jwks();
+    assert.throws(() => verifyCredential(`${header}.${forged}.${signature}`, keys), /Invalid signature/);
+  });
+
+  it('keeps credentials verifiable after the signing key is rotated', async () => {
+    const earlier = await credential(agent.agentId, agent.apiKey);
+
+    const rotated = await server.request('POST', '/v1/admin/keys/rotate', { headers: adminHeaders() });
+    assert.strictEqual(rotated.status, 201);
+    assert.notStrictEqual(rotated.body.kid, earlier.body.kid);
+
+    const keys = await jwks();
+    assert.ok(verifyCredential(earlier.body.credential, keys));
+
+    const afterRotation = await credential(agent.agentId, agent.apiKey);
+    assert.strictEqual(afterRotation.body.kid, rotated.body.kid);
+    assert.ok(verifyCredential(afterRotation.body.credential, keys));
+  });
+
+  it('picks up a key rotated by another process', async () => {
+    const cached = await credential(agent.agentId, agent.apiKey);
+
+    // Another process rotates: it retires the active key and stores its own
+    const current = await storage.signingKeys.findActive();
+    await storage.signingKeys.retireActive();
+    await storage.signingKeys.create({
+      kid: 'as-other-process',
+      algorithm: current.algorithm,
+      public_jwk: { ...current.public_jwk, kid: 'as-other-process' },
+      private_key: current.private_key,
+      status: 'active'
+    });
+
+    mock.timers.enable({ apis: ['Date'], now: Date.now() });
+    try {
+      assert.strictEqual((await credential(agent.agentId, agent.apiKey)).body.kid, cached.body.kid);
+
+      mock.timers.tick(ACTIVE_KEY_TTL_MS);
+      const rotated = await credential(agent.agentId, agent.apiKey);
+      assert.strictEqual(rotated.body.kid, 'as-other-process');
+      assert.ok(verifyCredential(rotated.body.credential, await jwks()));
+    } finally {
+      mock.timers.reset();
+    }
+  });
+
+  it('refuses a credential to a revoked agent', async () => {
+    await server.request('DELETE', `/v1/agent/${agent.agentId}`, { headers: bearer(agent.apiKey) });
+
+    const response = await credential(agent.agentId, agent.apiKey);
+    assert.strictEqual(response.status, 409);
+  });
+});
@@ -0,0 +1,30 @@
+// test/domainVerification.test.js - Owner domain challenges
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { createStubResolver, setResolver, domainFromUrl, checkChallenge } = require('../lib/domainVerification');
+
+describe('domainFromUrl', () => {
+  it('extracts the host name', () => {
+    assert.strictEqual(domainFromUrl('https://Example.com/about'), 'example.com');
+    assert.strictEqual(domainFromUrl('example.com.'), 'example.com');
+  });
+
+  it('rejects IP addresses and local names', () => {
+    for (const url of ['https://127.0.0.1', 'http://[::1]/', 'localhost', 'https://app.localhost', 'not a url']) {
+      assert.strictEqual(domainFromUrl(url), null, url);
+    }
+  });
+});
+
+describe('checkChallenge', () => {
+  it('matches the DNS TXT record first, then the well-known file', async () => {
+    setResolver(createStubResolver({
+      txt: { '_astrasync.dns.example.com': ['astrasync-verification=token-1'] },
+      wellKnown: { 'web.example.com': 'token-2\n' }
+    }));
+
+    assert.strictEqual(await checkChallenge('dns.example.com', 'token-1'), 'dns');
+    assert.strictEqual(await checkChallenge('web.example.com', 'token-2'), 'well-known');
+    assert.strictEqual(await checkChallenge('web.example.com', 'token-1'), null);
+  });
+});
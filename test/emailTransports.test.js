@@ -0,0 +1,61 @@
+// test/emailTransports.test.js - Local email transports
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const createFileTransport = require('../lib/email/transports/file');
+
+const MESSAGE = {
+  emailId: 42,
+  to: 'alice@example.com',
+  subject: 'Verify your AstraSync agent email',
+  text: 'Open https://api.example.com/v1/verify-email/secret-token to confirm',
+  html: '<a href="https://api.example.com/v1/verify-email/secret-token">Confirm</a>'
+};
+
+// Lines written to the console while fn runs
+async function captureConsole(fn) {
+  const lines = [];
+  const { log, error } = console;
+  console.log = line => lines.push(line);
+  console.error = line => lines.push(line);
+  try {
+    await fn();
+  } finally {
+    Object.assign(console, { log, error });
+  }
+  return lines;
+}
+
+describe('Console transport', () => {
+  it('logs the masked recipient and subject, not the body', async () => {
+    let result;
+    const lines = await captureConsole(async () => {
+      result = await createFileTransport({ directory: null }).send(MESSAGE);
+    });
+
+    assert.strictEqual(lines.length, 1);
+    assert.doesNotMatch(lines[0], /secret-token/);
+    assert.doesNotMatch(lines[0], /alice@/);
+
+    const entry = JSON.parse(lines[0]);
+    assert.strictEqual(entry.emailId, 42);
+    assert.strictEqual(entry.messageId, result.messageId);
+    assert.strictEqual(entry.to, 'a***@example.com');
+    assert.strictEqual(entry.subject, MESSAGE.subject);
+  });
+});
+
+describe('File transport', () => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'astrasync-emails-test-'));
+
+  after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+  it('writes the whole message to the directory', async () => {
+    const { messageId } = await createFileTransport({ directory }).send(MESSAGE);
+
+    const written = JSON.parse(fs.readFileSync(path.join(directory, `${messageId}.json`), 'utf8'));
+    assert.deepStrictEqual(written, MESSAGE);
+  });
+});
@@ -0,0 +1,73 @@
+// test/emailVerification.test.js - New agents go live once their email is confirmed
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { bearer, registerAgent, startServer } = require('./helpers');
+const { signToken } = require('../lib/tokens');
+
+describe('Email verification', () => {
+  let server;
+  let agent;
+
+  const verifyLink = (payload, purpose = 'verify_email', ttlSeconds = 60) => `/v1/verify-email/${signToken(purpose, payload, ttlSeconds)}`;
+
+  before(async () => {
+    server = await startServer();
+    agent = await registerAgent(server.request, 'confirm@example.com');
+  });
+
+  after(() => server.close());
+
+  it('registers agents as pending until the email is confirmed', async () => {
+    assert.strictEqual(agent.status, 'pending_email_verification');
+
+    const verify = await server.request('GET', `/v1/verify/${agent.agentId}`);
+    assert.strictEqual(verify.body.status, 'pending_email_verification');
+
+    const recent = await server.request('GET', '/v1/agents/recent');
+    assert.ok(!recent.body.agents.some(item => item.agentId === agent.agentId));
+  });
+
+  it('rejects tampered, expired and wrong-purpose links', async () => {
+    const payload = { agentId: agent.agentId, email: 'confirm@example.com' };
+    const tampered = `${verifyLink(payload)}x`;
+
+    assert.strictEqual((await server.request('GET', tampered)).status, 400);
+    assert.strictEqual((await server.request('GET', verifyLink(payload, 'verify_email', -1))).status, 400);
+    assert.strictEqual((await server.request('GET', verifyLink(payload, 'convert'))).status, 400);
+  });
+
+  it('answers 404 for a link issued to another address', async () => {
+    const response = await server.request('GET', verifyLink({ agentId: agent.agentId, email: 'someone-else@example.com' }));
+    assert.strictEqual(response.status, 404);
+  });
+
+  it('registers the agent, once', async () => {
+    const link = verifyLink({ agentId: agent.agentId, email: 'CONFIRM@example.com' });
+
+    const first = await server.request('GET', link);
+    assert.strictEqual(first.status, 200);
+    assert.strictEqual(first.body.status, 'registered');
+    assert.strictEqual(first.body.emailVerified, true);
+
+    const second = await server.request('GET', link);
+    assert.strictEqual(second.status, 200);
+    assert.strictEqual(second.body.message, 'Email address already confirmed');
+
+    const verify = await server.request('GET', `/v1/verify/${agent.agentId}`);
+    assert.strictEqual(verify.body.status, 'registered');
+
+    const recent = await server.request('GET', '/v1/agents/recent');
+    assert.ok(recent.body.agents.some(item => item.agentId === agent.agentId));
+  });
+
+  it('only resends a link while the email is unconfirmed', async () => {
+    const pending = await registerAgent(server.request, 'resend@example.com');
+
+    const resent = await server.request('POST', `/v1/agent/${pending.agentId}/verify-email/resend`, { headers: bearer(pending.apiKey) });
+    assert.strictEqual(resent.status, 202);
+    assert.ok(resent.body.expiresAt);
+
+    const confirmed = await server.request('POST', `/v1/agent/${agent.agentId}/verify-email/resend`, { headers: bearer(agent.apiKey) });
+    assert.strictEqual(confirmed.status, 409);
+  });
+});
@@ -0,0 +1,76 @@
+// test/emailWorker.test.js - Queued emails are delivered, retried and dead-lettered
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'astrasync-worker-test-'));
+process.env.EMAIL_TRANSPORT = 'file';
+process.env.EMAIL_FILE_DIR = directory;
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { adminHeaders, registerAgent, startServer, storage } = require('./helpers');
+const { queueEmail } = require('../lib/email/queue');
+const { startEmailWorker, stopEmailWorker, runOnce } = require('../lib/email/worker');
+
+// Messages written by the file transport
+const sentMessages = () => fs.readdirSync(directory)
+  .map(file => JSON.parse(fs.readFileSync(path.join(directory, file), 'utf8')));
+
+describe('Email worker', () => {
+  let server;
+
+  before(async () => {
+    server = await startServer();
+    // Creates the transport; runs are triggered by the tests
+    startEmailWorker();
+    stopEmailWorker();
+  });
+
+  after(async () => {
+    await server.close();
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('delivers the verification email of a new agent', async () => {
+    const agent = await registerAgent(server.request, 'mailbox@example.com');
+    await runOnce();
+
+    const messages = sentMessages().filter(message => message.to === 'mailbox@example.com');
+    assert.strictEqual(messages.length, 1);
+    assert.match(messages[0].text, new RegExp(`/v1/verify-email/[A-Za-z0-9_.-]+`));
+    assert.match(messages[0].html, new RegExp(agent.agentId));
+
+    const counts = await storage.emailQueue.countByStatus();
+    assert.strictEqual(counts.pending || 0, 0);
+  });
+
+  it('moves an email that can never be sent to the dead letter, and retries it on request', async () => {
+    await queueEmail(storage, {
+      recipient: 'broken@example.com',
+      subject: 'Broken',
+      template: 'no_such_template',
+      data: {}
+    });
+    await runOnce();
+
+    const dead = await server.request('GET', '/v1/admin/email/dead-letter', { headers: adminHeaders() });
+    assert.strictEqual(dead.status, 200);
+    assert.strictEqual(dead.body.total, 1);
+    assert.strictEqual(dead.body.emails[0].template, 'no_such_template');
+    assert.strictEqual(dead.body.emails[0].attempts, 1);
+    assert.ok(dead.body.emails[0].lastError);
+
+    const retry = await server.request('POST', `/v1/admin/email/${dead.body.emails[0].id}/retry`, { headers: adminHeaders() });
+    assert.strictEqual(retry.status, 200);
+    assert.strictEqual(retry.body.status, 'pending');
+
+    const remaining = await server.request('GET', '/v1/admin/email/dead-letter', { headers: adminHeaders() });
+    assert.strictEqual(remaining.body.total, 0);
+  });
+
+  it('answers 404 when retrying an email that is not dead', async () => {
+    const response = await server.request('POST', '/v1/admin/email/999999/retry', { headers: adminHeaders() });
+    assert.strictEqual(response.status, 404);
+  });
+});
@@ -0,0 +1,161 @@
+// test/health.test.js - Liveness and readiness probes and Prometheus metrics
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert');
+const { adminHeaders, bearer, registerAgent, startServer, storage } = require('./helpers');
+const { createCounter, createGauge, createHistogram, renderMetrics } = require('../lib/metrics');
+
+describe('Metric types', () => {
+  it('render counters with escaped label values', async () => {
+    const counter = createCounter({ name: 'test_events_total', help: 'Test events', labelNames: ['kind'] });
+    counter.inc({ kind: 'say "hi"\n' });
+    counter.inc({ kind: 'say "hi"\n' }, 2);
+
+    const text = await renderMetrics();
+    assert.match(text, /# TYPE test_events_total counter\n/);
+    assert.ok(text.includes('test_events_total{kind="say \\"hi\\"\\n"} 3\n'));
+  });
+
+  it('cap labels set by clients', async () => {
+    const counter = createCounter({ name: 'test_sources_total', help: 'Test sources', labelNames: ['source'], maxValues: { source: 2 } });
+    ['a', 'b', 'c', 'd', 'a'].forEach(source => counter.inc({ source }));
+
+    const text = await renderMetrics();
+    assert.match(text, /test_sources_total\{source="a"\} 2\n/);
+    assert.match(text, /test_sources_total\{source="other"\} 2\n/);
+  });
+
+  it('render cumulative histogram buckets', async () => {
+    const histogram = createHistogram({ name: 'test_duration_seconds', help: 'Test durations', buckets: [0.1, 1] });
+    [0.05, 0.5, 5].forEach(value => histogram.observe({}, value));
+
+    const text = await renderMetrics();
+    assert.match(text, /test_duration_seconds_bucket\{le="0\.1"\} 1\n/);
+    assert.match(text, /test_duration_seconds_bucket\{le="1"\} 2\n/);
+    assert.match(text, /test_duration_seconds_bucket\{le="\+Inf"\} 3\n/);
+    assert.match(text, /test_duration_seconds_sum 5\.55\n/);
+    assert.match(text, /test_duration_seconds_count 3\n/);
+  });
+
+  it('leave out gauges whose collection fails', async () => {
+    let available = false;
+    createGauge({
+      name: 'test_flaky',
+      help: 'Fails until available',
+      collect(gauge) {
+        if (!available) throw new Error('Unavailable');
+        gauge.set({}, 1);
+      }
+    });
+
+    const logged = mock.method(console, 'error', () => {});
+    try {
+      assert.doesNotMatch(await renderMetrics(), /test_flaky/);
+      assert.match(logged.mock.calls[0].arguments[0], /Metric collection error/);
+    } finally {
+      mock.restoreAll();
+    }
+
+    available = true;
+    assert.match(await renderMetrics(), /test_flaky 1\n/);
+  });
+
+  it('refuse a name registered twice', () => {
+    assert.throws(() => createCounter({ name: 'test_events_total', help: 'Again' }), /already registered/);
+  });
+});
+
+describe('Probes', () => {
+  let server;
+
+  before(async () => {
+    server = await startServer();
+  });
+
+  after(() => {
+    delete process.env.EMAIL_WORKER_ENABLED;
+    return server.close();
+  });
+
+  it('report liveness without checking anything', async () => {
+    const response = await server.request('GET', '/healthz');
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.body.status, 'ok');
+    assert.strictEqual(typeof response.body.uptime, 'number');
+  });
+
+  it('report not ready while the email worker is not running', async () => {
+    const response = await server.request('GET', '/readyz');
+    assert.strictEqual(response.status, 503);
+    assert.strictEqual(response.body.status, 'not_ready');
+    assert.strictEqual(response.body.checks.database.status, 'ok');
+    assert.strictEqual(response.body.checks.migrations.status, 'ok');
+    assert.strictEqual(response.body.checks.emailWorker.status, 'failing');
+  });
+
+  it('report ready when every check passes', async () => {
+    process.env.EMAIL_WORKER_ENABLED = 'false';
+
+    const response = await server.request('GET', '/readyz');
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.body.status, 'ready');
+    assert.strictEqual(response.body.checks.emailWorker.status, 'disabled');
+  });
+
+  it('report not ready when the database fails', async () => {
+    mock.method(storage, 'ping', async () => { throw new Error('Connection refused'); });
+    try {
+      const response = await server.request('GET', '/readyz');
+      assert.strictEqual(response.status, 503);
+      assert.deepStrictEqual(response.body.checks.database, { status: 'failing', backend: storage.name, message: 'Connection refused' });
+    } finally {
+      mock.restoreAll();
+    }
+  });
+});
+
+describe('Metrics endpoint', () => {
+  let server;
+
+  before(async () => {
+    server = await startServer();
+    await registerAgent(server.request, 'metrics@example.com');
+    await server.request('POST', '/v1/register', { headers: { 'x-source': 'mcp' }, body: { email: 'metrics@example.com', agent: { name: 'No owner' } } });
+    await server.request('GET', '/v1/verify/ASTRAS-MISSING');
+  });
+
+  after(() => server.close());
+
+  it('requires the metrics token, not the admin key', async () => {
+    const anonymous = await server.request('GET', '/metrics');
+    assert.strictEqual(anonymous.status, 401);
+
+    const admin = await server.request('GET', '/metrics', { headers: { ...adminHeaders(), ...bearer(process.env.ADMIN_API_KEY) } });
+    assert.strictEqual(admin.status, 401);
+  });
+
+  it('is disabled without a metrics token', async () => {
+    const token = process.env.METRICS_TOKEN;
+    delete process.env.METRICS_TOKEN;
+    try {
+      const response = await server.request('GET', '/metrics', { headers: bearer(token) });
+      assert.strictEqual(response.status, 503);
+    } finally {
+      process.env.METRICS_TOKEN = token;
+    }
+  });
+
+  it('serves the Prometheus text format', async () => {
+    const response = await server.request('GET', '/metrics', { headers: bearer(process.env.METRICS_TOKEN) });
+    assert.strictEqual(response.status, 200);
+    assert.match(response.headers.get('content-type'), /^text\/plain;.*version=0\.0\.4/);
+
+    const text = response.body;
+    assert.match(text, /astrasync_http_request_duration_seconds_count\{method="GET",route="\/v1\/verify\/:agentId",status="404"\} 1\n/);
+    assert.match(text, /astrasync_registrations_total\{source="direct-api",outcome="success"\} 1\n/);
+    assert.match(text, /astrasync_registrations_total\{source="mcp",outcome="failed"\} 1\n/);
+    assert.match(text, /astrasync_email_queue_emails\{status="pending"\} 1\n/);
+    assert.match(text, /astrasync_webhook_deliveries\{status="pending"\} 0\n/);
+    assert.match(text, /process_resident_memory_bytes \d+\n/);
+    assert.doesNotMatch(text, /astrasync_db_pool_connections/);
+  });
+});
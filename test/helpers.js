@@ -0,0 +1,102 @@
+// test/helpers.js - Shared setup for the API tests
+//
+// node --test runs every test file in its own process, so each file gets a
+// fresh in-memory store. Settings are read when modules load: a test file that
+// needs other settings sets process.env before requiring this file.
+process.env.STORAGE_BACKEND = 'memory';
+process.env.ADMIN_API_KEY = process.env.ADMIN_API_KEY || 'test-admin-key';
+process.env.METRICS_TOKEN = process.env.METRICS_TOKEN || 'test-metrics-token';
+process.env.TOKEN_SECRET = process.env.TOKEN_SECRET || 'test-token-secret';
+process.env.RATE_LIMIT_ENABLED = process.env.RATE_LIMIT_ENABLED || 'false';
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const { once } = require('events');
+const storage = require('../lib/db');
+const { signToken } = require('../lib/tokens');
+
+const ADMIN_KEY = process.env.ADMIN_API_KEY;
+
+const AGENT = {
+  name: 'Test Agent',
+  owner: 'Test Owner',
+  ownerUrl: 'https://example.com',
+  description: 'An agent registered by the tests',
+  capabilities: ['search']
+};
+
+// Start the app on a free port. Resolves to { request, close };
+// request(method, path, { body, headers }) resolves to
+// { status, headers, body } with body parsed when it is JSON. A string body
+// is sent as it is, for NDJSON and malformed JSON.
+async function startServer() {
+  const app = require('../index');
+  await storage.init();
+
+  const server = app.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  async function request(method, path, { body, headers = {} } = {}) {
+    const response = await fetch(baseUrl + path, {
+      method,
+      headers: {
+        ...(body !== undefined && { 'content-type': 'application/json' }),
+        ...headers
+      },
+      body: body === undefined || typeof body === 'string' ? body : JSON.stringify(body)
+    });
+
+    const text = await response.text();
+    let parsed = text;
+    try {
+      parsed = JSON.parse(text);
+    } catch (error) {
+      // Not JSON; keep the text
+    }
+
+    return { status: response.status, headers: response.headers, body: parsed };
+  }
+
+  function close() {
+    server.closeAllConnections();
+    return new Promise(resolve => server.close(resolve));
+  }
+
+  return { request, close };
+}
+
+const bearer = apiKey => ({ authorization: `Bearer ${apiKey}` });
+const adminHeaders = () => ({ 'x-admin-key': ADMIN_KEY });
+
+// Register an agent. Resolves to the registration response body
+// ({ agentId, apiKey, ... }).
+async function registerAgent(request, email = 'owner@example.com', agent = {}) {
+  const response = await request('POST', '/v1/register', {
+    body: { email, agent: { ...AGENT, ...agent } }
+  });
+  if (response.status !== 201) {
+    throw new Error(`Registration failed with ${response.status}: ${JSON.stringify(response.body)}`);
+  }
+  return response.body;
+}
+
+// Open the agent's email verification link, as its owner would
+async function verifyEmail(request, agentId, email) {
+  const token = signToken('verify_email', { agentId, email }, 60);
+  const response = await request('GET', `/v1/verify-email/${token}`);
+  if (response.status !== 200) {
+    throw new Error(`Email verification failed with ${response.status}: ${JSON.stringify(response.body)}`);
+  }
+  return response.body;
+}
+
+module.exports = {
+  ADMIN_KEY,
+  AGENT,
+  adminHeaders,
+  bearer,
+  registerAgent,
+  startServer,
+  storage,
+  verifyEmail
+};
@@ -0,0 +1,139 @@
+// test/logging.test.js - Request IDs and structured, redacted log lines
+process.env.LOG_LEVEL = 'info';
+
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert');
+const { adminHeaders, bearer, registerAgent, startServer, storage } = require('./helpers');
+const { logger, redact, requestContext } = require('../lib/logger');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+// Log lines written while fn runs, parsed
+async function captureLogs(fn) {
+  const lines = [];
+  const capture = line => lines.push(JSON.parse(line));
+  mock.method(console, 'log', capture);
+  mock.method(console, 'error', capture);
+  try {
+    await fn();
+  } finally {
+    mock.restoreAll();
+  }
+  return lines;
+}
+
+describe('redact', () => {
+  it('masks email and IPv4 addresses wherever they appear', () => {
+    assert.deepStrictEqual(redact({ msg: 'Sent to owner@example.com from 203.0.113.45', nested: ['other@example.com'] }), {
+      msg: 'Sent to o***@example.com from 203.0.113.0',
+      nested: ['o***@example.com']
+    });
+  });
+
+  it('truncates IPv6 addresses in ip fields', () => {
+    assert.strictEqual(redact({ ip: '2001:db8:85a3:8d3:1319:8a2e:370:7348' }).ip, '2001:db8:85a3::');
+  });
+
+  it('serialises errors, dates and deep values', () => {
+    const error = Object.assign(new Error('No mail for owner@example.com'), { code: 'EMAIL' });
+    const redacted = redact({ error, at: new Date(0) });
+    assert.strictEqual(redacted.error.name, 'Error');
+    assert.strictEqual(redacted.error.message, 'No mail for o***@example.com');
+    assert.strictEqual(redacted.error.code, 'EMAIL');
+    assert.doesNotMatch(redacted.error.stack, /owner@example\.com/);
+    assert.strictEqual(redacted.at, '1970-01-01T00:00:00.000Z');
+
+    assert.strictEqual(redact({ a: { b: { c: { d: { e: { f: { g: 1 } } } } } } }).a.b.c.d.e.f, '[Truncated]');
+  });
+});
+
+describe('logger', () => {
+  it('writes one JSON object per line with the level and request ID', async () => {
+    const lines = await captureLogs(() => requestContext.run({ requestId: 'req-42' }, () => {
+      logger.child({ component: 'test' }).warn('Something happened', { email: 'owner@example.com' });
+      logger.debug('Not written');
+    }));
+
+    assert.strictEqual(lines.length, 1);
+    const [line] = lines;
+    assert.strictEqual(line.level, 'warn');
+    assert.strictEqual(line.msg, 'Something happened');
+    assert.strictEqual(line.requestId, 'req-42');
+    assert.strictEqual(line.component, 'test');
+    assert.strictEqual(line.email, 'o***@example.com');
+    assert.ok(!Number.isNaN(Date.parse(line.time)));
+  });
+});
+
+describe('Request IDs', () => {
+  let server;
+
+  before(async () => {
+    server = await startServer();
+  });
+
+  after(() => server.close());
+
+  it('echo a valid X-Request-Id', async () => {
+    const response = await server.request('GET', '/healthz', { headers: { 'x-request-id': 'support-ticket-7' } });
+    assert.strictEqual(response.headers.get('x-request-id'), 'support-ticket-7');
+  });
+
+  it('replace a missing or invalid X-Request-Id with a new one', async () => {
+    const missing = await server.request('GET', '/healthz');
+    assert.match(missing.headers.get('x-request-id'), UUID_PATTERN);
+
+    const invalid = await server.request('GET', '/healthz', { headers: { 'x-request-id': 'bad id <script>' } });
+    assert.match(invalid.headers.get('x-request-id'), UUID_PATTERN);
+  });
+
+  it('are returned in error responses and logged with the error', async () => {
+    let response;
+    const lines = await captureLogs(async () => {
+      mock.method(storage.agents, 'findById', async () => { throw new Error('Database unavailable'); });
+      response = await server.request('GET', '/v1/verify/ASTRAS-BROKEN', { headers: { 'x-request-id': 'error-request-1' } });
+    });
+
+    assert.strictEqual(response.status, 500);
+    assert.strictEqual(response.body.requestId, 'error-request-1');
+
+    const error = lines.find(line => line.level === 'error');
+    assert.strictEqual(error.requestId, 'error-request-1');
+    assert.strictEqual(error.error.message, 'Database unavailable');
+  });
+
+  it('are returned when admin routes and key authentication fail', async () => {
+    const responses = {};
+    await captureLogs(async () => {
+      mock.method(storage.auditLog, 'list', async () => { throw new Error('Database unavailable'); });
+      mock.method(storage.apiKeys, 'findActiveByHash', async () => { throw new Error('Database unavailable'); });
+
+      responses.audit = await server.request('GET', '/v1/admin/audit', { headers: { ...adminHeaders(), 'x-request-id': 'admin-request-1' } });
+      responses.auth = await server.request('GET', '/v1/agent/ASTRAS-ANY', { headers: { ...bearer('as_live_any'), 'x-request-id': 'auth-request-1' } });
+    });
+
+    assert.strictEqual(responses.audit.status, 500);
+    assert.strictEqual(responses.audit.body.requestId, 'admin-request-1');
+    assert.strictEqual(responses.auth.status, 500);
+    assert.strictEqual(responses.auth.body.requestId, 'auth-request-1');
+  });
+
+  it('are stored with the logged registration attempts', async () => {
+    await captureLogs(() => registerAgent(server.request, 'traced@example.com'));
+
+    const attempts = (await storage.attempts.listRecent(10)).filter(row => row.event_type.startsWith('registration_'));
+    assert.ok(attempts.length > 0);
+    assert.ok(attempts.every(row => UUID_PATTERN.test(row.data.requestId)));
+  });
+
+  it('are logged with the completed request, without the client\'s address', async () => {
+    const lines = await captureLogs(() => server.request('GET', '/v1/verify/ASTRAS-MISSING', { headers: { 'x-request-id': 'logged-request-1' } }));
+
+    const completed = lines.find(line => line.msg === 'Request completed');
+    assert.strictEqual(completed.requestId, 'logged-request-1');
+    assert.strictEqual(completed.route, '/v1/verify/:agentId');
+    assert.strictEqual(completed.status, 404);
+    assert.strictEqual(completed.ip, '127.0.0.0');
+    assert.strictEqual(typeof completed.durationMs, 'number');
+  });
+});
@@ -0,0 +1,134 @@
+// test/mcp.test.js - The MCP server over streamable HTTP and stdio
+const path = require('path');
+const { spawn } = require('child_process');
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { AGENT, bearer, startServer, verifyEmail } = require('./helpers');
+const { MCP_PROTOCOL_VERSIONS, JSONRPC_ERRORS } = require('../lib/mcp');
+
+describe('MCP over HTTP', () => {
+  let server;
+  let nextId = 1;
+
+  const rpc = (method, params, headers = {}) => server.request('POST', '/v1/mcp', {
+    headers,
+    body: { jsonrpc: '2.0', id: nextId++, method, params }
+  });
+  const callTool = async (name, args, headers) => (await rpc('tools/call', { name, arguments: args }, headers)).body.result;
+
+  before(async () => {
+    server = await startServer();
+  });
+
+  after(() => server.close());
+
+  it('negotiates the protocol version', async () => {
+    const supported = await rpc('initialize', { protocolVersion: '2025-03-26', capabilities: {}, clientInfo: { name: 'test', version: '1' } });
+    assert.strictEqual(supported.body.result.protocolVersion, '2025-03-26');
+    assert.ok(supported.body.result.capabilities.tools);
+
+    const unknown = await rpc('initialize', { protocolVersion: '1999-01-01' });
+    assert.strictEqual(unknown.body.result.protocolVersion, MCP_PROTOCOL_VERSIONS[0]);
+
+    const header = await rpc('ping', {}, { 'mcp-protocol-version': '1999-01-01' });
+    assert.strictEqual(header.status, 400);
+  });
+
+  it('lists the registry tools', async () => {
+    const { tools } = (await rpc('tools/list')).body.result;
+    assert.deepStrictEqual(tools.map(tool => tool.name), ['register_agent', 'verify_agent', 'get_agent', 'search_agents']);
+    assert.ok(tools.every(tool => tool.inputSchema.type === 'object'));
+  });
+
+  it('registers, verifies, gets and finds an agent', async () => {
+    const registered = await callTool('register_agent', { email: 'mcp@example.com', agent: AGENT });
+    assert.ok(!registered.isError);
+    const { agentId, apiKey } = registered.structuredContent;
+    assert.match(agentId, /^TEMP-/);
+    assert.deepStrictEqual(JSON.parse(registered.content[0].text), registered.structuredContent);
+
+    await verifyEmail(server.request, agentId, 'mcp@example.com');
+
+    const verified = await callTool('verify_agent', { agentId });
+    assert.strictEqual(verified.structuredContent.agentId, agentId);
+    assert.strictEqual(verified.structuredContent.status, 'registered');
+
+    const withArgument = await callTool('get_agent', { agentId, apiKey });
+    assert.strictEqual(withArgument.structuredContent.email, 'mcp@example.com');
+
+    const withHeader = await callTool('get_agent', { agentId }, bearer(apiKey));
+    assert.strictEqual(withHeader.structuredContent.id, agentId);
+
+    const found = await callTool('search_agents', { capability: ['search'] });
+    assert.deepStrictEqual(found.structuredContent.agents.map(agent => agent.agentId), [agentId]);
+  });
+
+  it('returns tool failures as error results', async () => {
+    const invalid = await callTool('register_agent', { email: 'mcp@example.com', agent: { name: 'No owner' } });
+    assert.strictEqual(invalid.isError, true);
+    assert.strictEqual(invalid.structuredContent.code, 'validation_failed');
+    assert.strictEqual(invalid.structuredContent.errors[0].field, 'agent.owner');
+
+    const missing = await callTool('verify_agent', { agentId: 'ASTRAS-MISSING' });
+    assert.strictEqual(missing.isError, true);
+    assert.strictEqual(missing.structuredContent.error, 'Agent not found');
+
+    const registered = await callTool('register_agent', { email: 'other@example.com', agent: AGENT });
+    const unauthorized = await callTool('get_agent', { agentId: registered.structuredContent.agentId, apiKey: 'as_live_wrong' });
+    assert.strictEqual(unauthorized.isError, true);
+  });
+
+  it('answers JSON-RPC errors, notifications and batches', async () => {
+    const unknownMethod = await rpc('resources/list');
+    assert.strictEqual(unknownMethod.body.error.code, JSONRPC_ERRORS.methodNotFound);
+
+    const unknownTool = await rpc('tools/call', { name: 'delete_agent' });
+    assert.strictEqual(unknownTool.body.error.code, JSONRPC_ERRORS.invalidParams);
+
+    const notification = await server.request('POST', '/v1/mcp', { body: { jsonrpc: '2.0', method: 'notifications/initialized' } });
+    assert.strictEqual(notification.status, 202);
+
+    const batch = await server.request('POST', '/v1/mcp', {
+      body: [
+        { jsonrpc: '2.0', id: 'a', method: 'ping' },
+        { jsonrpc: '2.0', method: 'notifications/initialized' },
+        { jsonrpc: '1.0', id: 'b', method: 'ping' }
+      ]
+    });
+    assert.deepStrictEqual(batch.body.map(response => response.id), ['a', 'b']);
+    assert.strictEqual(batch.body[1].error.code, JSONRPC_ERRORS.invalidRequest);
+
+    const malformed = await server.request('POST', '/v1/mcp', { body: '{"jsonrpc":' });
+    assert.strictEqual(malformed.status, 400);
+    assert.strictEqual(malformed.body.error.code, JSONRPC_ERRORS.parseError);
+
+    const stream = await server.request('GET', '/v1/mcp');
+    assert.strictEqual(stream.status, 405);
+  });
+});
+
+describe('MCP over stdio', () => {
+  it('answers newline-delimited messages in order', async () => {
+    const child = spawn(process.execPath, [path.join(__dirname, '..', 'bin', 'mcp.js')], {
+      env: { ...process.env, STORAGE_BACKEND: 'memory', LOG_LEVEL: 'error' },
+      stdio: ['pipe', 'pipe', 'ignore'],
+      timeout: 30000
+    });
+
+    let output = '';
+    child.stdout.on('data', chunk => { output += chunk; });
+    const exited = new Promise(resolve => child.on('close', resolve));
+
+    child.stdin.write(`${JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'initialize', params: { protocolVersion: '2025-06-18' } })}\n`);
+    child.stdin.write('not json\n');
+    child.stdin.end(`${JSON.stringify({ jsonrpc: '2.0', id: 2, method: 'tools/list' })}\n`);
+
+    assert.strictEqual(await exited, 0);
+
+    const responses = output.trim().split('\n').map(line => JSON.parse(line));
+    assert.strictEqual(responses.length, 3);
+    assert.strictEqual(responses[0].result.serverInfo.name, 'astrasync-registry');
+    assert.strictEqual(responses[1].error.code, JSONRPC_ERRORS.parseError);
+    assert.strictEqual(responses[2].result.tools.length, 4);
+  });
+});
@@ -0,0 +1,112 @@
+// test/migrations.test.js - Numbered up/down migrations and the migrate CLI
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { createStorage } = require('../lib/storage');
+const { MIGRATIONS, LATEST_VERSION, SchemaOutOfDateError } = require('../lib/storage/migrations');
+
+let hasSqlite = true;
+try {
+  require('better-sqlite3');
+} catch (error) {
+  hasSqlite = false;
+}
+const skip = !hasSqlite && 'better-sqlite3 is not installed';
+
+describe('Migrations', () => {
+  it('are numbered in order with up and down steps for each dialect', () => {
+    MIGRATIONS.forEach((migration, index) => {
+      assert.strictEqual(migration.version, index + 1);
+      for (const dialect of ['postgres', 'sqlite']) {
+        assert.ok(Array.isArray(migration[dialect].up), `${migration.version} ${dialect} up`);
+        assert.ok(Array.isArray(migration[dialect].down), `${migration.version} ${dialect} down`);
+      }
+    });
+  });
+});
+
+describe('Migrations (sqlite)', { skip }, () => {
+  let db;
+
+  before(() => {
+    db = createStorage({ STORAGE_BACKEND: 'sqlite', SQLITE_FILE: ':memory:' });
+  });
+
+  after(() => db.close());
+
+  it('refuses to start on a schema that is behind the code', async () => {
+    const status = await db.migrations.status();
+    assert.strictEqual(status.current, 0);
+    assert.strictEqual(status.pending.length, MIGRATIONS.length);
+
+    await assert.rejects(db.init(), SchemaOutOfDateError);
+  });
+
+  it('applies migrations up to a version, then the rest', async () => {
+    const first = await db.migrations.migrate({ to: 2 });
+    assert.deepStrictEqual(first.map(migration => migration.version), [1, 2]);
+    await assert.rejects(db.init(), error => error instanceof SchemaOutOfDateError && error.pending.length === LATEST_VERSION - 2);
+
+    const rest = await db.migrations.migrate();
+    assert.strictEqual(rest.length, LATEST_VERSION - 2);
+    assert.deepStrictEqual(await db.migrations.migrate(), []);
+
+    await db.init();
+    const status = await db.migrations.status();
+    assert.strictEqual(status.current, LATEST_VERSION);
+    assert.deepStrictEqual(status.pending, []);
+  });
+
+  it('rolls back the newest migration, or all above a version', async () => {
+    const newest = await db.migrations.rollback();
+    assert.deepStrictEqual(newest.map(migration => migration.version), [LATEST_VERSION]);
+
+    const all = await db.migrations.rollback({ to: 0 });
+    assert.strictEqual(all.length, LATEST_VERSION - 1);
+    assert.strictEqual(all[0].version, LATEST_VERSION - 1);
+    assert.strictEqual((await db.migrations.status()).current, 0);
+  });
+
+  it('applies cleanly again after a full rollback', async () => {
+    assert.strictEqual((await db.migrations.migrate()).length, LATEST_VERSION);
+
+    await db.agents.create({
+      id: 'AGENT-1',
+      internal_id: 'internal-1',
+      email: 'owner@example.com',
+      status: 'registered',
+      blockchain_status: 'pending',
+      trust_score: 10,
+      registered_at: new Date(),
+      agent_data: { name: 'Agent', owner: 'Owner' },
+      metadata: {}
+    });
+    assert.ok(await db.agents.findById('AGENT-1'));
+  });
+});
+
+describe('bin/migrate.js', { skip }, () => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'astrasync-migrate-test-'));
+  const run = (...args) => execFileSync(process.execPath, [path.join(__dirname, '..', 'bin', 'migrate.js'), ...args], {
+    env: { ...process.env, STORAGE_BACKEND: 'sqlite', SQLITE_FILE: path.join(directory, 'test.sqlite'), LOG_LEVEL: 'error' },
+    encoding: 'utf8',
+    timeout: 30000
+  });
+
+  after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+  it('reports, applies and rolls back migrations', () => {
+    assert.match(run('status'), new RegExp(`Schema version: 0 \\(latest: ${LATEST_VERSION}\\)`));
+    assert.match(run('up'), new RegExp(`${LATEST_VERSION} migration\\(s\\) applied`));
+    assert.match(run('status'), new RegExp(`Schema version: ${LATEST_VERSION} `));
+    assert.match(run('down'), /1 migration\(s\) rolled back/);
+    assert.match(run('status'), /pending/);
+  });
+
+  it('rejects unknown arguments', () => {
+    assert.throws(() => run('up', '--force'), error => error.status === 1 && /Unknown argument: --force/.test(error.stderr));
+  });
+});
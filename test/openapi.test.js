@@ -0,0 +1,92 @@
+// test/openapi.test.js - The OpenAPI document and /v1/docs match the route table
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer } = require('./helpers');
+const app = require('../index');
+const { collectRoutes } = require('../lib/openapi');
+
+const openApiPath = path => path.replace(/:(\w+)/g, '{$1}');
+
+// Every $ref in a value, e.g. '#/components/responses/NotFound'
+function refsIn(value, refs = []) {
+  if (Array.isArray(value)) {
+    value.forEach(item => refsIn(item, refs));
+  } else if (value && typeof value === 'object') {
+    for (const [key, item] of Object.entries(value)) {
+      if (key === '$ref') refs.push(item);
+      else refsIn(item, refs);
+    }
+  }
+  return refs;
+}
+
+describe('API documentation', () => {
+  let server;
+  let spec;
+  const routes = collectRoutes(app);
+
+  before(async () => {
+    server = await startServer();
+    const response = await server.request('GET', '/v1/openapi.json');
+    assert.strictEqual(response.status, 200);
+    spec = response.body;
+  });
+
+  after(() => server.close());
+
+  it('documents every route with a summary', () => {
+    assert.strictEqual(spec.openapi, '3.1.0');
+
+    for (const route of routes) {
+      const operation = (spec.paths[openApiPath(route.path)] || {})[route.method.toLowerCase()];
+      assert.ok(operation, `${route.method} ${route.path}`);
+      assert.ok(operation.summary, `${route.method} ${route.path} has no summary`);
+      assert.ok(operation.responses[500]);
+    }
+  });
+
+  it('uses unique operation IDs', () => {
+    const ids = Object.values(spec.paths).flatMap(path => Object.values(path).map(operation => operation.operationId));
+    assert.strictEqual(new Set(ids).size, ids.length);
+  });
+
+  it('resolves every reference', () => {
+    for (const ref of new Set(refsIn(spec))) {
+      const target = ref.replace('#/', '').split('/').reduce((value, key) => value && value[key], spec);
+      assert.ok(target, ref);
+    }
+  });
+
+  it('describes request bodies, errors and auth', () => {
+    const register = spec.paths['/v1/register'].post;
+    assert.deepStrictEqual(register.requestBody.content['application/json'].schema.required, ['email', 'agent']);
+    assert.strictEqual(register.responses[400].$ref, '#/components/responses/ValidationFailed');
+    assert.deepStrictEqual(register.security, []);
+
+    const details = spec.paths['/v1/agent/{agentId}'].get;
+    assert.deepStrictEqual(details.security[0], { agentKey: ['agent:read'] });
+    assert.strictEqual(details.responses[401].$ref, '#/components/responses/Unauthorized');
+
+    const search = spec.paths['/v1/agents'].get;
+    const capability = search.parameters.find(parameter => parameter.name === 'capability');
+    assert.strictEqual(capability.in, 'query');
+    assert.strictEqual(capability.schema.type, 'array');
+  });
+
+  it('lists the same endpoints at /v1/docs', async () => {
+    const response = await server.request('GET', '/v1/docs');
+    assert.strictEqual(response.status, 200);
+    assert.deepStrictEqual(
+      response.body.endpoints.map(endpoint => `${endpoint.method} ${endpoint.path}`),
+      routes.map(route => `${route.method} ${route.path}`)
+    );
+    assert.ok(response.body.validationErrors.codes.includes('unknown_field'));
+  });
+
+  it('serves the explorer', async () => {
+    const response = await server.request('GET', '/v1/explorer');
+    assert.strictEqual(response.status, 200);
+    assert.match(response.headers.get('content-type'), /text\/html/);
+    assert.match(response.body, /openapi\.json/);
+  });
+});
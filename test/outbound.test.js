@@ -0,0 +1,135 @@
+// test/outbound.test.js - Requests to user-chosen hosts only reach public addresses
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { once } = require('events');
+const { BlockedAddressError, isPublicAddress, resolveAddress, request } = require('../lib/outbound');
+
+// A lookup that answers every name with the given addresses
+const lookupTo = (...addresses) => async () => addresses.map(address => ({ address, family: address.includes(':') ? 6 : 4 }));
+
+describe('isPublicAddress', () => {
+  const cases = {
+    '93.184.216.34': true,
+    '2606:2800:220:1:248:1893:25c8:1946': true,
+    '127.0.0.1': false,
+    '10.1.2.3': false,
+    '172.16.0.1': false,
+    '192.168.1.1': false,
+    '169.254.169.254': false,
+    '100.64.0.1': false,
+    '0.0.0.0': false,
+    '::1': false,
+    '::': false,
+    'fd00::1': false,
+    'fe80::1': false,
+    '::ffff:127.0.0.1': false,
+    '::ffff:a9fe:a9fe': false,
+    'not-an-address': false
+  };
+
+  for (const [address, expected] of Object.entries(cases)) {
+    it(`${address} is ${expected ? 'public' : 'not public'}`, () => {
+      assert.strictEqual(isPublicAddress(address), expected);
+    });
+  }
+});
+
+describe('resolveAddress', () => {
+  it('returns a public address', async () => {
+    const resolved = await resolveAddress('hooks.example.com', { lookup: lookupTo('93.184.216.34') });
+    assert.deepStrictEqual(resolved, { address: '93.184.216.34', family: 4 });
+  });
+
+  it('rejects a name with any non-public address', async () => {
+    await assert.rejects(
+      resolveAddress('hooks.example.com', { lookup: lookupTo('93.184.216.34', '10.0.0.1') }),
+      BlockedAddressError
+    );
+  });
+
+  it('rejects IP literals in private ranges', async () => {
+    await assert.rejects(resolveAddress('[::1]'), BlockedAddressError);
+    await assert.rejects(resolveAddress('169.254.169.254'), BlockedAddressError);
+  });
+
+  it('allows private addresses when asked to', async () => {
+    const resolved = await resolveAddress('localhost', { allowPrivateAddresses: true, lookup: lookupTo('127.0.0.1') });
+    assert.strictEqual(resolved.address, '127.0.0.1');
+  });
+});
+
+describe('request', () => {
+  let server;
+  let port;
+  let received;
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      received.push({ method: req.method, url: req.url, host: req.headers.host });
+      if (req.url === '/large') {
+        res.writeHead(200, { 'content-type': 'text/plain' });
+        res.write('a'.repeat(1024));
+        // Never ends unless the client goes away
+        return;
+      }
+      res.writeHead(req.url === '/missing' ? 404 : 200);
+      res.end('hello');
+    });
+    server.listen(0, '127.0.0.1');
+    await once(server, 'listening');
+    port = server.address().port;
+  });
+
+  after(() => {
+    server.closeAllConnections();
+    server.close();
+  });
+
+  it('refuses a host that resolves to a private address without connecting', async () => {
+    received = [];
+    await assert.rejects(
+      request(`http://hooks.example.com:${port}/`, { lookup: lookupTo('127.0.0.1') }),
+      { code: 'EADDRBLOCKED' }
+    );
+    assert.deepStrictEqual(received, []);
+  });
+
+  it('connects to the checked address and keeps the Host header', async () => {
+    received = [];
+    const response = await request(`http://hooks.example.com:${port}/path`, {
+      method: 'POST',
+      body: '{}',
+      maxBytes: 100,
+      allowPrivateAddresses: true,
+      lookup: lookupTo('127.0.0.1')
+    });
+
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.body, 'hello');
+    assert.deepStrictEqual(received, [{ method: 'POST', url: '/path', host: `hooks.example.com:${port}` }]);
+  });
+
+  it('resolves non-2xx responses with their status', async () => {
+    const response = await request(`http://127.0.0.1:${port}/missing`, { allowPrivateAddresses: true });
+    assert.strictEqual(response.status, 404);
+    assert.strictEqual(response.body, '');
+  });
+
+  it('stops reading the body after maxBytes', async () => {
+    const response = await request(`http://127.0.0.1:${port}/large`, { maxBytes: 100, allowPrivateAddresses: true, timeoutMs: 2000 });
+    assert.strictEqual(response.body, 'a'.repeat(100));
+  });
+
+  it('times out', async () => {
+    const slow = lookupTo('127.0.0.1');
+    await assert.rejects(
+      request(`http://hooks.example.com:${port}/`, {
+        allowPrivateAddresses: true,
+        timeoutMs: 50,
+        lookup: (...args) => new Promise(resolve => setTimeout(() => resolve(slow(...args)), 200))
+      }),
+      { name: 'TimeoutError' }
+    );
+  });
+});
@@ -0,0 +1,213 @@
+// test/privacy.test.js - Minimised logging, the retention purge and data-subject erasure
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert');
+const { adminHeaders, bearer, registerAgent, startServer, storage, verifyEmail } = require('./helpers');
+const { hashEmail, minimizeAttemptData, maskEmail, truncateIp } = require('../lib/privacy');
+const { RETENTION, purgeExpiredData } = require('../lib/retention');
+const { getHistory } = require('../lib/revisions');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('Personal data minimisation', () => {
+  it('hashes email addresses case-insensitively', () => {
+    assert.strictEqual(hashEmail(' Owner@Example.com'), hashEmail('owner@example.com'));
+    assert.match(hashEmail('owner@example.com'), /^[0-9a-f]{64}$/);
+    assert.strictEqual(hashEmail('invalid-email'), null);
+  });
+
+  it('truncates IP addresses to their network', () => {
+    assert.strictEqual(truncateIp('203.0.113.45'), '203.0.113.0');
+    assert.strictEqual(truncateIp('::ffff:203.0.113.45'), '::ffff:203.0.113.0');
+    assert.strictEqual(truncateIp('2001:db8:85a3:8d3:1319:8a2e:370:7348'), '2001:db8:85a3::');
+  });
+
+  it('masks email addresses', () => {
+    assert.strictEqual(maskEmail('owner@example.com'), 'o***@example.com');
+  });
+
+  it('drops stack traces and email addresses from logged data', () => {
+    const data = minimizeAttemptData({
+      stack: 'Error: boom\n    at ...',
+      email: 'owner@example.com',
+      ip: '203.0.113.45',
+      body: { email: 'owner@example.com', agent: { name: 'Agent' } },
+      requestId: 'req-1'
+    });
+
+    assert.deepStrictEqual(data, { ip: '203.0.113.0', body: { agent: { name: 'Agent' } }, requestId: 'req-1' });
+  });
+});
+
+describe('Logged registration attempts', () => {
+  let server;
+
+  before(async () => {
+    server = await startServer();
+    await registerAgent(server.request, 'logged@example.com');
+  });
+
+  after(() => server.close());
+
+  it('store a hash of the email and a truncated IP address', async () => {
+    const [attempt] = (await storage.attempts.listRecent(10)).filter(row => row.event_type === 'registration_attempt');
+
+    assert.strictEqual(attempt.email_hash, hashEmail('logged@example.com'));
+    assert.strictEqual(attempt.data.ip, '127.0.0.0');
+    assert.strictEqual(attempt.data.body.email, undefined);
+  });
+
+  it('are shown with masked email addresses', async () => {
+    const response = await server.request('GET', '/v1/attempts/recent', { headers: adminHeaders() });
+    assert.strictEqual(response.status, 200);
+    assert.doesNotMatch(JSON.stringify(response.body), /logged@example\.com/);
+    assert.match(JSON.stringify(response.body), /l\*\*\*@example\.com/);
+  });
+});
+
+describe('Retention purge', () => {
+  // Rows created `days` ago
+  async function createAt(days, fn) {
+    mock.timers.enable({ apis: ['Date'], now: Date.now() - days * DAY_MS });
+    try {
+      await fn();
+    } finally {
+      mock.timers.reset();
+    }
+  }
+
+  it('anonymises, then deletes, old attempts and deletes old finished emails', async () => {
+    const attempt = email => storage.attempts.create({
+      eventType: 'registration_success',
+      email,
+      emailHash: hashEmail(email),
+      agentName: 'Agent',
+      source: 'direct-api',
+      data: { ip: '127.0.0.0', requestId: 'req-old' }
+    });
+
+    await createAt(RETENTION.attemptDays + 1, () => attempt('ancient@example.com'));
+    await createAt(RETENTION.attemptPiiDays + 1, async () => {
+      await attempt('old@example.com');
+      await storage.emailQueue.enqueue({ recipient: 'old@example.com', subject: 'Old', template: 'verify_email', data: {} });
+      const [email] = await storage.emailQueue.claimDue({ limit: 10, staleLockMs: 60000 });
+      await storage.emailQueue.markSent(email.id, { attempts: 1, transport: 'file' });
+    });
+    await attempt('new@example.com');
+
+    const purged = await purgeExpiredData();
+    assert.strictEqual(purged.attemptsAnonymized, 2);
+    assert.strictEqual(purged.attemptsDeleted, 1);
+    assert.strictEqual(purged.emailsDeleted, 1);
+
+    const rows = await storage.attempts.listRecent(100);
+    const old = rows.find(row => row.email_hash === hashEmail('old@example.com'));
+    assert.strictEqual(old.email, null);
+    assert.deepStrictEqual(old.data, { requestId: 'req-old' });
+    assert.ok(!rows.some(row => row.email_hash === hashEmail('ancient@example.com')));
+    assert.strictEqual(rows.find(row => row.email_hash === hashEmail('new@example.com')).email, 'new@example.com');
+
+    assert.deepStrictEqual(await purgeExpiredData(), { attemptsAnonymized: 0, attemptsDeleted: 0, emailsDeleted: 0 });
+  });
+});
+
+describe('Data-subject erasure', () => {
+  let server;
+  let agent;
+  let other;
+
+  const erase = body => server.request('DELETE', '/v1/admin/data-subjects', { headers: adminHeaders(), body });
+
+  before(async () => {
+    server = await startServer();
+
+    agent = await registerAgent(server.request, 'Erase.Me@example.com');
+    await verifyEmail(server.request, agent.agentId, 'Erase.Me@example.com');
+    await server.request('POST', `/v1/agent/${agent.agentId}/webhooks`, {
+      headers: bearer(agent.apiKey),
+      body: { url: 'https://hooks.example.com/erase', events: ['agent.updated'] }
+    });
+    await server.request('PATCH', `/v1/agent/${agent.agentId}`, {
+      headers: bearer(agent.apiKey),
+      body: { agent: { owner: 'Erase Me Consulting', metadata: { contact: 'Erase Me' } } }
+    });
+    await registerAgent(server.request, 'erase.me@example.com');
+    await server.request('POST', '/v1/admin/blocks', { headers: adminHeaders(), body: { source: 'email', value: 'erase.me@example.com' } });
+
+    other = await registerAgent(server.request, 'keep@example.com');
+  });
+
+  after(() => server.close());
+
+  it('removes or anonymises everything tied to the address and returns an audit record', async () => {
+    const response = await erase({ email: 'ERASE.ME@example.com', reason: 'Ticket 42' });
+    assert.strictEqual(response.status, 200);
+
+    const record = response.body;
+    assert.match(record.erasureId, /^era_/);
+    assert.deepStrictEqual(record.subject, { emailHash: hashEmail('erase.me@example.com') });
+    assert.strictEqual(record.reason, 'Ticket 42');
+    assert.strictEqual(record.agents.length, 2);
+    assert.strictEqual(record.counts.agentsAnonymized, 2);
+    assert.strictEqual(record.counts.apiKeysRevoked, 2);
+    // registered, email_verified and updated, and the other agent's registered
+    assert.strictEqual(record.counts.revisionsScrubbed, 4);
+    assert.strictEqual(record.counts.webhooksDeleted, 1);
+    assert.strictEqual(record.counts.blocksRemoved, 1);
+    // Both verification emails, and the attempts of both registrations
+    assert.ok(record.counts.emailsDeleted >= 2);
+    assert.ok(record.counts.attemptsAnonymized >= 4);
+    assert.doesNotMatch(JSON.stringify(record), /erase\.me/i);
+  });
+
+  it('keeps the agents in the registry, revoked and without the address', async () => {
+    const stored = await storage.agents.findById(agent.agentId);
+    assert.strictEqual(stored.status, 'revoked');
+    assert.match(stored.email, /@erased\.invalid$/);
+    assert.strictEqual(stored.metadata.ip, undefined);
+
+    const verify = await server.request('GET', `/v1/verify/${agent.agentId}`);
+    assert.strictEqual(verify.body.status, 'revoked');
+
+    const details = await server.request('GET', `/v1/agent/${agent.agentId}`, { headers: bearer(agent.apiKey) });
+    assert.strictEqual(details.status, 401);
+
+    const attempts = await storage.attempts.listRecent(100);
+    assert.ok(!attempts.some(row => /erase\.me/i.test(row.email || '') || row.email_hash === hashEmail('erase.me@example.com')));
+  });
+
+  it('removes earlier owner details from past revisions, but not from the audit log', async () => {
+    // The owner's key is revoked, so the history is read directly
+    const response = await server.request('GET', `/v1/agent/${agent.agentId}/history`, { headers: bearer(agent.apiKey) });
+    assert.strictEqual(response.status, 401);
+
+    const history = await getHistory(agent.agentId);
+    assert.deepStrictEqual(history.map(revision => revision.action), ['registered', 'email_verified', 'updated', 'erased']);
+    for (const revision of history.slice(0, -1)) {
+      assert.doesNotMatch(JSON.stringify(revision), /Erase Me|Test Owner|example\.com/);
+      assert.strictEqual(revision.agent.name, 'Test Agent');
+    }
+    // The erasure revision keeps what the registry still publishes
+    assert.strictEqual(history[3].agent.owner, 'Erase Me Consulting');
+
+    // The hash chain covers the audit log, so it is left as it is; it never
+    // held the address
+    const audit = await server.request('GET', `/v1/admin/audit?agentId=${agent.agentId}`, { headers: adminHeaders() });
+    assert.deepStrictEqual(audit.body.entries.map(entry => entry.action), ['registered', 'email_verified', 'updated', 'erased']);
+    assert.strictEqual(audit.body.entries[2].changes.owner.from, 'Test Owner');
+    assert.doesNotMatch(JSON.stringify(audit.body), /erase\.me/i);
+
+    const verify = await server.request('GET', '/v1/admin/audit/verify', { headers: adminHeaders() });
+    assert.strictEqual(verify.body.intact, true);
+  });
+
+  it('leaves other owners alone', async () => {
+    const details = await server.request('GET', `/v1/agent/${other.agentId}`, { headers: bearer(other.apiKey) });
+    assert.strictEqual(details.status, 200);
+    assert.strictEqual(details.body.email, 'keep@example.com');
+  });
+
+  it('validates the address', async () => {
+    const response = await erase({ email: 'not-an-email' });
+    assert.strictEqual(response.status, 400);
+  });
+});
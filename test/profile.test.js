@@ -0,0 +1,94 @@
+// test/profile.test.js - Escaped profile pages, themes and the embeddable badge
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { AGENT, registerAgent, startServer, storage } = require('./helpers');
+const { html, raw, safeUrl } = require('../lib/views/html');
+
+const SCRIPT = '<script>alert(1)</script>';
+
+describe('html templates', () => {
+  it('escape interpolated values', () => {
+    assert.strictEqual(String(html`<p title="${'"x"'}">${SCRIPT}</p>`), '<p title="&quot;x&quot;">&lt;script&gt;alert(1)&lt;/script&gt;</p>');
+    assert.strictEqual(String(html`<p>${'O\'Brien & Co'}</p>`), '<p>O&#39;Brien &amp; Co</p>');
+  });
+
+  it('nest templates and lists without escaping them twice', () => {
+    const items = ['<a>', 'b'].map(item => html`<li>${item}</li>`);
+    assert.strictEqual(String(html`<ul>${items}</ul>`), '<ul><li>&lt;a&gt;</li><li>b</li></ul>');
+    assert.strictEqual(String(html`<p>${null}${undefined}${false}${0}</p>`), '<p>0</p>');
+    assert.strictEqual(String(html`${raw('<b>')}`), '<b>');
+  });
+
+  it('only link http and https URLs', () => {
+    assert.strictEqual(safeUrl('https://example.com/'), 'https://example.com/');
+    assert.strictEqual(safeUrl('javascript:alert(1)'), null);
+    assert.strictEqual(safeUrl('data:text/html,hi'), null);
+    assert.strictEqual(safeUrl('not a url'), null);
+  });
+});
+
+describe('Profile pages', () => {
+  let server;
+  let agent;
+
+  before(async () => {
+    server = await startServer();
+    agent = await registerAgent(server.request, 'profile@example.com', {
+      name: SCRIPT,
+      owner: '<img src=x onerror=alert(1)>',
+      description: '"><script>alert(2)</script>'
+    });
+  });
+
+  after(() => server.close());
+
+  it('escapes registrant data', async () => {
+    const response = await server.request('GET', `/profile/${agent.agentId}`);
+    assert.strictEqual(response.status, 200);
+    assert.doesNotMatch(response.body, /<script>alert/);
+    assert.doesNotMatch(response.body, /<img src=x/);
+    assert.match(response.body, /&lt;script&gt;alert\(1\)&lt;\/script&gt;/);
+  });
+
+  it('escapes the ID on the not found page', async () => {
+    const response = await server.request('GET', `/profile/${encodeURIComponent('<svg onload=alert(1)>')}`);
+    assert.strictEqual(response.status, 404);
+    assert.doesNotMatch(response.body, /<svg/);
+    assert.match(response.body, /&lt;svg onload=alert\(1\)&gt;/);
+  });
+
+  it('never links a URL that is not http or https', async () => {
+    await storage.agents.update(agent.agentId, { agent_data: { ...AGENT, ownerUrl: 'javascript:alert(1)' } });
+
+    const response = await server.request('GET', `/profile/${agent.agentId}`);
+    assert.doesNotMatch(response.body, /href="javascript:/);
+    assert.match(response.body, /Not specified/);
+  });
+
+  it('sends a strict Content-Security-Policy that forbids framing', async () => {
+    const response = await server.request('GET', `/profile/${agent.agentId}`);
+    const policy = response.headers.get('content-security-policy');
+    assert.match(policy, /default-src 'none'/);
+    assert.match(policy, /frame-ancestors 'none'/);
+    assert.doesNotMatch(policy, /script-src/);
+  });
+
+  it('lets the badge be embedded', async () => {
+    const response = await server.request('GET', `/profile/${agent.agentId}/badge`);
+    assert.strictEqual(response.status, 200);
+    assert.match(response.headers.get('content-security-policy'), /frame-ancestors \*/);
+    assert.match(response.body, new RegExp(`href="http://127\\.0\\.0\\.1:\\d+/profile/${agent.agentId}"`));
+  });
+
+  it('renders the requested theme', async () => {
+    const auto = await server.request('GET', `/profile/${agent.agentId}`);
+    assert.match(auto.body, /data-theme="auto"/);
+
+    const dark = await server.request('GET', `/profile/${agent.agentId}?theme=dark`);
+    assert.match(dark.body, /data-theme="dark"/);
+    assert.match(dark.body, new RegExp(`/profile/${agent.agentId}/badge\\?theme=dark`));
+
+    const invalid = await server.request('GET', `/profile/${agent.agentId}?theme=${encodeURIComponent('"><script>')}`);
+    assert.strictEqual(invalid.status, 400);
+  });
+});
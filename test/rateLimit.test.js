@@ -0,0 +1,99 @@
+// test/rateLimit.test.js - Rate limits, blocks and body size caps
+process.env.RATE_LIMIT_ENABLED = 'true';
+process.env.RATE_LIMIT_REGISTER_EMAIL = '2/1h';
+process.env.RATE_LIMIT_LOG_ATTEMPT_IP = '3/1h';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { AGENT, adminHeaders, bearer, registerAgent, startServer } = require('./helpers');
+
+describe('Rate limits', () => {
+  let server;
+
+  const register = email => server.request('POST', '/v1/register', { body: { email, agent: AGENT } });
+
+  before(async () => {
+    server = await startServer();
+  });
+
+  after(() => server.close());
+
+  it('limits registrations per email address with 429 and Retry-After', async () => {
+    const first = await register('limited@example.com');
+    assert.strictEqual(first.status, 201);
+    assert.strictEqual(first.headers.get('ratelimit-limit'), '2');
+    assert.strictEqual(first.headers.get('ratelimit-remaining'), '1');
+
+    assert.strictEqual((await register('LIMITED@example.com')).status, 201);
+
+    const refused = await register('limited@example.com');
+    assert.strictEqual(refused.status, 429);
+    assert.strictEqual(refused.body.error, 'Too many requests');
+    assert.ok(parseInt(refused.headers.get('retry-after')) > 0);
+    assert.strictEqual(refused.body.retryAfter, parseInt(refused.headers.get('retry-after')));
+
+    assert.strictEqual((await register('other@example.com')).status, 201);
+  });
+
+  it('blocks a source that keeps going, until an admin unblocks it', async () => {
+    const refused = await register('limited@example.com');
+    assert.strictEqual(refused.status, 429);
+
+    const blocks = await server.request('GET', '/v1/admin/blocks', { headers: adminHeaders() });
+    assert.deepStrictEqual(blocks.body.blocks.map(block => `${block.source}:${block.value}`), ['email:limited@example.com']);
+
+    const blocked = await register('limited@example.com');
+    assert.strictEqual(blocked.body.error, 'Temporarily blocked');
+
+    const unblocked = await server.request('DELETE', '/v1/admin/blocks/email/limited%40example.com', { headers: adminHeaders() });
+    assert.strictEqual(unblocked.status, 204);
+    assert.strictEqual((await server.request('GET', '/v1/admin/blocks', { headers: adminHeaders() })).body.total, 0);
+
+    const missing = await server.request('DELETE', '/v1/admin/blocks/email/limited%40example.com', { headers: adminHeaders() });
+    assert.strictEqual(missing.status, 404);
+  });
+
+  it('lets admins block an API key', async () => {
+    const agent = await registerAgent(server.request, 'blocked-key@example.com');
+    const details = () => server.request('GET', `/v1/agent/${agent.agentId}`, { headers: bearer(agent.apiKey) });
+
+    const block = await server.request('POST', '/v1/admin/blocks', {
+      headers: adminHeaders(),
+      body: { source: 'apiKey', value: agent.apiKey, minutes: 5, reason: 'Scraping' }
+    });
+    assert.strictEqual(block.status, 201);
+    assert.notStrictEqual(block.body.value, agent.apiKey);
+
+    const refused = await details();
+    assert.strictEqual(refused.status, 429);
+    assert.strictEqual(refused.body.error, 'Temporarily blocked');
+
+    await server.request('DELETE', `/v1/admin/blocks/apiKey/${agent.apiKey}`, { headers: adminHeaders() });
+    assert.strictEqual((await details()).status, 200);
+  });
+
+  it('never limits admins', async () => {
+    const admin = () => server.request('POST', '/v1/log-attempt', { headers: adminHeaders(), body: { event: 'admin_test', data: {} } });
+
+    for (let i = 0; i < 5; i++) {
+      assert.strictEqual((await admin()).status, 200);
+    }
+  });
+
+  it('limits logged attempts per IP address', async () => {
+    const statuses = [];
+    for (let i = 0; i < 4; i++) {
+      statuses.push((await server.request('POST', '/v1/log-attempt', { body: { event: 'test', data: {} } })).status);
+    }
+    assert.deepStrictEqual(statuses, [200, 200, 200, 429]);
+  });
+
+  it('caps request bodies per route', async () => {
+    const response = await server.request('POST', '/v1/log-attempt', {
+      headers: adminHeaders(),
+      body: { event: 'test', data: { blob: 'x'.repeat(5000) } }
+    });
+    assert.strictEqual(response.status, 413);
+    assert.match(response.body.message, /4kb|4096/);
+  });
+});
@@ -0,0 +1,102 @@
+// test/search.test.js - Filtered, cursor-paginated agent search
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { registerAgent, startServer, storage, verifyEmail } = require('./helpers');
+
+describe('Agent search', () => {
+  let server;
+  const ids = {};
+
+  const search = async query => {
+    const response = await server.request('GET', `/v1/agents?${new URLSearchParams(query)}`);
+    assert.strictEqual(response.status, 200);
+    return response.body;
+  };
+  const agentIds = body => body.agents.map(agent => agent.agentId);
+
+  before(async () => {
+    server = await startServer();
+
+    const agents = {
+      weather: { name: 'Weather Bot', description: 'Forecasts for any city', owner: 'Acme', capabilities: ['forecast', 'search'] },
+      travel: { name: 'Travel Planner', description: 'Plans trips around the weather', owner: 'Acme', capabilities: ['booking'] },
+      translator: { name: 'Translator', description: 'Translates documents', owner: 'Globex', capabilities: ['translate', 'search'] }
+    };
+    // One day apart, oldest first
+    for (const [day, [key, agent]] of Object.entries(agents).entries()) {
+      const registered = await registerAgent(server.request, `${key}@example.com`, agent);
+      await verifyEmail(server.request, registered.agentId, `${key}@example.com`);
+      await storage.agents.update(registered.agentId, { registered_at: new Date(Date.UTC(2026, 0, day + 1)) });
+      ids[key] = registered.agentId;
+    }
+
+    ids.pending = (await registerAgent(server.request, 'pending@example.com', { owner: 'Acme' })).agentId;
+  });
+
+  after(() => server.close());
+
+  it('lists confirmed agents newest first', async () => {
+    const body = await search({});
+    assert.deepStrictEqual(agentIds(body), [ids.translator, ids.travel, ids.weather]);
+    assert.strictEqual(body.returned, 3);
+    assert.strictEqual(body.nextCursor, null);
+  });
+
+  it('finds all agents owned by X with capability Y', async () => {
+    assert.deepStrictEqual(agentIds(await search({ owner: 'acme', capability: 'search' })), [ids.weather]);
+    assert.deepStrictEqual(agentIds(await search({ capability: 'search,forecast' })), [ids.weather]);
+    assert.deepStrictEqual(agentIds(await search({ owner: 'Acme' })), [ids.travel, ids.weather]);
+  });
+
+  it('searches names and descriptions', async () => {
+    assert.deepStrictEqual(agentIds(await search({ q: 'weather' })), [ids.travel, ids.weather]);
+    assert.deepStrictEqual(agentIds(await search({ q: 'weather -trips' })), [ids.weather]);
+  });
+
+  it('pages with a cursor', async () => {
+    const first = await search({ limit: 2 });
+    assert.deepStrictEqual(agentIds(first), [ids.translator, ids.travel]);
+    assert.ok(first.nextCursor);
+
+    const second = await search({ limit: 2, cursor: first.nextCursor });
+    assert.deepStrictEqual(agentIds(second), [ids.weather]);
+    assert.strictEqual(second.nextCursor, null);
+  });
+
+  it('filters by status', async () => {
+    assert.deepStrictEqual(agentIds(await search({ status: 'revoked' })), []);
+    assert.strictEqual((await search({ status: 'registered' })).returned, 3);
+  });
+
+  it('pages through agents registered at the same time', async () => {
+    const registeredAt = new Date(Date.UTC(2026, 0, 10));
+    for (const id of Object.values(ids)) {
+      await storage.agents.update(id, { registered_at: registeredAt });
+    }
+
+    const seen = [];
+    let cursor;
+    do {
+      const page = await search({ limit: 1, ...(cursor && { cursor }) });
+      assert.strictEqual(page.returned, 1);
+      seen.push(...agentIds(page));
+      cursor = page.nextCursor;
+    } while (cursor);
+
+    assert.deepStrictEqual(seen.sort(), [ids.translator, ids.travel, ids.weather].sort());
+  });
+
+  it('rejects invalid filters with field errors', async () => {
+    const response = await server.request('GET', '/v1/agents?minTrustScore=101&cursor=nope&sort=name');
+    assert.strictEqual(response.status, 400);
+    assert.strictEqual(response.body.code, 'validation_failed');
+
+    const fields = response.body.errors.map(error => error.field);
+    assert.ok(fields.includes('minTrustScore'));
+    assert.ok(fields.includes('sort'));
+
+    const cursor = await server.request('GET', '/v1/agents?cursor=nope');
+    assert.strictEqual(cursor.status, 400);
+    assert.strictEqual(cursor.body.errors[0].field, 'cursor');
+  });
+});
@@ -0,0 +1,200 @@
+// test/storage.test.js - The repositories behave the same on every backend
+const crypto = require('crypto');
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { createStorage } = require('../lib/storage');
+const { BACKENDS, openStorage, closeStorage } = require('./backends');
+
+function agentRow(id, overrides = {}) {
+  return {
+    id,
+    internal_id: crypto.randomUUID(),
+    email: 'owner@example.com',
+    status: 'registered',
+    blockchain_status: 'pending',
+    trust_score: 42,
+    trust_breakdown: { score: 42, factors: [] },
+    registered_at: new Date('2026-01-01T00:00:00Z'),
+    agent_data: { name: 'Agent', owner: 'Owner', capabilities: ['search'] },
+    metadata: { source: 'test' },
+    ...overrides
+  };
+}
+
+for (const backend of BACKENDS) {
+  describe(`Storage (${backend.name})`, { skip: backend.skip }, () => {
+    let db;
+
+    before(async () => {
+      db = await openStorage(backend);
+    });
+
+    after(() => closeStorage(db));
+
+    it('stores agents with their JSON and date columns', async () => {
+      await db.agents.create(agentRow('AGENT-1'));
+
+      const agent = await db.agents.findById('AGENT-1');
+      assert.ok(agent.registered_at instanceof Date);
+      assert.strictEqual(agent.registered_at.toISOString(), '2026-01-01T00:00:00.000Z');
+      assert.deepStrictEqual(agent.agent_data, { name: 'Agent', owner: 'Owner', capabilities: ['search'] });
+      assert.strictEqual(agent.trust_score, 42);
+      assert.strictEqual(agent.email_verified_at, null);
+
+      await db.agents.update('AGENT-1', { status: 'revoked' });
+      assert.strictEqual((await db.agents.findById('AGENT-1')).status, 'revoked');
+      assert.strictEqual(await db.agents.findById('AGENT-MISSING'), null);
+    });
+
+    it('moves keys, aliases and webhook deliveries with a renamed agent', async () => {
+      await db.agents.create(agentRow('TEMP-2'));
+      await db.apiKeys.create({ agentId: 'TEMP-2', keyHash: 'hash-2', keyPrefix: 'as_live_2', scopes: ['agent:read'] });
+      await db.aliases.create('TEMP-2', 'TEMP-2');
+      const webhook = await db.webhooks.create({ ownerEmail: 'owner@example.com', url: 'https://hooks.example.com/', events: ['agent.updated'], secret: 'secret' });
+      await db.webhookDeliveries.enqueue({ webhookId: webhook.id, eventId: 'evt-2', eventType: 'agent.updated', agentId: 'TEMP-2', payload: {} });
+
+      await db.agents.rename('TEMP-2', 'ASTRAS-2');
+
+      const [delivery] = await db.webhookDeliveries.listForWebhook(webhook.id, { limit: 10 });
+      assert.strictEqual(delivery.agent_id, 'ASTRAS-2');
+
+      assert.strictEqual(await db.agents.findById('TEMP-2'), null);
+      assert.strictEqual((await db.apiKeys.findActiveByHash('hash-2')).agent_id, 'ASTRAS-2');
+      assert.deepStrictEqual((await db.apiKeys.findActiveByHash('hash-2')).scopes, ['agent:read']);
+
+      assert.strictEqual(await db.apiKeys.revokeForAgent('ASTRAS-2'), 1);
+      assert.strictEqual(await db.apiKeys.findActiveByHash('hash-2'), null);
+    });
+
+    it('lists an owner\'s agents registered together in insertion order', async () => {
+      const registeredAt = new Date('2026-02-01T00:00:00Z');
+      for (const id of ['BULK-Z', 'BULK-A', 'BULK-M']) {
+        await db.agents.create(agentRow(id, { email: 'Bulk@example.com', registered_at: registeredAt }));
+      }
+      await db.agents.create(agentRow('BULK-OLDER', { email: 'bulk@example.com' }));
+
+      const agents = await db.agents.listByOwnerEmail('bulk@example.com');
+      assert.deepStrictEqual(agents.map(agent => agent.id), ['BULK-OLDER', 'BULK-Z', 'BULK-A', 'BULK-M']);
+    });
+
+    it('pages search results newest first, then by ID', async () => {
+      const agentData = { name: 'Paged Agent', owner: 'Paging Owner', capabilities: ['page', 'search'] };
+      await db.agents.create(agentRow('PAGE-OLD', { agent_data: agentData, registered_at: new Date('2026-03-01T00:00:00.123Z') }));
+      for (const id of ['PAGE-B', 'PAGE-A', 'PAGE-C']) {
+        await db.agents.create(agentRow(id, { agent_data: agentData, registered_at: new Date('2026-03-02T00:00:00.456Z') }));
+      }
+
+      const pages = [];
+      let after;
+      do {
+        const rows = await db.agents.search({ owner: 'paging owner', capability: ['page'], after, limit: 2 });
+        pages.push(rows.map(row => row.id));
+        const last = rows[rows.length - 1];
+        after = rows.length === 2 ? { registeredAt: last.cursor_registered_at, id: last.id } : undefined;
+      } while (after);
+
+      assert.deepStrictEqual(pages, [['PAGE-C', 'PAGE-B'], ['PAGE-A', 'PAGE-OLD'], []]);
+    });
+
+    it('finds agents whose trust score is missing, old or from another model', async () => {
+      const breakdown = (computedAt, modelVersion) => ({ score: 42, factors: [], computedAt: computedAt.toISOString(), modelVersion });
+      await db.agents.create(agentRow('TRUST-FRESH', { trust_breakdown: breakdown(new Date(), 2) }));
+      await db.agents.create(agentRow('TRUST-OLD', { trust_breakdown: breakdown(new Date('2026-01-01T00:00:00Z'), 2) }));
+      await db.agents.create(agentRow('TRUST-MODEL', { trust_breakdown: breakdown(new Date(), 1) }));
+      await db.agents.create(agentRow('TRUST-NONE', { trust_breakdown: null }));
+
+      const stale = await db.agents.findStaleTrustScores({ maxAgeMs: 60 * 60 * 1000, modelVersion: 2, limit: 100 });
+      assert.deepStrictEqual(stale.filter(id => id.startsWith('TRUST-')).sort(), ['TRUST-MODEL', 'TRUST-NONE', 'TRUST-OLD']);
+    });
+
+    it('anonymises, then deletes, attempts older than a cutoff', async () => {
+      await db.attempts.create({
+        eventType: 'registration_failed',
+        email: 'old@example.com',
+        emailHash: 'hash-old',
+        agentName: 'Agent',
+        source: 'direct-api',
+        data: { error: 'Validation failed', ip: '203.0.113.1' }
+      });
+      const past = new Date(Date.now() - 60 * 1000);
+      const future = new Date(Date.now() + 60 * 1000);
+
+      assert.strictEqual(await db.attempts.anonymizeBefore(past, ['error']), 0);
+      assert.strictEqual(await db.attempts.anonymizeBefore(future, ['error']), 1);
+      assert.strictEqual(await db.attempts.anonymizeBefore(future, ['error']), 0);
+
+      const [attempt] = await db.attempts.listRecent(10);
+      assert.strictEqual(attempt.email, null);
+      assert.strictEqual(attempt.email_hash, 'hash-old');
+      assert.deepStrictEqual(attempt.data, { error: 'Validation failed' });
+      assert.ok(attempt.anonymized_at instanceof Date);
+
+      assert.strictEqual(await db.attempts.deleteBefore(past), 0);
+      assert.strictEqual(await db.attempts.deleteBefore(future), 1);
+      assert.deepStrictEqual(await db.attempts.listRecent(10), []);
+    });
+
+    it('lists the webhooks subscribed to an event', async () => {
+      const created = await db.webhooks.create({ ownerEmail: 'hooks@example.com', url: 'https://hooks.example.com/created', events: ['agent.created'], secret: 'secret' });
+      await db.webhooks.create({ ownerEmail: 'hooks@example.com', url: 'https://hooks.example.com/updated', events: ['agent.updated'], secret: 'secret' });
+
+      const subscribed = await db.webhooks.listSubscribed('hooks@example.com', 'agent.created');
+      assert.deepStrictEqual(subscribed.map(webhook => webhook.id), [created.id]);
+      assert.deepStrictEqual(await db.webhooks.listSubscribed('other@example.com', 'agent.created'), []);
+    });
+
+    it('removes fields from an agent\'s past revisions', async () => {
+      await db.agents.create(agentRow('REVISED-1'));
+      await db.revisions.create({ agentId: 'REVISED-1', action: 'registered', status: 'registered', agentData: { name: 'Agent', owner: 'Owner', metadata: { a: 1 } } });
+      await db.revisions.create({ agentId: 'REVISED-1', action: 'updated', status: 'registered', agentData: { name: 'Agent' }, changes: { version: { from: '1.0.0', to: '1.1.0' } } });
+
+      assert.strictEqual(await db.revisions.eraseFields('REVISED-1', ['owner', 'metadata']), 1);
+      assert.strictEqual(await db.revisions.eraseFields('REVISED-1', ['owner', 'metadata']), 0);
+
+      const revisions = await db.revisions.listForAgent('REVISED-1');
+      assert.deepStrictEqual(revisions.map(revision => revision.agent_data), [{ name: 'Agent' }, { name: 'Agent' }]);
+      assert.deepStrictEqual(revisions[1].changes, { version: { from: '1.0.0', to: '1.1.0' } });
+    });
+
+    it('commits a transaction and rolls back a failed one', async () => {
+      const result = await db.transaction(async tx => {
+        await tx.agents.create(agentRow('AGENT-3'));
+        return 'done';
+      });
+      assert.strictEqual(result, 'done');
+      assert.ok(await db.agents.findById('AGENT-3'));
+
+      await assert.rejects(db.transaction(async tx => {
+        await tx.agents.create(agentRow('AGENT-4'));
+        throw new Error('abort');
+      }), /abort/);
+      assert.strictEqual(await db.agents.findById('AGENT-4'), null);
+    });
+
+    it('rejects a duplicate agent ID', async () => {
+      await assert.rejects(db.agents.create(agentRow('AGENT-3')));
+    });
+
+    it('claims, dead-letters and requeues emails', async () => {
+      await db.emailQueue.enqueue({ recipient: 'owner@example.com', subject: 'Hello', template: 'verify_email', data: { a: 1 } });
+
+      const [email] = await db.emailQueue.claimDue({ limit: 10, staleLockMs: 60000 });
+      assert.strictEqual(email.status, 'sending');
+      assert.deepStrictEqual(email.data, { a: 1 });
+      assert.deepStrictEqual(await db.emailQueue.claimDue({ limit: 10, staleLockMs: 60000 }), []);
+
+      await db.emailQueue.markFailed(email.id, { dead: true, attempts: 1, error: 'boom', transport: 'file' });
+      assert.strictEqual((await db.emailQueue.listDead(10))[0].last_error, 'boom');
+
+      assert.strictEqual(await db.emailQueue.requeue(email.id), true);
+      assert.strictEqual(await db.emailQueue.requeue(email.id), false);
+      assert.strictEqual((await db.emailQueue.countByStatus()).pending, 1);
+    });
+  });
+}
+
+describe('createStorage', () => {
+  it('rejects an unknown backend', () => {
+    assert.throws(() => createStorage({ STORAGE_BACKEND: 'mongodb' }), /Unknown STORAGE_BACKEND: mongodb/);
+  });
+});
@@ -0,0 +1,95 @@
+// test/trust.test.js - Trust score factors and the scores agents get
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { bearer, registerAgent, startServer, verifyEmail } = require('./helpers');
+const { TRUST_MODEL_VERSION, collectSignals, computeTrustScore } = require('../lib/trust');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = new Date('2026-01-01T00:00:00Z');
+
+function agentRow(overrides = {}) {
+  return {
+    status: 'active',
+    registered_at: NOW,
+    email_verified_at: null,
+    domain_verified_at: null,
+    agent_data: { name: 'Agent', owner: 'Owner' },
+    ...overrides
+  };
+}
+
+const points = (result, factor) => result.breakdown.factors.find(item => item.factor === factor).points;
+
+describe('computeTrustScore', () => {
+  it('scores a fresh, unverified agent on its profile alone', () => {
+    const result = computeTrustScore(collectSignals(agentRow(), {}, NOW), NOW);
+
+    assert.strictEqual(points(result, 'emailVerified'), 0);
+    assert.strictEqual(points(result, 'domainOwnership'), 0);
+    assert.strictEqual(points(result, 'agentAge'), 0);
+    assert.strictEqual(points(result, 'revocationHistory'), 10);
+    assert.strictEqual(points(result, 'completeness'), 6.67);
+    assert.strictEqual(result.score, 17);
+    assert.strictEqual(result.breakdown.maxScore, 100);
+    assert.strictEqual(result.breakdown.modelVersion, TRUST_MODEL_VERSION);
+  });
+
+  it('gives full marks to an old, complete and verified agent', () => {
+    const agent = agentRow({
+      registered_at: new Date(NOW - 120 * DAY_MS),
+      email_verified_at: NOW,
+      domain_verified_at: NOW,
+      agent_data: {
+        name: 'Agent',
+        owner: 'Owner',
+        description: 'Does things',
+        ownerUrl: 'https://example.com',
+        capabilities: ['search'],
+        version: '1.0.0'
+      }
+    });
+
+    assert.strictEqual(computeTrustScore(collectSignals(agent, {}, NOW), NOW).score, 100);
+  });
+
+  it('gives half of the agent age credit at 45 days', () => {
+    const agent = agentRow({ registered_at: new Date(NOW - 45 * DAY_MS) });
+    assert.strictEqual(points(computeTrustScore(collectSignals(agent, {}, NOW), NOW), 'agentAge'), 7.5);
+  });
+
+  it('halves the revocation credit of a deprecated agent', () => {
+    const result = computeTrustScore(collectSignals(agentRow(), { deprecated: 1 }, NOW), NOW);
+    assert.strictEqual(points(result, 'revocationHistory'), 5);
+  });
+
+  it('scores a revoked agent 0', () => {
+    const agent = agentRow({ status: 'revoked', email_verified_at: NOW });
+    assert.strictEqual(computeTrustScore(collectSignals(agent, {}, NOW), NOW).score, 0);
+  });
+});
+
+describe('Trust scores of registered agents', () => {
+  let server;
+
+  before(async () => {
+    server = await startServer();
+  });
+
+  after(() => server.close());
+
+  it('rises when the email is verified and drops to 0 on revocation', async () => {
+    const agent = await registerAgent(server.request, 'trust@example.com');
+    const score = async () => (await server.request('GET', `/v1/agent/${agent.agentId}`, { headers: bearer(agent.apiKey) })).body.trustScore;
+
+    const initial = await score();
+    await verifyEmail(server.request, agent.agentId, 'trust@example.com');
+    assert.strictEqual(await score(), initial + 30);
+
+    const verify = await server.request('GET', `/v1/verify/${agent.agentId}`);
+    assert.strictEqual(verify.body.trustScore, initial + 30);
+    assert.strictEqual(verify.body.trustBreakdown.factors.length, 5);
+
+    await server.request('DELETE', `/v1/agent/${agent.agentId}`, { headers: bearer(agent.apiKey) });
+    assert.strictEqual(await score(), 0);
+  });
+});
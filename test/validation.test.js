@@ -0,0 +1,107 @@
+// test/validation.test.js - Declarative schemas and the field-level error envelope
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { AGENT, bearer, startServer } = require('./helpers');
+const { ValidationError, validate } = require('../lib/validation');
+const schemas = require('../lib/schemas');
+
+// The errors validate() throws, as { field: code }
+function errorsOf(schema, value, options) {
+  try {
+    validate(schema, value, options);
+  } catch (error) {
+    assert.ok(error instanceof ValidationError);
+    return Object.fromEntries(error.errors.map(item => [item.field, item.code]));
+  }
+  return {};
+}
+
+describe('validate', () => {
+  it('accepts a registration and applies defaults', () => {
+    const body = validate(schemas.register, { email: 'owner@example.com', agent: { name: 'Agent', owner: 'Owner' } });
+    assert.strictEqual(body.agent.version, '1.0.0');
+  });
+
+  it('reports every invalid field with a code', () => {
+    assert.deepStrictEqual(errorsOf(schemas.register, {
+      email: 'not-an-email',
+      agent: {
+        owner: 'Owner',
+        ownerUrl: 'ftp://example.com',
+        capabilities: 'search',
+        version: '1.0',
+        colour: 'blue'
+      },
+      extra: true
+    }), {
+      email: 'invalid_format',
+      'agent.name': 'required',
+      'agent.ownerUrl': 'invalid_format',
+      'agent.capabilities': 'invalid_type',
+      'agent.version': 'invalid_format',
+      'agent.colour': 'unknown_field',
+      extra: 'unknown_field'
+    });
+  });
+
+  it('checks capability shapes', () => {
+    const agent = capabilities => ({ email: 'owner@example.com', agent: { name: 'Agent', owner: 'Owner', capabilities } });
+
+    assert.deepStrictEqual(errorsOf(schemas.register, agent(['search', 'search'])), { 'agent.capabilities': 'duplicate_item' });
+    assert.deepStrictEqual(errorsOf(schemas.register, agent(['search', 42])), { 'agent.capabilities[1]': 'invalid_type' });
+    assert.deepStrictEqual(errorsOf(schemas.register, agent([''])), { 'agent.capabilities[0]': 'too_short' });
+  });
+
+  it('coerces query strings to the schema types', () => {
+    const query = validate(schemas.searchAgents, { capability: 'a,b', minTrustScore: '40' }, { location: 'query' });
+    assert.deepStrictEqual(query.capability, ['a', 'b']);
+    assert.strictEqual(query.minTrustScore, 40);
+    assert.strictEqual(query.limit, 20);
+
+    assert.deepStrictEqual(errorsOf(schemas.searchAgents, { limit: 'ten' }, { location: 'query' }), { limit: 'invalid_type' });
+  });
+});
+
+describe('Request validation', () => {
+  let server;
+
+  before(async () => {
+    server = await startServer();
+  });
+
+  after(() => server.close());
+
+  it('answers 400 with the error envelope', async () => {
+    const response = await server.request('POST', '/v1/register', {
+      body: { email: 'owner@example.com', agent: { ...AGENT, capabilities: { search: true } } }
+    });
+
+    assert.strictEqual(response.status, 400);
+    assert.strictEqual(response.body.error, 'Validation failed');
+    assert.strictEqual(response.body.code, 'validation_failed');
+    assert.deepStrictEqual(response.body.errors, [{
+      field: 'agent.capabilities',
+      location: 'body',
+      code: 'invalid_type',
+      message: 'agent.capabilities must be an array'
+    }]);
+  });
+
+  it('reports malformed JSON in the same envelope', async () => {
+    const response = await server.request('POST', '/v1/register', { body: '{"email": ' });
+
+    assert.strictEqual(response.status, 400);
+    assert.strictEqual(response.body.code, 'validation_failed');
+    assert.strictEqual(response.body.errors[0].code, 'invalid_json');
+  });
+
+  it('keeps agent metadata', async () => {
+    const registered = await server.request('POST', '/v1/register', {
+      body: { email: 'owner@example.com', agent: { ...AGENT, metadata: { region: 'eu' } } }
+    });
+    assert.strictEqual(registered.status, 201);
+
+    const details = await server.request('GET', `/v1/agent/${registered.body.agentId}`, { headers: bearer(registered.body.apiKey) });
+    assert.deepStrictEqual(details.body.agent.metadata, { region: 'eu' });
+  });
+});
@@ -0,0 +1,70 @@
+// test/webhookWorker.test.js - Deliveries only go to public addresses
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { once } = require('events');
+const { storage } = require('./helpers');
+const { runOnce } = require('../lib/webhooks/worker');
+
+describe('Webhook worker', () => {
+  let server;
+  let received = [];
+  let webhook;
+
+  const enqueue = () => storage.webhookDeliveries.enqueue({
+    webhookId: webhook.id,
+    eventId: 'evt_test',
+    eventType: 'agent.updated',
+    agentId: 'TEMP-TEST',
+    payload: { id: 'evt_test', type: 'agent.updated' }
+  });
+
+  before(async () => {
+    await storage.init();
+
+    server = http.createServer((req, res) => {
+      received.push(req.headers);
+      res.writeHead(204);
+      res.end();
+    });
+    server.listen(0, '127.0.0.1');
+    await once(server, 'listening');
+
+    // Stored directly: the API only accepts https URLs with public host names
+    webhook = await storage.webhooks.create({
+      ownerEmail: 'owner@example.com',
+      url: `http://127.0.0.1:${server.address().port}/hook`,
+      events: ['agent.updated'],
+      secret: 'whsec_test'
+    });
+  });
+
+  after(() => {
+    delete process.env.WEBHOOK_ALLOW_PRIVATE_URLS;
+    server.closeAllConnections();
+    server.close();
+  });
+
+  it('does not deliver to a private address', async () => {
+    const delivery = await enqueue();
+    await runOnce();
+
+    const row = await storage.webhookDeliveries.findById(delivery.id);
+    assert.strictEqual(row.status, 'pending');
+    assert.strictEqual(row.attempts, 1);
+    assert.match(row.last_error, /non-public address/);
+    assert.deepStrictEqual(received, []);
+  });
+
+  it('delivers to a private address when WEBHOOK_ALLOW_PRIVATE_URLS=true', async () => {
+    process.env.WEBHOOK_ALLOW_PRIVATE_URLS = 'true';
+    const delivery = await enqueue();
+    await runOnce();
+
+    const row = await storage.webhookDeliveries.findById(delivery.id);
+    assert.strictEqual(row.status, 'delivered');
+    assert.strictEqual(row.response_status, 204);
+    assert.strictEqual(received.length, 1);
+    assert.match(received[0]['x-astrasync-signature'], /^t=\d+,v1=[0-9a-f]{64}$/);
+  });
+});
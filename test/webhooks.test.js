@@ -0,0 +1,110 @@
+// test/webhooks.test.js - Webhooks belong to the verified owner of an email
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { bearer, registerAgent, startServer, verifyEmail } = require('./helpers');
+
+const WEBHOOK = { url: 'https://hooks.example.com/astrasync', events: ['agent.registered', 'agent.updated'] };
+
+describe('Webhook ownership', () => {
+  let server;
+  let owner;
+  let webhook;
+  let delivery;
+
+  before(async () => {
+    server = await startServer();
+
+    owner = await registerAgent(server.request, 'Owner@Example.com');
+    await verifyEmail(server.request, owner.agentId, 'Owner@Example.com');
+
+    const created = await server.request('POST', `/v1/agent/${owner.agentId}/webhooks`, {
+      headers: bearer(owner.apiKey),
+      body: WEBHOOK
+    });
+    assert.strictEqual(created.status, 201);
+    webhook = created.body;
+
+    // A second agent of the same owner queues an agent.registered delivery
+    await registerAgent(server.request, 'owner@example.com');
+    const deliveries = await server.request('GET', `/v1/agent/${owner.agentId}/webhooks/${webhook.id}/deliveries`, {
+      headers: bearer(owner.apiKey)
+    });
+    assert.strictEqual(deliveries.status, 200);
+    delivery = deliveries.body.deliveries[0];
+    assert.ok(delivery, 'expected a queued delivery');
+  });
+
+  after(() => server.close());
+
+  it('lists the owner\'s webhooks for a verified agent with the same email in any case', async () => {
+    const agent = await registerAgent(server.request, 'OWNER@example.com');
+    await verifyEmail(server.request, agent.agentId, 'OWNER@example.com');
+
+    const response = await server.request('GET', `/v1/agent/${agent.agentId}/webhooks`, { headers: bearer(agent.apiKey) });
+    assert.strictEqual(response.status, 200);
+    assert.deepStrictEqual(response.body.webhooks.map(item => item.id), [webhook.id]);
+  });
+
+  describe('an unverified agent registered with the owner\'s email', () => {
+    let intruder;
+    const call = (method, path, body) => server.request(method, `/v1/agent/${intruder.agentId}${path}`, {
+      headers: bearer(intruder.apiKey),
+      body
+    });
+    const assertForbidden = response => {
+      assert.strictEqual(response.status, 403);
+      assert.strictEqual(response.body.error, 'Email not verified');
+    };
+
+    before(async () => {
+      intruder = await registerAgent(server.request, 'owner@EXAMPLE.com');
+    });
+
+    it('cannot add a webhook', async () => {
+      assertForbidden(await call('POST', '/webhooks', WEBHOOK));
+    });
+
+    it('cannot list the webhooks', async () => {
+      assertForbidden(await call('GET', '/webhooks'));
+    });
+
+    it('cannot read deliveries', async () => {
+      assertForbidden(await call('GET', `/webhooks/${webhook.id}/deliveries`));
+    });
+
+    it('cannot replay a delivery', async () => {
+      assertForbidden(await call('POST', `/webhooks/${webhook.id}/deliveries/${delivery.id}/replay`));
+    });
+
+    it('cannot delete a webhook', async () => {
+      assertForbidden(await call('DELETE', `/webhooks/${webhook.id}`));
+
+      const list = await server.request('GET', `/v1/agent/${owner.agentId}/webhooks`, { headers: bearer(owner.apiKey) });
+      assert.strictEqual(list.body.webhooks.length, 1);
+    });
+  });
+
+  describe('a verified agent of another owner', () => {
+    let stranger;
+
+    before(async () => {
+      stranger = await registerAgent(server.request, 'stranger@example.com');
+      await verifyEmail(server.request, stranger.agentId, 'stranger@example.com');
+    });
+
+    it('sees none of the owner\'s webhooks', async () => {
+      const response = await server.request('GET', `/v1/agent/${stranger.agentId}/webhooks`, { headers: bearer(stranger.apiKey) });
+      assert.strictEqual(response.status, 200);
+      assert.deepStrictEqual(response.body.webhooks, []);
+    });
+
+    it('gets 404 for the owner\'s webhook and deliveries', async () => {
+      const headers = bearer(stranger.apiKey);
+      const base = `/v1/agent/${stranger.agentId}/webhooks/${webhook.id}`;
+
+      assert.strictEqual((await server.request('GET', `${base}/deliveries`, { headers })).status, 404);
+      assert.strictEqual((await server.request('POST', `${base}/deliveries/${delivery.id}/replay`, { headers })).status, 404);
+      assert.strictEqual((await server.request('DELETE', base, { headers })).status, 404);
+    });
+  });
+});